@@ -4,13 +4,10 @@
  * Used for: Offense distribution, jurisdiction comparison, detection methods, etc.
  */
 
-class BarChart {
+class BarChart extends BaseChart {
     constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = d3.select(`#${containerId}`);
-        
         // Default configuration
-        this.config = {
+        super(containerId, {
             margin: { top: 40, right: 40, bottom: 80, left: 80 },
             width: 1000,
             height: 400,
@@ -22,33 +19,21 @@ class BarChart {
             color: '#2563eb',
             showGrid: true,
             showTooltip: true,
-            orientation: 'vertical', // 'vertical' or 'horizontal'
-            ...options
-        };
-
-        this.svg = null;
-        this.data = null;
-        this.tooltip = null;
+            orientation: 'vertical' // 'vertical' or 'horizontal'
+        }, options);
     }
 
     /**
      * Initialize the chart
      */
     init() {
-        // Clear existing content
-        this.container.selectAll('*').remove();
+        super.init();
 
         // Calculate dimensions
         const width = this.config.width - this.config.margin.left - this.config.margin.right;
         const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
 
-        // Create SVG
-        this.svg = this.container
-            .append('svg')
-            .attr('width', this.config.width)
-            .attr('height', this.config.height)
-            .append('g')
-            .attr('transform', `translate(${this.config.margin.left},${this.config.margin.top})`);
+        this.createSvg();
 
         // Add title
         this.svg.append('text')
@@ -59,31 +44,14 @@ class BarChart {
             .style('font-weight', 'bold')
             .text(this.config.title);
 
-        // Create tooltip
-        if (this.config.showTooltip) {
-            this.tooltip = d3.select('body')
-                .append('div')
-                .attr('class', 'chart-tooltip')
-                .style('position', 'absolute')
-                .style('visibility', 'hidden')
-                .style('background-color', 'rgba(0, 0, 0, 0.8)')
-                .style('color', 'white')
-                .style('padding', '10px')
-                .style('border-radius', '5px')
-                .style('font-size', '12px')
-                .style('pointer-events', 'none')
-                .style('z-index', '1000');
-        }
-
         return this;
     }
 
     /**
-     * Render the chart with data
-     * @param {Array} data - Array of data objects
+     * Draw the chart from this.data
      */
-    render(data) {
-        this.data = data;
+    draw() {
+        const data = this.data;
         const width = this.config.width - this.config.margin.left - this.config.margin.right;
         const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
 
@@ -92,8 +60,6 @@ class BarChart {
         } else {
             this.renderHorizontal(data, width, height);
         }
-
-        return this;
     }
 
     /**
@@ -114,7 +80,7 @@ class BarChart {
         if (this.config.showGrid) {
             this.svg.append('g')
                 .attr('class', 'grid')
-                .style('stroke', '#e0e0e0')
+                .style('stroke', chartStyles.theme('grid'))
                 .style('stroke-opacity', 0.7)
                 .call(d3.axisLeft(yScale)
                     .tickSize(-width)
@@ -123,13 +89,12 @@ class BarChart {
         }
 
         // Add axes
-        this.svg.append('g')
+        const xAxis = this.svg.append('g')
             .attr('class', 'x-axis')
             .attr('transform', `translate(0,${height})`)
-            .call(d3.axisBottom(xScale))
-            .selectAll('text')
-            .attr('transform', 'rotate(-45)')
-            .style('text-anchor', 'end');
+            .call(d3.axisBottom(xScale));
+
+        this.fitTickLabels(xAxis, xScale.step());
 
         this.svg.append('g')
             .attr('class', 'y-axis')
@@ -189,7 +154,7 @@ class BarChart {
         if (this.config.showGrid) {
             this.svg.append('g')
                 .attr('class', 'grid')
-                .style('stroke', '#e0e0e0')
+                .style('stroke', chartStyles.theme('grid'))
                 .style('stroke-opacity', 0.7)
                 .call(d3.axisBottom(xScale)
                     .tickSize(height)
@@ -243,57 +208,15 @@ class BarChart {
     }
 
     /**
-     * Show tooltip
-     */
-    showTooltip(event, data) {
-        if (!this.tooltip) return;
-
-        const tooltipContent = `
-            <strong>${data[this.config.xField]}</strong><br/>
-            ${this.config.yLabel}: ${(+data[this.config.yField]).toLocaleString()}
-        `;
-
-        this.tooltip
-            .html(tooltipContent)
-            .style('visibility', 'visible');
-    }
-
-    /**
-     * Move tooltip with cursor
+     * Tooltip template for a mark
      */
-    moveTooltip(event) {
-        if (!this.tooltip) return;
-        
-        this.tooltip
-            .style('left', (event.pageX + 10) + 'px')
-            .style('top', (event.pageY - 10) + 'px');
-    }
-
-    /**
-     * Hide tooltip
-     */
-    hideTooltip() {
-        if (this.tooltip) {
-            this.tooltip.style('visibility', 'hidden');
-        }
-    }
-
-    /**
-     * Update chart with new data
-     */
-    update(newData) {
-        this.render(newData);
-        return this;
-    }
-
-    /**
-     * Destroy chart
-     */
-    destroy() {
-        this.container.selectAll('*').remove();
-        if (this.tooltip) {
-            this.tooltip.remove();
-        }
+    tooltipTemplate(data) {
+        return {
+            title: data[this.config.xField],
+            rows: [
+                { label: this.config.yLabel, value: (+data[this.config.yField]).toLocaleString() }
+            ]
+        };
     }
 }
 
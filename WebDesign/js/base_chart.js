@@ -0,0 +1,770 @@
+/**
+ * Base Chart
+ * Lifecycle shared by the chart components: mount() shows load progress, then loadData() → init() → render(),
+ * and destroy() undoes all of it. The base class handles the chart's tooltip (the page's shared one,
+ * js/chart_tooltip.js), sizing (fixed, or from the container's width when responsive), the error and empty
+ * states and the chart's events; subclasses supply processData(), init(), draw() and tooltipTemplate().
+ *
+ * Responsive charts watch their container with a ResizeObserver, so they also follow sidebars, cards and
+ * accordions, not just the window. Layout rules (angled tick labels, hidden legends) go by the space the
+ * chart has: getDimensions().compact and fitTickLabels().
+ *
+ * Charts hand their data marks to enableKeyboard() so they can be reached without a pointer: one tab stop
+ * per chart, arrow keys between marks, the hover tooltip on focus, Enter/Space to select and Escape to clear.
+ *
+ * Charts redraw when the reader changes the chart colours (chartStyles 'change', js/chart_styles.js).
+ * Charts that can show more than one measure (counts, rates) switch between them with createMeasureToggle().
+ *
+ * Redraws keep the SVG: draw() joins its data to the marks already there by key, in the persistent groups
+ * layer() returns, so a filter change grows and shrinks bars, morphs lines and rescales axes through
+ * transition() instead of clearing and rebuilding the chart. BaseChart.animate() applies the changes at
+ * once when there is no transition: after a resize, or when the reader prefers reduced motion.
+ *
+ * Events ('load', 'render', 'tooltip', 'select', 'error', 'destroy') are CustomEvents whose detail includes { chart }.
+ */
+
+class BaseChart extends EventTarget {
+    /**
+     * @param {string} containerId - Element the chart renders into
+     * @param {Object} [defaults] - The subclass's default configuration
+     * @param {Object} [options] - Caller overrides of the defaults
+     */
+    constructor(containerId, defaults = {}, options = {}) {
+        super();
+        this.containerId = containerId;
+        this.container = d3.select(`#${containerId}`);
+
+        this.config = {
+            margin: { top: 40, right: 40, bottom: 80, left: 80 },
+            // Fixed size; a responsive chart takes its container's width, up to this one
+            width: 1000,
+            height: 400,
+            // Width ÷ height for responsive charts; null keeps the fixed (or breakpoint) height
+            aspectRatio: null,
+            minWidth: 0,
+            maxWidth: Infinity,
+            minHeight: 0,
+            maxHeight: Infinity,
+            // Container-width breakpoints, narrowest first: [{ below, maxWidth, height, margin }]
+            breakpoints: null,
+            // Below this width getDimensions() reports compact, and compactMargin replaces parts of the margin
+            compactWidth: 576,
+            compactMargin: null,
+            // Stretch the SVG to the container's width; the viewBox keeps its proportions
+            fluid: false,
+            // Size from the container and redraw when its width changes
+            responsive: false,
+            // Debounce for those redraws (ms)
+            resizeDelay: 150,
+            showTooltip: true,
+            // Inline styles that differ from CHART_TOOLTIP_STYLE (js/chart_tooltip.js)
+            tooltipStyle: {},
+            emptyMessage: 'No data available',
+            // Length of the transitions between redraws (ms); 0 turns them off
+            transitionDuration: 750,
+            ...defaults,
+            ...options
+        };
+
+        this.data = null;
+        this.datasetId = null;
+        this.svg = null;
+        this.destroyed = false;
+        this.resizeTimeout = null;
+        this.resizeHandler = this.handleResize.bind(this);
+        this.resizeObserver = null;
+        this.renderedWidth = null;
+        // Set while redrawing for a resize, which jumps straight to the new layout
+        this.resizing = false;
+        // Keys of the marks selected from the keyboard (or by click), kept across redraws
+        this.selectedKeys = new Set();
+        this.focusedKey = null;
+
+        // Redraw in the new palette or pattern fills (js/chart_styles.js)
+        this.styleHandler = () => {
+            if (this.data && !this.destroyed) this.restyle();
+        };
+        if (typeof chartStyles !== 'undefined' && chartStyles) {
+            chartStyles.addEventListener('change', this.styleHandler);
+        }
+    }
+
+    /**
+     * Load a dataset and draw the chart, replacing the container with an error message on failure
+     * @param {string} datasetId - Dataset id from data/datasets.json
+     * @returns {Promise<BaseChart>} This chart
+     */
+    async mount(datasetId) {
+        dataLoader.showProgress(this.containerId, datasetId);
+
+        try {
+            await this.loadData(datasetId);
+            if (this.destroyed) return this;
+
+            this.init();
+            this.render();
+        } catch (error) {
+            this.showError(error);
+            this.emit('error', { error });
+            throw error;
+        }
+
+        // Data table alternative to the chart (js/chart_table.js)
+        if (typeof chartTable !== 'undefined' && chartTable) {
+            chartTable.attach(this);
+        }
+
+        // Export menu on the chart's card (js/chart_export.js)
+        if (typeof chartExporter !== 'undefined' && chartExporter) {
+            chartExporter.attach(this);
+        }
+
+        return this;
+    }
+
+    /**
+     * Load a dataset and keep the rows processData() makes of it
+     * @param {string} datasetId - Dataset id from data/datasets.json
+     * @returns {Promise<*>} The chart's data
+     */
+    async loadData(datasetId) {
+        this.datasetId = datasetId;
+        const rows = await dataLoader.loadDataset(datasetId);
+        this.data = await this.processData(rows);
+        this.emit('load', { datasetId, rows: rows.length });
+        return this.data;
+    }
+
+    /**
+     * Turn dataset rows into the chart's data. May be async, e.g. to join rates from other datasets.
+     * @param {Array} rows - Normalised dataset rows
+     * @returns {*} Chart data
+     */
+    processData(rows) {
+        return rows;
+    }
+
+    /**
+     * Clear the container and set up the resize observer.
+     * Subclasses call super.init() before adding their controls and SVG.
+     * @returns {BaseChart} This chart
+     */
+    init() {
+        this.container.selectAll('*').remove();
+
+        if (this.config.responsive) {
+            this.observeResize();
+        }
+
+        return this;
+    }
+
+    /**
+     * Draw the chart, or the empty state when there is nothing to draw
+     * @param {*} [data] - New data (keeps the current data when omitted)
+     * @returns {BaseChart} This chart
+     */
+    render(data) {
+        if (this.destroyed) return this;
+        if (data !== undefined) this.data = data;
+
+        if (!this.data) {
+            console.error(`${this.constructor.name}: no data loaded`);
+            return this;
+        }
+
+        if (this.isEmpty()) {
+            this.showEmpty();
+            return this;
+        }
+
+        // A message replaced the chart's controls and SVG: build them again
+        if (this.container.select('.chart-state').node()) {
+            this.init();
+        }
+
+        if (this.config.responsive) {
+            this.resizeSvg();
+        }
+
+        this.renderedWidth = this.containerWidth();
+        // The marks are redrawn, so a tooltip pinned to one of them goes
+        chartTooltip.release(this);
+        if (this.svg) this.svg.selectChildren('.chart-empty').remove();
+        this.draw();
+        this.emit('render');
+        return this;
+    }
+
+    /**
+     * Redraw after the chart colours change. Subclasses whose controls are coloured by series
+     * recolour them here too.
+     */
+    restyle() {
+        this.render();
+    }
+
+    /**
+     * Redraw with new data
+     * @param {*} data - New data
+     * @returns {BaseChart} This chart
+     */
+    update(data) {
+        return this.render(data);
+    }
+
+    /**
+     * Draw the chart from this.data (implemented by subclasses)
+     */
+    draw() {
+        throw new Error(`${this.constructor.name} does not implement draw()`);
+    }
+
+    /**
+     * Whether there is nothing at all to draw. Filters that leave nothing selected use drawEmpty() instead.
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return Array.isArray(this.data) && this.data.length === 0;
+    }
+
+    /**
+     * Outer size and margins for the current container width. A container without a width yet
+     * (not laid out, or hidden) gets the fixed size.
+     * @returns {Object} { width, height, margin, innerWidth, innerHeight, compact }
+     */
+    getDimensions() {
+        const { breakpoints, aspectRatio, minWidth, maxWidth, minHeight, maxHeight } = this.config;
+        const containerWidth = this.config.responsive ? this.containerWidth() : 0;
+        let { width, height, margin } = this.config;
+
+        if (breakpoints && breakpoints.length && containerWidth) {
+            const size = breakpoints.find(b => b.below !== undefined && containerWidth < b.below) ||
+                breakpoints[breakpoints.length - 1];
+
+            width = Math.min(containerWidth, size.maxWidth || Infinity);
+            height = size.height;
+            margin = size.margin;
+        } else if (containerWidth) {
+            width = Math.min(containerWidth, width);
+        }
+
+        width = Math.max(minWidth, Math.min(width, maxWidth));
+        if (aspectRatio) {
+            height = Math.round(width / aspectRatio);
+        }
+        height = Math.max(minHeight, Math.min(height, maxHeight));
+
+        const compact = width < this.config.compactWidth;
+        if (compact && this.config.compactMargin) {
+            margin = { ...margin, ...this.config.compactMargin };
+        }
+
+        return {
+            width,
+            height,
+            margin,
+            innerWidth: width - margin.left - margin.right,
+            innerHeight: height - margin.top - margin.bottom,
+            compact
+        };
+    }
+
+    /**
+     * Width inside the container's padding, or 0 when it is not laid out
+     * @returns {number} Pixels
+     */
+    containerWidth() {
+        const node = this.container.node();
+        if (!node || !node.clientWidth) return 0;
+
+        const style = window.getComputedStyle(node);
+        return node.clientWidth - parseFloat(style.paddingLeft || 0) - parseFloat(style.paddingRight || 0);
+    }
+
+    /**
+     * Append the chart's SVG with a plot group offset by the margins
+     * @param {d3.Selection} [parent] - Element to append to (the container by default)
+     * @returns {d3.Selection} Plot group, also kept as this.svg
+     */
+    createSvg(parent = this.container) {
+        this.svg = parent
+            .append('svg')
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .append('g');
+
+        this.resizeSvg();
+        return this.svg;
+    }
+
+    /**
+     * Fit the SVG from createSvg() to the current dimensions
+     */
+    resizeSvg() {
+        if (!this.svg) return;
+
+        const { width, height, margin } = this.getDimensions();
+
+        d3.select(this.svg.node().parentNode)
+            .attr('width', this.config.fluid ? '100%' : width)
+            .attr('height', height)
+            .attr('viewBox', `0 0 ${width} ${height}`);
+
+        this.svg.attr('transform', `translate(${margin.left},${margin.top})`);
+    }
+
+    /**
+     * Watch the container's size, falling back to window resizes where ResizeObserver is missing
+     */
+    observeResize() {
+        if (typeof ResizeObserver === 'undefined') {
+            window.removeEventListener('resize', this.resizeHandler);
+            window.addEventListener('resize', this.resizeHandler);
+            return;
+        }
+
+        if (!this.resizeObserver) {
+            this.resizeObserver = new ResizeObserver(this.resizeHandler);
+            this.resizeObserver.observe(this.container.node());
+        }
+    }
+
+    /**
+     * Redraw once the container has stopped changing width. Height changes are ignored: drawing
+     * the chart changes the container's height.
+     */
+    handleResize() {
+        clearTimeout(this.resizeTimeout);
+        this.resizeTimeout = setTimeout(() => {
+            if (this.data && !this.destroyed && this.containerWidth() !== this.renderedWidth) {
+                this.resizing = true;
+                try {
+                    this.render();
+                } finally {
+                    this.resizing = false;
+                }
+            }
+        }, this.config.resizeDelay);
+    }
+
+    /**
+     * Group of the plot that survives redraws, created the first time it is asked for. Layers are stacked
+     * in the order a draw first asks for them.
+     * @param {string} name - Class of the group
+     * @param {d3.Selection} [parent] - Element the group belongs to (the plot group by default)
+     * @returns {d3.Selection} The group
+     */
+    layer(name, parent = this.svg) {
+        const layer = parent.selectChild(`g.${name}`);
+        return layer.empty() ? parent.append('g').attr('class', name) : layer;
+    }
+
+    /**
+     * Transition shared by everything one redraw moves, or null when the redraw should not animate:
+     * it follows a resize, transitionDuration is 0 or the reader prefers reduced motion
+     * @returns {d3.Transition|null}
+     */
+    transition() {
+        if (this.resizing || !this.config.transitionDuration || BaseChart.reducedMotion()) return null;
+
+        return d3.transition()
+            .duration(this.config.transitionDuration)
+            .ease(d3.easeCubicInOut);
+    }
+
+    /**
+     * Whether the reader has asked the system for less motion
+     * @returns {boolean}
+     */
+    static reducedMotion() {
+        return typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+            && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Run a selection's changes through a transition, or apply them at once (stopping any transition
+     * still running on it) when there is none. Selections and transitions share attr(), style(), text(),
+     * call() and remove().
+     * @param {d3.Selection} selection - Marks to change
+     * @param {d3.Transition|null} transition - From transition()
+     * @returns {d3.Selection|d3.Transition}
+     */
+    static animate(selection, transition) {
+        return transition ? selection.transition(transition) : selection.interrupt();
+    }
+
+    /**
+     * Angle a bottom axis's tick labels when the widest is wider than the space each tick gets, and
+     * straighten them again when they fit (axes, and so their labels, last across redraws)
+     * @param {d3.Selection} axis - Axis group
+     * @param {number} space - Pixels per tick, e.g. a band scale's step()
+     * @returns {boolean} Whether the labels were angled
+     */
+    fitTickLabels(axis, space) {
+        const labels = axis.selectAll('.tick text');
+        // Text is only measured once laid out, and an axis drawn through a transition only writes new
+        // ticks' text when it starts; estimate 7px a character of the tick's value before that
+        const widest = d3.max(labels.nodes(), node =>
+            (node.getComputedTextLength && node.getComputedTextLength())
+                || (node.textContent || String(d3.select(node).datum())).length * 7) || 0;
+        const angled = widest > space;
+
+        labels
+            .attr('transform', angled ? 'rotate(-45)' : null)
+            .attr('dx', angled ? '-0.6em' : null)
+            .attr('dy', angled ? '0.15em' : '0.71em')
+            .style('text-anchor', angled ? 'end' : null);
+
+        return angled;
+    }
+
+    /**
+     * Make data marks reachable from the keyboard. The marks share one tab stop; the arrow keys (and
+     * Home/End) move between them in document order, and focusing a mark runs its mouseover handler, so
+     * it gets the same highlight and tooltip as hovering. Enter, Space or a click toggle the mark's
+     * selection (the other marks are dimmed), and does not pin the tooltip (js/chart_tooltip.js); Escape
+     * clears the selection.
+     * Call it after the marks' mouse handlers are set.
+     * @param {d3.Selection} marks - Bars, points or regions
+     * @param {Object} options - { label(d) → accessible name, key(d) → identity across redraws (the label by default) }
+     * @returns {d3.Selection} The marks
+     */
+    enableKeyboard(marks, { label, key = label }) {
+        const nodes = marks.nodes();
+        if (!nodes.length) return marks;
+
+        const chart = this;
+        const over = marks.on('mouseover');
+        const out = marks.on('mouseout');
+        const focused = Math.max(0, marks.data().findIndex(d => key(d) === this.focusedKey));
+
+        marks
+            .classed('chart-mark', true)
+            .attr('role', 'button')
+            .attr('aria-label', label)
+            .attr('tabindex', (d, i) => i === focused ? 0 : -1)
+            .on('focus.keyboard', function (event, d) {
+                chart.focusedKey = key(d);
+                nodes.forEach(node => node.setAttribute('tabindex', node === this ? 0 : -1));
+                if (over) over.call(this, BaseChart.focusEvent(this), d);
+            })
+            .on('blur.keyboard', function (event, d) {
+                if (out) out.call(this, BaseChart.focusEvent(this), d);
+            })
+            .on('click.keyboard', (event, d) => this.toggleSelection(marks, key, key(d)))
+            .on('keydown.keyboard', function (event, d) {
+                const index = nodes.indexOf(this);
+                const moves = {
+                    ArrowRight: index + 1,
+                    ArrowDown: index + 1,
+                    ArrowLeft: index - 1,
+                    ArrowUp: index - 1,
+                    Home: 0,
+                    End: nodes.length - 1
+                };
+
+                if (event.key in moves) {
+                    event.preventDefault();
+                    nodes[(moves[event.key] + nodes.length) % nodes.length].focus();
+                } else if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    chart.toggleSelection(marks, key, key(d));
+                } else if (event.key === 'Escape') {
+                    chart.clearSelection(marks, key);
+                    if (out) out.call(this, BaseChart.focusEvent(this), d);
+                }
+            });
+
+        this.applySelection(marks, key);
+        return marks;
+    }
+
+    /**
+     * Select or deselect one mark
+     * @param {d3.Selection} marks - Marks passed to enableKeyboard()
+     * @param {Function} key - Their key function
+     * @param {*} value - Key of the mark to toggle
+     */
+    toggleSelection(marks, key, value) {
+        if (this.selectedKeys.has(value)) {
+            this.selectedKeys.delete(value);
+        } else {
+            this.selectedKeys.add(value);
+        }
+        this.applySelection(marks, key);
+        this.emit('select', { keys: [...this.selectedKeys] });
+    }
+
+    /**
+     * Deselect every mark
+     * @param {d3.Selection} marks - Marks passed to enableKeyboard()
+     * @param {Function} key - Their key function
+     */
+    clearSelection(marks, key) {
+        if (!this.selectedKeys.size) return;
+
+        this.selectedKeys.clear();
+        this.applySelection(marks, key);
+        this.emit('select', { keys: [] });
+    }
+
+    /**
+     * Mark the selected marks and dim the rest (css: .chart-mark-selected, .chart-mark-dimmed)
+     * @param {d3.Selection} marks - Marks passed to enableKeyboard()
+     * @param {Function} key - Their key function
+     */
+    applySelection(marks, key) {
+        const selected = this.selectedKeys;
+
+        marks
+            .attr('aria-pressed', d => String(selected.has(key(d))))
+            .classed('chart-mark-selected', d => selected.has(key(d)))
+            .classed('chart-mark-dimmed', d => selected.size > 0 && !selected.has(key(d)));
+    }
+
+    /**
+     * Stand-in for a pointer event at a focused mark, for handlers that place a tooltip from pageX/pageY
+     * @param {Element} node - The mark
+     * @returns {Object} { type, target, currentTarget, pageX, pageY }
+     */
+    static focusEvent(node) {
+        const box = node.getBoundingClientRect();
+        return {
+            type: 'focus',
+            target: node,
+            currentTarget: node,
+            pageX: box.left + box.width / 2 + window.scrollX,
+            pageY: box.top + window.scrollY
+        };
+    }
+
+    /**
+     * Show the tooltip for a mark
+     * @param {Event} event - Pointer event on the mark
+     * @param {*} data - The mark's datum
+     * @param {...*} args - Passed on to tooltipTemplate()
+     */
+    showTooltip(event, data, ...args) {
+        if (!this.config.showTooltip) return;
+
+        const template = this.tooltipTemplate(data, ...args);
+        if (!template) return;
+
+        chartTooltip.show(this, event, template, this.config.tooltipStyle);
+        this.emit('tooltip', { data });
+    }
+
+    /**
+     * What the tooltip shows for a mark, as a template (see js/chart_tooltip.js); implemented by
+     * subclasses that show tooltips
+     * @param {*} data - The mark's datum
+     * @returns {Object|null} Template
+     */
+    tooltipTemplate(data) {
+        return null;
+    }
+
+    /**
+     * The active filters in words for exports, e.g. "Year: 2023 · All jurisdictions"; '' when there are none.
+     * Charts with a getChartSubtitle() get it without the brackets.
+     * @returns {string}
+     */
+    describeFilters() {
+        if (typeof this.getChartSubtitle === 'function') {
+            return this.getChartSubtitle().trim().replace(/^\((.*)\)$/, '$1');
+        }
+        return '';
+    }
+
+    /**
+     * The series as currently plotted (after filters and aggregation) as flat records, for data
+     * downloads. Charts that filter or aggregate override this; the default is the chart's data.
+     * @returns {Array<Object>}
+     */
+    getSeries() {
+        return Array.isArray(this.data) ? this.data : [];
+    }
+
+    /**
+     * A multi-select filter in words
+     * @param {string} noun - What is selected, e.g. 'jurisdictions'
+     * @param {Array} selected - Selected values
+     * @param {Array} available - Values that could be selected
+     * @returns {string} "All jurisdictions", "No jurisdictions" or the selected values
+     */
+    describeSelection(noun, selected, available) {
+        if (!selected.length) return `No ${noun}`;
+        return selected.length >= available.length ? `All ${noun}` : selected.join(', ');
+    }
+
+    /**
+     * Add buttons that switch the chart between measures (positive tests, rates...). The selected one is
+     * kept in this.measure; choosing another redraws the chart.
+     * @param {d3.Selection} container - Filter panel to add the toggle to
+     * @param {Object} measures - Button label by measure key, in order, e.g. { count: 'Positive tests' }
+     * @param {string} [justify] - How the buttons sit in the row (CSS justify-content)
+     * @returns {d3.Selection|null} The toggle, or null when there is only one measure
+     */
+    createMeasureToggle(container, measures, justify = 'flex-start') {
+        if (Object.keys(measures).length < 2) return null;
+
+        const toggle = container
+            .append('div')
+            .attr('class', 'measure-toggle')
+            .style('display', 'flex')
+            .style('flex-wrap', 'wrap')
+            .style('gap', '10px')
+            .style('align-items', 'center')
+            .style('justify-content', justify)
+            .style('margin-top', '15px');
+
+        toggle.append('span')
+            .style('font-size', '13px')
+            .style('font-weight', '700')
+            .style('color', 'var(--chart-text)')
+            .text('Measure:');
+
+        Object.entries(measures).forEach(([measure, label]) => {
+            toggle.append('button')
+                .attr('class', 'measure-btn')
+                .attr('data-measure', measure)
+                .style('padding', '6px 14px')
+                .style('border', '2px solid var(--chart-accent)')
+                .style('border-radius', '6px')
+                .style('cursor', 'pointer')
+                .style('font-weight', '600')
+                .style('font-size', '13px')
+                .style('transition', 'all 0.2s ease')
+                .text(label)
+                .on('click', () => this.setMeasure(measure));
+        });
+
+        this.updateMeasureButtons();
+        return toggle;
+    }
+
+    /**
+     * Switch to another measure and redraw
+     * @param {string} measure - A key given to createMeasureToggle()
+     */
+    setMeasure(measure) {
+        this.measure = measure;
+        this.updateMeasureButtons();
+        this.render();
+    }
+
+    /**
+     * Update measure button styles
+     */
+    updateMeasureButtons() {
+        this.container.selectAll('.measure-btn').each((d, i, nodes) => {
+            const btn = d3.select(nodes[i]);
+            const isSelected = btn.attr('data-measure') === this.measure;
+
+            btn.style('background', isSelected ? 'var(--chart-accent)' : 'var(--chart-surface)')
+               .style('color', isSelected ? 'var(--chart-accent-text)' : 'var(--chart-accent)');
+        });
+    }
+
+    /**
+     * Keep the tooltip next to the pointer
+     * @param {Event} event - Pointer event
+     */
+    moveTooltip(event) {
+        chartTooltip.move(this, event);
+    }
+
+    hideTooltip() {
+        chartTooltip.hide(this);
+    }
+
+    /**
+     * Replace the chart with a message
+     * @param {string} kind - 'error' or 'empty'
+     * @param {string} title - Bold first line
+     * @param {string} [detail] - Second line
+     */
+    showMessage(kind, title, detail = '') {
+        this.container.selectAll('*').remove();
+
+        const message = this.container
+            .append('div')
+            .attr('class', `chart-state ${kind}`)
+            .attr('role', kind === 'error' ? 'alert' : 'status');
+
+        message.append('strong').text(title);
+        if (detail) {
+            message.append('div').text(detail);
+        }
+    }
+
+    /**
+     * Replace the chart with the error that stopped it loading or drawing
+     * @param {Error} error - The failure
+     */
+    showError(error) {
+        this.showMessage('error', 'Error loading chart', error.message);
+    }
+
+    /**
+     * Replace the chart with the empty-dataset message
+     * @param {string} [message] - Text to show
+     */
+    showEmpty(message = this.config.emptyMessage) {
+        this.showMessage('empty', message);
+    }
+
+    /**
+     * Note inside the plot that the current filters leave nothing to draw
+     * @param {string} message - Text to show
+     */
+    drawEmpty(message) {
+        const { innerWidth, innerHeight } = this.getDimensions();
+
+        // Marks drawn before the filters emptied the chart; the next draw builds its layers again
+        this.svg.selectAll('*').interrupt().remove();
+
+        this.svg.append('text')
+            .attr('class', 'chart-empty')
+            .attr('x', innerWidth / 2)
+            .attr('y', innerHeight / 2)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '16px')
+            .style('fill', chartStyles.theme('text-muted'))
+            .text(message);
+    }
+
+    /**
+     * Dispatch a chart event
+     * @param {string} type - Event name
+     * @param {Object} [detail] - Event detail; { chart } is added
+     */
+    emit(type, detail = {}) {
+        this.dispatchEvent(new CustomEvent(type, { detail: { chart: this, ...detail } }));
+    }
+
+    /**
+     * Remove the chart, its tooltip and listeners
+     */
+    destroy() {
+        this.destroyed = true;
+        clearTimeout(this.resizeTimeout);
+        window.removeEventListener('resize', this.resizeHandler);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        if (typeof chartStyles !== 'undefined' && chartStyles) {
+            chartStyles.removeEventListener('change', this.styleHandler);
+        }
+
+        chartTooltip.release(this);
+        this.container.selectAll('*').remove();
+        this.emit('destroy');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BaseChart };
+}
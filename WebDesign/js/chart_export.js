@@ -0,0 +1,408 @@
+/**
+ * Chart Export
+ * "Export" menu on each chart card: SVG with the page's styles inlined, PNG at 1x, 2x and 3x, and the
+ * data behind the current view as CSV or JSON.
+ * Images are the whole SVG, including legends and statistics boxes drawn in the margins, with the
+ * card's title and the active filters stamped above the chart and the data source below it.
+ * Data downloads are the plotted series after filtering and aggregation (BaseChart.getSeries()),
+ * headed by the same title, filters and source plus the time they were generated.
+ * BaseChart.mount() attaches the menu when this script is on the page; charts drawn by plain functions
+ * call attach() with their container id.
+ */
+
+// Computed styles copied onto every exported element, since the page's CSS does not travel with the file
+const EXPORT_STYLE_PROPERTIES = [
+    'color', 'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+    'stroke-linecap', 'stroke-linejoin', 'opacity', 'visibility', 'display',
+    'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline'
+];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+class ChartExporter {
+    /**
+     * @param {DataLoader} loader - Loader whose manifest names each chart's source
+     */
+    constructor(loader) {
+        this.loader = loader;
+        // Container id → { chart, options } for every chart with a menu
+        this.targets = new Map();
+        // Menu entries, in order: { group, label, run(containerId) }
+        this.formats = [
+            { group: 'Image', label: 'SVG', run: containerId => this.exportSvg(containerId) },
+            ...[1, 2, 3].map(scale => ({
+                group: 'Image',
+                label: `PNG ${scale}x`,
+                run: containerId => this.exportPng(containerId, scale)
+            })),
+            { group: 'Download data', label: 'CSV', run: containerId => this.exportData(containerId, 'csv') },
+            { group: 'Download data', label: 'JSON', run: containerId => this.exportData(containerId, 'json') }
+        ];
+    }
+
+    /**
+     * Add the export menu to a chart's card, once per container. Attaching again (a chart redrawn
+     * into the same container) only replaces what the menu exports.
+     * @param {BaseChart|string} target - Chart, or the id of the element a chart was drawn into
+     * @param {Object} [options] - { title, filters, datasetId, rows }; filters may be a function returning
+     *     text, rows a function returning the plotted records (charts without it offer images only)
+     */
+    attach(target, options = {}) {
+        const chart = typeof target === 'string' ? null : target;
+        const containerId = chart ? chart.containerId : target;
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        this.targets.set(containerId, { chart, options });
+        if (document.querySelector(`.chart-export[data-chart="${containerId}"]`)) return;
+
+        const menu = document.createElement('details');
+        menu.className = 'chart-export';
+        menu.setAttribute('data-chart', containerId);
+        menu.innerHTML = '<summary>Export</summary>' +
+            '<div class="chart-export-menu"><div class="chart-export-status" role="status"></div></div>';
+
+        const list = menu.querySelector('.chart-export-menu');
+        const status = menu.querySelector('.chart-export-status');
+        const hasData = Boolean(chart || options.rows);
+        let group = null;
+        this.formats.forEach(format => {
+            if (format.group === 'Download data' && !hasData) return;
+
+            if (format.group !== group) {
+                group = format.group;
+                const heading = document.createElement('div');
+                heading.className = 'chart-export-group';
+                heading.textContent = group;
+                list.insertBefore(heading, status);
+            }
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = format.label;
+            button.addEventListener('click', async () => {
+                status.textContent = '';
+                try {
+                    await format.run(containerId);
+                    menu.open = false;
+                } catch (error) {
+                    console.error(`Export of ${containerId} failed:`, error);
+                    status.textContent = error.message;
+                }
+            });
+            list.insertBefore(button, status);
+        });
+
+        // Cards have a header to hold the menu; bare containers get it just above them
+        const card = container.closest('.viz-card');
+        const header = card && card.querySelector('.viz-header');
+        if (header) {
+            header.appendChild(menu);
+        } else {
+            container.parentNode.insertBefore(menu, container);
+        }
+    }
+
+    /**
+     * Title, active filters and source of an attached chart
+     * @param {string} containerId - Chart container
+     * @returns {Promise<Object>} { title, filters, source }
+     */
+    async describe(containerId) {
+        const { chart, options } = this.targets.get(containerId) || { chart: null, options: {} };
+        const container = document.getElementById(containerId);
+        const card = container.closest('.viz-card');
+        const heading = card && card.querySelector('.viz-header h3');
+
+        const title = options.title || (chart && chart.config.title) ||
+            (heading ? heading.textContent.trim() : containerId);
+
+        let filters = typeof options.filters === 'function' ? options.filters() : options.filters;
+        if (filters === undefined) {
+            filters = chart ? chart.describeFilters() : ChartExporter.describeControls(container);
+        }
+
+        return { title, filters: filters || '', source: await this.sourceFor(options.datasetId || (chart && chart.datasetId)) };
+    }
+
+    /**
+     * Attribution line for a dataset
+     * @param {string} [datasetId] - Dataset id from data/datasets.json
+     * @returns {Promise<string>}
+     */
+    async sourceFor(datasetId) {
+        let source = 'Source: Bureau of Infrastructure and Transport Research Economics (BITRE)';
+        if (!datasetId) return source;
+
+        try {
+            const manifest = await this.loader.loadManifest();
+            const info = await this.loader.getDatasetInfo(datasetId);
+            source += `, police enforcement ${manifest.release}: ${info.title}`;
+        } catch (error) {
+            console.warn('Export source unavailable:', error.message);
+        }
+
+        return source;
+    }
+
+    /**
+     * Records behind an attached chart's current view
+     * @param {string} containerId - Chart container
+     * @returns {Array<Object>}
+     */
+    rowsFor(containerId) {
+        const { chart, options } = this.targets.get(containerId) || { chart: null, options: {} };
+        if (options.rows) return options.rows();
+        return chart ? chart.getSeries() : [];
+    }
+
+    /**
+     * Download the data behind a chart's current view. CSV files start with '#' comment lines
+     * for the title, source, filters and generation time; JSON carries them as fields.
+     * @param {string} containerId - Chart container
+     * @param {string} format - 'csv' or 'json'
+     */
+    async exportData(containerId, format) {
+        const rows = this.rowsFor(containerId);
+        if (!rows.length) {
+            throw new Error('The current view has no data to download');
+        }
+
+        const meta = await this.describe(containerId);
+        const generated = new Date().toISOString();
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const name = `${ChartExporter.fileName(meta.title)}-data`;
+
+        if (format === 'json') {
+            const text = JSON.stringify({ ...meta, generated, columns, rows }, null, 2);
+            ChartExporter.download(new Blob([text], { type: 'application/json' }), `${name}.json`);
+            return;
+        }
+
+        const header = [
+            `# ${meta.title}`,
+            `# ${meta.source}`,
+            `# Filters: ${meta.filters || 'none'}`,
+            `# Generated: ${generated}`
+        ];
+        const text = `${header.join('\n')}\n${d3.csvFormat(rows, columns)}\n`;
+        ChartExporter.download(new Blob([text], { type: 'text/csv;charset=utf-8' }), `${name}.csv`);
+    }
+
+    /**
+     * Build the stamped, self-contained SVG for a chart
+     * @param {string} containerId - Chart container
+     * @returns {Promise<Object>} { svg, width, height, title }
+     */
+    async buildSvg(containerId) {
+        const { chart } = this.targets.get(containerId) || { chart: null };
+        const source = ChartExporter.chartSvg(chart, document.getElementById(containerId));
+        if (!source) {
+            throw new Error('There is no chart to export yet');
+        }
+
+        const meta = await this.describe(containerId);
+        const box = ChartExporter.bounds(source);
+        const header = meta.filters ? 62 : 44;
+        const footer = 30;
+        const width = Math.ceil(box.width);
+        const height = Math.ceil(box.height) + header + footer;
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+        // Exports keep the theme the chart is shown in (js/chart_styles.js)
+        const theme = (token, fallback) => typeof chartStyles !== 'undefined' && chartStyles
+            ? chartStyles.theme(token)
+            : fallback;
+
+        const background = ChartExporter.append(svg, 'rect', { width, height });
+        background.style.fill = theme('surface', 'white');
+
+        ChartExporter.stamp(svg, meta.title, 30, { 'font-size': '18px', 'font-weight': '700', fill: theme('text-strong', '#0f172a') });
+        if (meta.filters) {
+            ChartExporter.stamp(svg, meta.filters, 52, { 'font-size': '13px', fill: theme('text-secondary', '#475569') });
+        }
+        ChartExporter.stamp(svg, meta.source, height - 12, { 'font-size': '11px', fill: theme('text-muted', '#64748b') });
+
+        const copy = source.cloneNode(true);
+        ChartExporter.inlineStyles(source, copy);
+        copy.setAttribute('x', 0);
+        copy.setAttribute('y', header);
+        copy.setAttribute('width', width);
+        copy.setAttribute('height', Math.ceil(box.height));
+        copy.setAttribute('viewBox', `${box.x} ${box.y} ${width} ${Math.ceil(box.height)}`);
+        copy.removeAttribute('style');
+        svg.appendChild(copy);
+
+        return { svg, width, height, title: meta.title };
+    }
+
+    /**
+     * Download a chart as SVG
+     * @param {string} containerId - Chart container
+     */
+    async exportSvg(containerId) {
+        const { svg, title } = await this.buildSvg(containerId);
+        const text = ChartExporter.serialize(svg);
+        ChartExporter.download(new Blob([text], { type: 'image/svg+xml;charset=utf-8' }), `${ChartExporter.fileName(title)}.svg`);
+    }
+
+    /**
+     * Download a chart as PNG
+     * @param {string} containerId - Chart container
+     * @param {number} [scale] - Pixel density (1, 2 or 3)
+     */
+    async exportPng(containerId, scale = 1) {
+        const { svg, width, height, title } = await this.buildSvg(containerId);
+        const url = URL.createObjectURL(new Blob([ChartExporter.serialize(svg)], { type: 'image/svg+xml;charset=utf-8' }));
+
+        try {
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('The chart could not be drawn as an image'));
+                img.src = url;
+            });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            if (!blob) {
+                throw new Error('The browser could not encode the PNG');
+            }
+            ChartExporter.download(blob, `${ChartExporter.fileName(title)}${scale > 1 ? `@${scale}x` : ''}.png`);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * The chart's SVG: the one BaseChart drew into, otherwise the largest in the container
+     * (containers also hold icons in their filter controls)
+     */
+    static chartSvg(chart, container) {
+        if (chart && chart.svg && chart.svg.node() && chart.svg.node().ownerSVGElement) {
+            return chart.svg.node().ownerSVGElement;
+        }
+
+        const area = svg => {
+            const box = ChartExporter.bounds(svg);
+            return box.width * box.height;
+        };
+        return [...container.querySelectorAll('svg')]
+            .filter(svg => !svg.parentNode.closest('svg'))
+            .sort((a, b) => area(b) - area(a))[0] || null;
+    }
+
+    /**
+     * Region to export: the viewBox, widened to anything drawn outside it (legends in the margin)
+     */
+    static bounds(svg) {
+        const viewBox = svg.viewBox && svg.viewBox.baseVal;
+        let box = viewBox && viewBox.width
+            ? { x: viewBox.x, y: viewBox.y, width: viewBox.width, height: viewBox.height }
+            : { x: 0, y: 0, width: parseFloat(svg.getAttribute('width')) || 0, height: parseFloat(svg.getAttribute('height')) || 0 };
+
+        try {
+            const drawn = svg.getBBox();
+            const right = Math.max(box.x + box.width, drawn.x + drawn.width);
+            const bottom = Math.max(box.y + box.height, drawn.y + drawn.height);
+            const x = Math.min(box.x, drawn.x);
+            const y = Math.min(box.y, drawn.y);
+            box = { x, y, width: right - x, height: bottom - y };
+        } catch (error) {
+            // Not rendered (e.g. hidden tab): keep the viewBox
+        }
+
+        return box;
+    }
+
+    /**
+     * Copy computed styles from the page's elements onto their copies
+     */
+    static inlineStyles(source, copy) {
+        const sources = [source, ...source.querySelectorAll('*')];
+        const copies = [copy, ...copy.querySelectorAll('*')];
+
+        sources.forEach((element, i) => {
+            const computed = window.getComputedStyle(element);
+            EXPORT_STYLE_PROPERTIES.forEach(property => {
+                const value = computed.getPropertyValue(property);
+                if (value) copies[i].style.setProperty(property, value);
+            });
+        });
+    }
+
+    /**
+     * Describe a chart's filters from its controls: chosen options, and the active buttons of each
+     * button group unless the whole group is active
+     */
+    static describeControls(container) {
+        const chosen = [...container.querySelectorAll('select')]
+            .map(select => select.selectedOptions[0])
+            .filter(Boolean)
+            .map(option => option.textContent.trim());
+
+        const groups = new Map();
+        container.querySelectorAll('button.active, button[aria-pressed="true"]').forEach(button => {
+            groups.set(button.parentNode, [...(groups.get(button.parentNode) || []), button]);
+        });
+        groups.forEach((active, group) => {
+            if (active.length < group.querySelectorAll('button').length) {
+                chosen.push(active.map(button => button.textContent.trim()).join(', '));
+            }
+        });
+
+        return chosen.join(' · ');
+    }
+
+    static append(parent, tag, attributes = {}) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        parent.appendChild(element);
+        return element;
+    }
+
+    static stamp(svg, text, y, style) {
+        const element = ChartExporter.append(svg, 'text', { x: 16, y });
+        element.textContent = text;
+        element.style.fontFamily = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+        Object.entries(style).forEach(([property, value]) => element.style.setProperty(property, value));
+        return element;
+    }
+
+    static serialize(svg) {
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+    }
+
+    static fileName(title) {
+        return String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chart';
+    }
+
+    static download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Create global instance
+const chartExporter = typeof dataLoader !== 'undefined' ? new ChartExporter(dataLoader) : null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChartExporter, chartExporter };
+}
@@ -0,0 +1,559 @@
+/**
+ * Chart Styles
+ * One registry for how each jurisdiction, drug type and metric is drawn, so a state keeps its colour,
+ * line dash and name on every chart, legend, chip and map across the site.
+ * Charts look styles up when they draw rather than copying them into their config.
+ *
+ * The chart colour controls (mountControls()) switch to a palette that stays distinct with colour vision
+ * deficiencies, add pattern fills to bars, stacked segments and map regions so series do not depend on hue
+ * alone, and preview the page as seen with deuteranopia, protanopia or tritanopia. The choice is saved in
+ * localStorage so it follows the reader across pages; charts redraw on the 'change' event.
+ *
+ * theme() gives charts the current site theme's colours for text, gridlines, backgrounds and the like
+ * (the --chart-* variables in styles.css). Switching theme (js/theme.js) dispatches 'change' too.
+ */
+
+// Jurisdictions by short code: display name, colour, line dash (a name from LINE_DASHES) and
+// pattern texture (a name from TEXTURES)
+const JURISDICTION_STYLES = {
+    ACT: { name: 'Australian Capital Territory', color: '#dc2626', dash: 'solid', texture: 'solid' },
+    NSW: { name: 'New South Wales', color: '#2563eb', dash: 'solid', texture: 'diagonal' },
+    NT: { name: 'Northern Territory', color: '#ea580c', dash: 'dashed', texture: 'dots' },
+    QLD: { name: 'Queensland', color: '#7c3aed', dash: 'solid', texture: 'horizontal' },
+    SA: { name: 'South Australia', color: '#059669', dash: 'dashed', texture: 'crosshatch' },
+    TAS: { name: 'Tasmania', color: '#c026d3', dash: 'dotted', texture: 'vertical' },
+    VIC: { name: 'Victoria', color: '#0891b2', dash: 'solid', texture: 'backslash' },
+    WA: { name: 'Western Australia', color: '#ca8a04', dash: 'dashed', texture: 'grid' }
+};
+
+// stroke-dasharray for each line dash
+const LINE_DASHES = {
+    solid: null,
+    dashed: '8,4',
+    dotted: '2,4'
+};
+
+// Pattern textures: strokes drawn over the fill colour on an 8px tile
+const TEXTURES = {
+    solid: null,
+    diagonal: 'M-2,2 l4,-4 M0,8 l8,-8 M6,10 l4,-4',
+    dots: 'M2,2 h0 M6,6 h0',
+    horizontal: 'M0,4 h8',
+    crosshatch: 'M-2,2 l4,-4 M0,8 l8,-8 M6,10 l4,-4 M-2,6 l4,4 M0,0 l8,8 M6,-2 l4,4',
+    vertical: 'M4,0 v8',
+    backslash: 'M-2,6 l4,4 M0,0 l8,8 M6,-2 l4,4',
+    grid: 'M0,4 h8 M4,0 v8'
+};
+
+// Textures for map regions, from the lowest quarter of the colour ramp to the highest
+const RAMP_TEXTURES = ['solid', 'dots', 'diagonal', 'crosshatch'];
+
+// Drug types as named in the drug type composition dataset
+const DRUG_TYPE_STYLES = {
+    AMPHETAMINE: { label: 'Amphetamine', color: '#ef4444', texture: 'solid' },
+    CANNABIS: { label: 'Cannabis', color: '#10b981', texture: 'diagonal' },
+    COCAINE: { label: 'Cocaine', color: '#3b82f6', texture: 'dots' },
+    ECSTASY: { label: 'Ecstasy', color: '#f59e0b', texture: 'horizontal' },
+    METHYLAMPHETAMINE: { label: 'Methylamphetamine', color: '#8b5cf6', texture: 'crosshatch' },
+    OTHER: { label: 'Other', color: '#6b7280', texture: 'vertical' }
+};
+
+// Metrics (the workbooks' METRIC values and outcome columns): colour for series, d3 colour ramp
+// (d3.interpolate<ramp>) for maps and pattern texture. Aliases are the names charts use for the same measure.
+const METRIC_STYLES = {
+    breath_tests_conducted: { label: 'Breath tests conducted', color: '#2563eb', ramp: 'Blues', texture: 'solid', aliases: ['alcohol'] },
+    drug_tests_conducted: { label: 'Drug tests conducted', color: '#db2777', ramp: 'RdPu', texture: 'diagonal', aliases: ['drug'] },
+    positive_breath_tests: { label: 'Positive breath tests', color: '#ea580c', ramp: 'YlOrRd', texture: 'horizontal' },
+    positive_drug_tests: { label: 'Positive drug tests', color: '#7c3aed', ramp: 'Purples', texture: 'crosshatch' },
+    speed_fines: { label: 'Speeding fines', color: '#0891b2', ramp: 'Blues', texture: 'solid' },
+    mobile_phone_use: { label: 'Mobile phone non-compliance fines', color: '#ca8a04', ramp: 'Oranges', texture: 'diagonal' },
+    non_wearing_seatbelts: { label: 'Non-wearing seatbelt fines', color: '#059669', ramp: 'Greens', texture: 'dots' },
+    unlicensed_driving: { label: 'Unlicensed driving', color: '#64748b', ramp: 'Greys', texture: 'crosshatch' },
+    FINES: { label: 'Fines', color: '#0284c7', ramp: 'Blues', texture: 'solid' },
+    ARRESTS: { label: 'Arrests', color: '#dc2626', ramp: 'Reds', texture: 'diagonal' },
+    CHARGES: { label: 'Charges', color: '#d97706', ramp: 'Oranges', texture: 'dots' }
+};
+
+// Colour-vision-deficiency safe palette: Paul Tol's "muted" scheme for the eight jurisdictions and
+// Okabe–Ito for everything else, with cividis for every map
+const CVD_PALETTE = {
+    jurisdictions: {
+        ACT: '#cc6677', NSW: '#332288', NT: '#ddcc77', QLD: '#aa4499',
+        SA: '#117733', TAS: '#882255', VIC: '#88ccee', WA: '#999933'
+    },
+    drugTypes: {
+        AMPHETAMINE: '#d55e00', CANNABIS: '#009e73', COCAINE: '#0072b2',
+        ECSTASY: '#e69f00', METHYLAMPHETAMINE: '#cc79a7', OTHER: '#999999'
+    },
+    metrics: {
+        breath_tests_conducted: '#0072b2',
+        drug_tests_conducted: '#e69f00',
+        positive_breath_tests: '#d55e00',
+        positive_drug_tests: '#cc79a7',
+        speed_fines: '#56b4e9',
+        mobile_phone_use: '#e69f00',
+        non_wearing_seatbelts: '#009e73',
+        unlicensed_driving: '#000000',
+        FINES: '#0072b2',
+        ARRESTS: '#d55e00',
+        CHARGES: '#e69f00'
+    },
+    // Unnamed categories (detection methods, age groups), in order
+    categories: ['#0072b2', '#e69f00', '#009e73', '#cc79a7', '#56b4e9', '#d55e00', '#f0e442', '#000000'],
+    ramp: 'Cividis'
+};
+
+// Colour vision deficiency simulations (Machado, Oliveira and Fernandes 2009, full severity) as
+// feColorMatrix values for the preview
+const CVD_SIMULATIONS = {
+    deuteranopia: {
+        label: 'Deuteranopia',
+        matrix: '0.367322 0.860646 -0.227968 0 0  0.280085 0.672501 0.047413 0 0  -0.011820 0.042940 0.968881 0 0  0 0 0 1 0'
+    },
+    protanopia: {
+        label: 'Protanopia',
+        matrix: '0.152286 1.052583 -0.204868 0 0  0.114503 0.786281 0.099216 0 0  -0.003882 -0.048116 1.051998 0 0  0 0 0 1 0'
+    },
+    tritanopia: {
+        label: 'Tritanopia',
+        matrix: '1.255528 -0.076749 -0.178779 0 0  -0.078411 0.930809 0.147602 0 0  0.004733 0.691367 0.303900 0 0  0 0 0 1 0'
+    }
+};
+
+// localStorage key of the chart colour settings, and the settings before the reader changes them
+const STYLE_SETTINGS_KEY = 'chartStyles';
+const DEFAULT_STYLE_SETTINGS = {
+    palette: 'standard', // 'standard' or 'cvd'
+    patterns: false,
+    simulation: 'none' // 'none' or a CVD_SIMULATIONS key
+};
+
+// Light theme chart colours, for charts drawn where styles.css (the --chart-* variables) is not loaded
+const THEME_FALLBACKS = {
+    'text-strong': '#0f172a',
+    'text': '#1e293b',
+    'text-secondary': '#475569',
+    'text-muted': '#64748b',
+    'axis': '#94a3b8',
+    'border': '#cbd5e1',
+    'grid': '#e5e7eb',
+    'surface': '#ffffff',
+    'surface-alt': '#f8fafc',
+    'accent': '#3b82f6',
+    'accent-text': '#ffffff',
+    'tooltip-background': 'rgba(0, 0, 0, 0.9)',
+    'tooltip-text': '#ffffff'
+};
+
+// Colour for anything the registry does not know
+const FALLBACK_COLOR = '#94a3b8';
+
+class ChartStyles extends EventTarget {
+    constructor() {
+        super();
+        this.jurisdictions = JURISDICTION_STYLES;
+        this.drugTypes = DRUG_TYPE_STYLES;
+        this.metrics = METRIC_STYLES;
+        this.settings = this.loadSettings();
+        // Theme colours read from the page's CSS, dropped when the theme changes
+        this.themeColors = {};
+        // Numbers the SVGs holding pattern fills, so their pattern ids are unique in the page
+        this.patternScopes = 0;
+
+        // Lower-case metric names and aliases → METRIC_STYLES key
+        this.metricKeys = new Map();
+        Object.entries(this.metrics).forEach(([key, style]) => {
+            [key, style.label, ...(style.aliases || [])].forEach(name => {
+                this.metricKeys.set(String(name).toLowerCase(), key);
+            });
+        });
+
+        // Redraw in a new site theme (js/theme.js)
+        if (typeof siteTheme !== 'undefined' && siteTheme) {
+            siteTheme.addEventListener('change', () => {
+                this.themeColors = {};
+                this.dispatchEvent(new CustomEvent('change', { detail: { settings: this.settings } }));
+            });
+        }
+
+        // Follow changes made on another open page
+        if (typeof window !== 'undefined') {
+            window.addEventListener('storage', event => {
+                if (event.key === STYLE_SETTINGS_KEY) this.update(this.loadSettings(), false);
+            });
+        }
+        this.applySimulation();
+    }
+
+    /**
+     * Saved chart colour settings, or the defaults where there are none (or storage is blocked)
+     * @returns {Object} { palette, patterns, simulation }
+     */
+    loadSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(STYLE_SETTINGS_KEY)) || {};
+        } catch (error) {
+            saved = {};
+        }
+
+        return {
+            palette: saved.palette === 'cvd' ? 'cvd' : 'standard',
+            patterns: saved.patterns === true,
+            simulation: saved.simulation in CVD_SIMULATIONS ? saved.simulation : 'none'
+        };
+    }
+
+    /**
+     * Change the chart colour settings. Palette and pattern changes dispatch 'change' ({ settings }) so
+     * charts redraw; the simulation preview is a CSS filter and needs no redraw.
+     * @param {Object} changes - Any of { palette, patterns, simulation }
+     * @param {boolean} [save=true] - Whether to keep them for the other pages
+     */
+    update(changes, save = true) {
+        const previous = this.settings;
+        this.settings = { ...previous, ...changes };
+
+        if (save) {
+            try {
+                localStorage.setItem(STYLE_SETTINGS_KEY, JSON.stringify(this.settings));
+            } catch (error) {
+                console.warn('Chart colour settings not saved:', error.message);
+            }
+        }
+
+        this.applySimulation();
+        this.syncControls();
+        if (previous.palette !== this.settings.palette || previous.patterns !== this.settings.patterns) {
+            this.dispatchEvent(new CustomEvent('change', { detail: { settings: this.settings } }));
+        }
+    }
+
+    /**
+     * A colour of the current site theme for chart text, gridlines, backgrounds and the like
+     * @param {string} token - Name of a --chart-* variable, e.g. 'text', 'grid' or 'surface'
+     * @returns {string} Colour
+     */
+    theme(token) {
+        if (!(token in this.themeColors)) {
+            const value = typeof document !== 'undefined'
+                ? window.getComputedStyle(document.documentElement).getPropertyValue(`--chart-${token}`).trim()
+                : '';
+            this.themeColors[token] = value || THEME_FALLBACKS[token];
+        }
+        return this.themeColors[token];
+    }
+
+    /**
+     * Style of a jurisdiction in the current palette; unknown codes get the fallback colour and a solid line
+     * @param {string} code - Short code, e.g. 'NSW'
+     * @returns {Object} { code, name, color, dash, texture }
+     */
+    jurisdiction(code) {
+        const style = this.jurisdictions[code];
+        if (!style) return { code, name: code, color: FALLBACK_COLOR, dash: 'solid', texture: 'solid' };
+
+        return { code, ...style, color: this.paletteColor('jurisdictions', code, style.color) };
+    }
+
+    /**
+     * Colour of a jurisdiction
+     * @param {string} code - Short code
+     * @param {string} [fallback] - Colour for values that are not jurisdictions (e.g. years on a shared axis)
+     * @returns {string}
+     */
+    jurisdictionColor(code, fallback = FALLBACK_COLOR) {
+        return this.jurisdictions[code] ? this.jurisdiction(code).color : fallback;
+    }
+
+    jurisdictionName(code) {
+        return this.jurisdiction(code).name;
+    }
+
+    /**
+     * stroke-dasharray for a jurisdiction's line
+     * @param {string} code - Short code
+     * @returns {string|null} Dash array, or null for a solid line
+     */
+    jurisdictionDash(code) {
+        return LINE_DASHES[this.jurisdiction(code).dash] || null;
+    }
+
+    /**
+     * Short code for a jurisdiction's code or full name (any case)
+     * @param {string} name - e.g. 'New South Wales' or 'nsw'
+     * @returns {string|null} Code
+     */
+    jurisdictionCode(name) {
+        const wanted = String(name || '').trim().toLowerCase();
+        const match = Object.entries(this.jurisdictions)
+            .find(([code, style]) => code.toLowerCase() === wanted || style.name.toLowerCase() === wanted);
+        return match ? match[0] : null;
+    }
+
+    drugTypeColor(drugType) {
+        const key = String(drugType).toUpperCase();
+        const style = this.drugTypes[key];
+        return style ? this.paletteColor('drugTypes', key, style.color) : FALLBACK_COLOR;
+    }
+
+    /**
+     * Style of a metric by key, label or alias (any case)
+     * @param {string} metric - e.g. 'FINES', 'speed_fines' or 'alcohol'
+     * @returns {Object|null} { key, label, color, ramp, texture }
+     */
+    metric(metric) {
+        const key = this.metricKeys.get(String(metric).toLowerCase());
+        if (!key) return null;
+
+        const style = this.metrics[key];
+        return {
+            key,
+            ...style,
+            color: this.paletteColor('metrics', key, style.color),
+            ramp: this.settings.palette === 'cvd' ? CVD_PALETTE.ramp : style.ramp
+        };
+    }
+
+    metricColor(metric) {
+        const style = this.metric(metric);
+        return style ? style.color : FALLBACK_COLOR;
+    }
+
+    /**
+     * Sequential colour interpolator for mapping a metric's values
+     * @param {string} metric - Metric key, label or alias
+     * @returns {Function} t in [0, 1] → colour
+     */
+    metricRamp(metric) {
+        const style = this.metric(metric);
+        return d3[`interpolate${style ? style.ramp : 'Greys'}`];
+    }
+
+    /**
+     * Colours for unnamed categories: the chart's own palette, or the CVD-safe one when chosen
+     * @param {Array<string>} palette - The chart's colours
+     * @returns {Array<string>}
+     */
+    categoryPalette(palette) {
+        return this.settings.palette === 'cvd' ? CVD_PALETTE.categories : palette;
+    }
+
+    // A colour from CVD_PALETTE when that palette is chosen
+    paletteColor(group, key, color) {
+        return this.settings.palette === 'cvd' ? CVD_PALETTE[group][key] || color : color;
+    }
+
+    /**
+     * Fill for a bar, segment or region: its colour, or with pattern fills on, a pattern of that colour
+     * and texture defined in the mark's SVG (so exported SVGs keep it)
+     * @param {d3.Selection|Element} target - The SVG, or any element in it
+     * @param {string|null} color - Background colour; null for the texture alone (legend overlays)
+     * @param {string} texture - Name from TEXTURES
+     * @returns {string} Colour or url(#pattern)
+     */
+    fill(target, color, texture) {
+        if (!this.settings.patterns || !TEXTURES[texture]) return color || 'none';
+
+        const node = target && target.node ? target.node() : target;
+        const svg = node && (node.ownerSVGElement || node);
+        if (!svg || !svg.querySelector) return color || 'none';
+
+        if (!svg.dataset.patternScope) svg.dataset.patternScope = ++this.patternScopes;
+        const id = `chart-pattern-${svg.dataset.patternScope}-${texture}-${String(color || 'none').replace(/[^a-z0-9]/gi, '')}`;
+
+        if (!svg.querySelector(`#${id}`)) {
+            let defs = d3.select(svg).select('defs.chart-patterns');
+            if (defs.empty()) defs = d3.select(svg).insert('defs', ':first-child').attr('class', 'chart-patterns');
+
+            const pattern = defs.append('pattern')
+                .attr('id', id)
+                .attr('patternUnits', 'userSpaceOnUse')
+                .attr('width', 8)
+                .attr('height', 8);
+
+            if (color) {
+                pattern.append('rect')
+                    .attr('width', 8)
+                    .attr('height', 8)
+                    .attr('fill', color);
+            }
+
+            // Dark strokes on light colours, light strokes on dark ones
+            const light = !color || this.isLight(color);
+            pattern.append('path')
+                .attr('d', TEXTURES[texture])
+                .attr('fill', 'none')
+                .attr('stroke', light ? 'rgba(15, 23, 42, 0.6)' : 'rgba(255, 255, 255, 0.8)')
+                .attr('stroke-width', texture === 'dots' ? 2.5 : 1.5)
+                .attr('stroke-linecap', 'round');
+        }
+
+        return `url(#${id})`;
+    }
+
+    /**
+     * Whether a colour needs dark text and strokes over it
+     * @param {string} color - Any CSS colour
+     * @returns {boolean}
+     */
+    isLight(color) {
+        return d3.lab(color).l > 65;
+    }
+
+    // Text colour for labels on a series colour (chips, filter buttons)
+    textColor(color) {
+        return this.isLight(color) ? '#0f172a' : 'white';
+    }
+
+    jurisdictionFill(target, code, fallback = FALLBACK_COLOR) {
+        const style = this.jurisdiction(code);
+        return this.fill(target, this.jurisdictionColor(code, fallback), style.texture);
+    }
+
+    metricFill(target, metric) {
+        const style = this.metric(metric);
+        return this.fill(target, this.metricColor(metric), style ? style.texture : 'solid');
+    }
+
+    drugTypeFill(target, drugType) {
+        const style = this.drugTypes[String(drugType).toUpperCase()];
+        return this.fill(target, this.drugTypeColor(drugType), style ? style.texture : 'solid');
+    }
+
+    /**
+     * Fill for the index-th of a chart's unnamed categories
+     * @param {d3.Selection|Element} target - The SVG, or any element in it
+     * @param {string} color - Category colour
+     * @param {number} index - Category position
+     * @returns {string} Colour or url(#pattern)
+     */
+    categoryFill(target, color, index) {
+        const textures = Object.keys(TEXTURES);
+        return this.fill(target, color, textures[index % textures.length]);
+    }
+
+    /**
+     * Fill for a map region: its ramp colour, textured by which quarter of the ramp it falls in
+     * @param {d3.Selection|Element} target - The SVG, or any element in it
+     * @param {string|null} color - Ramp colour; null for the texture alone
+     * @param {number} t - Position on the ramp, 0–1
+     * @returns {string} Colour or url(#pattern)
+     */
+    rampFill(target, color, t) {
+        const band = Math.max(0, Math.min(RAMP_TEXTURES.length - 1, Math.floor(t * RAMP_TEXTURES.length)));
+        return this.fill(target, color, RAMP_TEXTURES[band]);
+    }
+
+    /**
+     * Where each band of the ramp starts, for legends that show the band textures
+     * @returns {Array<number>} Ramp positions, 0–1
+     */
+    rampBands() {
+        return RAMP_TEXTURES.map((texture, i) => i / RAMP_TEXTURES.length);
+    }
+
+    /**
+     * Show the page's charts as seen with a colour vision deficiency (or normally), through an SVG
+     * filter on the chart cards
+     */
+    applySimulation() {
+        if (typeof document === 'undefined' || !document.body) return;
+
+        const { simulation } = this.settings;
+        if (simulation === 'none') {
+            delete document.documentElement.dataset.cvdSimulation;
+            return;
+        }
+
+        if (!document.getElementById('cvd-simulations')) {
+            const filters = d3.select(document.body)
+                .append('svg')
+                .attr('id', 'cvd-simulations')
+                .attr('aria-hidden', 'true')
+                .attr('width', 0)
+                .attr('height', 0)
+                .style('position', 'absolute')
+                .append('defs');
+
+            Object.entries(CVD_SIMULATIONS).forEach(([key, { matrix }]) => {
+                filters.append('filter')
+                    .attr('id', `cvd-${key}`)
+                    .append('feColorMatrix')
+                    .attr('type', 'matrix')
+                    .attr('values', matrix);
+            });
+        }
+        document.documentElement.dataset.cvdSimulation = simulation;
+    }
+
+    /**
+     * Build the chart colour controls: palette, pattern fills and simulation preview
+     * @param {string} containerId - Element to render the controls into
+     */
+    mountControls(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const controls = d3.select(container)
+            .html('')
+            .classed('chart-style-controls', true)
+            .attr('role', 'group')
+            .attr('aria-label', 'Chart colours');
+
+        const palette = controls.append('label');
+        palette.append('span').text('Colours');
+        palette.append('select')
+            .attr('class', 'chart-style-palette')
+            .on('change', event => this.update({ palette: event.target.value }))
+            .selectAll('option')
+            .data([['standard', 'Standard'], ['cvd', 'Colour-blind safe']])
+            .enter()
+            .append('option')
+            .attr('value', d => d[0])
+            .text(d => d[1]);
+
+        const patterns = controls.append('label');
+        patterns.append('input')
+            .attr('type', 'checkbox')
+            .attr('class', 'chart-style-patterns')
+            .on('change', event => this.update({ patterns: event.target.checked }));
+        patterns.append('span').text('Pattern fills');
+
+        const simulation = controls.append('label');
+        simulation.append('span').text('Preview as');
+        simulation.append('select')
+            .attr('class', 'chart-style-simulation')
+            .on('change', event => this.update({ simulation: event.target.value }))
+            .selectAll('option')
+            .data([['none', 'Normal vision'], ...Object.entries(CVD_SIMULATIONS).map(([key, { label }]) => [key, label])])
+            .enter()
+            .append('option')
+            .attr('value', d => d[0])
+            .text(d => d[1]);
+
+        this.syncControls();
+    }
+
+    /**
+     * Show the current settings in any mounted controls
+     */
+    syncControls() {
+        if (typeof document === 'undefined') return;
+
+        d3.selectAll('.chart-style-palette').property('value', this.settings.palette);
+        d3.selectAll('.chart-style-patterns').property('checked', this.settings.patterns);
+        d3.selectAll('.chart-style-simulation').property('value', this.settings.simulation);
+    }
+}
+
+// Create global instance
+const chartStyles = new ChartStyles();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ChartStyles, chartStyles, JURISDICTION_STYLES, LINE_DASHES, TEXTURES, RAMP_TEXTURES, DRUG_TYPE_STYLES,
+        METRIC_STYLES, CVD_PALETTE, CVD_SIMULATIONS, THEME_FALLBACKS, FALLBACK_COLOR
+    };
+}
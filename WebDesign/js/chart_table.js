@@ -0,0 +1,252 @@
+/**
+ * Chart Tables
+ * An HTML table of the data behind each chart's current view, for screen readers and for anyone who
+ * would rather read the numbers. The table follows the chart and is visually hidden until the
+ * "Show as table" switch in the card's header turns it on; screen readers can always reach it.
+ * Rows are the same plotted series the data downloads use (BaseChart.getSeries(), or the rows a
+ * function-drawn chart passes to attach()), and the table is rebuilt whenever the chart redraws.
+ * The chart's SVG gets an aria-label summarising the chart type, title, filters and size of the data.
+ */
+
+// Columns shown as plain numbers rather than with thousands separators
+const PLAIN_NUMBER_COLUMNS = /^(year|rank)$/i;
+
+class ChartTable {
+    constructor() {
+        // Container id → { chart, options } for every chart with a table
+        this.targets = new Map();
+    }
+
+    /**
+     * Add the table and its switch to a chart, once per container. Attaching again (a chart redrawn
+     * into the same container, or a function chart re-filtered) replaces the rows and rebuilds the table.
+     * @param {BaseChart|string} target - Chart, or the id of the element a chart was drawn into
+     * @param {Object} [options] - { title, filters, rows }; filters may be a function returning text,
+     *     rows a function returning the plotted records
+     */
+    attach(target, options = {}) {
+        const chart = typeof target === 'string' ? null : target;
+        const containerId = chart ? chart.containerId : target;
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const previous = this.targets.get(containerId);
+        this.targets.set(containerId, { chart, options });
+
+        if (chart && (!previous || previous.chart !== chart)) {
+            chart.addEventListener('render', () => this.refresh(containerId));
+            chart.addEventListener('destroy', () => {
+                const current = this.targets.get(containerId);
+                if (current && current.chart === chart) this.build(containerId, []);
+            });
+        }
+
+        if (!document.getElementById(`${containerId}-table`)) {
+            this.create(containerId, container);
+        }
+
+        // Function charts attach before they draw: label the SVG once the drawing code has run
+        Promise.resolve().then(() => this.refresh(containerId));
+    }
+
+    /**
+     * Build the switch and the (hidden) table region for a container
+     * @param {string} containerId - Chart container
+     * @param {Element} container - The container element
+     */
+    create(containerId, container) {
+        const region = document.createElement('div');
+        region.id = `${containerId}-table`;
+        region.className = 'chart-table visually-hidden';
+        region.setAttribute('role', 'region');
+        container.parentNode.insertBefore(region, container.nextSibling);
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'chart-table-toggle';
+        toggle.setAttribute('role', 'switch');
+        toggle.setAttribute('aria-checked', 'false');
+        toggle.setAttribute('aria-controls', region.id);
+        toggle.setAttribute('data-chart', containerId);
+        toggle.textContent = 'Show as table';
+        toggle.addEventListener('click', () => {
+            this.show(containerId, toggle.getAttribute('aria-checked') !== 'true');
+        });
+
+        // Cards have a header to hold the switch; bare containers get it just above them
+        const card = container.closest('.viz-card');
+        const header = card && card.querySelector('.viz-header');
+        if (header) {
+            header.appendChild(toggle);
+        } else {
+            container.parentNode.insertBefore(toggle, container);
+        }
+    }
+
+    /**
+     * Show or visually hide a chart's table
+     * @param {string} containerId - Chart container
+     * @param {boolean} visible - Whether sighted users see it
+     */
+    show(containerId, visible) {
+        const region = document.getElementById(`${containerId}-table`);
+        const toggle = document.querySelector(`.chart-table-toggle[data-chart="${containerId}"]`);
+        if (!region) return;
+
+        region.classList.toggle('visually-hidden', !visible);
+        // A visible table may scroll, so it needs to be reachable from the keyboard
+        if (visible) {
+            region.setAttribute('tabindex', '0');
+        } else {
+            region.removeAttribute('tabindex');
+        }
+        if (toggle) toggle.setAttribute('aria-checked', String(visible));
+    }
+
+    /**
+     * Rebuild a chart's table and SVG label from its current view
+     * @param {string} containerId - Chart container
+     */
+    refresh(containerId) {
+        const target = this.targets.get(containerId);
+        if (!target) return;
+
+        const { chart, options } = target;
+        if (chart && chart.destroyed) return;
+
+        const rows = options.rows ? options.rows() : (chart ? chart.getSeries() : []);
+        this.build(containerId, rows);
+        this.labelSvg(containerId, rows);
+    }
+
+    /**
+     * Title, chart type and active filters of an attached chart
+     * @param {string} containerId - Chart container
+     * @returns {Object} { title, type, filters }
+     */
+    describe(containerId) {
+        const { chart, options } = this.targets.get(containerId) || { chart: null, options: {} };
+        const container = document.getElementById(containerId);
+        const card = container.closest('.viz-card');
+        const heading = card && card.querySelector('.viz-header h3');
+        const type = card && card.querySelector('.viz-header .viz-type');
+
+        const title = options.title || (chart && chart.config.title) ||
+            (heading ? heading.textContent.trim() : containerId);
+
+        let filters = typeof options.filters === 'function' ? options.filters() : options.filters;
+        if (filters === undefined) {
+            if (chart) {
+                filters = chart.describeFilters();
+            } else if (typeof ChartExporter !== 'undefined') {
+                filters = ChartExporter.describeControls(container);
+            }
+        }
+
+        return { title, type: type ? type.textContent.trim() : 'Chart', filters: filters || '' };
+    }
+
+    /**
+     * Replace the table in a chart's region
+     * @param {string} containerId - Chart container
+     * @param {Array<Object>} rows - Plotted records
+     */
+    build(containerId, rows) {
+        const region = document.getElementById(`${containerId}-table`);
+        if (!region) return;
+
+        const { title, filters } = this.describe(containerId);
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        region.setAttribute('aria-label', `${title} data table`);
+
+        const table = d3.select(region).html('').append('table');
+        table.append('caption')
+            .text(filters ? `${title} (${filters})` : title);
+
+        if (!rows.length) {
+            table.append('tbody').append('tr').append('td')
+                .text('No data for the current filters');
+            return;
+        }
+
+        table.append('thead').append('tr')
+            .selectAll('th')
+            .data(columns)
+            .enter()
+            .append('th')
+            .attr('scope', 'col')
+            .text(column => ChartTable.columnLabel(column));
+
+        // The first column names each row (year, jurisdiction, metric...)
+        const cells = table.append('tbody')
+            .selectAll('tr')
+            .data(rows)
+            .enter()
+            .append('tr')
+            .selectAll('th, td')
+            .data(row => columns.map(column => ({ column, value: row[column] })))
+            .enter()
+            .append((d, i) => document.createElement(i === 0 ? 'th' : 'td'))
+            .text(d => ChartTable.formatCell(d.column, d.value));
+
+        cells.filter((d, i) => i === 0).attr('scope', 'row');
+        cells.filter(d => typeof d.value === 'number' && !PLAIN_NUMBER_COLUMNS.test(d.column)).classed('numeric', true);
+    }
+
+    /**
+     * Give the chart's SVG a role and a summary for assistive technology
+     * @param {string} containerId - Chart container
+     * @param {Array<Object>} rows - Plotted records
+     */
+    labelSvg(containerId, rows) {
+        const { chart } = this.targets.get(containerId);
+        const svg = chart && chart.svg
+            ? chart.svg.node().ownerSVGElement
+            : document.querySelector(`#${containerId} svg`);
+        if (!svg) return;
+
+        const { title, type, filters } = this.describe(containerId);
+        const size = rows.length
+            ? `${rows.length} ${rows.length === 1 ? 'value' : 'values'}, listed in the table after the chart`
+            : 'No data for the current filters';
+
+        // An img hides its children from assistive technology, so an SVG with labelled marks
+        // (BaseChart.enableKeyboard()) is a labelled group instead
+        svg.setAttribute('role', svg.querySelector('[aria-label]') ? 'group' : 'img');
+        svg.setAttribute('aria-label', [`${type}: ${title}`, filters, size].filter(Boolean).join('. ') + '.');
+    }
+
+    /**
+     * Column heading for a series key, e.g. "positivesPer1000Tests" → "Positives per 1000 tests"
+     * @param {string} column - Key
+     * @returns {string}
+     */
+    static columnLabel(column) {
+        const words = String(column)
+            .replace(/([a-z])([A-Z0-9])/g, '$1 $2')
+            .replace(/([0-9])([A-Za-z])/g, '$1 $2')
+            .toLowerCase();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    /**
+     * Cell text for a value
+     * @param {string} column - Key the value came from
+     * @param {*} value - Value
+     * @returns {string}
+     */
+    static formatCell(column, value) {
+        if (value === null || value === undefined || Number.isNaN(value)) return '—';
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        if (typeof value !== 'number' || PLAIN_NUMBER_COLUMNS.test(column)) return String(value);
+        return Number.isInteger(value) ? d3.format(',')(value) : d3.format(',.2f')(value);
+    }
+}
+
+// Create global instance
+const chartTable = typeof document !== 'undefined' ? new ChartTable() : null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChartTable, chartTable };
+}
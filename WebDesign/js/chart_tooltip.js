@@ -0,0 +1,305 @@
+/**
+ * Chart Tooltip
+ * The one tooltip shared by every chart on the page. Charts no longer add their own div to <body>: they
+ * call show(), move() and hide() with themselves as the owner, and release() when they redraw or go away,
+ * so the page only ever holds a single div.chart-tooltip.
+ *
+ * Content is a template declared by the chart (BaseChart.tooltipTemplate(), or passed straight in by the
+ * function-drawn fines charts) and rendered here, so charts describe what to show rather than build HTML:
+ *
+ *     {
+ *         title: 'NSW',                       // heading
+ *         color: '#1e40af',                   // heading colour (optional)
+ *         badge: { text: 1, color },          // round badge before the heading (optional)
+ *         rows: [{ label, value, detail, color, icon, emphasis }],
+ *         warning: { title, lines },          // highlighted caveat, e.g. an incomplete year
+ *         note: 'All jurisdictions combined', // small print
+ *         footer: [rows],                     // rows below a divider
+ *         html: '...'                         // trusted extra HTML, e.g. glossary.note()
+ *     }
+ *
+ * Falsy rows are skipped, so optional lines can be written as `condition && { label, value }`.
+ * The tooltip flips to the other side of the pointer near the edges of the window and stays inside it.
+ * Clicking (or tapping) the mark it belongs to pins it open, with a close button; clicking elsewhere,
+ * the close button or Escape unpins it. Marks made selectable by BaseChart.enableKeyboard() (.chart-mark)
+ * are not pinned: a click on one toggles its selection, and only that. On touch screens the tooltip sits
+ * above the finger.
+ */
+
+// Inline styles of the tooltip, in the theme's tooltip colours (--chart-tooltip-*, css/styles.css);
+// charts can override them through their tooltipStyle config
+const CHART_TOOLTIP_STYLE = {
+    'position': 'absolute',
+    'visibility': 'hidden',
+    'background-color': 'var(--chart-tooltip-background)',
+    'color': 'var(--chart-tooltip-text)',
+    'padding': '12px 16px',
+    'border-radius': '8px',
+    'font-size': '13px',
+    'pointer-events': 'none',
+    'z-index': '1000',
+    'box-shadow': '0 4px 12px rgba(0,0,0,0.3)'
+};
+
+// Distance from the pointer and smallest gap to the edge of the window, in pixels
+const TOOLTIP_OFFSET = 15;
+const TOOLTIP_MARGIN = 8;
+
+class ChartTooltip {
+    constructor() {
+        this.element = null;
+        // Chart (or container id of a function-drawn chart) whose tooltip is showing
+        this.owner = null;
+        // Mark the tooltip belongs to; clicking it pins the tooltip
+        this.anchor = null;
+        this.pinned = false;
+        this.touch = false;
+        this.lastEvent = null;
+        this.listening = false;
+    }
+
+    /**
+     * The tooltip element, created on first use
+     * @returns {d3.Selection}
+     */
+    getElement() {
+        if (this.element && this.element.node().isConnected) return this.element;
+
+        // A tooltip left by an earlier script on the page is reused rather than duplicated
+        const existing = d3.select('body').select('div.chart-tooltip');
+        this.element = existing.empty()
+            ? d3.select('body').append('div').attr('class', 'chart-tooltip')
+            : existing;
+        this.element
+            .attr('id', 'chart-tooltip')
+            .attr('role', 'tooltip');
+
+        this.listen();
+        return this.element;
+    }
+
+    /**
+     * Page-wide listeners for pinning, dismissing and touch placement, added once
+     */
+    listen() {
+        if (this.listening) return;
+        this.listening = true;
+
+        document.addEventListener('pointerdown', event => {
+            this.touch = event.pointerType === 'touch';
+        }, true);
+
+        document.addEventListener('click', event => {
+            if (!this.isVisible()) return;
+            const node = this.element.node();
+
+            if (event.target.closest && event.target.closest('.chart-tooltip-close')) {
+                this.unpin();
+            } else if (this.anchor && this.anchor.contains(event.target)) {
+                // The mark itself: pin, or unpin when already pinned. A selectable mark's click is its
+                // selection's, so the two never disagree about what one click did.
+                if (this.anchor.classList.contains('chart-mark')) return;
+                if (this.pinned) {
+                    this.unpin();
+                } else {
+                    this.pin();
+                }
+            } else if (this.pinned && !node.contains(event.target)) {
+                this.unpin();
+            }
+        });
+
+        document.addEventListener('keydown', event => {
+            if (event.key === 'Escape' && this.pinned) this.unpin();
+        });
+    }
+
+    /**
+     * Show a chart's tooltip. Hovering is ignored while a tooltip is pinned; tapping another mark moves it.
+     * @param {*} owner - Chart, or container id of a function-drawn chart
+     * @param {Event|Object} event - Pointer event (or BaseChart.focusEvent()) at the mark
+     * @param {Object|string} content - Template, or HTML
+     * @param {Object} [style] - Inline styles over CHART_TOOLTIP_STYLE
+     */
+    show(owner, event, content, style = {}) {
+        if (this.pinned) {
+            if (!this.touch) return;
+            this.unpin();
+        }
+
+        const tooltip = this.getElement();
+        this.owner = owner;
+        this.anchor = event.currentTarget || event.target || null;
+
+        tooltip.attr('style', null).classed('pinned', false);
+        Object.entries({ ...CHART_TOOLTIP_STYLE, ...style })
+            .forEach(([property, value]) => tooltip.style(property, value));
+
+        tooltip
+            .html(typeof content === 'string' ? content : ChartTooltip.render(content))
+            .style('visibility', 'visible');
+
+        this.move(owner, event);
+    }
+
+    /**
+     * Follow the pointer
+     * @param {*} owner - Chart that showed the tooltip
+     * @param {Event|Object} event - Pointer event
+     */
+    move(owner, event) {
+        if (owner !== this.owner || this.pinned || !this.element) return;
+        this.lastEvent = event;
+        this.place(event);
+    }
+
+    /**
+     * Hide a chart's tooltip unless it is pinned
+     * @param {*} owner - Chart that showed the tooltip
+     */
+    hide(owner) {
+        if (owner !== this.owner || this.pinned || !this.element) return;
+        this.element.style('visibility', 'hidden');
+    }
+
+    /**
+     * Hide and unpin a chart's tooltip whatever its state: its marks were redrawn or removed
+     * @param {*} owner - Chart that showed the tooltip
+     */
+    release(owner) {
+        if (owner !== this.owner) return;
+        this.pinned = false;
+        this.owner = null;
+        this.anchor = null;
+        if (this.element) {
+            this.element.classed('pinned', false).style('visibility', 'hidden');
+        }
+    }
+
+    isVisible() {
+        return Boolean(this.element) && this.element.style('visibility') === 'visible';
+    }
+
+    /**
+     * Keep the tooltip open, and let it take clicks so its close button works
+     */
+    pin() {
+        this.pinned = true;
+        this.element
+            .classed('pinned', true)
+            .style('pointer-events', 'auto');
+
+        this.element.insert('button', ':first-child')
+            .attr('type', 'button')
+            .attr('class', 'chart-tooltip-close')
+            .attr('aria-label', 'Close')
+            .text('×');
+
+        if (this.lastEvent) this.place(this.lastEvent);
+    }
+
+    unpin() {
+        this.pinned = false;
+        this.element
+            .classed('pinned', false)
+            .style('pointer-events', 'none')
+            .style('visibility', 'hidden');
+        this.element.select('.chart-tooltip-close').remove();
+    }
+
+    /**
+     * Put the tooltip beside the pointer (above it for touch), flipped and clamped to stay in the window
+     * @param {Event|Object} event - Object with pageX and pageY
+     */
+    place(event) {
+        const node = this.element.node();
+        const box = node.getBoundingClientRect();
+        const left = window.scrollX + TOOLTIP_MARGIN;
+        const top = window.scrollY + TOOLTIP_MARGIN;
+        const right = window.scrollX + (document.documentElement.clientWidth || window.innerWidth) - TOOLTIP_MARGIN;
+        const bottom = window.scrollY + window.innerHeight - TOOLTIP_MARGIN;
+
+        let x = event.pageX + TOOLTIP_OFFSET;
+        if (x + box.width > right) x = event.pageX - TOOLTIP_OFFSET - box.width;
+
+        let y = this.touch ? event.pageY - TOOLTIP_OFFSET - box.height : event.pageY - TOOLTIP_OFFSET;
+        if (y + box.height > bottom) y = event.pageY - TOOLTIP_OFFSET - box.height;
+
+        this.element
+            .style('left', Math.max(left, Math.min(x, right - box.width)) + 'px')
+            .style('top', Math.max(top, Math.min(y, bottom - box.height)) + 'px');
+    }
+
+    /**
+     * HTML for a tooltip template (see the top of this file)
+     * @param {Object} template - Template
+     * @returns {string} HTML
+     */
+    static render(template) {
+        if (!template) return '';
+        const escape = ChartTooltip.escape;
+        const parts = [];
+
+        if (template.title !== undefined) {
+            const badge = template.badge
+                ? `<span class="chart-tooltip-badge" style="background: ${escape(template.badge.color)};">${escape(template.badge.text)}</span>`
+                : '';
+            const color = template.color ? ` style="color: ${escape(template.color)};"` : '';
+            parts.push(`<div class="chart-tooltip-title"${color}>${badge}${escape(template.title)}</div>`);
+        }
+
+        parts.push(ChartTooltip.renderRows(template.rows));
+
+        if (template.warning) {
+            const lines = (template.warning.lines || []).map(line => `<br>${escape(line)}`).join('');
+            parts.push(`<div class="chart-tooltip-warning">⚠️ <strong>${escape(template.warning.title)}</strong>${lines}</div>`);
+        }
+        if (template.note) {
+            parts.push(`<div class="chart-tooltip-note">${escape(template.note)}</div>`);
+        }
+
+        const footer = ChartTooltip.renderRows(template.footer);
+        if (footer) {
+            parts.push(`<div class="chart-tooltip-footer">${footer}</div>`);
+        }
+        if (template.html) {
+            parts.push(template.html);
+        }
+
+        return parts.join('');
+    }
+
+    /**
+     * HTML for "Label: value" rows
+     * @param {Array<Object>} [rows] - { label, value, detail, color, icon, emphasis }; falsy entries are skipped
+     * @returns {string} HTML
+     */
+    static renderRows(rows) {
+        const escape = ChartTooltip.escape;
+
+        return (rows || []).filter(Boolean).map(row => {
+            const icon = row.icon ? `${escape(row.icon)} ` : '';
+            const label = row.label !== undefined ? `<strong>${escape(row.label)}:</strong> ` : '';
+            const classes = row.emphasis ? 'chart-tooltip-value emphasis' : 'chart-tooltip-value';
+            const color = row.color ? ` style="color: ${escape(row.color)};"` : '';
+            const detail = row.detail ? ` <span class="chart-tooltip-detail">${escape(row.detail)}</span>` : '';
+            return `<div class="chart-tooltip-row">${icon}${label}<span class="${classes}"${color}>${escape(row.value)}</span>${detail}</div>`;
+        }).join('');
+    }
+
+    static escape(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Create global instance
+const chartTooltip = typeof document !== 'undefined' ? new ChartTooltip() : null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChartTooltip, chartTooltip, CHART_TOOLTIP_STYLE };
+}
@@ -0,0 +1,696 @@
+/**
+ * Data Quality
+ * Profiles every dataset in data/datasets.json: completeness per jurisdiction and year, zeros that
+ * stand in for values never recorded, duplicate rows, "All regions"/"All ages" rollup rows mixed with
+ * detail rows, and values far outside a jurisdiction's usual range.
+ * Rendered on quality.html (renderReport); the profile itself has no DOM dependency.
+ */
+
+// Rollup value of each breakdown column; rows holding it total the detail rows beside them
+const QUALITY_ROLLUPS = { LOCATION: 'All regions', AGE_GROUP: 'All ages' };
+
+// Modified z-score (median / MAD) above which a year's value is flagged as an outlier
+const QUALITY_OUTLIER_THRESHOLD = 3.5;
+
+// Completeness status of one jurisdiction × year cell, best first
+const QUALITY_STATUSES = {
+    complete: { label: 'Complete', color: '#10b981', description: 'Full-year period, every measure recorded' },
+    incomplete: { label: 'Some measures not recorded', color: '#facc15', description: 'At least one measure is zero where the jurisdiction never reported it' },
+    partial: { label: 'Partial period', color: '#f59e0b', description: 'Reporting period shorter than a year' },
+    'not-recorded': { label: 'Not recorded', color: '#cbd5e1', description: 'Rows present, but every measure is zero or blank' },
+    missing: { label: 'Missing', color: '#ef4444', description: 'No rows for this jurisdiction and year' }
+};
+
+class DataProfiler {
+    /**
+     * @param {DataLoader} loader - Loader used to fetch datasets and run queries
+     */
+    constructor(loader) {
+        this.loader = loader;
+    }
+
+    /**
+     * Profile several datasets against a shared set of jurisdictions
+     * @param {string[]} [datasetIds] - Defaults to every dataset in the manifest
+     * @returns {Promise<Object>} { generatedAt, jurisdictions, profiles }; a dataset that fails to load
+     *     gets { id, title, error } instead of a profile
+     */
+    async profileAll(datasetIds = null) {
+        const manifest = await this.loader.loadManifest();
+        const ids = datasetIds || manifest.datasets.map(info => info.id);
+
+        const loaded = await Promise.all(ids.map(async id => {
+            const info = await this.loader.getDatasetInfo(id);
+            try {
+                return { info, rows: await this.loader.loadDataset(id) };
+            } catch (error) {
+                return { info, error: error.message };
+            }
+        }));
+
+        // Every jurisdiction seen anywhere, so a dataset missing one shows the gap
+        const jurisdictions = new Set();
+        loaded.filter(d => d.rows).forEach(({ rows }) => rows.forEach(row => {
+            if (DataProfiler.isJurisdiction(row.JURISDICTION)) jurisdictions.add(row.JURISDICTION);
+        }));
+        const scope = { jurisdictions: [...jurisdictions].sort() };
+
+        return {
+            generatedAt: new Date().toISOString(),
+            ...scope,
+            profiles: loaded.map(({ info, rows, error }) => error
+                ? { id: info.id, title: info.title, error }
+                : this.profileRows(info, rows, scope))
+        };
+    }
+
+    /**
+     * Profile one dataset
+     * @param {string} datasetId - Dataset id from data/datasets.json
+     * @returns {Promise<Object>} Profile, see profileRows
+     */
+    async profileDataset(datasetId) {
+        const [info, rows] = await Promise.all([
+            this.loader.getDatasetInfo(datasetId),
+            this.loader.loadDataset(datasetId)
+        ]);
+        return this.profileRows(info, rows);
+    }
+
+    /**
+     * Run every check on loaded rows
+     * @param {Object} info - Manifest entry
+     * @param {Array} rows - Normalised rows
+     * @param {Object} [scope] - { jurisdictions } expected in the completeness grid; defaults to those
+     *     present in the rows. The grid always spans the dataset's own first to last year.
+     * @returns {Object} { id, title, rowCount, measures, completeness, combinedRows, zeros, duplicates,
+     *     rollups, outliers }
+     */
+    profileRows(info, rows, scope = {}) {
+        const measures = this.getMeasureColumns(info);
+        const columns = info.columns.map(column => column.name);
+        // Some extracts list several jurisdictions in one cell ("ACT, NSW, ..."); those rows can't be placed
+        const single = rows.filter(row => DataProfiler.isJurisdiction(row.JURISDICTION));
+        const byCell = columns.includes('YEAR') && single.length > 0;
+
+        // One row per jurisdiction and year, rollup rows left out where their details are also present
+        const totals = byCell ? this.loader.query(this.withoutRollups(single, columns, measures), {
+            groupBy: ['JURISDICTION', 'YEAR'],
+            measures: {
+                ROWS: { op: 'count' },
+                ...Object.fromEntries(measures.map(m => [m, { field: m, op: 'sum' }])),
+                ...Object.fromEntries(measures.map(m => [`${m}__PRESENT`, { field: m, op: 'count', where: row => row[m] !== null && row[m] !== undefined }]))
+            },
+            sort: ['JURISDICTION', 'YEAR']
+        }) : [];
+        const periods = byCell && columns.includes('START_DATE') && columns.includes('END_DATE')
+            ? this.loader.reportingPeriods(single)
+            : [];
+
+        const zeros = this.findZeros(totals, measures);
+        const firstYear = this.loader.aggregate(single, 'YEAR', 'min');
+        const lastYear = this.loader.aggregate(single, 'YEAR', 'max');
+        const completeness = byCell
+            ? this.getCompleteness(totals, measures, zeros, periods, {
+                jurisdictions: scope.jurisdictions || [...new Set(single.map(row => row.JURISDICTION))].sort(),
+                years: Array.from({ length: lastYear - firstYear + 1 }, (_, i) => firstYear + i)
+            })
+            : null;
+
+        return {
+            id: info.id,
+            title: info.title,
+            rowCount: rows.length,
+            measures,
+            completeness,
+            combinedRows: columns.includes('JURISDICTION') ? rows.length - single.length : 0,
+            zeros,
+            duplicates: this.findDuplicates(rows, columns, measures),
+            rollups: this.findRollups(rows, columns, measures),
+            outliers: this.findOutliers(totals, measures, zeros)
+        };
+    }
+
+    /**
+     * Numeric columns other than YEAR
+     * @param {Object} info - Manifest entry
+     * @returns {string[]} Column names
+     */
+    getMeasureColumns(info) {
+        return info.columns
+            .filter(column => column.type === 'number' && column.name !== 'YEAR')
+            .map(column => column.name);
+    }
+
+    /**
+     * Key for the group a row belongs to when looking at one breakdown column: every other
+     * dimension column, so a rollup row and its detail rows share a key
+     */
+    rollupGroupKey(row, field, columns, measures) {
+        return JSON.stringify(columns
+            .filter(column => column !== field && !measures.includes(column))
+            .map(column => row[column]));
+    }
+
+    /**
+     * Drop rollup rows whose detail rows are also present, so summing doesn't double count.
+     * Rollups standing alone (e.g. years before a breakdown was reported) are kept.
+     * @param {Array} rows - Normalised rows
+     * @param {string[]} columns - Column names
+     * @param {string[]} measures - Measure columns
+     * @returns {Array} Rows safe to sum
+     */
+    withoutRollups(rows, columns, measures) {
+        const fields = Object.keys(QUALITY_ROLLUPS).filter(field => columns.includes(field));
+
+        const detailed = new Map(fields.map(field => [field, new Set(rows
+            .filter(row => row[field] !== null && row[field] !== QUALITY_ROLLUPS[field])
+            .map(row => this.rollupGroupKey(row, field, columns, measures)))]));
+
+        return rows.filter(row => fields.every(field => row[field] !== QUALITY_ROLLUPS[field] ||
+            !detailed.get(field).has(this.rollupGroupKey(row, field, columns, measures))));
+    }
+
+    /**
+     * Completeness grid: one cell per jurisdiction and year
+     * @param {Array} totals - Per jurisdiction/year totals from profileRows
+     * @param {string[]} measures - Measure columns
+     * @param {Array} zeros - Findings from findZeros
+     * @param {Array} periods - reportingPeriods() rows (may be empty)
+     * @param {Object} scope - { jurisdictions, years }
+     * @returns {Object} { jurisdictions, years, cells: [{ JURISDICTION, YEAR, status, rows, coverage, notRecorded }],
+     *     score (share of complete cells), comparableYears (years complete in every jurisdiction) }
+     */
+    getCompleteness(totals, measures, zeros, periods, { jurisdictions, years }) {
+        const key = (jurisdiction, year) => `${jurisdiction}|${year}`;
+        const totalsByCell = new Map(totals.map(row => [key(row.JURISDICTION, row.YEAR), row]));
+        const periodsByCell = new Map(periods.map(row => [key(row.JURISDICTION, row.YEAR), row]));
+        const notRecorded = new Map();
+        zeros.forEach(finding => finding.notRecorded.forEach(year => {
+            const cell = key(finding.JURISDICTION, year);
+            if (!notRecorded.has(cell)) notRecorded.set(cell, []);
+            notRecorded.get(cell).push(finding.measure);
+        }));
+
+        const cells = [];
+        jurisdictions.forEach(jurisdiction => years.forEach(year => {
+            const cell = key(jurisdiction, year);
+            const total = totalsByCell.get(cell);
+            const period = periodsByCell.get(cell);
+            const unrecorded = notRecorded.get(cell) || [];
+            const blank = total ? measures.filter(m => total[`${m}__PRESENT`] === 0) : [];
+            const absent = [...unrecorded, ...blank];
+
+            let status = 'complete';
+            if (!total) {
+                status = 'missing';
+            } else if (measures.length > 0 && absent.length >= measures.length) {
+                status = 'not-recorded';
+            } else if (period && period.PARTIAL) {
+                status = 'partial';
+            } else if (absent.length > 0) {
+                status = 'incomplete';
+            }
+
+            cells.push({
+                JURISDICTION: jurisdiction,
+                YEAR: year,
+                status,
+                rows: total ? total.ROWS : 0,
+                coverage: period ? period.COVERAGE : null,
+                notRecorded: absent
+            });
+        }));
+
+        const complete = cells.filter(cell => cell.status === 'complete').length;
+        const comparableYears = years.filter(year =>
+            cells.filter(cell => cell.YEAR === year).every(cell => cell.status === 'complete'));
+
+        return {
+            jurisdictions,
+            years,
+            cells,
+            score: cells.length ? complete / cells.length : null,
+            comparableYears
+        };
+    }
+
+    /**
+     * Tell zeros apart from values that were never recorded. The sources store unrecorded values as 0,
+     * so a zero total in the years before a jurisdiction first reports a non-zero value (or in every
+     * year, when it never does) is treated as not recorded; later zeros are kept as genuine.
+     * @param {Array} totals - Per jurisdiction/year totals
+     * @param {string[]} measures - Measure columns
+     * @returns {Array} [{ measure, JURISDICTION, notRecorded: [years], zeros: [years], missing: [years] }]
+     */
+    findZeros(totals, measures) {
+        const findings = [];
+        const byJurisdiction = groupRows(totals, row => row.JURISDICTION);
+
+        measures.forEach(measure => {
+            byJurisdiction.forEach((rows, jurisdiction) => {
+                const reported = rows.filter(row => row[measure] !== 0 && row[`${measure}__PRESENT`] > 0);
+                const firstYear = reported.length ? Math.min(...reported.map(row => row.YEAR)) : Infinity;
+                const finding = { measure, JURISDICTION: jurisdiction, notRecorded: [], zeros: [], missing: [] };
+
+                rows.forEach(row => {
+                    if (row[`${measure}__PRESENT`] === 0) {
+                        finding.missing.push(row.YEAR);
+                    } else if (row[measure] === 0) {
+                        (row.YEAR < firstYear ? finding.notRecorded : finding.zeros).push(row.YEAR);
+                    }
+                });
+
+                if (finding.notRecorded.length || finding.zeros.length || finding.missing.length) {
+                    findings.push(finding);
+                }
+            });
+        });
+
+        return findings;
+    }
+
+    /**
+     * Exact duplicate rows, and rows sharing every non-measure column but with different values
+     * @param {Array} rows - Normalised rows
+     * @param {string[]} columns - Column names
+     * @param {string[]} measures - Measure columns
+     * @param {number} [limit=5] - Examples kept
+     * @returns {Object} { exact, conflicting, examples: [{ kind, row }] }
+     */
+    findDuplicates(rows, columns, measures, limit = 5) {
+        const dimensions = columns.filter(column => !measures.includes(column));
+        const seenRows = new Map();
+        const seenKeys = new Map();
+        const result = { exact: 0, conflicting: 0, examples: [] };
+
+        rows.forEach(row => {
+            const rowKey = JSON.stringify(columns.map(column => row[column]));
+            const dimensionKey = JSON.stringify(dimensions.map(column => row[column]));
+
+            if (seenRows.has(rowKey)) {
+                result.exact++;
+                if (result.examples.length < limit) result.examples.push({ kind: 'exact', row });
+            } else if (seenKeys.has(dimensionKey)) {
+                result.conflicting++;
+                if (result.examples.length < limit) result.examples.push({ kind: 'conflicting', row });
+            }
+
+            seenRows.set(rowKey, row);
+            seenKeys.set(dimensionKey, row);
+        });
+
+        return result;
+    }
+
+    /**
+     * Rollup rows ("All regions", "All ages") alongside detail rows. Reports the years each form is
+     * used in (a breakdown that only starts part way through can't be compared with earlier years),
+     * and, where a rollup and its details are both present, whether the details add up to it.
+     * @param {Array} rows - Normalised rows
+     * @param {string[]} columns - Column names
+     * @param {string[]} measures - Measure columns
+     * @returns {Array} [{ field, value, rollupRows, detailRows, rollupYears, detailYears, mixedGroups,
+     *     mismatchedGroups }]
+     */
+    findRollups(rows, columns, measures) {
+        return Object.entries(QUALITY_ROLLUPS)
+            .filter(([field]) => columns.includes(field))
+            .map(([field, value]) => {
+                const rollupRows = rows.filter(row => row[field] === value);
+                const detailRows = rows.filter(row => row[field] !== null && row[field] !== value);
+                const years = subset => (columns.includes('YEAR') ? this.loader.aggregate(subset, 'YEAR', 'distinct') : []);
+
+                const groups = new Map();
+                [...rollupRows, ...detailRows].forEach(row => {
+                    const key = this.rollupGroupKey(row, field, columns, measures);
+                    if (!groups.has(key)) groups.set(key, { rollups: [], details: [] });
+                    groups.get(key)[row[field] === value ? 'rollups' : 'details'].push(row);
+                });
+                const mixed = [...groups.values()].filter(group => group.rollups.length && group.details.length);
+
+                return {
+                    field,
+                    value,
+                    rollupRows: rollupRows.length,
+                    detailRows: detailRows.length,
+                    rollupYears: years(rollupRows),
+                    detailYears: years(detailRows),
+                    mixedGroups: mixed.length,
+                    mismatchedGroups: mixed.filter(group => measures.some(m =>
+                        this.loader.aggregate(group.rollups, m, 'sum') !== this.loader.aggregate(group.details, m, 'sum'))).length
+                };
+            })
+            .filter(rollup => rollup.rollupRows > 0);
+    }
+
+    /**
+     * Years whose total sits far from the jurisdiction's median (modified z-score over the years
+     * with a recorded value)
+     * @param {Array} totals - Per jurisdiction/year totals
+     * @param {string[]} measures - Measure columns
+     * @param {Array} zeros - Findings from findZeros (not-recorded years are skipped)
+     * @returns {Array} [{ measure, JURISDICTION, YEAR, value, median, score }] sorted by score
+     */
+    findOutliers(totals, measures, zeros) {
+        const skip = new Set();
+        zeros.forEach(finding => finding.notRecorded.forEach(year =>
+            skip.add(`${finding.measure}|${finding.JURISDICTION}|${year}`)));
+
+        const outliers = [];
+        const byJurisdiction = groupRows(totals, row => row.JURISDICTION);
+
+        measures.forEach(measure => {
+            byJurisdiction.forEach((rows, jurisdiction) => {
+                const points = rows.filter(row => row[`${measure}__PRESENT`] > 0 &&
+                    !skip.has(`${measure}|${jurisdiction}|${row.YEAR}`));
+                if (points.length < 4) return;
+
+                const median = this.loader.aggregate(points, measure, 'median');
+                const mad = this.loader.aggregate(points.map(row => ({ deviation: Math.abs(row[measure] - median) })), 'deviation', 'median');
+                if (!mad) return;
+
+                points.forEach(row => {
+                    const score = 0.6745 * (row[measure] - median) / mad;
+                    if (Math.abs(score) > QUALITY_OUTLIER_THRESHOLD) {
+                        outliers.push({ measure, JURISDICTION: jurisdiction, YEAR: row.YEAR, value: row[measure], median, score });
+                    }
+                });
+            });
+        });
+
+        return outliers.sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+    }
+
+    /**
+     * Render the summary table and one card per dataset
+     * @param {string} containerId - Element to render into
+     * @param {Object} report - Result of profileAll()
+     */
+    renderReport(containerId, report) {
+        const container = d3.select(`#${containerId}`);
+        container.selectAll('*').remove();
+
+        this.renderSummary(container, report);
+        this.renderLegend(container);
+
+        report.profiles.forEach(profile => this.renderProfile(container, profile));
+    }
+
+    /**
+     * Summary table: one row per dataset
+     */
+    renderSummary(container, report) {
+        const table = container.append('table')
+            .attr('class', 'quality-table quality-summary');
+
+        table.append('caption')
+            .text(`Profiled ${report.profiles.length} datasets on ${new Date(report.generatedAt).toLocaleString()}`);
+
+        table.append('thead').append('tr')
+            .selectAll('th')
+            .data(['Dataset', 'Rows', 'Complete cells', 'Comparable years', 'Not recorded', 'Duplicates', 'Rollup rows', 'Outliers'])
+            .enter()
+            .append('th')
+            .attr('scope', 'col')
+            .text(d => d);
+
+        const rows = table.append('tbody')
+            .selectAll('tr')
+            .data(report.profiles)
+            .enter()
+            .append('tr');
+
+        rows.append('th')
+            .attr('scope', 'row')
+            .append('a')
+            .attr('href', d => `#quality-${d.id}`)
+            .text(d => d.title);
+
+        rows.each((profile, i, nodes) => {
+            const row = d3.select(nodes[i]);
+            if (profile.error) {
+                row.append('td').attr('colspan', 7).attr('class', 'quality-error').text(profile.error);
+                return;
+            }
+
+            const completeness = profile.completeness;
+            const cells = [
+                profile.rowCount.toLocaleString(),
+                completeness ? `${Math.round(completeness.score * 100)}%` : 'n/a',
+                completeness ? DataProfiler.formatYears(completeness.comparableYears) : 'n/a',
+                profile.zeros.reduce((sum, finding) => sum + finding.notRecorded.length, 0).toLocaleString(),
+                (profile.duplicates.exact + profile.duplicates.conflicting).toLocaleString(),
+                profile.rollups.length
+                    ? profile.rollups.map(r => `${r.rollupRows.toLocaleString()} "${r.value}"`).join(', ')
+                    : 'none',
+                profile.outliers.length.toLocaleString()
+            ];
+
+            cells.forEach(text => row.append('td').text(text));
+        });
+    }
+
+    /**
+     * Colour key for the completeness grids
+     */
+    renderLegend(container) {
+        const legend = container.append('ul')
+            .attr('class', 'quality-legend');
+
+        Object.values(QUALITY_STATUSES).forEach(status => {
+            const item = legend.append('li')
+                .attr('title', status.description);
+
+            item.append('span')
+                .attr('class', 'quality-swatch')
+                .style('background', status.color);
+
+            item.append('span')
+                .text(status.label);
+        });
+    }
+
+    /**
+     * One dataset: completeness grid plus lists of findings
+     */
+    renderProfile(container, profile) {
+        const card = container.append('article')
+            .attr('class', 'viz-card quality-card')
+            .attr('id', `quality-${profile.id}`);
+
+        const header = card.append('div').attr('class', 'viz-header');
+        header.append('h3').text(profile.title);
+        header.append('span').attr('class', 'viz-type').text(profile.id);
+
+        const body = card.append('div').attr('class', 'quality-body');
+
+        if (profile.error) {
+            body.append('p').attr('class', 'quality-error').text(`Could not load: ${profile.error}`);
+            return;
+        }
+
+        if (profile.completeness) {
+            this.renderGrid(body, profile.completeness);
+        } else {
+            body.append('p').text('No YEAR and JURISDICTION columns, so there is no completeness grid.');
+        }
+
+        const findings = body.append('ul').attr('class', 'quality-findings');
+        this.describeProfile(profile).forEach(text => findings.append('li').text(text));
+    }
+
+    /**
+     * Jurisdiction × year grid coloured by completeness status
+     */
+    renderGrid(container, completeness) {
+        const cellSize = 28;
+        const margin = { top: 40, right: 10, bottom: 10, left: 50 };
+        const width = completeness.years.length * cellSize;
+        const height = completeness.jurisdictions.length * cellSize;
+
+        const x = d3.scaleBand().domain(completeness.years).range([0, width]).padding(0.08);
+        const y = d3.scaleBand().domain(completeness.jurisdictions).range([0, height]).padding(0.08);
+
+        const svg = container.append('div')
+            .attr('class', 'quality-grid')
+            .append('svg')
+            .attr('width', width + margin.left + margin.right)
+            .attr('height', height + margin.top + margin.bottom)
+            .append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+
+        svg.append('g')
+            .call(d3.axisTop(x).tickSize(0).tickFormat(d => `'${String(d).slice(-2)}`))
+            .call(g => g.select('.domain').remove())
+            .selectAll('text')
+            .style('font-size', '11px');
+
+        svg.append('g')
+            .call(d3.axisLeft(y).tickSize(0))
+            .call(g => g.select('.domain').remove())
+            .selectAll('text')
+            .style('font-size', '11px')
+            .style('font-weight', '600');
+
+        svg.selectAll('rect.quality-cell')
+            .data(completeness.cells)
+            .enter()
+            .append('rect')
+            .attr('class', d => `quality-cell quality-${d.status}`)
+            .attr('x', d => x(d.YEAR))
+            .attr('y', d => y(d.JURISDICTION))
+            .attr('width', x.bandwidth())
+            .attr('height', y.bandwidth())
+            .attr('rx', 3)
+            .attr('fill', d => QUALITY_STATUSES[d.status].color)
+            .append('title')
+            .text(d => DataProfiler.describeCell(d));
+    }
+
+    /**
+     * Plain-text findings for one dataset
+     * @param {Object} profile - Result of profileRows
+     * @returns {string[]} One sentence per finding
+     */
+    describeProfile(profile) {
+        const lines = [];
+        const completeness = profile.completeness;
+
+        if (completeness) {
+            const missing = completeness.cells.filter(cell => cell.status === 'missing');
+            const partial = completeness.cells.filter(cell => cell.status === 'partial');
+            lines.push(completeness.comparableYears.length
+                ? `Every jurisdiction is complete in ${DataProfiler.formatYears(completeness.comparableYears)}; compare jurisdictions within those years.`
+                : 'No year is complete in every jurisdiction; treat cross-jurisdiction comparisons with care.');
+            if (missing.length) {
+                lines.push(`No rows for ${missing.length} jurisdiction-years: ${DataProfiler.formatCells(missing)}.`);
+            }
+            if (partial.length) {
+                lines.push(`Partial reporting periods: ${partial.map(DataProfiler.describeCell).join('; ')}.`);
+            }
+        }
+
+        groupRows(profile.zeros.filter(f => f.notRecorded.length), f => f.measure).forEach((findings, measure) => {
+            lines.push(`${measure} is 0 before it is first reported, so treated as not recorded: ` +
+                findings.map(f => `${f.JURISDICTION} ${DataProfiler.formatYears(f.notRecorded)}`).join(', ') + '.');
+        });
+        groupRows(profile.zeros.filter(f => f.missing.length), f => f.measure).forEach((findings, measure) => {
+            lines.push(`${measure} is blank for ` +
+                findings.map(f => `${f.JURISDICTION} ${DataProfiler.formatYears(f.missing)}`).join(', ') + '.');
+        });
+
+        if (profile.duplicates.exact || profile.duplicates.conflicting) {
+            lines.push(`${profile.duplicates.exact} exact duplicate row(s) and ${profile.duplicates.conflicting} ` +
+                'row(s) repeating another row\'s dimensions with different values.');
+        }
+
+        if (profile.combinedRows) {
+            lines.push(`${profile.combinedRows.toLocaleString()} row(s) list several jurisdictions in one cell ` +
+                'and are left out of the grid.');
+        }
+
+        profile.rollups.forEach(rollup => {
+            const rollupOnly = rollup.rollupYears.filter(year => !rollup.detailYears.includes(year));
+            const inYears = years => (years.length ? ` in ${DataProfiler.formatYears(years)}` : '');
+
+            if (!rollup.detailRows) {
+                lines.push(`${rollup.field} is always "${rollup.value}"; there is no breakdown.`);
+            } else if (rollupOnly.length) {
+                lines.push(`${rollup.field} is only "${rollup.value}"${inYears(rollupOnly)} and broken down ` +
+                    `${inYears(rollup.detailYears).trim()}; compare ${rollup.field} breakdowns only within the later years.`);
+            } else {
+                lines.push(`${rollup.rollupRows.toLocaleString()} "${rollup.value}" row(s) sit beside ` +
+                    `${rollup.detailRows.toLocaleString()} ${rollup.field} detail rows${inYears(rollup.detailYears)}.`);
+            }
+
+            if (rollup.mixedGroups) {
+                lines.push(`${rollup.mixedGroups.toLocaleString()} group(s) have both an "${rollup.value}" row and ` +
+                    `${rollup.field} detail rows; ${rollup.mismatchedGroups.toLocaleString()} don't add up. ` +
+                    `Filter on ${rollup.field} before summing.`);
+            }
+        });
+
+        profile.outliers.slice(0, 10).forEach(o => {
+            lines.push(`Outlier: ${o.measure} ${o.JURISDICTION} ${o.YEAR} = ${o.value.toLocaleString()} ` +
+                `(typical ${Math.round(o.median).toLocaleString()}, score ${o.score.toFixed(1)}).`);
+        });
+        if (profile.outliers.length > 10) {
+            lines.push(`... and ${profile.outliers.length - 10} more outliers.`);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Whether a JURISDICTION value names one jurisdiction (not a combined "ACT, NSW, ..." list)
+     */
+    static isJurisdiction(value) {
+        return typeof value === 'string' && value !== '' && !value.includes(',');
+    }
+
+    /**
+     * Describe one completeness cell, e.g. "VIC 2024: Partial period (67% of a year)"
+     */
+    static describeCell(cell) {
+        let text = `${cell.JURISDICTION} ${cell.YEAR}: ${QUALITY_STATUSES[cell.status].label}`;
+        if (cell.coverage !== null && cell.coverage < 1) {
+            text += ` (${Math.round(cell.coverage * 100)}% of a year)`;
+        }
+        if (cell.notRecorded.length && cell.status !== 'not-recorded') {
+            text += ` - not recorded: ${cell.notRecorded.join(', ')}`;
+        }
+        return text;
+    }
+
+    /**
+     * Collapse years into ranges, e.g. [2008, 2009, 2010, 2015] → "2008-2010, 2015"
+     * @param {number[]} years - Sorted years
+     * @returns {string} Ranges, or "none"
+     */
+    static formatYears(years) {
+        if (!years.length) return 'none';
+
+        const ranges = [];
+        years.forEach(year => {
+            const last = ranges[ranges.length - 1];
+            if (last && year === last[1] + 1) {
+                last[1] = year;
+            } else {
+                ranges.push([year, year]);
+            }
+        });
+
+        return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+    }
+
+    /**
+     * List cells grouped by jurisdiction, e.g. "NT 2008-2010, TAS 2020-2024"
+     */
+    static formatCells(cells) {
+        return [...groupRows(cells, cell => cell.JURISDICTION)]
+            .map(([jurisdiction, group]) => `${jurisdiction} ${DataProfiler.formatYears(group.map(cell => cell.YEAR))}`)
+            .join(', ');
+    }
+}
+
+/**
+ * Group rows into a Map by key, keeping first-seen order (like d3.group, but usable in Node without d3)
+ * @param {Array} rows - Rows to group
+ * @param {Function} keyOf - Row → key
+ * @returns {Map} key → rows
+ */
+function groupRows(rows, keyOf) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = keyOf(row);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+    return groups;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataProfiler, QUALITY_ROLLUPS, QUALITY_STATUSES, QUALITY_OUTLIER_THRESHOLD };
+}
@@ -0,0 +1,115 @@
+/**
+ * Dataset Cache
+ * Persists normalised dataset rows in IndexedDB so page navigation doesn't re-download and re-parse workbooks.
+ * Records are keyed by dataset id and carry a signature; DataLoader discards records whose signature is stale.
+ */
+
+class DatasetCache {
+    constructor(dbName = 'road-safety-datasets', storeName = 'datasets') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB is available in this environment
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create on first use) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>} The request result
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Read a cached record
+     * @param {string} datasetId - Dataset id
+     * @returns {Promise<Object|undefined>} { id, signature, path, rowCount, savedAt, rows }
+     */
+    get(datasetId) {
+        return this.run('readonly', store => store.get(datasetId));
+    }
+
+    /**
+     * Store or replace a cached record
+     * @param {Object} record - Record with an `id` property
+     * @returns {Promise<void>}
+     */
+    put(record) {
+        return this.run('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Remove a cached record
+     * @param {string} datasetId - Dataset id
+     * @returns {Promise<void>}
+     */
+    delete(datasetId) {
+        return this.run('readwrite', store => store.delete(datasetId));
+    }
+
+    /**
+     * Remove every cached record
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+
+    /**
+     * Summaries of every cached record, without the rows
+     * @returns {Promise<Array>} [{ id, signature, path, rowCount, savedAt }]
+     */
+    async list() {
+        const records = await this.run('readonly', store => store.getAll());
+
+        return records.map(({ id, signature, path, rowCount, savedAt }) => ({
+            id, signature, path, rowCount, savedAt
+        }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DatasetCache };
+}
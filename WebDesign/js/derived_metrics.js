@@ -0,0 +1,92 @@
+/**
+ * Derived Metrics
+ * Metrics computed by joining datasets on year and jurisdiction rather than read from one file.
+ * Positivity rate: positive breath/drug results per 1,000 tests conducted (alcohol_drug_tests workbook).
+ */
+
+// Tests-conducted metric and positive-count dataset for each kind of test. Drug positives come from the
+// extract that counts each test once, not from every detection stage it passed through
+const POSITIVITY_SOURCES = {
+    breath: { testsMetric: 'breath_tests_conducted', positivesDataset: 'positive_by_year_jurisdiction' },
+    drug: { testsMetric: 'drug_tests_conducted', positivesDataset: 'drug_positives_by_year_jurisdiction' }
+};
+
+// Positivity rates are expressed per this many tests
+const POSITIVITY_RATE_BASE = 1000;
+
+class DerivedMetrics {
+    /**
+     * @param {DataLoader} loader - Loader used to fetch, query and join datasets
+     */
+    constructor(loader) {
+        this.loader = loader;
+    }
+
+    /**
+     * Positives per 1,000 tests by year and jurisdiction.
+     * Only year/jurisdiction pairs present in both sources are returned.
+     * @param {string} testType - 'breath' or 'drug'
+     * @returns {Promise<Array>} [{ YEAR, JURISDICTION, POSITIVES, TESTS, POSITIVITY_RATE }];
+     *     POSITIVITY_RATE is null when no tests were recorded
+     */
+    loadPositivityRate(testType) {
+        const source = POSITIVITY_SOURCES[testType];
+        if (!source) {
+            return Promise.reject(new Error(`Unknown test type "${testType}" (expected ${Object.keys(POSITIVITY_SOURCES).join(' or ')})`));
+        }
+
+        return this.loader.memoize(`derived:positivity:${testType}`, async () => {
+            const [tests, positives] = await Promise.all([
+                this.loader.loadDataset('alcohol_drug_tests'),
+                this.loader.loadDataset(source.positivesDataset)
+            ]);
+            const groupBy = ['YEAR', 'JURISDICTION'];
+
+            const testTotals = this.loader.query(tests, {
+                where: { METRIC: source.testsMetric },
+                groupBy,
+                measures: { TESTS: { field: 'COUNT', op: 'sum' } }
+            });
+            const positiveTotals = this.loader.query(positives, {
+                groupBy,
+                measures: { POSITIVES: { field: 'COUNT', op: 'sum' } }
+            });
+
+            const rows = this.loader.join(positiveTotals, testTotals, groupBy).map(row => ({
+                ...row,
+                POSITIVITY_RATE: DerivedMetrics.ratePer(row.POSITIVES, row.TESTS, POSITIVITY_RATE_BASE)
+            }));
+
+            console.log(`✓ Derived ${rows.length} ${testType} positivity rates`);
+            return rows.sort(this.loader.compileSort(groupBy));
+        });
+    }
+
+    /**
+     * Scale a ratio to a rate per `base`
+     * @param {number} numerator - e.g. positive results
+     * @param {number} denominator - e.g. tests conducted
+     * @param {number} base - e.g. 1000 for "per 1,000"
+     * @returns {number|null} Rate, or null when the denominator is zero or missing
+     */
+    static ratePer(numerator, denominator, base) {
+        return denominator > 0 ? (numerator / denominator) * base : null;
+    }
+
+    /**
+     * Format a positivity rate for labels and tooltips
+     * @param {number|null} rate - Positives per 1,000 tests
+     * @returns {string} e.g. "4.21", or "n/a" when unknown
+     */
+    static formatRate(rate) {
+        return rate === null || rate === undefined ? 'n/a' : rate.toFixed(2);
+    }
+}
+
+// Create global instance (browser pages load js/load_data.js first)
+const derivedMetrics = typeof dataLoader !== 'undefined' ? new DerivedMetrics(dataLoader) : null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DerivedMetrics, POSITIVITY_SOURCES, POSITIVITY_RATE_BASE };
+}
@@ -0,0 +1,228 @@
+/**
+ * Derived Extracts
+ * Definitions of the CSV extracts under data/ that were originally exported from the KNIME workflows.
+ * Each extract rebuilds one manifest dataset from a source workbook with dataLoader.query, so the
+ * Node build (tools/build_extracts.js) and the site share one aggregation code path.
+ */
+
+// Drug columns flagged 'Yes'/'No' in the positive drug test workbook, in extract order
+const DRUG_TYPES = ['AMPHETAMINE', 'CANNABIS', 'COCAINE', 'ECSTASY', 'METHYLAMPHETAMINE', 'OTHER'];
+
+// Age groups and drug outcomes are only broken down from 2023
+const DETAILED_FROM_YEAR = 2023;
+
+const sumMeasure = field => ({ field, op: 'sum' });
+
+/**
+ * Extract definitions.
+ *   id       - Manifest id of the derived dataset (its path is the output file)
+ *   source   - Manifest id of the workbook it is built from
+ *   columns  - Output columns, in file order
+ *   measures - Additive columns; totals of these are reconciled against the source (js/reconciliation.js)
+ *   headers  - Header overrides where the KNIME export used its own names
+ *   build    - (rows, loader) => result rows keyed by canonical column names
+ */
+const EXTRACTS = [
+    {
+        id: 'positive_total',
+        source: 'positive_breath_tests',
+        columns: ['METRIC', 'COUNT'],
+        measures: ['COUNT'],
+        build: (rows, loader) => loader.query(rows, {
+            groupBy: 'METRIC',
+            measures: { COUNT: sumMeasure('COUNT') }
+        })
+    },
+    {
+        id: 'positive_by_year',
+        source: 'positive_breath_tests',
+        columns: ['YEAR', 'METRIC', 'COUNT', 'JURISDICTION'],
+        measures: ['COUNT'],
+        build: (rows, loader) => loader.query(rows, {
+            groupBy: ['YEAR', 'METRIC'],
+            measures: {
+                COUNT: sumMeasure('COUNT'),
+                JURISDICTION: { field: 'JURISDICTION', op: 'distinct' }
+            },
+            sort: ['YEAR', 'METRIC']
+        }).map(row => ({ ...row, JURISDICTION: row.JURISDICTION.join(', ') }))
+    },
+    {
+        id: 'positive_by_year_jurisdiction',
+        source: 'positive_breath_tests',
+        columns: ['YEAR', 'JURISDICTION', 'METRIC', 'END_DATE', 'START_DATE', 'COUNT'],
+        measures: ['COUNT'],
+        build: (rows, loader) => loader.query(rows, {
+            groupBy: ['YEAR', 'JURISDICTION', 'METRIC'],
+            measures: {
+                END_DATE: { field: 'END_DATE', op: 'max' },
+                START_DATE: { field: 'START_DATE', op: 'min' },
+                COUNT: sumMeasure('COUNT')
+            },
+            sort: ['YEAR', 'JURISDICTION', 'METRIC']
+        })
+    },
+    {
+        id: 'positive_by_age',
+        source: 'positive_breath_tests',
+        columns: ['YEAR', 'JURISDICTION', 'AGE_GROUP', 'METRIC', 'COUNT'],
+        measures: ['COUNT'],
+        build: (rows, loader) => loader.query(rows, {
+            groupBy: ['YEAR', 'JURISDICTION', 'AGE_GROUP', 'METRIC'],
+            measures: { COUNT: sumMeasure('COUNT') },
+            sort: ['YEAR', 'JURISDICTION', 'AGE_GROUP', 'METRIC']
+        })
+    },
+    {
+        id: 'positive_outcomes_by_year_jurisdiction',
+        source: 'positive_breath_tests',
+        columns: ['YEAR', 'JURISDICTION', 'LOCATION', 'AGE_GROUP', 'METRIC', 'FINES', 'ARRESTS', 'CHARGES',
+            'END_DATE', 'START_DATE', 'COUNT'],
+        measures: ['COUNT'],
+        headers: { FINES: 'Fines', ARRESTS: 'Arrests', CHARGES: 'Charges' },
+        build: (rows, loader) => {
+            const keys = ['YEAR', 'JURISDICTION', 'LOCATION', 'AGE_GROUP', 'METRIC', 'FINES', 'ARRESTS', 'CHARGES'];
+            return loader.query(rows, {
+                groupBy: keys,
+                measures: {
+                    END_DATE: { field: 'END_DATE', op: 'max' },
+                    START_DATE: { field: 'START_DATE', op: 'min' },
+                    COUNT: sumMeasure('COUNT')
+                },
+                sort: keys
+            });
+        }
+    },
+    {
+        id: 'drug_total',
+        source: 'positive_drug_tests',
+        columns: ['COUNT'],
+        measures: ['COUNT'],
+        headers: { COUNT: 'Sum(Sum(COUNT))' },
+        build: (rows, loader) => loader.query(rows, {
+            measures: { COUNT: sumMeasure('COUNT') }
+        })
+    },
+    {
+        id: 'drug_by_year',
+        source: 'positive_drug_tests',
+        columns: ['YEAR', 'COUNT'],
+        measures: ['COUNT'],
+        headers: { COUNT: 'Sum(COUNT)' },
+        build: (rows, loader) => loader.query(rows, {
+            groupBy: 'YEAR',
+            measures: { COUNT: sumMeasure('COUNT') },
+            sort: 'YEAR'
+        })
+    },
+    {
+        id: 'drug_by_year_jurisdiction',
+        source: 'positive_drug_tests',
+        columns: ['YEAR', 'JURISDICTION', 'COUNT'],
+        measures: ['COUNT'],
+        headers: { COUNT: 'Sum(COUNT)' },
+        build: (rows, loader) => loader.query(rows, {
+            groupBy: ['YEAR', 'JURISDICTION'],
+            measures: { COUNT: sumMeasure('COUNT') },
+            sort: ['YEAR', 'JURISDICTION']
+        })
+    },
+    {
+        // One row per positive test: from 2023 each test is also listed under its earlier detection stages
+        // (BEST_DETECTION_METHOD 'No'), which drug_by_year_jurisdiction counts as well
+        id: 'drug_positives_by_year_jurisdiction',
+        source: 'positive_drug_tests',
+        columns: ['YEAR', 'JURISDICTION', 'COUNT'],
+        measures: ['COUNT'],
+        build: (rows, loader) => loader.query(rows, {
+            where: { BEST_DETECTION_METHOD: 'Yes' },
+            groupBy: ['YEAR', 'JURISDICTION'],
+            measures: { COUNT: sumMeasure('COUNT') },
+            sort: ['YEAR', 'JURISDICTION']
+        })
+    },
+    {
+        id: 'drug_type_composition',
+        source: 'positive_drug_tests',
+        columns: ['DRUG_TYPE', 'COUNT'],
+        measures: ['COUNT'],
+        headers: { COUNT: 'Sum(COUNT)' },
+        build: (rows, loader) => {
+            const measures = Object.fromEntries(DRUG_TYPES.map(type => [
+                type, { field: 'COUNT', op: 'sum', where: { [type]: 'Yes' } }
+            ]));
+            const [totals] = loader.query(rows, { measures });
+            return DRUG_TYPES.map(type => ({ DRUG_TYPE: type, COUNT: totals ? totals[type] : 0 }));
+        }
+    },
+    {
+        id: 'drug_by_age',
+        source: 'positive_drug_tests',
+        columns: ['YEAR', 'AGE_GROUP', 'COUNT'],
+        measures: ['COUNT'],
+        headers: { COUNT: 'Sum(COUNT)' },
+        build: (rows, loader) => loader.query(rows, {
+            where: { YEAR: year => year >= DETAILED_FROM_YEAR },
+            groupBy: ['YEAR', 'AGE_GROUP'],
+            measures: { COUNT: sumMeasure('COUNT') },
+            sort: ['YEAR', 'AGE_GROUP']
+        })
+    },
+    {
+        id: 'drug_enforcement',
+        source: 'positive_drug_tests',
+        columns: ['YEAR', 'JURISDICTION', 'COUNT', 'CHARGES'],
+        measures: ['COUNT', 'CHARGES'],
+        headers: { COUNT: 'Sum(COUNT)', CHARGES: 'Sum(CHARGES)' },
+        build: (rows, loader) => loader.query(rows, {
+            where: { YEAR: year => year >= DETAILED_FROM_YEAR },
+            groupBy: ['YEAR', 'JURISDICTION'],
+            measures: { COUNT: sumMeasure('COUNT'), CHARGES: sumMeasure('CHARGES') },
+            sort: ['YEAR', 'JURISDICTION']
+        })
+    },
+    {
+        id: 'enforcement_by_jurisdiction',
+        source: 'fines',
+        columns: ['YEAR', 'JURISDICTION', 'END_DATE', 'START_DATE', 'FINES', 'ARRESTS', 'CHARGES'],
+        measures: ['FINES', 'ARRESTS', 'CHARGES'],
+        build: (rows, loader) => loader.query(rows, {
+            groupBy: ['YEAR', 'JURISDICTION'],
+            measures: {
+                END_DATE: { field: 'END_DATE', op: 'max' },
+                START_DATE: { field: 'START_DATE', op: 'min' },
+                FINES: sumMeasure('FINES'),
+                ARRESTS: sumMeasure('ARRESTS'),
+                CHARGES: sumMeasure('CHARGES')
+            },
+            sort: ['YEAR', 'JURISDICTION']
+        })
+    }
+];
+
+/**
+ * Build one extract from its source rows
+ * @param {Object} extract - Entry from EXTRACTS
+ * @param {Array} sourceRows - Normalised rows of extract.source
+ * @param {DataLoader} loader - Loader whose query() performs the aggregation
+ * @returns {Array} Rows holding exactly extract.columns, in file order
+ */
+function buildExtract(extract, sourceRows, loader) {
+    return extract.build(sourceRows, loader).map(row => Object.fromEntries(
+        extract.columns.map(column => [column, row[column] === undefined ? null : row[column]])
+    ));
+}
+
+/**
+ * Look up an extract definition
+ * @param {string} datasetId - Manifest id of the derived dataset
+ * @returns {Object|undefined} Extract definition
+ */
+function getExtract(datasetId) {
+    return EXTRACTS.find(extract => extract.id === datasetId);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EXTRACTS, DRUG_TYPES, DETAILED_FROM_YEAR, buildExtract, getExtract };
+}
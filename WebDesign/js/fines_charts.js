@@ -1,23 +1,12 @@
 // js/fines_charts.js
 
-// Path to the Excel file
-const FINES_DATA_URL = 'data/police_enforcement_2024_fines_TAMTONG.xlsx';
+// Dataset id of the fines workbook (see data/datasets.json)
+const FINES_DATASET_ID = 'fines';
 
-// Load Excel file and convert to JSON array
+// Load the fines workbook and convert to JSON array
 async function loadFinesData() {
-    const response = await fetch(FINES_DATA_URL);
-    if (!response.ok) {
-        throw new Error(`Failed to fetch Excel file: ${response.status} ${response.statusText}`);
-    }
-
-    const arrayBuffer = await response.arrayBuffer();
-    const workbook = XLSX.read(arrayBuffer, { type: 'array' });
-
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-
-    // Convert to JSON, keeping empty cells as null
-    const json = XLSX.utils.sheet_to_json(worksheet, { defval: null });
+    // Rows keep empty cells as null
+    const json = await dataLoader.loadDataset(FINES_DATASET_ID);
 
     // Expected columns:
     // YEAR, START_DATE, END_DATE, JURISDICTION, LOCATION,
@@ -39,16 +28,17 @@ async function loadFinesData() {
     }));
 }
 
+// Chart containers rendered from the fines workbook
+const FINES_CHART_IDS = [
+    'offense-distribution-chart',
+    'trends-chart',
+    'detection-method-chart',
+    'age-group-chart'
+];
+
 // Generic helper: show an error in all chart containers
 function showFinesError(message) {
-    const ids = [
-        'offense-distribution-chart',
-        'trends-chart',
-        'detection-method-chart',
-        'age-group-chart'
-    ];
-
-    ids.forEach(id => {
+    FINES_CHART_IDS.forEach(id => {
         const el = document.getElementById(id);
         if (el) {
             el.innerHTML = `
@@ -61,25 +51,172 @@ function showFinesError(message) {
     });
 }
 
-function getOrCreateTooltip() {
-    let tooltip = d3.select('body').select('.chart-tooltip');
-    if (tooltip.empty()) {
-        tooltip = d3.select('body')
-            .append('div')
-            .attr('class', 'chart-tooltip')
-            .style('position', 'absolute')
-            .style('visibility', 'hidden')
-            .style('background-color', 'rgba(0,0,0,0.9)')
-            .style('color', '#ffffff')
-            .style('padding', '12px 16px')
-            .style('border-radius', '8px')
-            .style('font-size', '13px')
-            .style('pointer-events', 'none')
-            .style('z-index', 1000)
-            .style('box-shadow', '0 4px 12px rgba(0,0,0,0.35)')
-            .style('max-width', '260px');
+// Glossary popovers and tooltip definitions (js/glossary.js); no-ops on pages without it
+function annotateGlossary(selection, field, valueOf) {
+    if (typeof glossary !== 'undefined' && glossary) {
+        glossary.annotate(selection, field, valueOf);
     }
-    return tooltip;
+}
+
+function glossaryNote(field, value) {
+    return typeof glossary !== 'undefined' && glossary ? glossary.note(field, value) : '';
+}
+
+// Hover tooltips for a chart's marks from the page's shared tooltip (js/chart_tooltip.js), which also
+// pins them on a click or tap; template(d) declares what the tooltip shows for a mark
+function bindTooltip(marks, containerId, template) {
+    marks
+        .on('mouseover.tooltip', (event, d) => chartTooltip.show(containerId, event, template(d)))
+        .on('mousemove.tooltip', event => chartTooltip.move(containerId, event))
+        .on('mouseout.tooltip', () => chartTooltip.hide(containerId));
+}
+
+// Keyboard access to a row of filter chips: the arrow keys (and Home/End) move between them, Enter and
+// Space toggle them as buttons, and Escape clears the filter
+function bindChipKeys(chips, clear) {
+    const nodes = chips.nodes();
+    chips.on('keydown.chips', function (event) {
+        const index = nodes.indexOf(this);
+        const moves = {
+            ArrowRight: index + 1,
+            ArrowDown: index + 1,
+            ArrowLeft: index - 1,
+            ArrowUp: index - 1,
+            Home: 0,
+            End: nodes.length - 1
+        };
+
+        if (event.key in moves) {
+            event.preventDefault();
+            nodes[(moves[event.key] + nodes.length) % nodes.length].focus();
+        } else if (event.key === 'Escape') {
+            clear();
+        }
+    });
+}
+
+// Hand what a chart currently plots to its data table (js/chart_table.js) and export menu (js/chart_export.js)
+function registerChartRows(containerId, rows, filters) {
+    if (typeof chartTable !== 'undefined' && chartTable) {
+        chartTable.attach(containerId, { rows: () => rows, filters });
+    }
+    if (typeof chartExporter !== 'undefined' && chartExporter) {
+        chartExporter.attach(containerId, { datasetId: FINES_DATASET_ID, rows: () => rows, filters });
+    }
+}
+
+// Length of a chart's redraw after a filter change (ms), as for the BaseChart charts (js/base_chart.js)
+const FINES_TRANSITION_DURATION = 750;
+
+// Whether the reader has asked the system for less motion
+function finesReducedMotion() {
+    return typeof BaseChart !== 'undefined' && BaseChart.reducedMotion();
+}
+
+// Set while redrawing for a resize, which jumps straight to the new layout
+let finesResizing = false;
+
+// Transition for a chart's redraw, or null after a resize or when the reader prefers reduced motion
+function finesTransition() {
+    if (finesResizing || finesReducedMotion()) return null;
+    return d3.transition()
+        .duration(FINES_TRANSITION_DURATION)
+        .ease(d3.easeCubicInOut);
+}
+
+// Run a selection's changes through the redraw's transition, or apply them at once without one
+function animateMarks(selection, t) {
+    return t ? selection.transition(t) : selection.interrupt();
+}
+
+// Narrowest a chart is drawn (in pixels); a narrower container scrolls it sideways (.chart-scroll)
+const FINES_MIN_WIDTH = 600;
+
+// Outer width of a chart: its container's width inside the padding, as for the BaseChart charts
+// (js/base_chart.js), up to maxWidth. A container that is not laid out yet gets maxWidth.
+function finesChartWidth(container, maxWidth) {
+    const node = container.node();
+    if (!node || !node.clientWidth) return maxWidth;
+
+    const style = window.getComputedStyle(node);
+    const width = node.clientWidth - parseFloat(style.paddingLeft || 0) - parseFloat(style.paddingRight || 0);
+    return Math.max(FINES_MIN_WIDTH, Math.min(width, maxWidth));
+}
+
+// Containers being watched for width changes → { redraw, width, timeout }
+const finesResizeWatches = new Map();
+
+// Redraw a chart once its container has stopped changing width; call it on every draw so the latest
+// redraw is the one run. Falls back to window resizes where ResizeObserver is missing.
+function observeFinesResize(container, redraw) {
+    const node = container.node();
+    const watched = finesResizeWatches.get(node);
+    if (watched) {
+        watched.redraw = redraw;
+        watched.width = node.clientWidth;
+        return;
+    }
+
+    const watch = { redraw, width: node.clientWidth, timeout: null };
+    finesResizeWatches.set(node, watch);
+
+    const handleResize = () => {
+        clearTimeout(watch.timeout);
+        watch.timeout = setTimeout(() => {
+            if (node.clientWidth === watch.width) return;
+            finesResizing = true;
+            try {
+                watch.redraw();
+            } finally {
+                finesResizing = false;
+            }
+        }, 150);
+    };
+
+    if (typeof ResizeObserver === 'undefined') {
+        window.addEventListener('resize', handleResize);
+    } else {
+        new ResizeObserver(handleResize).observe(node);
+    }
+}
+
+// Plot group of the chart's SVG in wrapper, created on the first draw and kept across filter changes so
+// redraws join the new data to the marks already there
+function finesPlot(wrapper, margin, width, height) {
+    wrapper.selectAll('.fines-chart-empty').remove();
+
+    const outerWidth = width + margin.left + margin.right;
+    const outerHeight = height + margin.top + margin.bottom;
+
+    return wrapper.selectAll('svg')
+        .data([null])
+        .join(enter => enter.append('svg')
+            .attr('preserveAspectRatio', 'xMidYMid meet'))
+        .attr('width', outerWidth)
+        .attr('height', outerHeight)
+        .attr('viewBox', `0 0 ${outerWidth} ${outerHeight}`)
+        .selectAll('g.plot')
+        .data([null])
+        .join('g')
+        .attr('class', 'plot')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+}
+
+// A named group in the plot, kept across redraws
+function finesLayer(plot, name) {
+    const layer = plot.selectChild(`g.${name}`);
+    return layer.empty() ? plot.append('g').attr('class', name) : layer;
+}
+
+// Replace the chart with a message; its next draw starts from an empty SVG
+function showFinesEmpty(wrapper, message) {
+    wrapper.selectAll('*').interrupt().remove();
+    wrapper.append('div')
+        .attr('class', 'fines-chart-empty')
+        .style('padding', '40px')
+        .style('text-align', 'center')
+        .style('color', 'var(--chart-text-muted)')
+        .text(message);
 }
 
 // =================== CHART 1: Offense Type Distribution ===================
@@ -87,7 +224,8 @@ function getOrCreateTooltip() {
 function renderOffenseDistribution(data) {
     console.log('Creating offense distribution chart with jurisdiction filter + tooltip...');
 
-    const container = d3.select('#offense-distribution-chart');
+    const containerId = 'offense-distribution-chart';
+    const container = d3.select(`#${containerId}`);
     if (container.empty()) return;
 
     const jurisdictions = Array.from(
@@ -123,11 +261,7 @@ function renderOffenseDistribution(data) {
         .attr('type', 'button')
         .attr('class', 'jurisdiction-chip chip-select-all')
         .text('Select All')
-        .on('click', () => {
-            selected = new Set(jurisdictions);
-            updateChipStates();
-            renderChart();
-        });
+        .on('click', selectAll);
 
     buttonsRow.append('button')
         .attr('type', 'button')
@@ -141,18 +275,9 @@ function renderOffenseDistribution(data) {
 
     const chipsRow = filterCard
         .append('div')
-        .attr('class', 'jurisdiction-chip-row');
-
-    const colorMap = {
-        ACT: '#dc2626',
-        NSW: '#2563eb',
-        NT:  '#ea580c',
-        QLD: '#7c3aed',
-        SA:  '#059669',
-        TAS: '#c026d3',
-        VIC: '#0891b2',
-        WA:  '#ca8a04'
-    };
+        .attr('class', 'jurisdiction-chip-row')
+        .attr('role', 'group')
+        .attr('aria-label', 'Jurisdictions');
 
     const chips = chipsRow
         .selectAll('button.jurisdiction-chip.jur')
@@ -161,7 +286,9 @@ function renderOffenseDistribution(data) {
         .append('button')
         .attr('type', 'button')
         .attr('class', 'jurisdiction-chip jur active')
-        .style('background-color', d => colorMap[d] || '#e5e7eb')
+        .attr('aria-pressed', 'true')
+        .style('background-color', d => chartStyles.jurisdictionColor(d, '#e5e7eb'))
+        .style('color', d => chartStyles.textColor(chartStyles.jurisdictionColor(d, '#e5e7eb')))
         .text(d => d)
         .on('click', function (event, d) {
             if (selected.has(d)) selected.delete(d);
@@ -170,18 +297,30 @@ function renderOffenseDistribution(data) {
             renderChart();
         });
 
+    annotateGlossary(chips, 'JURISDICTION');
+    bindChipKeys(chips, selectAll);
+
     function updateChipStates() {
         chips
             .classed('active', d => selected.has(d))
+            .attr('aria-pressed', d => String(selected.has(d)))
             .style('opacity', d => selected.has(d) ? 1 : 0.35);
     }
 
+    function selectAll() {
+        selected = new Set(jurisdictions);
+        updateChipStates();
+        renderChart();
+    }
+
     const chartWrapper = container
         .append('div')
         .attr('class', 'jurisdiction-chart-wrapper');
 
     function renderChart() {
-        chartWrapper.selectAll('*').remove();
+        chartTooltip.release(containerId);
+        observeFinesResize(container, renderChart);
+        const t = finesTransition();
 
         const filtered = data.filter(d =>
             selected.size === 0 ? false : selected.has(d.JURISDICTION)
@@ -197,25 +336,18 @@ function renderOffenseDistribution(data) {
             .filter(d => d.metric)
             .sort((a, b) => b.value - a.value);
 
+        registerChartRows('offense-distribution-chart', grouped.map(d => ({ metric: d.metric, fines: d.value })));
+
         if (!grouped.length) {
-            chartWrapper.append('div')
-                .style('padding', '40px')
-                .style('text-align', 'center')
-                .style('color', '#6b7280')
-                .text('No data to display. Select at least one jurisdiction.');
+            showFinesEmpty(chartWrapper, 'No data to display. Select at least one jurisdiction.');
             return;
         }
 
         const margin = { top: 30, right: 150, bottom: 90, left: 80 };
-        const width = 1000 - margin.left - margin.right;
+        const width = finesChartWidth(container, 1000) - margin.left - margin.right;
         const height = 400 - margin.top - margin.bottom;
 
-        const svg = chartWrapper
-            .append('svg')
-            .attr('viewBox', `0 0 ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`)
-            .attr('preserveAspectRatio', 'xMidYMid meet')
-            .append('g')
-            .attr('transform', `translate(${margin.left},${margin.top})`);
+        const svg = finesPlot(chartWrapper, margin, width, height);
 
         const x = d3.scaleBand()
             .domain(grouped.map(d => d.metric))
@@ -227,149 +359,217 @@ function renderOffenseDistribution(data) {
             .nice()
             .range([height, 0]);
 
-        svg.append('g')
+        animateMarks(finesLayer(svg, 'grid'), t)
             .call(
                 d3.axisLeft(y)
                     .tickSize(-width)
                     .tickFormat('')
-            )
-            .selectAll('line')
-            .attr('stroke', '#e5e7eb')
+            );
+
+        finesLayer(svg, 'grid').selectAll('line')
+            .attr('stroke', chartStyles.theme('grid'))
             .attr('stroke-dasharray', '3,3');
 
-        svg.append('g')
-            .attr('transform', `translate(0,${height})`)
-            .call(d3.axisBottom(x))
-            .selectAll('text')
+        const xAxis = finesLayer(svg, 'x-axis')
+            .attr('transform', `translate(0,${height})`);
+
+        animateMarks(xAxis, t)
+            .call(d3.axisBottom(x));
+
+        xAxis.selectAll('text')
             .attr('transform', 'rotate(-35)')
             .style('text-anchor', 'end')
-            .style('font-size', '12px');
+            .style('font-size', '12px')
+            .call(annotateGlossary, 'METRIC');
 
-        svg.append('g')
+        animateMarks(finesLayer(svg, 'y-axis'), t)
             .call(d3.axisLeft(y).tickFormat(v => v.toLocaleString()));
 
-        const palette = [
-            '#2563eb', '#4f46e5', '#0ea5e9', '#22c55e',
-            '#10b981', '#6366f1', '#38bdf8', '#f97316', '#fbbf24'
-        ];
-        const colorScale = d3.scaleOrdinal()
-            .domain(grouped.map(d => d.metric))
-            .range(palette);
+        const fillOf = metric => chartStyles.metricFill(svg, metric);
 
         const total = d3.sum(grouped, d => d.value);
-        const tooltip = getOrCreateTooltip();
-
-        const bars = svg.selectAll('.bar')
-            .data(grouped)
-            .enter()
-            .append('rect')
-            .attr('class', 'bar')
-            .attr('x', d => x(d.metric))
-            .attr('y', d => y(d.value))
-            .attr('width', d => x.bandwidth())
-            .attr('height', d => height - y(d.value))
-            .attr('rx', 4)
-            .attr('fill', d => colorScale(d.metric))
-            .on('mouseover', function (event, d) {
+        const tooltipTemplate = d => ({
+            title: d.metric.replace(/_/g, ' '),
+            rows: [{ label: 'Total fines', value: d.value.toLocaleString() }],
+            note: `Percentage of selected jurisdictions: ${(total ? (d.value / total) * 100 : 0).toFixed(1)}%`,
+            html: glossaryNote('METRIC', d.metric)
+        });
+
+        // Bars grow from the x axis and shrink back into it as the selection changes
+        finesLayer(svg, 'bars').selectAll('.bar')
+            .data(grouped, d => d.metric)
+            .join(
+                enter => enter.append('rect')
+                    .attr('class', 'bar')
+                    .attr('x', d => x(d.metric))
+                    .attr('y', height)
+                    .attr('width', x.bandwidth())
+                    .attr('height', 0)
+                    .attr('rx', 4),
+                update => update,
+                exit => animateMarks(exit, t)
+                    .attr('y', height)
+                    .attr('height', 0)
+                    .remove()
+            )
+            .attr('fill', d => fillOf(d.metric))
+            .on('mouseover', function () {
                 d3.select(this).attr('opacity', 0.9);
-                const pct = total ? (d.value / total) * 100 : 0;
-                const label = d.metric.replace(/_/g, ' ');
-                tooltip.html(`
-                    <div style="font-weight:700; margin-bottom:6px;">${label}</div>
-                    <div><strong>Total fines:</strong> ${d.value.toLocaleString()}</div>
-                    <div style="margin-top:4px; font-size:11px; color:#cbd5e1;">
-                        Percentage of selected jurisdictions: ${pct.toFixed(1)}%
-                    </div>
-                `)
-                .style('visibility', 'visible')
-                .style('left', (event.pageX + 15) + 'px')
-                .style('top', (event.pageY - 15) + 'px');
-            })
-            .on('mousemove', function (event) {
-                tooltip
-                    .style('left', (event.pageX + 15) + 'px')
-                    .style('top', (event.pageY - 15) + 'px');
             })
             .on('mouseout', function () {
                 d3.select(this).attr('opacity', 1);
-                tooltip.style('visibility', 'hidden');
-            });
-
-        svg.selectAll('.bar-label')
-            .data(grouped)
-            .enter()
-            .append('text')
-            .attr('class', 'bar-label')
-            .attr('x', d => x(d.metric) + x.bandwidth() / 2)
-            .attr('y', d => y(d.value) - 8)
-            .attr('text-anchor', 'middle')
-            .style('font-size', '11px')
-            .style('font-weight', '600')
-            .style('fill', '#111827')
-            .text(d => d.value.toLocaleString());
-
-        const legend = svg.append('g')
-            .attr('class', 'offense-legend')
+            })
+            .call(bindTooltip, containerId, tooltipTemplate)
+            .call(bars => animateMarks(bars, t)
+                .attr('x', d => x(d.metric))
+                .attr('y', d => y(d.value))
+                .attr('width', x.bandwidth())
+                .attr('height', d => height - y(d.value)));
+
+        finesLayer(svg, 'bar-labels').selectAll('.bar-label')
+            .data(grouped, d => d.metric)
+            .join(
+                enter => enter.append('text')
+                    .attr('class', 'bar-label')
+                    .attr('x', d => x(d.metric) + x.bandwidth() / 2)
+                    .attr('y', height - 8)
+                    .attr('text-anchor', 'middle')
+                    .style('font-size', '11px')
+                    .style('font-weight', '600')
+                    .style('opacity', 0),
+                update => update,
+                exit => animateMarks(exit, t)
+                    .attr('y', height - 8)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .style('fill', chartStyles.theme('text-strong'))
+            .text(d => d.value.toLocaleString())
+            .call(labels => animateMarks(labels, t)
+                .attr('x', d => x(d.metric) + x.bandwidth() / 2)
+                .attr('y', d => y(d.value) - 8)
+                .style('opacity', 1));
+
+        const legend = finesLayer(svg, 'offense-legend')
             .attr('transform', `translate(${width + 20}, 10)`);
 
-        legend.append('text')
+        legend.selectAll('.legend-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'legend-title')
             .attr('x', 0)
             .attr('y', 0)
             .style('font-size', '12px')
             .style('font-weight', '700')
-            .style('fill', '#111827')
+            .style('fill', chartStyles.theme('text-strong'))
             .text('Offense Types');
 
-        const legendItems = legend.selectAll('.offense-legend-item')
-            .data(grouped)
-            .enter()
-            .append('g')
-            .attr('class', 'offense-legend-item')
-            .attr('transform', (d, i) => `translate(0, ${18 + i * 18})`);
-
-        legendItems.append('rect')
-            .attr('x', 0)
-            .attr('y', -10)
-            .attr('width', 10)
-            .attr('height', 10)
-            .attr('rx', 2)
-            .attr('fill', d => colorScale(d.metric));
-
-        legendItems.append('text')
-            .attr('x', 16)
-            .attr('y', 0)
-            .style('font-size', '11px')
-            .style('fill', '#374151')
-            .text(d => d.metric.replace(/_/g, ' '));
+        legend.selectAll('.offense-legend-item')
+            .data(grouped, d => d.metric)
+            .join(
+                enter => {
+                    const item = enter.append('g')
+                        .attr('class', 'offense-legend-item')
+                        .attr('transform', (d, i) => `translate(0, ${18 + i * 18})`)
+                        .style('opacity', 0);
+
+                    item.append('rect')
+                        .attr('x', 0)
+                        .attr('y', -10)
+                        .attr('width', 10)
+                        .attr('height', 10)
+                        .attr('rx', 2);
+
+                    item.append('text')
+                        .attr('x', 16)
+                        .attr('y', 0)
+                        .style('font-size', '11px')
+                        .text(d => d.metric.replace(/_/g, ' '));
+
+                    return item;
+                },
+                update => update,
+                exit => animateMarks(exit, t)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .call(items => {
+                items.select('rect')
+                    .attr('fill', d => fillOf(d.metric));
+                items.select('text')
+                    .style('fill', chartStyles.theme('text'));
+                animateMarks(items, t)
+                    .attr('transform', (d, i) => `translate(0, ${18 + i * 18})`)
+                    .style('opacity', 1);
+            });
     }
-
     updateChipStates();
     renderChart();
 }
 
 // =================== CHART 2: Trends Over Time ===================
-function renderTrendsOverTime(data) {
+// options.annualise scales jurisdictions with partial reporting periods to a full-year equivalent
+function renderTrendsOverTime(data, options = {}) {
     const containerId = 'trends-chart';
     const container = d3.select(`#${containerId}`);
     if (container.empty()) return;
 
+    const annualise = !!options.annualise;
+    const rows = data.filter(d => d.YEAR != null);
+
+    // ---- Reporting periods: jurisdictions covering less than a full year ----
+    const partialByYear = d3.group(
+        dataLoader.reportingPeriods(rows).filter(p => p.PARTIAL),
+        p => p.YEAR
+    );
+
     // ---- Prep data: sum FINES by YEAR ----
     const series = Array.from(
         d3.rollup(
-            data.filter(d => d.YEAR != null),
+            annualise ? dataLoader.annualise(rows, 'FINES') : rows,
             v => d3.sum(v, d => d.FINES),
             d => d.YEAR
         ),
-        ([year, totalFines]) => ({ year: +year, totalFines })
+        ([year, totalFines]) => ({ year: +year, totalFines, partial: partialByYear.get(year) || [] })
     )
         .filter(d => !isNaN(d.year))
         .sort((a, b) => a.year - b.year);
 
     container.selectAll('*').remove();
+    registerChartRows(
+        containerId,
+        series.map(d => ({ year: d.year, totalFines: d.totalFines, annualised: annualise && d.partial.length > 0 })),
+        annualise ? 'Partial years annualised' : undefined
+    );
+
+    // ---- Annualise toggle (only when some year is incomplete) ----
+    if (partialByYear.size > 0) {
+        const toggle = container
+            .append('label')
+            .attr('class', 'annualise-toggle')
+            .style('display', 'inline-flex')
+            .style('align-items', 'center')
+            .style('gap', '8px')
+            .style('margin-bottom', '10px')
+            .style('font-size', '13px')
+            .style('font-weight', '600')
+            .style('color', 'var(--chart-text)')
+            .style('cursor', 'pointer');
+
+        toggle.append('input')
+            .attr('type', 'checkbox')
+            .property('checked', annualise)
+            .on('change', event => {
+                renderTrendsOverTime(data, { ...options, annualise: event.target.checked });
+            });
+
+        toggle.append('span')
+            .text('Annualise partial years (scale to a full-year equivalent)');
+    }
 
     // ---- Layout (same as Overall Positive chart) ----
     const margin = { top: 60, right: 80, bottom: 80, left: 100 };
-    const width = 1200 - margin.left - margin.right;
+    const width = finesChartWidth(container, 1200) - margin.left - margin.right;
     const height = 500 - margin.top - margin.bottom;
 
     const svg = container
@@ -379,21 +579,9 @@ function renderTrendsOverTime(data) {
         .append('g')
         .attr('transform', `translate(${margin.left},${margin.top})`);
 
-    // ---- Tooltip (floating black box) ----
-    const tooltip = d3.select('body')
-        .append('div')
-        .attr('class', 'chart-tooltip')
-        .style('position', 'absolute')
-        .style('visibility', 'hidden')
-        .style('background-color', 'rgba(0,0,0,0.9)')
-        .style('color', '#ffffff')
-        .style('padding', '12px 16px')
-        .style('border-radius', '8px')
-        .style('font-size', '13px')
-        .style('pointer-events', 'none')
-        .style('z-index', 1000)
-        .style('box-shadow', '0 4px 12px rgba(0,0,0,0.35)')
-        .style('max-width', '260px');
+    // ---- Tooltip: the page's shared one (js/chart_tooltip.js); drop it if pinned to the old points ----
+    chartTooltip.release(containerId);
+    observeFinesResize(container, () => renderTrendsOverTime(data, options));
 
     // ---- Scales ----
     const x = d3.scaleLinear()
@@ -414,7 +602,7 @@ function renderTrendsOverTime(data) {
                 .tickFormat('')
         )
         .selectAll('line')
-        .attr('stroke', '#e5e7eb')
+        .attr('stroke', chartStyles.theme('grid'))
         .attr('stroke-opacity', 0.7)
         .attr('stroke-dasharray', '3,3');
 
@@ -450,7 +638,7 @@ function renderTrendsOverTime(data) {
         .attr('text-anchor', 'middle')
         .style('font-size', '14px')
         .style('font-weight', '600')
-        .style('fill', '#1e293b')
+        .style('fill', chartStyles.theme('text'))
         .text('Year');
 
     svg.append('text')
@@ -460,10 +648,11 @@ function renderTrendsOverTime(data) {
         .attr('text-anchor', 'middle')
         .style('font-size', '14px')
         .style('font-weight', '600')
-        .style('fill', '#1e293b')
+        .style('fill', chartStyles.theme('text'))
         .text('Total Fines');
 
-    // ---- Gradient fill under line (blue area) ----
+    // ---- Gradient fill under line ----
+    const color = chartStyles.metricColor('FINES');
     const defs = svg.append('defs');
     const gradient = defs.append('linearGradient')
         .attr('id', 'finesTrendGradient')
@@ -472,12 +661,12 @@ function renderTrendsOverTime(data) {
 
     gradient.append('stop')
         .attr('offset', '0%')
-        .attr('stop-color', '#3b82f6')
+        .attr('stop-color', color)
         .attr('stop-opacity', 0.32);
 
     gradient.append('stop')
         .attr('offset', '100%')
-        .attr('stop-color', '#3b82f6')
+        .attr('stop-color', color)
         .attr('stop-opacity', 0.03);
 
     const area = d3.area()
@@ -500,23 +689,26 @@ function renderTrendsOverTime(data) {
     const path = svg.append('path')
         .datum(series)
         .attr('fill', 'none')
-        .attr('stroke', '#2563eb')
+        .attr('stroke', color)
         .attr('stroke-width', 4)
         .attr('stroke-linecap', 'round')
         .attr('d', line);
 
-    // Draw animation
-    const totalLength = path.node().getTotalLength();
-    path
-        .attr('stroke-dasharray', totalLength + ' ' + totalLength)
-        .attr('stroke-dashoffset', totalLength)
-        .transition()
-        .duration(1500)
-        .ease(d3.easeLinear)
-        .attr('stroke-dashoffset', 0)
-        .on('end', function () {
-            d3.select(this).attr('stroke-dasharray', 'none');
-        });
+    // Draw animation, skipped after a resize or when the reader prefers reduced motion
+    const drawIn = !finesResizing && !finesReducedMotion();
+    if (drawIn) {
+        const totalLength = path.node().getTotalLength();
+        path
+            .attr('stroke-dasharray', totalLength + ' ' + totalLength)
+            .attr('stroke-dashoffset', totalLength)
+            .transition()
+            .duration(1500)
+            .ease(d3.easeLinear)
+            .attr('stroke-dashoffset', 0)
+            .on('end', function () {
+                d3.select(this).attr('stroke-dasharray', 'none');
+            });
+    }
 
     // ---- Stats box (Peak year, Peak count, Average) ----
     const total = d3.sum(series, d => d.totalFines);
@@ -535,8 +727,8 @@ function renderTrendsOverTime(data) {
         .attr('width', 180)
         .attr('height', 120)
         .attr('rx', 8)
-        .attr('fill', '#f8fafc')
-        .attr('stroke', '#e5e7eb')
+        .attr('fill', chartStyles.theme('surface-alt'))
+        .attr('stroke', chartStyles.theme('grid'))
         .attr('stroke-width', 1);
 
     // Title
@@ -546,12 +738,12 @@ function renderTrendsOverTime(data) {
         .attr('text-anchor', 'middle')
         .style('font-size', '12px')
         .style('font-weight', '700')
-        .style('fill', '#64748b')
+        .style('fill', chartStyles.theme('text-muted'))
         .text('STATISTICS');
 
     const statsData = [
         { label: 'Peak Year:', value: peakYear },
-        { label: 'Peak Fines:', value: max.toLocaleString() },
+        { label: 'Peak Fines:', value: Math.round(max).toLocaleString() },
         { label: 'Average:', value: Math.round(avg).toLocaleString() }
     ];
 
@@ -563,7 +755,7 @@ function renderTrendsOverTime(data) {
             .attr('y', yPos)
             .style('font-size', '11px')
             .style('font-weight', '600')
-            .style('fill', '#475569')
+            .style('fill', chartStyles.theme('text-secondary'))
             .text(stat.label);
 
         stats.append('text')
@@ -572,7 +764,7 @@ function renderTrendsOverTime(data) {
             .attr('text-anchor', 'end')
             .style('font-size', '11px')
             .style('font-weight', '700')
-            .style('fill', '#1e293b')
+            .style('fill', chartStyles.theme('text'))
             .text(stat.value);
     });
 
@@ -586,63 +778,76 @@ function renderTrendsOverTime(data) {
         return ((current - prev) / prev) * 100;
     }
 
-    // ---- Points + hover (tooltip + highlight) ----
+    // ---- Points + hover (tooltip + highlight); hollow dashed points mark incomplete years ----
     svg.selectAll('.trend-dot')
         .data(series)
         .enter()
         .append('circle')
-        .attr('class', 'trend-dot')
+        .attr('class', d => d.partial.length > 0 ? 'trend-dot trend-dot-partial' : 'trend-dot')
         .attr('cx', d => x(d.year))
         .attr('cy', d => y(d.totalFines))
         .attr('r', 6)
-        .attr('fill', '#3b82f6')
-        .attr('stroke', '#ffffff')
+        .attr('fill', d => d.partial.length > 0 ? chartStyles.theme('surface') : color)
+        .attr('stroke', d => d.partial.length > 0 ? color : chartStyles.theme('surface'))
         .attr('stroke-width', 2)
-        .style('opacity', 0)
+        .attr('stroke-dasharray', d => d.partial.length > 0 ? '3,2' : null)
+        .style('opacity', drawIn ? 0 : 1)
         .style('cursor', 'pointer')
+        .filter(() => drawIn)
         .transition()
         .delay(1500)
         .duration(500)
         .style('opacity', 1);
 
-    svg.selectAll('.trend-dot')
-        .on('mouseover', function (event, d) {
-            d3.select(this).attr('r', 7.5);
+    const partialSeries = series.filter(d => d.partial.length > 0);
+    if (partialSeries.length > 0) {
+        partialSeries.forEach(d => {
+            svg.append('text')
+                .attr('class', 'partial-label')
+                .attr('x', x(d.year))
+                .attr('y', y(d.totalFines) + 22)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '10px')
+                .style('font-weight', '700')
+                .style('fill', '#b45309')
+                .text(annualise ? 'Annualised' : 'Partial year');
+        });
 
-            const pct = getPercentChange(d.year);
-            const changeHtml = pct !== null
-                ? `<div style="margin-top: 6px; padding-top: 6px; border-top: 1px solid rgba(255,255,255,0.2);">
-                        <strong>Year-over-year:</strong> ${pct > 0 ? '+' : ''}${pct.toFixed(1)}%
-                   </div>`
-                : '';
+        svg.append('text')
+            .attr('class', 'partial-note')
+            .attr('x', 0)
+            .attr('y', height + 72)
+            .style('font-size', '11px')
+            .style('fill', chartStyles.theme('text-muted'))
+            .text(`○ Hollow points: at least one jurisdiction reported less than a full year (${partialSeries.map(d => d.year).join(', ')})` +
+                (annualise ? '; values scaled to a full-year equivalent.' : '.'));
+    }
 
-            const html = `
-                <div style="font-weight:700; margin-bottom:6px; font-size:14px;">
-                    Year ${d.year}
-                </div>
-                <div style="margin-bottom:4px;">
-                    <strong>Total Fines:</strong> ${d.totalFines.toLocaleString()}
-                </div>
-                <div style="font-size:11px; color:#cbd5e1;">
-                    Across all jurisdictions
-                </div>
-                ${changeHtml}
-            `;
+    const tooltipTemplate = d => {
+        const pct = getPercentChange(d.year);
+        return {
+            title: `Year ${d.year}`,
+            rows: [{
+                label: `Total Fines${annualise && d.partial.length > 0 ? ' (annualised)' : ''}`,
+                value: Math.round(d.totalFines).toLocaleString()
+            }],
+            warning: d.partial.length > 0 && {
+                title: 'Incomplete year',
+                lines: d.partial.map(p => `${p.JURISDICTION}: ${p.START_DATE} to ${p.END_DATE} (${Math.round(p.COVERAGE * 100)}% of a year)`)
+            },
+            note: 'Across all jurisdictions',
+            footer: pct !== null && [{ label: 'Year-over-year', value: `${pct > 0 ? '+' : ''}${pct.toFixed(1)}%` }]
+        };
+    };
 
-            tooltip.html(html).style('visibility', 'visible');
-            tooltip
-                .style('left', (event.pageX + 15) + 'px')
-                .style('top', (event.pageY - 15) + 'px');
-        })
-        .on('mousemove', function (event) {
-            tooltip
-                .style('left', (event.pageX + 15) + 'px')
-                .style('top', (event.pageY - 15) + 'px');
+    svg.selectAll('.trend-dot')
+        .on('mouseover', function () {
+            d3.select(this).attr('r', 7.5);
         })
         .on('mouseout', function () {
             d3.select(this).attr('r', 6);
-            tooltip.style('visibility', 'hidden');
-        });
+        })
+        .call(bindTooltip, containerId, tooltipTemplate);
 }
 
 /**
@@ -679,7 +884,7 @@ function renderJurisdictionComparison(data) {
         xLabel: 'Jurisdiction',
         yLabel: 'Count',
         title: 'Enforcement Outcomes by Jurisdiction',
-        colors: ['#2563eb', '#f59e0b', '#ef4444'],
+        colors: ['FINES', 'ARRESTS', 'CHARGES'].map(metric => chartStyles.metricColor(metric)),
         showLegend: true
     });
 
@@ -690,7 +895,8 @@ function renderJurisdictionComparison(data) {
 function renderDetectionMethodImpact(data) {
     console.log('Creating detection method impact chart with jurisdiction filter + tooltip...');
 
-    const container = d3.select('#detection-method-chart');
+    const containerId = 'detection-method-chart';
+    const container = d3.select(`#${containerId}`);
     if (container.empty()) return;
 
     const jurisdictions = Array.from(
@@ -722,11 +928,7 @@ function renderDetectionMethodImpact(data) {
         .attr('type', 'button')
         .attr('class', 'jurisdiction-chip chip-select-all')
         .text('Select All')
-        .on('click', () => {
-            selected = new Set(jurisdictions);
-            updateChipStates();
-            renderChart();
-        });
+        .on('click', selectAll);
 
     buttonsRow.append('button')
         .attr('type', 'button')
@@ -741,24 +943,15 @@ function renderDetectionMethodImpact(data) {
     const chipsRow = filterCard.append('div')
         .attr('class', 'jurisdiction-chip-row');
 
-    const colorMap = {
-        ACT: '#dc2626',
-        NSW: '#2563eb',
-        NT:  '#ea580c',
-        QLD: '#7c3aed',
-        SA:  '#059669',
-        TAS: '#c026d3',
-        VIC: '#0891b2',
-        WA:  '#ca8a04'
-    };
-
     const chips = chipsRow.selectAll('button.jurisdiction-chip.jur')
         .data(jurisdictions)
         .enter()
         .append('button')
         .attr('type', 'button')
         .attr('class', 'jurisdiction-chip jur active')
-        .style('background-color', d => colorMap[d] || '#e5e7eb')
+        .attr('aria-pressed', 'true')
+        .style('background-color', d => chartStyles.jurisdictionColor(d, '#e5e7eb'))
+        .style('color', d => chartStyles.textColor(chartStyles.jurisdictionColor(d, '#e5e7eb')))
         .text(d => d)
         .on('click', function (event, d) {
             if (selected.has(d)) selected.delete(d);
@@ -767,17 +960,29 @@ function renderDetectionMethodImpact(data) {
             renderChart();
         });
 
+    annotateGlossary(chips, 'JURISDICTION');
+    bindChipKeys(chips, selectAll);
+
     function updateChipStates() {
         chips
             .classed('active', d => selected.has(d))
+            .attr('aria-pressed', d => String(selected.has(d)))
             .style('opacity', d => selected.has(d) ? 1 : 0.35);
     }
 
+    function selectAll() {
+        selected = new Set(jurisdictions);
+        updateChipStates();
+        renderChart();
+    }
+
     const chartWrapper = container.append('div')
         .attr('class', 'jurisdiction-chart-wrapper');
 
     function renderChart() {
-        chartWrapper.selectAll('*').remove();
+        chartTooltip.release(containerId);
+        observeFinesResize(container, renderChart);
+        const t = finesTransition();
 
         const filtered = data.filter(d =>
             selected.size === 0 ? false : selected.has(d.JURISDICTION)
@@ -793,24 +998,21 @@ function renderDetectionMethodImpact(data) {
             .filter(d => d.method)
             .sort((a, b) => b.value - a.value);
 
+        registerChartRows('detection-method-chart', grouped.map(d => ({
+            detectionMethod: d.method,
+            finesArrestsAndCharges: d.value
+        })));
+
         if (!grouped.length) {
-            chartWrapper.append('div')
-                .style('padding', '40px')
-                .style('text-align', 'center')
-                .style('color', '#6b7280')
-                .text('No data to display. Select at least one jurisdiction.');
+            showFinesEmpty(chartWrapper, 'No data to display. Select at least one jurisdiction.');
             return;
         }
 
         const margin = { top: 30, right: 150, bottom: 70, left: 80 };
-        const width = 1000 - margin.left - margin.right;
+        const width = finesChartWidth(container, 1000) - margin.left - margin.right;
         const height = 400 - margin.top - margin.bottom;
 
-        const svg = chartWrapper.append('svg')
-            .attr('viewBox', `0 0 ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`)
-            .attr('preserveAspectRatio', 'xMidYMid meet')
-            .append('g')
-            .attr('transform', `translate(${margin.left},${margin.top})`);
+        const svg = finesPlot(chartWrapper, margin, width, height);
 
         const x = d3.scaleBand()
             .domain(grouped.map(d => d.method))
@@ -822,122 +1024,159 @@ function renderDetectionMethodImpact(data) {
             .nice()
             .range([height, 0]);
 
-        svg.append('g')
+        animateMarks(finesLayer(svg, 'grid'), t)
             .call(
                 d3.axisLeft(y)
                     .tickSize(-width)
                     .tickFormat('')
-            )
-            .selectAll('line')
-            .attr('stroke', '#e5e7eb')
+            );
+
+        finesLayer(svg, 'grid').selectAll('line')
+            .attr('stroke', chartStyles.theme('grid'))
             .attr('stroke-dasharray', '3,3');
 
-        svg.append('g')
-            .attr('transform', `translate(0,${height})`)
-            .call(d3.axisBottom(x))
-            .selectAll('text')
+        const xAxis = finesLayer(svg, 'x-axis')
+            .attr('transform', `translate(0,${height})`);
+
+        animateMarks(xAxis, t)
+            .call(d3.axisBottom(x));
+
+        xAxis.selectAll('text')
             .attr('transform', 'rotate(-20)')
             .style('text-anchor', 'end')
-            .style('font-size', '12px');
+            .style('font-size', '12px')
+            .call(annotateGlossary, 'DETECTION_METHOD');
 
-        svg.append('g')
+        animateMarks(finesLayer(svg, 'y-axis'), t)
             .call(d3.axisLeft(y).tickFormat(v => v.toLocaleString()));
 
         const palette = [
             '#2563eb', '#4f46e5', '#0ea5e9', '#22c55e',
             '#10b981', '#6366f1', '#38bdf8', '#f97316', '#fbbf24'
         ];
+        const methods = grouped.map(d => d.method);
         const colorScale = d3.scaleOrdinal()
-            .domain(grouped.map(d => d.method))
-            .range(palette);
+            .domain(methods)
+            .range(chartStyles.categoryPalette(palette));
+        const fillOf = method => chartStyles.categoryFill(svg, colorScale(method), methods.indexOf(method));
 
         const total = d3.sum(grouped, d => d.value);
-        const tooltip = getOrCreateTooltip();
-
-        svg.selectAll('.bar')
-            .data(grouped)
-            .enter()
-            .append('rect')
-            .attr('class', 'bar')
-            .attr('x', d => x(d.method))
-            .attr('y', d => y(d.value))
-            .attr('width', d => x.bandwidth())
-            .attr('height', d => height - y(d.value))
-            .attr('rx', 4)
-            .attr('fill', d => colorScale(d.method))
-            .on('mouseover', function (event, d) {
+        const tooltipTemplate = d => ({
+            title: d.method,
+            rows: [{ label: 'Total outcomes', value: d.value.toLocaleString() }],
+            note: `Fines + arrests + charges. Percentage of selected jurisdictions: ${(total ? (d.value / total) * 100 : 0).toFixed(1)}%`,
+            html: glossaryNote('DETECTION_METHOD', d.method)
+        });
+
+        // Bars grow from the x axis and shrink back into it as the selection changes
+        finesLayer(svg, 'bars').selectAll('.bar')
+            .data(grouped, d => d.method)
+            .join(
+                enter => enter.append('rect')
+                    .attr('class', 'bar')
+                    .attr('x', d => x(d.method))
+                    .attr('y', height)
+                    .attr('width', x.bandwidth())
+                    .attr('height', 0)
+                    .attr('rx', 4),
+                update => update,
+                exit => animateMarks(exit, t)
+                    .attr('y', height)
+                    .attr('height', 0)
+                    .remove()
+            )
+            .attr('fill', d => fillOf(d.method))
+            .on('mouseover', function () {
                 d3.select(this).attr('opacity', 0.9);
-                const pct = total ? (d.value / total) * 100 : 0;
-                tooltip.html(`
-                    <div style="font-weight:700; margin-bottom:6px;">${d.method}</div>
-                    <div><strong>Total outcomes:</strong> ${d.value.toLocaleString()}</div>
-                    <div style="margin-top:4px; font-size:11px; color:#cbd5e1;">
-                        (Fines + arrests + charges)<br/>
-                        Percentage of selected jurisdictions: ${pct.toFixed(1)}%
-                    </div>
-                `)
-                .style('visibility', 'visible')
-                .style('left', (event.pageX + 15) + 'px')
-                .style('top', (event.pageY - 15) + 'px');
-            })
-            .on('mousemove', function (event) {
-                tooltip
-                    .style('left', (event.pageX + 15) + 'px')
-                    .style('top', (event.pageY - 15) + 'px');
             })
             .on('mouseout', function () {
                 d3.select(this).attr('opacity', 1);
-                tooltip.style('visibility', 'hidden');
-            });
-
-        svg.selectAll('.bar-label')
-            .data(grouped)
-            .enter()
-            .append('text')
-            .attr('class', 'bar-label')
-            .attr('x', d => x(d.method) + x.bandwidth() / 2)
-            .attr('y', d => y(d.value) - 8)
-            .attr('text-anchor', 'middle')
-            .style('font-size', '11px')
-            .style('font-weight', '600')
-            .style('fill', '#111827')
-            .text(d => d.value.toLocaleString());
-
-        const legend = svg.append('g')
-            .attr('class', 'detection-legend')
+            })
+            .call(bindTooltip, containerId, tooltipTemplate)
+            .call(bars => animateMarks(bars, t)
+                .attr('x', d => x(d.method))
+                .attr('y', d => y(d.value))
+                .attr('width', x.bandwidth())
+                .attr('height', d => height - y(d.value)));
+
+        finesLayer(svg, 'bar-labels').selectAll('.bar-label')
+            .data(grouped, d => d.method)
+            .join(
+                enter => enter.append('text')
+                    .attr('class', 'bar-label')
+                    .attr('x', d => x(d.method) + x.bandwidth() / 2)
+                    .attr('y', height - 8)
+                    .attr('text-anchor', 'middle')
+                    .style('font-size', '11px')
+                    .style('font-weight', '600')
+                    .style('opacity', 0),
+                update => update,
+                exit => animateMarks(exit, t)
+                    .attr('y', height - 8)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .style('fill', chartStyles.theme('text-strong'))
+            .text(d => d.value.toLocaleString())
+            .call(labels => animateMarks(labels, t)
+                .attr('x', d => x(d.method) + x.bandwidth() / 2)
+                .attr('y', d => y(d.value) - 8)
+                .style('opacity', 1));
+
+        const legend = finesLayer(svg, 'detection-legend')
             .attr('transform', `translate(${width + 20}, 10)`);
 
-        legend.append('text')
+        legend.selectAll('.legend-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'legend-title')
             .attr('x', 0)
             .attr('y', 0)
             .style('font-size', '12px')
             .style('font-weight', '700')
-            .style('fill', '#111827')
+            .style('fill', chartStyles.theme('text-strong'))
             .text('Detection Methods');
 
-        const legendItems = legend.selectAll('.detection-legend-item')
-            .data(grouped)
-            .enter()
-            .append('g')
-            .attr('class', 'detection-legend-item')
-            .attr('transform', (d, i) => `translate(0, ${18 + i * 18})`);
-
-        legendItems.append('rect')
-            .attr('x', 0)
-            .attr('y', -10)
-            .attr('width', 10)
-            .attr('height', 10)
-            .attr('rx', 2)
-            .attr('fill', d => colorScale(d.method));
-
-        legendItems.append('text')
-            .attr('x', 16)
-            .attr('y', 0)
-            .style('font-size', '11px')
-            .style('fill', '#374151')
-            .text(d => d.method);
+        legend.selectAll('.detection-legend-item')
+            .data(grouped, d => d.method)
+            .join(
+                enter => {
+                    const item = enter.append('g')
+                        .attr('class', 'detection-legend-item')
+                        .attr('transform', (d, i) => `translate(0, ${18 + i * 18})`)
+                        .style('opacity', 0);
+
+                    item.append('rect')
+                        .attr('x', 0)
+                        .attr('y', -10)
+                        .attr('width', 10)
+                        .attr('height', 10)
+                        .attr('rx', 2);
+
+                    item.append('text')
+                        .attr('x', 16)
+                        .attr('y', 0)
+                        .style('font-size', '11px')
+                        .text(d => d.method)
+                        .call(annotateGlossary, 'DETECTION_METHOD', d => d.method);
+
+                    return item;
+                },
+                update => update,
+                exit => animateMarks(exit, t)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .call(items => {
+                items.select('rect')
+                    .attr('fill', d => fillOf(d.method));
+                items.select('text')
+                    .style('fill', chartStyles.theme('text'));
+                animateMarks(items, t)
+                    .attr('transform', (d, i) => `translate(0, ${18 + i * 18})`)
+                    .style('opacity', 1);
+            });
     }
-
     updateChipStates();
     renderChart();
 }
@@ -946,7 +1185,8 @@ function renderDetectionMethodImpact(data) {
 function renderAgeGroupAnalysis(data) {
     console.log('Creating age group analysis chart (no All ages bar) with jurisdiction filter + tooltip...');
 
-    const container = d3.select('#age-group-chart');
+    const containerId = 'age-group-chart';
+    const container = d3.select(`#${containerId}`);
     if (container.empty()) return;
 
     const jurisdictions = Array.from(
@@ -978,11 +1218,7 @@ function renderAgeGroupAnalysis(data) {
         .attr('type', 'button')
         .attr('class', 'jurisdiction-chip chip-select-all')
         .text('Select All')
-        .on('click', () => {
-            selected = new Set(jurisdictions);
-            updateChipStates();
-            renderChart();
-        });
+        .on('click', selectAll);
 
     buttonsRow.append('button')
         .attr('type', 'button')
@@ -997,24 +1233,15 @@ function renderAgeGroupAnalysis(data) {
     const chipsRow = filterCard.append('div')
         .attr('class', 'jurisdiction-chip-row');
 
-    const colorMap = {
-        ACT: '#dc2626',
-        NSW: '#2563eb',
-        NT:  '#ea580c',
-        QLD: '#7c3aed',
-        SA:  '#059669',
-        TAS: '#c026d3',
-        VIC: '#0891b2',
-        WA:  '#ca8a04'
-    };
-
     const chips = chipsRow.selectAll('button.jurisdiction-chip.jur')
         .data(jurisdictions)
         .enter()
         .append('button')
         .attr('type', 'button')
         .attr('class', 'jurisdiction-chip jur active')
-        .style('background-color', d => colorMap[d] || '#e5e7eb')
+        .attr('aria-pressed', 'true')
+        .style('background-color', d => chartStyles.jurisdictionColor(d, '#e5e7eb'))
+        .style('color', d => chartStyles.textColor(chartStyles.jurisdictionColor(d, '#e5e7eb')))
         .text(d => d)
         .on('click', function (event, d) {
             if (selected.has(d)) selected.delete(d);
@@ -1023,17 +1250,29 @@ function renderAgeGroupAnalysis(data) {
             renderChart();
         });
 
+    annotateGlossary(chips, 'JURISDICTION');
+    bindChipKeys(chips, selectAll);
+
     function updateChipStates() {
         chips
             .classed('active', d => selected.has(d))
+            .attr('aria-pressed', d => String(selected.has(d)))
             .style('opacity', d => selected.has(d) ? 1 : 0.35);
     }
 
+    function selectAll() {
+        selected = new Set(jurisdictions);
+        updateChipStates();
+        renderChart();
+    }
+
     const chartWrapper = container.append('div')
         .attr('class', 'jurisdiction-chart-wrapper');
 
     function renderChart() {
-        chartWrapper.selectAll('*').remove();
+        chartTooltip.release(containerId);
+        observeFinesResize(container, renderChart);
+        const t = finesTransition();
 
         const filtered = data.filter(d =>
             selected.size === 0 ? false : selected.has(d.JURISDICTION)
@@ -1055,24 +1294,18 @@ function renderAgeGroupAnalysis(data) {
 
         grouped.sort((a, b) => String(a.age).localeCompare(String(b.age)));
 
+        registerChartRows('age-group-chart', grouped.map(d => ({ ageGroup: d.age, fines: d.value })));
+
         if (!grouped.length) {
-            chartWrapper.append('div')
-                .style('padding', '40px')
-                .style('text-align', 'center')
-                .style('color', '#6b7280')
-                .text('No data to display. Select at least one jurisdiction.');
+            showFinesEmpty(chartWrapper, 'No data to display. Select at least one jurisdiction.');
             return;
         }
 
         const margin = { top: 30, right: 100, bottom: 90, left: 80 };
-        const width = 1000 - margin.left - margin.right;
+        const width = finesChartWidth(container, 1000) - margin.left - margin.right;
         const height = 400 - margin.top - margin.bottom;
 
-        const svg = chartWrapper.append('svg')
-            .attr('viewBox', `0 0 ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`)
-            .attr('preserveAspectRatio', 'xMidYMid meet')
-            .append('g')
-            .attr('transform', `translate(${margin.left},${margin.top})`);
+        const svg = finesPlot(chartWrapper, margin, width, height);
 
         const x = d3.scaleBand()
             .domain(grouped.map(d => d.age))
@@ -1084,130 +1317,168 @@ function renderAgeGroupAnalysis(data) {
             .nice()
             .range([height, 0]);
 
-        svg.append('g')
+        animateMarks(finesLayer(svg, 'grid'), t)
             .call(
                 d3.axisLeft(y)
                     .tickSize(-width)
                     .tickFormat('')
-            )
-            .selectAll('line')
-            .attr('stroke', '#e5e7eb')
+            );
+
+        finesLayer(svg, 'grid').selectAll('line')
+            .attr('stroke', chartStyles.theme('grid'))
             .attr('stroke-dasharray', '3,3');
 
-        svg.append('g')
-            .attr('transform', `translate(0,${height})`)
-            .call(d3.axisBottom(x))
-            .selectAll('text')
+        const xAxis = finesLayer(svg, 'x-axis')
+            .attr('transform', `translate(0,${height})`);
+
+        animateMarks(xAxis, t)
+            .call(d3.axisBottom(x));
+
+        xAxis.selectAll('text')
             .attr('transform', 'rotate(-25)')
             .style('text-anchor', 'end')
-            .style('font-size', '12px');
+            .style('font-size', '12px')
+            .call(annotateGlossary, 'AGE_GROUP');
 
-        svg.append('g')
+        animateMarks(finesLayer(svg, 'y-axis'), t)
             .call(d3.axisLeft(y).tickFormat(v => v.toLocaleString()));
 
         const palette = [
             '#2563eb', '#4f46e5', '#0ea5e9', '#22c55e',
             '#10b981', '#6366f1', '#38bdf8', '#f97316', '#fbbf24'
         ];
+        const ages = grouped.map(d => d.age);
         const colorScale = d3.scaleOrdinal()
-            .domain(grouped.map(d => d.age))
-            .range(palette);
+            .domain(ages)
+            .range(chartStyles.categoryPalette(palette));
+        const fillOf = age => chartStyles.categoryFill(svg, colorScale(age), ages.indexOf(age));
 
         const total = d3.sum(grouped, d => d.value);
-        const tooltip = getOrCreateTooltip();
-
-        svg.selectAll('.bar')
-            .data(grouped)
-            .enter()
-            .append('rect')
-            .attr('class', 'bar')
-            .attr('x', d => x(d.age))
-            .attr('y', d => y(d.value))
-            .attr('width', d => x.bandwidth())
-            .attr('height', d => height - y(d.value))
-            .attr('rx', 4)
-            .attr('fill', d => colorScale(d.age))
-            .on('mouseover', function (event, d) {
+        const tooltipTemplate = d => ({
+            title: d.age,
+            rows: [{ label: 'Total fines', value: d.value.toLocaleString() }],
+            note: `Percentage of selected jurisdictions: ${(total ? (d.value / total) * 100 : 0).toFixed(1)}%`,
+            html: glossaryNote('AGE_GROUP', d.age)
+        });
+
+        // Bars grow from the x axis and shrink back into it as the selection changes
+        finesLayer(svg, 'bars').selectAll('.bar')
+            .data(grouped, d => d.age)
+            .join(
+                enter => enter.append('rect')
+                    .attr('class', 'bar')
+                    .attr('x', d => x(d.age))
+                    .attr('y', height)
+                    .attr('width', x.bandwidth())
+                    .attr('height', 0)
+                    .attr('rx', 4),
+                update => update,
+                exit => animateMarks(exit, t)
+                    .attr('y', height)
+                    .attr('height', 0)
+                    .remove()
+            )
+            .attr('fill', d => fillOf(d.age))
+            .on('mouseover', function () {
                 d3.select(this).attr('opacity', 0.9);
-                const pct = total ? (d.value / total) * 100 : 0;
-                tooltip.html(`
-                    <div style="font-weight:700; margin-bottom:6px;">${d.age}</div>
-                    <div><strong>Total fines:</strong> ${d.value.toLocaleString()}</div>
-                    <div style="margin-top:4px; font-size:11px; color:#cbd5e1;">
-                        Percentage of selected jurisdictions: ${pct.toFixed(1)}%
-                    </div>
-                `)
-                .style('visibility', 'visible')
-                .style('left', (event.pageX + 15) + 'px')
-                .style('top', (event.pageY - 15) + 'px');
-            })
-            .on('mousemove', function (event) {
-                tooltip
-                    .style('left', (event.pageX + 15) + 'px')
-                    .style('top', (event.pageY - 15) + 'px');
             })
             .on('mouseout', function () {
                 d3.select(this).attr('opacity', 1);
-                tooltip.style('visibility', 'hidden');
-            });
-
-        svg.selectAll('.bar-label')
-            .data(grouped)
-            .enter()
-            .append('text')
-            .attr('class', 'bar-label')
-            .attr('x', d => x(d.age) + x.bandwidth() / 2)
-            .attr('y', d => y(d.value) - 6)
-            .attr('text-anchor', 'middle')
-            .style('font-size', '11px')
-            .style('font-weight', '600')
-            .style('fill', '#111827')
-            .text(d => d.value.toLocaleString());
-
-        const legend = svg.append('g')
-            .attr('class', 'age-legend')
+            })
+            .call(bindTooltip, containerId, tooltipTemplate)
+            .call(bars => animateMarks(bars, t)
+                .attr('x', d => x(d.age))
+                .attr('y', d => y(d.value))
+                .attr('width', x.bandwidth())
+                .attr('height', d => height - y(d.value)));
+
+        finesLayer(svg, 'bar-labels').selectAll('.bar-label')
+            .data(grouped, d => d.age)
+            .join(
+                enter => enter.append('text')
+                    .attr('class', 'bar-label')
+                    .attr('x', d => x(d.age) + x.bandwidth() / 2)
+                    .attr('y', height - 6)
+                    .attr('text-anchor', 'middle')
+                    .style('font-size', '11px')
+                    .style('font-weight', '600')
+                    .style('opacity', 0),
+                update => update,
+                exit => animateMarks(exit, t)
+                    .attr('y', height - 6)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .style('fill', chartStyles.theme('text-strong'))
+            .text(d => d.value.toLocaleString())
+            .call(labels => animateMarks(labels, t)
+                .attr('x', d => x(d.age) + x.bandwidth() / 2)
+                .attr('y', d => y(d.value) - 6)
+                .style('opacity', 1));
+
+        const legend = finesLayer(svg, 'age-legend')
             .attr('transform', `translate(${width + 20}, 10)`);
 
-        legend.append('text')
+        legend.selectAll('.legend-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'legend-title')
             .attr('x', 0)
             .attr('y', 0)
             .style('font-size', '12px')
             .style('font-weight', '700')
-            .style('fill', '#111827')
+            .style('fill', chartStyles.theme('text-strong'))
             .text('Age Groups');
 
-        const legendItems = legend.selectAll('.age-legend-item')
-            .data(grouped)
-            .enter()
-            .append('g')
-            .attr('class', 'age-legend-item')
-            .attr('transform', (d, i) => `translate(0, ${18 + i * 18})`);
-
-        legendItems.append('rect')
-            .attr('x', 0)
-            .attr('y', -10)
-            .attr('width', 10)
-            .attr('height', 10)
-            .attr('rx', 2)
-            .attr('fill', d => colorScale(d.age));
-
-        legendItems.append('text')
-            .attr('x', 16)
-            .attr('y', 0)
-            .style('font-size', '11px')
-            .style('fill', '#374151')
-            .text(d => d.age);
+        legend.selectAll('.age-legend-item')
+            .data(grouped, d => d.age)
+            .join(
+                enter => {
+                    const item = enter.append('g')
+                        .attr('class', 'age-legend-item')
+                        .attr('transform', (d, i) => `translate(0, ${18 + i * 18})`)
+                        .style('opacity', 0);
+
+                    item.append('rect')
+                        .attr('x', 0)
+                        .attr('y', -10)
+                        .attr('width', 10)
+                        .attr('height', 10)
+                        .attr('rx', 2);
+
+                    item.append('text')
+                        .attr('x', 16)
+                        .attr('y', 0)
+                        .style('font-size', '11px')
+                        .text(d => d.age);
+
+                    return item;
+                },
+                update => update,
+                exit => animateMarks(exit, t)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .call(items => {
+                items.select('rect')
+                    .attr('fill', d => fillOf(d.age));
+                items.select('text')
+                    .style('fill', chartStyles.theme('text'));
+                animateMarks(items, t)
+                    .attr('transform', (d, i) => `translate(0, ${18 + i * 18})`)
+                    .style('opacity', 1);
+            });
     }
-
     updateChipStates();
     renderChart();
 }
 
 // =================== INIT ===================
 
-document.addEventListener('DOMContentLoaded', async () => {
+async function renderFinesCharts() {
     try {
         console.log('Loading fines Excel data…');
+        FINES_CHART_IDS.forEach(id => dataLoader.showProgress(id, FINES_DATASET_ID));
         const data = await loadFinesData();
         console.log(`Loaded ${data.length} fines records`);
 
@@ -1220,4 +1491,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.error(err);
         showFinesError(err.message || 'Unknown error loading Excel file.');
     }
-});
+}
+
+document.addEventListener('DOMContentLoaded', renderFinesCharts);
+
+// Redraw from a workbook dropped on the import panel (js/workbook_import.js)
+dataLoader.addEventListener('datasetsreplaced', renderFinesCharts);
+
+// Redraw in the chart colours picked in the colour controls (js/chart_styles.js)
+chartStyles.addEventListener('change', renderFinesCharts);
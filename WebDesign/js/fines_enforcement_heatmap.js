@@ -3,77 +3,48 @@
  * Visualizes enforcement outcomes (fines, arrests, charges) by jurisdiction with year filtering
  */
 
-class FinesEnforcementHeatMap {
+class FinesEnforcementHeatMap extends BaseChart {
     constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = d3.select(`#${containerId}`);
-        
         // Default configuration
-        this.config = {
+        super(containerId, {
             margin: { top: 80, right: 20, bottom: 60, left: 20 },
             width: 1200,
             height: 700,
-            ...options
-        };
+            responsive: true,
+            aspectRatio: 12 / 7,
+            minHeight: 400
+        }, options);
 
-        this.data = null;
         this.selectedYear = null;
         this.selectedMetric = 'FINES'; // 'FINES', 'ARRESTS', 'CHARGES'
-        this.svg = null;
-        this.tooltip = null;
         this.geoData = null;
-        
-        // State/Territory name mappings
-        this.stateNameMap = {
-            'NSW': 'New South Wales',
-            'VIC': 'Victoria',
-            'QLD': 'Queensland',
-            'WA': 'Western Australia',
-            'SA': 'South Australia',
-            'TAS': 'Tasmania',
-            'NT': 'Northern Territory',
-            'ACT': 'Australian Capital Territory'
-        };
-
-        // Metric colors
-        this.metricColors = {
-            'FINES': d3.interpolateBlues,
-            'ARRESTS': d3.interpolateReds,
-            'CHARGES': d3.interpolateOranges
-        };
     }
 
     /**
-     * Load CSV data
+     * Map dataset rows to chart records, and load the map boundaries
+     * @param {Array} rows - Rows of the enforcement by jurisdiction dataset
      */
-    async loadData(csvPath) {
-        try {
-            const rawData = await d3.csv(csvPath);
-            
-            // Process data
-            this.data = rawData.map(d => ({
-                year: +d.YEAR,
-                jurisdiction: d.JURISDICTION,
-                fines: +d.FINES || 0,
-                arrests: +d.ARRESTS || 0,
-                charges: +d.CHARGES || 0,
-                startDate: d.START_DATE || '',
-                endDate: d.END_DATE || ''
-            }));
-
-            // Set default year to most recent
-            this.selectedYear = d3.max(this.data, d => d.year);
-            
-            console.log(`✓ Loaded ${this.data.length} records for enforcement heat map`);
-            
-            // Load Australia GeoJSON
-            await this.loadGeoJSON();
-            
-            return this.data;
-        } catch (error) {
-            console.error('Error loading CSV:', error);
-            throw error;
-        }
+    async processData(rows) {
+        // Process data
+        const data = rows.map(d => ({
+            year: +d.YEAR,
+            jurisdiction: d.JURISDICTION,
+            fines: +d.FINES || 0,
+            arrests: +d.ARRESTS || 0,
+            charges: +d.CHARGES || 0,
+            startDate: d.START_DATE || '',
+            endDate: d.END_DATE || ''
+        }));
+
+        // Set default year to most recent
+        this.selectedYear = d3.max(data, d => d.year);
+
+        console.log(`✓ Loaded ${data.length} records for enforcement heat map`);
+
+        // Load Australia GeoJSON
+        await this.loadGeoJSON();
+
+        return data;
     }
 
     /**
@@ -113,8 +84,7 @@ class FinesEnforcementHeatMap {
      * Initialize the chart
      */
     init() {
-        // Clear existing content
-        this.container.selectAll('*').remove();
+        super.init();
 
         // Create main container
         const chartContainer = this.container
@@ -130,12 +100,7 @@ class FinesEnforcementHeatMap {
             .attr('class', 'map-svg-container')
             .style('text-align', 'center');
 
-        this.svg = svgContainer
-            .append('svg')
-            .attr('width', this.config.width)
-            .attr('height', this.config.height)
-            .append('g')
-            .attr('transform', `translate(${this.config.margin.left},${this.config.margin.top})`);
+        this.createSvg(svgContainer);
 
         // Add zoom behavior
         const zoom = d3.zoom()
@@ -149,21 +114,6 @@ class FinesEnforcementHeatMap {
         // Add zoom controls
         this.addZoomControls(svgContainer, zoom);
 
-        // Create tooltip
-        this.tooltip = d3.select('body')
-            .append('div')
-            .attr('class', 'chart-tooltip')
-            .style('position', 'absolute')
-            .style('visibility', 'hidden')
-            .style('background-color', 'rgba(0, 0, 0, 0.9)')
-            .style('color', 'white')
-            .style('padding', '12px 16px')
-            .style('border-radius', '8px')
-            .style('font-size', '13px')
-            .style('pointer-events', 'none')
-            .style('z-index', '1000')
-            .style('box-shadow', '0 4px 12px rgba(0,0,0,0.3)');
-
         return this;
     }
 
@@ -186,15 +136,16 @@ class FinesEnforcementHeatMap {
         controlsDiv.append('button')
             .style('width', '40px')
             .style('height', '40px')
-            .style('background', 'white')
-            .style('border', '2px solid #cbd5e1')
+            .style('background', 'var(--chart-surface)')
+            .style('border', '2px solid var(--chart-border)')
             .style('border-radius', '8px')
             .style('cursor', 'pointer')
             .style('font-size', '20px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('box-shadow', '0 2px 8px rgba(0,0,0,0.1)')
             .html('+')
+            .attr('aria-label', 'Zoom in')
             .on('click', () => {
                 d3.select(container.node().querySelector('svg'))
                     .transition()
@@ -205,15 +156,16 @@ class FinesEnforcementHeatMap {
         controlsDiv.append('button')
             .style('width', '40px')
             .style('height', '40px')
-            .style('background', 'white')
-            .style('border', '2px solid #cbd5e1')
+            .style('background', 'var(--chart-surface)')
+            .style('border', '2px solid var(--chart-border)')
             .style('border-radius', '8px')
             .style('cursor', 'pointer')
             .style('font-size', '20px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('box-shadow', '0 2px 8px rgba(0,0,0,0.1)')
             .html('−')
+            .attr('aria-label', 'Zoom out')
             .on('click', () => {
                 d3.select(container.node().querySelector('svg'))
                     .transition()
@@ -224,15 +176,16 @@ class FinesEnforcementHeatMap {
         controlsDiv.append('button')
             .style('width', '40px')
             .style('height', '40px')
-            .style('background', 'white')
-            .style('border', '2px solid #cbd5e1')
+            .style('background', 'var(--chart-surface)')
+            .style('border', '2px solid var(--chart-border)')
             .style('border-radius', '8px')
             .style('cursor', 'pointer')
             .style('font-size', '16px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('box-shadow', '0 2px 8px rgba(0,0,0,0.1)')
             .html('⟲')
+            .attr('aria-label', 'Reset zoom')
             .on('click', () => {
                 d3.select(container.node().querySelector('svg'))
                     .transition()
@@ -249,7 +202,7 @@ class FinesEnforcementHeatMap {
             .attr('class', 'controls-container')
             .style('margin-bottom', '30px')
             .style('padding', '20px')
-            .style('background', '#f8fafc')
+            .style('background', 'var(--chart-surface-alt)')
             .style('border-radius', '12px')
             .style('box-shadow', '0 2px 8px rgba(0,0,0,0.08)');
 
@@ -263,7 +216,7 @@ class FinesEnforcementHeatMap {
             .append('div')
             .style('font-size', '16px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('margin-bottom', '15px')
             .html('📅 Select Year');
 
@@ -303,7 +256,7 @@ class FinesEnforcementHeatMap {
             .append('div')
             .style('font-size', '16px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('margin-bottom', '15px')
             .html('📊 Select Metric');
 
@@ -328,7 +281,7 @@ class FinesEnforcementHeatMap {
                 .style('padding', '10px 20px')
                 .style('border', '2px solid #3b82f6')
                 .style('border-radius', '8px')
-                .style('background', this.selectedMetric === metric.key ? '#3b82f6' : 'white')
+                .style('background', this.selectedMetric === metric.key ? '#3b82f6' : 'var(--chart-surface)')
                 .style('color', this.selectedMetric === metric.key ? 'white' : '#3b82f6')
                 .style('font-weight', '700')
                 .style('font-size', '14px')
@@ -338,7 +291,7 @@ class FinesEnforcementHeatMap {
                     this.selectedMetric = metric.key;
                     // Update button styles
                     metricButtons.selectAll('button')
-                        .style('background', 'white')
+                        .style('background', 'var(--chart-surface)')
                         .style('color', '#3b82f6');
                     d3.select(event.target)
                         .style('background', '#3b82f6')
@@ -353,40 +306,61 @@ class FinesEnforcementHeatMap {
                 })
                 .on('mouseout', function() {
                     if (d3.select(this).style('background-color') !== 'rgb(59, 130, 246)') {
-                        d3.select(this).style('background', 'white');
+                        d3.select(this).style('background', 'var(--chart-surface)');
                     }
                 });
         });
     }
 
     /**
-     * Render the heat map
+     * Value of the selected metric for a data point
      */
-    render() {
-        if (!this.data || !this.geoData) {
-            console.warn('Data not loaded yet');
-            return;
+    getMetricValue(d) {
+        switch(this.selectedMetric) {
+            case 'FINES': return d.fines;
+            case 'ARRESTS': return d.arrests;
+            case 'CHARGES': return d.charges;
+            default: return 0;
         }
+    }
+
+    /**
+     * Format a value of the selected metric
+     */
+    formatMetricValue(value) {
+        return value.toLocaleString();
+    }
+
+    /**
+     * Accessible name of a map region, e.g. "Victoria: 1,234,567 (Number of FINES, 2024)"
+     */
+    regionLabel(stateName, data) {
+        if (!data) return `${stateName}: no data for ${this.selectedYear}`;
+        return `${stateName}: ${this.formatMetricValue(this.getMetricValue(data))} (${this.getMetricLabel()}, ${this.selectedYear})`;
+    }
 
-        // Clear previous map
-        this.svg.selectAll('*').remove();
+    /**
+     * Label for the selected metric
+     */
+    getMetricLabel() {
+        return `Number of ${this.selectedMetric}`;
+    }
 
+    /**
+     * Draw the heat map. Redraws keep the regions, labels and rankings: a new year or metric
+     * blends the regions into their new colours and slides the ranking rows to their new places.
+     */
+    draw() {
         // Filter data for selected year
-        const yearData = this.data.filter(d => d.year === this.selectedYear);
+        const yearData = this.getYearData();
         
         if (yearData.length === 0) {
-            this.svg.append('text')
-                .attr('x', (this.config.width - this.config.margin.left - this.config.margin.right) / 2)
-                .attr('y', (this.config.height - this.config.margin.top - this.config.margin.bottom) / 2)
-                .attr('text-anchor', 'middle')
-                .style('font-size', '18px')
-                .style('fill', '#64748b')
-                .text(`No data available for ${this.selectedYear}`);
+            this.drawEmpty(`No data available for ${this.selectedYear}`);
             return;
         }
 
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
-        const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
+        const { innerWidth: width, innerHeight: height } = this.getDimensions();
+        const t = this.transition();
 
         // Create projection
         const projection = d3.geoMercator()
@@ -396,79 +370,68 @@ class FinesEnforcementHeatMap {
 
         const path = d3.geoPath().projection(projection);
 
-        // Get metric value
-        const getMetricValue = (d) => {
-            switch(this.selectedMetric) {
-                case 'FINES': return d.fines;
-                case 'ARRESTS': return d.arrests;
-                case 'CHARGES': return d.charges;
-                default: return 0;
-            }
-        };
-
         // Create color scale
-        const maxValue = d3.max(yearData, d => getMetricValue(d));
+        const maxValue = d3.max(yearData, d => this.getMetricValue(d));
         const colorScale = d3.scaleSequential()
             .domain([0, maxValue])
-            .interpolator(this.metricColors[this.selectedMetric]);
+            .interpolator(chartStyles.metricRamp(this.selectedMetric));
 
         const opacityScale = d3.scaleLinear()
             .domain([0, maxValue])
             .range([0.3, 0.85]);
 
         // Add title
-        this.svg.append('text')
+        this.svg.selectAll('text.chart-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'chart-title')
             .attr('x', width / 2)
             .attr('y', -40)
             .attr('text-anchor', 'middle')
             .style('font-size', '20px')
             .style('font-weight', '700')
-            .style('fill', '#0f172a')
+            .style('fill', chartStyles.theme('text-strong'))
             .text(`${this.selectedMetric}: ${this.selectedYear}`);
 
+        const stateNameOf = feature => feature.properties.STATE_NAME || feature.properties.name || '';
+
         // Draw Australia map base layer
-        this.svg.append('g')
-            .attr('class', 'map-base')
+        this.layer('map-base')
             .selectAll('path')
-            .data(this.geoData.features)
-            .enter()
-            .append('path')
+            .data(this.geoData.features, stateNameOf)
+            .join('path')
             .attr('d', path)
-            .attr('fill', '#f8fafc')
-            .attr('stroke', '#94a3b8')
+            .attr('fill', chartStyles.theme('surface-alt'))
+            .attr('stroke', chartStyles.theme('axis'))
             .attr('stroke-width', 1.5);
 
         // Create data map
         const dataByState = {};
         yearData.forEach(d => {
-            const fullName = this.stateNameMap[d.jurisdiction];
+            const fullName = chartStyles.jurisdictionName(d.jurisdiction);
             if (fullName) {
                 dataByState[fullName] = d;
             }
             // Also map by abbreviated jurisdiction code
             dataByState[d.jurisdiction] = d;
         });
+        const stateDataOf = feature => {
+            const stateName = stateNameOf(feature);
+            return dataByState[stateName] || dataByState[this.getStateCode(stateName)];
+        };
 
         // Draw heat overlays
-        this.svg.append('g')
-            .attr('class', 'heat-layer')
+        const regions = this.layer('heat-layer')
             .selectAll('path')
-            .data(this.geoData.features)
-            .enter()
-            .append('path')
+            .data(this.geoData.features, stateNameOf)
+            .join(enter => enter.append('path')
+                .attr('stroke-width', 2)
+                .style('opacity', 0)
+                .style('cursor', 'pointer'))
             .attr('d', path)
-            .attr('fill', d => {
-                const stateName = d.properties.STATE_NAME || d.properties.name || '';
-                const data = dataByState[stateName] || dataByState[this.getStateCode(stateName)];
-                return data ? colorScale(getMetricValue(data)) : '#f8fafc';
-            })
-            .attr('stroke', '#fff')
-            .attr('stroke-width', 2)
-            .style('opacity', 0)
-            .style('cursor', 'pointer')
+            .attr('stroke', chartStyles.theme('surface'))
             .on('mouseover', (event, d) => {
-                const stateName = d.properties.STATE_NAME || d.properties.name || '';
-                const data = dataByState[stateName] || dataByState[this.getStateCode(stateName)];
+                const data = stateDataOf(d);
                 if (data) {
                     d3.select(event.currentTarget)
                         .style('opacity', 1)
@@ -477,68 +440,98 @@ class FinesEnforcementHeatMap {
                 }
             })
             .on('mouseout', (event, d) => {
-                const stateName = d.properties.STATE_NAME || d.properties.name || '';
-                const data = dataByState[stateName] || dataByState[this.getStateCode(stateName)];
+                const data = stateDataOf(d);
                 if (data) {
                     d3.select(event.currentTarget)
-                        .style('opacity', opacityScale(getMetricValue(data)))
+                        .style('opacity', opacityScale(this.getMetricValue(data)))
                         .attr('stroke-width', 2);
                     this.hideTooltip();
                 }
             })
             .on('mousemove', (event) => this.moveTooltip(event))
-            .transition()
-            .duration(800)
+            .call(regions => this.enableKeyboard(regions, {
+                label: d => this.regionLabel(stateNameOf(d), stateDataOf(d)),
+                key: stateNameOf
+            }));
+
+        // Colours blend into the new ones; pattern fills (url(#…)) can only be swapped
+        BaseChart.animate(regions, chartStyles.settings.patterns ? null : t)
+            .attr('fill', d => {
+                const data = stateDataOf(d);
+                if (!data) return chartStyles.theme('surface-alt');
+                const value = this.getMetricValue(data);
+                return chartStyles.rampFill(this.svg, colorScale(value), value / maxValue);
+            });
+
+        BaseChart.animate(regions, t)
             .style('opacity', d => {
-                const stateName = d.properties.STATE_NAME || d.properties.name || '';
-                const data = dataByState[stateName] || dataByState[this.getStateCode(stateName)];
-                return data ? opacityScale(getMetricValue(data)) : 0;
+                const data = stateDataOf(d);
+                return data ? opacityScale(this.getMetricValue(data)) : 0;
             });
 
         // Add state labels
-        this.geoData.features.forEach(feature => {
-            const stateName = feature.properties.STATE_NAME || feature.properties.name || '';
-            const data = dataByState[stateName] || dataByState[this.getStateCode(stateName)];
-            if (data) {
-                const centroid = path.centroid(feature);
-                const stateCode = this.getStateCode(stateName);
-                
-                const label = this.svg.append('g')
-                    .attr('transform', `translate(${centroid[0]}, ${centroid[1]})`);
-
-                label.append('text')
-                    .attr('text-anchor', 'middle')
-                    .style('font-size', '14px')
-                    .style('font-weight', '700')
-                    .style('fill', '#1e293b')
-                    .style('pointer-events', 'none')
-                    .text(stateCode);
-
-                label.append('text')
-                    .attr('text-anchor', 'middle')
-                    .attr('dy', '1.2em')
-                    .style('font-size', '12px')
-                    .style('font-weight', '600')
-                    .style('fill', '#475569')
-                    .style('pointer-events', 'none')
-                    .text(getMetricValue(data).toLocaleString());
-            }
-        });
+        const labelled = this.geoData.features
+            .map(feature => ({ feature, data: stateDataOf(feature) }))
+            .filter(d => d.data);
+
+        const labelGroups = this.layer('state-labels')
+            .selectAll('g.state-label')
+            .data(labelled, d => d.data.jurisdiction)
+            .join(
+                enter => {
+                    const label = enter.append('g')
+                        .attr('class', 'state-label')
+                        .attr('transform', d => `translate(${path.centroid(d.feature)})`)
+                        .style('opacity', 0);
+
+                    label.append('text')
+                        .attr('class', 'state-code')
+                        .attr('text-anchor', 'middle')
+                        .style('font-size', '14px')
+                        .style('font-weight', '700')
+                        .style('pointer-events', 'none');
+
+                    label.append('text')
+                        .attr('class', 'state-value')
+                        .attr('text-anchor', 'middle')
+                        .attr('dy', '1.2em')
+                        .style('font-size', '12px')
+                        .style('font-weight', '600')
+                        .style('pointer-events', 'none');
+
+                    return label;
+                },
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .attr('transform', d => `translate(${path.centroid(d.feature)})`);
+
+        labelGroups.select('.state-code')
+            .style('fill', chartStyles.theme('text'))
+            .text(d => this.getStateCode(stateNameOf(d.feature)));
+
+        labelGroups.select('.state-value')
+            .style('fill', chartStyles.theme('text-secondary'))
+            .text(d => this.formatMetricValue(this.getMetricValue(d.data)));
+
+        BaseChart.animate(labelGroups, t)
+            .style('opacity', 1);
 
         // Add legend
         this.addLegend(colorScale, maxValue);
 
         // Add ranking panel
-        this.addRankingPanel(yearData);
+        this.addRankingPanel(yearData, t);
     }
 
     /**
      * Get state code from full state name
      */
     getStateCode(fullName) {
-        for (const [code, name] of Object.entries(this.stateNameMap)) {
-            if (name === fullName) return code;
-        }
+        const code = chartStyles.jurisdictionCode(fullName);
+        if (code) return code;
         const upperName = fullName.toUpperCase();
         if (upperName.includes('NEW SOUTH WALES') || upperName.includes('NSW')) return 'NSW';
         if (upperName.includes('VICTORIA') || upperName.includes('VIC')) return 'VIC';
@@ -557,197 +550,232 @@ class FinesEnforcementHeatMap {
     addLegend(colorScale, maxValue) {
         const legendWidth = 300;
         const legendHeight = 20;
-        const legendX = (this.config.width - this.config.margin.left - this.config.margin.right - legendWidth) / 2;
-        const legendY = this.config.height - this.config.margin.top - this.config.margin.bottom + 20;
+        const legendX = (this.getDimensions().innerWidth - legendWidth) / 2;
+        const legendY = this.getDimensions().innerHeight + 20;
 
-        const legend = this.svg.append('g')
-            .attr('class', 'legend')
+        const legend = this.layer('legend')
             .attr('transform', `translate(${legendX}, ${legendY})`);
 
-        const defs = this.svg.append('defs');
-        const gradient = defs.append('linearGradient')
-            .attr('id', 'fines-legend-gradient')
-            .attr('x1', '0%')
-            .attr('x2', '100%');
+        // Create gradient, once, and colour its stops for this draw
+        const gradient = this.svg.selectAll('defs.legend-defs')
+            .data([null])
+            .join(enter => {
+                const defs = enter.append('defs')
+                    .attr('class', 'legend-defs');
 
-        const steps = 10;
-        for (let i = 0; i <= steps; i++) {
-            const t = i / steps;
-            gradient.append('stop')
-                .attr('offset', `${t * 100}%`)
-                .attr('stop-color', colorScale(t * maxValue));
-        }
+                defs.append('linearGradient')
+                    .attr('id', 'fines-legend-gradient')
+                    .attr('x1', '0%')
+                    .attr('x2', '100%');
+
+                return defs;
+            })
+            .select('linearGradient');
 
-        legend.append('rect')
+        const steps = 10;
+        gradient.selectAll('stop')
+            .data(d3.range(steps + 1))
+            .join('stop')
+            .attr('offset', i => `${(i / steps) * 100}%`)
+            .attr('stop-color', i => colorScale((i / steps) * maxValue));
+
+        legend.selectAll('rect.legend-scale')
+            .data([null])
+            .join('rect')
+            .attr('class', 'legend-scale')
             .attr('width', legendWidth)
             .attr('height', legendHeight)
             .attr('rx', 4)
             .style('fill', 'url(#fines-legend-gradient)')
-            .style('stroke', '#64748b')
+            .style('stroke', chartStyles.theme('text-muted'))
             .style('stroke-width', 1);
 
-        legend.append('text')
+        // With pattern fills on, each band of the scale shows the texture its regions get
+        legend.selectAll('rect.legend-texture')
+            .data(chartStyles.settings.patterns ? chartStyles.rampBands() : [])
+            .join('rect')
+            .attr('class', 'legend-texture')
+            .attr('x', t => t * legendWidth)
+            .attr('width', legendWidth / chartStyles.rampBands().length)
+            .attr('height', legendHeight)
+            .attr('fill', t => chartStyles.rampFill(legend, null, t));
+
+        legend.selectAll('text.legend-min')
+            .data([null])
+            .join('text')
+            .attr('class', 'legend-min')
             .attr('x', 0)
             .attr('y', legendHeight + 18)
             .style('font-size', '12px')
             .style('font-weight', '600')
-            .style('fill', '#475569')
+            .style('fill', chartStyles.theme('text-secondary'))
             .text('0');
 
-        legend.append('text')
+        legend.selectAll('text.legend-max')
+            .data([null])
+            .join('text')
+            .attr('class', 'legend-max')
             .attr('x', legendWidth)
             .attr('y', legendHeight + 18)
             .attr('text-anchor', 'end')
             .style('font-size', '12px')
             .style('font-weight', '600')
-            .style('fill', '#475569')
-            .text(maxValue.toLocaleString());
+            .style('fill', chartStyles.theme('text-secondary'))
+            .text(this.formatMetricValue(maxValue));
 
-        legend.append('text')
+        legend.selectAll('text.legend-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'legend-title')
             .attr('x', legendWidth / 2)
             .attr('y', -8)
             .attr('text-anchor', 'middle')
             .style('font-size', '13px')
             .style('font-weight', '700')
-            .style('fill', '#1e293b')
-            .text(`Number of ${this.selectedMetric}`);
+            .style('fill', chartStyles.theme('text'))
+            .text(this.getMetricLabel());
     }
 
     /**
-     * Add ranking panel
+     * Add ranking panel; rows keep their jurisdiction and slide to its new rank
+     * @param {Array} yearData - The selected year's records
+     * @param {d3.Transition|null} t - The redraw's transition
      */
-    addRankingPanel(yearData) {
-        const getMetricValue = (d) => {
-            switch(this.selectedMetric) {
-                case 'FINES': return d.fines;
-                case 'ARRESTS': return d.arrests;
-                case 'CHARGES': return d.charges;
-                default: return 0;
-            }
-        };
-
-        const sorted = [...yearData].sort((a, b) => getMetricValue(b) - getMetricValue(a));
+    addRankingPanel(yearData, t) {
+        const sorted = [...yearData].sort((a, b) => this.getMetricValue(b) - this.getMetricValue(a));
         
-        const panel = this.svg.append('g')
-            .attr('class', 'ranking-panel')
+        const panel = this.layer('ranking-panel')
             .attr('transform', `translate(20, 20)`);
 
-        panel.append('rect')
+        const background = panel.selectAll('rect.ranking-background')
+            .data([null])
+            .join('rect')
+            .attr('class', 'ranking-background')
             .attr('width', 220)
-            .attr('height', 30 + sorted.length * 32)
             .attr('rx', 8)
             .attr('fill', 'rgba(255, 255, 255, 0.95)')
-            .attr('stroke', '#e5e7eb')
+            .attr('stroke', chartStyles.theme('grid'))
             .attr('stroke-width', 1);
 
-        panel.append('text')
+        BaseChart.animate(background, t)
+            .attr('height', 30 + sorted.length * 32);
+
+        panel.selectAll('text.ranking-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'ranking-title')
             .attr('x', 110)
             .attr('y', 20)
             .attr('text-anchor', 'middle')
             .style('font-size', '14px')
             .style('font-weight', '700')
-            .style('fill', '#1e293b')
+            .style('fill', chartStyles.theme('text'))
             .text('🏆 Rankings');
 
-        sorted.forEach((d, i) => {
-            const row = panel.append('g')
-                .attr('transform', `translate(10, ${40 + i * 32})`);
-
-            const medals = ['🥇', '🥈', '🥉'];
-            const rankDisplay = i < 3 ? medals[i] : `${i + 1}.`;
-
-            row.append('text')
-                .attr('x', 0)
-                .attr('y', 12)
-                .style('font-size', '13px')
-                .style('font-weight', '700')
-                .style('fill', '#1e293b')
-                .text(rankDisplay);
-
-            row.append('text')
-                .attr('x', 35)
-                .attr('y', 12)
-                .style('font-size', '13px')
-                .style('font-weight', '700')
-                .style('fill', '#475569')
-                .text(d.jurisdiction);
-
-            row.append('text')
-                .attr('x', 200)
-                .attr('y', 12)
-                .attr('text-anchor', 'end')
-                .style('font-size', '12px')
-                .style('font-weight', '600')
-                .style('fill', '#64748b')
-                .text(getMetricValue(d).toLocaleString());
-        });
+        const medals = ['🥇', '🥈', '🥉'];
+
+        const rows = panel.selectAll('g.rank')
+            .data(sorted, d => d.jurisdiction)
+            .join(
+                enter => {
+                    const row = enter.append('g')
+                        .attr('class', 'rank')
+                        .attr('transform', (d, i) => `translate(10, ${40 + i * 32})`)
+                        .style('opacity', 0);
+
+                    row.append('text')
+                        .attr('class', 'rank-number')
+                        .attr('x', 0)
+                        .attr('y', 12)
+                        .style('font-size', '13px')
+                        .style('font-weight', '700');
+
+                    row.append('text')
+                        .attr('class', 'rank-jurisdiction')
+                        .attr('x', 35)
+                        .attr('y', 12)
+                        .style('font-size', '13px')
+                        .style('font-weight', '700')
+                        .text(d => d.jurisdiction);
+
+                    row.append('text')
+                        .attr('class', 'rank-value')
+                        .attr('x', 200)
+                        .attr('y', 12)
+                        .attr('text-anchor', 'end')
+                        .style('font-size', '12px')
+                        .style('font-weight', '600');
+
+                    return row;
+                },
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .style('opacity', 0)
+                    .remove()
+            );
+
+        rows.select('.rank-number')
+            .style('fill', chartStyles.theme('text'))
+            .text((d, i) => i < 3 ? medals[i] : `${i + 1}.`);
+
+        rows.select('.rank-jurisdiction')
+            .style('fill', chartStyles.theme('text-secondary'));
+
+        rows.select('.rank-value')
+            .style('fill', chartStyles.theme('text-muted'))
+            .text(d => this.formatMetricValue(this.getMetricValue(d)));
+
+        BaseChart.animate(rows, t)
+            .attr('transform', (d, i) => `translate(10, ${40 + i * 32})`)
+            .style('opacity', 1);
     }
 
     /**
-     * Show tooltip
+     * The year and metric shown, for exports
      */
-    showTooltip(event, data) {
-        const getMetricValue = (d) => {
-            switch(this.selectedMetric) {
-                case 'FINES': return d.fines;
-                case 'ARRESTS': return d.arrests;
-                case 'CHARGES': return d.charges;
-                default: return 0;
-            }
-        };
-
-        const rank = [...this.data.filter(d => d.year === this.selectedYear)]
-            .sort((a, b) => getMetricValue(b) - getMetricValue(a))
-            .findIndex(d => d.jurisdiction === data.jurisdiction) + 1;
-
-        const tooltipContent = `
-            <div style="font-weight: 700; margin-bottom: 8px; font-size: 16px; color: #3b82f6;">
-                ${data.jurisdiction} - ${this.selectedYear}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>💰 Fines:</strong> ${data.fines.toLocaleString()}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>🚔 Arrests:</strong> ${data.arrests.toLocaleString()}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>⚖️ Charges:</strong> ${data.charges.toLocaleString()}
-            </div>
-            <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(255,255,255,0.3);">
-                <strong>Rank (${this.selectedMetric}):</strong> #${rank}
-            </div>
-        `;
-
-        this.tooltip
-            .html(tooltipContent)
-            .style('visibility', 'visible');
-
-        this.moveTooltip(event);
+    describeFilters() {
+        return `Year: ${this.selectedYear} · ${this.getMetricLabel()}`;
     }
 
     /**
-     * Move tooltip
+     * Records for the selected year
+     * @returns {Array}
      */
-    moveTooltip(event) {
-        this.tooltip
-            .style('left', (event.pageX + 15) + 'px')
-            .style('top', (event.pageY - 15) + 'px');
+    getYearData() {
+        return this.data.filter(d => d.year === this.selectedYear);
     }
 
     /**
-     * Hide tooltip
+     * The mapped values, for data downloads
      */
-    hideTooltip() {
-        this.tooltip.style('visibility', 'hidden');
+    getSeries() {
+        return this.getYearData().map(d => ({
+            year: d.year,
+            jurisdiction: d.jurisdiction,
+            measure: this.getMetricLabel(),
+            value: this.getMetricValue(d)
+        }));
     }
 
     /**
-     * Destroy chart and cleanup
+     * Tooltip template for a mark
      */
-    destroy() {
-        this.container.selectAll('*').remove();
-        if (this.tooltip) {
-            this.tooltip.remove();
-        }
+    tooltipTemplate(data) {
+        const rank = [...this.data.filter(d => d.year === this.selectedYear)]
+            .sort((a, b) => this.getMetricValue(b) - this.getMetricValue(a))
+            .findIndex(d => d.jurisdiction === data.jurisdiction) + 1;
+
+        return {
+            title: `${data.jurisdiction} - ${this.selectedYear}`,
+            color: '#3b82f6',
+            rows: [
+                { icon: '💰', label: 'Fines', value: data.fines.toLocaleString() },
+                { icon: '🚔', label: 'Arrests', value: data.arrests.toLocaleString() },
+                { icon: '⚖️', label: 'Charges', value: data.charges.toLocaleString() }
+            ],
+            footer: [
+                { label: `Rank (${this.selectedMetric})`, value: `#${rank}` }
+            ]
+        };
     }
 }
@@ -0,0 +1,340 @@
+/**
+ * Glossary
+ * Definitions of the columns, metrics and category values in the BITRE data, transcribed from the
+ * data dictionary into data/glossary.json. Terms marked "dictionary" follow the PDF; "site" terms explain
+ * category values the dictionary lists without defining.
+ * Charts call annotate() on axis labels, filter chips and legend text to get an info popover, and
+ * note() for a one-line definition inside their tooltips. glossary.html lists and searches every term.
+ */
+
+class Glossary {
+    /**
+     * @param {DataLoader} loader - Loader whose cache holds the glossary
+     * @param {string} [path] - Glossary JSON
+     */
+    constructor(loader, path = 'data/glossary.json') {
+        this.loader = loader;
+        this.path = path;
+        this.data = null;
+        this.index = new Map();
+        this.popover = null;
+        this.anchor = null;
+        this.hideTimer = null;
+        this.bound = false;
+    }
+
+    /**
+     * Load and index the glossary
+     * @returns {Promise<Object>} { source, fields, terms }
+     */
+    load() {
+        return this.loader.memoize('glossary', async () => {
+            const response = await fetch(this.path);
+            if (!response.ok) {
+                throw new Error(`Failed to load glossary ${this.path}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            data.terms.forEach(term => {
+                term.id = Glossary.slug(`${term.field}-${term.value}`);
+                term.label = term.label || term.value;
+                term.notes = term.notes || [];
+                [term.value, term.label, ...(term.aliases || [])].forEach(name => {
+                    const key = Glossary.key(term.field, name);
+                    if (!this.index.has(key)) this.index.set(key, term);
+                });
+            });
+
+            this.data = data;
+            console.log(`✓ Loaded glossary with ${data.terms.length} terms`);
+            return data;
+        });
+    }
+
+    /**
+     * Find the term for a value; null until load() has finished
+     * @param {string} field - Column the value comes from ('METRIC', 'AGE_GROUP', ... or 'FIELD' for a column)
+     * @param {string} value - Raw value, label or alias (case-insensitive)
+     * @returns {Object|null} Term
+     */
+    lookup(field, value) {
+        if (value === null || value === undefined) return null;
+        return this.index.get(Glossary.key(field, value)) || null;
+    }
+
+    /**
+     * Terms matching a search, best matches (name before definition) first
+     * @param {string} query - Words to look for
+     * @param {string} [field] - Restrict to one field
+     * @returns {Array} Terms
+     */
+    search(query, field = null) {
+        if (!this.data) return [];
+
+        const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const terms = this.data.terms.filter(term => !field || term.field === field);
+        if (!words.length) return terms;
+
+        const names = term => [term.value, term.label, ...(term.aliases || [])].join(' ').toLowerCase();
+        const text = term => [names(term), term.definition, ...term.notes].join(' ').toLowerCase();
+
+        return terms
+            .filter(term => words.every(word => text(term).includes(word)))
+            .map(term => ({ term, score: words.filter(word => names(term).includes(word)).length }))
+            .sort((a, b) => b.score - a.score)
+            .map(match => match.term);
+    }
+
+    /**
+     * Give elements an info popover. Elements whose value has no term are left alone.
+     * @param {d3.Selection} selection - Labels, chips or legend text
+     * @param {string} field - Column their values come from
+     * @param {Function} [valueOf] - (datum, element) => value; defaults to the bound datum
+     * @returns {Promise<void>}
+     */
+    async annotate(selection, field, valueOf = d => d) {
+        this.bindPopovers();
+
+        try {
+            await this.load();
+        } catch (error) {
+            console.warn('Glossary unavailable:', error.message);
+            return;
+        }
+
+        selection.each((d, i, nodes) => {
+            const element = nodes[i];
+            const value = valueOf(d, element);
+            if (!this.lookup(field, value)) return;
+
+            element.classList.add('has-glossary');
+            element.setAttribute('data-glossary-field', field);
+            element.setAttribute('data-glossary-value', value);
+            // Buttons are already focusable; SVG text and plain labels are not
+            if (!/^(BUTTON|A|INPUT|SELECT)$/.test(element.tagName.toUpperCase()) && !element.hasAttribute('tabindex')) {
+                element.setAttribute('tabindex', '0');
+            }
+        });
+    }
+
+    /**
+     * Short definition for a chart tooltip
+     * @param {string} field - Column the value comes from
+     * @param {string} value - Value shown in the tooltip
+     * @returns {string} HTML, or '' when the value has no term
+     */
+    note(field, value) {
+        const term = this.lookup(field, value);
+        if (!term) return '';
+
+        return `<div class="glossary-note">${Glossary.escape(term.definition)}</div>`;
+    }
+
+    /**
+     * Listen for hover, focus and taps on annotated elements (once per page)
+     */
+    bindPopovers() {
+        if (this.bound || typeof document === 'undefined') return;
+        this.bound = true;
+
+        const annotated = event => event.target.closest && event.target.closest('[data-glossary-field]');
+
+        document.addEventListener('mouseover', event => {
+            const target = annotated(event);
+            if (target) this.showPopover(target);
+        });
+        document.addEventListener('mouseout', event => {
+            if (annotated(event)) this.scheduleHide();
+        });
+        document.addEventListener('focusin', event => {
+            const target = annotated(event);
+            if (target) this.showPopover(target);
+        });
+        document.addEventListener('focusout', event => {
+            if (annotated(event)) this.hidePopover();
+        });
+        // Touch has no hover: a tap on a label opens its popover, a tap elsewhere closes it.
+        // Buttons keep their click for filtering.
+        document.addEventListener('click', event => {
+            const target = annotated(event);
+            if (target && target.tagName.toUpperCase() !== 'BUTTON') {
+                this.showPopover(target);
+            } else if (this.popover && !this.popover.contains(event.target)) {
+                this.hidePopover();
+            }
+        });
+        document.addEventListener('keydown', event => {
+            if (event.key === 'Escape') this.hidePopover();
+        });
+    }
+
+    /**
+     * Show the popover for an annotated element
+     * @param {Element} target - Element with data-glossary-field/value
+     */
+    showPopover(target) {
+        const term = this.lookup(target.getAttribute('data-glossary-field'), target.getAttribute('data-glossary-value'));
+        if (!term) return;
+
+        clearTimeout(this.hideTimer);
+        if (this.anchor === target && this.popover.style.display === 'block') return;
+
+        if (!this.popover) {
+            this.popover = document.createElement('div');
+            this.popover.className = 'glossary-popover';
+            this.popover.id = 'glossary-popover';
+            this.popover.setAttribute('role', 'tooltip');
+            this.popover.addEventListener('mouseenter', () => clearTimeout(this.hideTimer));
+            this.popover.addEventListener('mouseleave', () => this.scheduleHide());
+            document.body.appendChild(this.popover);
+        }
+
+        if (this.anchor) this.anchor.removeAttribute('aria-describedby');
+        this.anchor = target;
+        target.setAttribute('aria-describedby', this.popover.id);
+
+        const fieldName = (this.data.fields || {})[term.field] || term.field;
+        const notes = term.notes.length
+            ? `<ul>${term.notes.map(note => `<li>${Glossary.escape(note)}</li>`).join('')}</ul>`
+            : '';
+        this.popover.innerHTML = `
+            <div class="glossary-popover-field">${Glossary.escape(fieldName)}</div>
+            <div class="glossary-popover-term">${Glossary.escape(term.label)}</div>
+            <p>${Glossary.escape(term.definition)}</p>
+            ${notes}
+            <a href="glossary.html#${term.id}">Open in glossary</a>
+        `;
+        this.popover.style.display = 'block';
+
+        const box = target.getBoundingClientRect();
+        const width = this.popover.offsetWidth;
+        const left = Math.max(8, Math.min(box.left, document.documentElement.clientWidth - width - 8));
+        this.popover.style.left = `${left + window.scrollX}px`;
+        this.popover.style.top = `${box.bottom + window.scrollY + 8}px`;
+    }
+
+    /**
+     * Hide shortly after the pointer leaves, so it can move onto the popover's link
+     */
+    scheduleHide() {
+        clearTimeout(this.hideTimer);
+        this.hideTimer = setTimeout(() => this.hidePopover(), 200);
+    }
+
+    hidePopover() {
+        clearTimeout(this.hideTimer);
+        if (!this.popover) return;
+
+        this.popover.style.display = 'none';
+        if (this.anchor) this.anchor.removeAttribute('aria-describedby');
+        this.anchor = null;
+    }
+
+    /**
+     * Render the searchable glossary page
+     * @param {string} containerId - Element to render into
+     */
+    async renderPage(containerId) {
+        const container = d3.select(`#${containerId}`);
+        const data = await this.load();
+
+        container.html('');
+
+        const controls = container.append('div').attr('class', 'glossary-controls');
+        const input = controls.append('input')
+            .attr('type', 'search')
+            .attr('class', 'glossary-search')
+            .attr('placeholder', 'Search terms, e.g. "stage", "proxy", "camera"')
+            .attr('aria-label', 'Search the glossary');
+        const select = controls.append('select')
+            .attr('class', 'glossary-field-filter')
+            .attr('aria-label', 'Show terms for');
+        select.append('option').attr('value', '').text('All terms');
+        Object.entries(data.fields).forEach(([field, name]) => {
+            select.append('option').attr('value', field).text(name);
+        });
+
+        const count = container.append('p')
+            .attr('class', 'glossary-count')
+            .attr('aria-live', 'polite');
+        const list = container.append('div').attr('class', 'glossary-list');
+
+        container.append('p')
+            .attr('class', 'glossary-source')
+            .text(`Source: ${data.source.title}, ${data.source.publisher} (released ${data.source.released}). ` +
+                'Terms marked "Site note" explain category values the dictionary lists without defining.');
+
+        const update = () => {
+            const terms = this.search(input.property('value'), select.property('value') || null);
+            count.text(`${terms.length} of ${data.terms.length} terms`);
+            list.html('');
+
+            Object.entries(data.fields).forEach(([field, name]) => {
+                const fieldTerms = terms.filter(term => term.field === field);
+                if (!fieldTerms.length) return;
+
+                const section = list.append('section').attr('class', 'glossary-group');
+                section.append('h3').text(name);
+
+                const items = section.selectAll('article')
+                    .data(fieldTerms)
+                    .enter()
+                    .append('article')
+                    .attr('class', 'glossary-term')
+                    .attr('id', d => d.id);
+
+                const heading = items.append('h4');
+                heading.append('span').text(d => d.label);
+                heading.filter(d => d.label !== d.value)
+                    .append('code')
+                    .text(d => d.value);
+                heading.append('span')
+                    .attr('class', d => `glossary-origin ${d.source}`)
+                    .text(d => d.source === 'dictionary' ? 'Data dictionary' : 'Site note');
+
+                items.append('p').text(d => d.definition);
+                items.filter(d => d.notes.length)
+                    .append('ul')
+                    .selectAll('li')
+                    .data(d => d.notes)
+                    .enter()
+                    .append('li')
+                    .text(d => d);
+            });
+        };
+
+        input.on('input', update);
+        select.on('change', update);
+        update();
+
+        // Deep links from chart popovers (glossary.html#metric-speed-fines)
+        if (location.hash) {
+            const target = document.getElementById(location.hash.slice(1));
+            if (target) target.scrollIntoView();
+        }
+    }
+
+    static key(field, value) {
+        return `${field}:${String(value).trim().toLowerCase()}`;
+    }
+
+    static slug(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Create global instance
+const glossary = typeof dataLoader !== 'undefined' ? new Glossary(dataLoader) : null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Glossary, glossary };
+}
@@ -4,13 +4,10 @@
  * Used for: Fines trends over time, positive test trends, etc.
  */
 
-class LineChart {
+class LineChart extends BaseChart {
     constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = d3.select(`#${containerId}`);
-        
         // Default configuration
-        this.config = {
+        super(containerId, {
             margin: { top: 40, right: 120, bottom: 60, left: 80 },
             width: 1000,
             height: 400,
@@ -24,33 +21,21 @@ class LineChart {
             showGrid: true,
             showLegend: true,
             dateFormat: '%Y',
-            showTooltip: true,
-            ...options
-        };
-
-        this.svg = null;
-        this.data = null;
-        this.tooltip = null;
+            showTooltip: true
+        }, options);
     }
 
     /**
      * Initialize the chart
      */
     init() {
-        // Clear existing content
-        this.container.selectAll('*').remove();
+        super.init();
 
         // Calculate dimensions
         const width = this.config.width - this.config.margin.left - this.config.margin.right;
         const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
 
-        // Create SVG
-        this.svg = this.container
-            .append('svg')
-            .attr('width', this.config.width)
-            .attr('height', this.config.height)
-            .append('g')
-            .attr('transform', `translate(${this.config.margin.left},${this.config.margin.top})`);
+        this.createSvg();
 
         // Add title
         this.svg.append('text')
@@ -61,31 +46,14 @@ class LineChart {
             .style('font-weight', 'bold')
             .text(this.config.title);
 
-        // Create tooltip if enabled
-        if (this.config.showTooltip) {
-            this.tooltip = d3.select('body')
-                .append('div')
-                .attr('class', 'chart-tooltip')
-                .style('position', 'absolute')
-                .style('visibility', 'hidden')
-                .style('background-color', 'rgba(0, 0, 0, 0.8)')
-                .style('color', 'white')
-                .style('padding', '10px')
-                .style('border-radius', '5px')
-                .style('font-size', '12px')
-                .style('pointer-events', 'none')
-                .style('z-index', '1000');
-        }
-
         return this;
     }
 
     /**
-     * Render the chart with data
-     * @param {Array} data - Array of data objects
+     * Draw the chart from this.data
      */
-    render(data) {
-        this.data = data;
+    draw() {
+        const data = this.data;
         const width = this.config.width - this.config.margin.left - this.config.margin.right;
         const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
 
@@ -122,7 +90,7 @@ class LineChart {
             // Vertical grid
             this.svg.append('g')
                 .attr('class', 'grid')
-                .style('stroke', '#e0e0e0')
+                .style('stroke', chartStyles.theme('grid'))
                 .style('stroke-opacity', 0.7)
                 .call(d3.axisLeft(yScale)
                     .tickSize(-width)
@@ -217,55 +185,19 @@ class LineChart {
                     .text(line);
             });
         }
-
-        return this;
-    }
-
-    /**
-     * Show tooltip
-     */
-    showTooltip(event, data, lineName) {
-        if (!this.tooltip) return;
-
-        const tooltipContent = `
-            <strong>${lineName || 'Value'}</strong><br/>
-            ${this.config.xLabel}: ${data[this.config.xField]}<br/>
-            ${this.config.yLabel}: ${(+data[this.config.yField]).toLocaleString()}
-        `;
-
-        this.tooltip
-            .html(tooltipContent)
-            .style('visibility', 'visible')
-            .style('left', (event.pageX + 10) + 'px')
-            .style('top', (event.pageY - 10) + 'px');
-    }
-
-    /**
-     * Hide tooltip
-     */
-    hideTooltip() {
-        if (this.tooltip) {
-            this.tooltip.style('visibility', 'hidden');
-        }
-    }
-
-    /**
-     * Update chart with new data
-     * @param {Array} newData - New data to render
-     */
-    update(newData) {
-        this.render(newData);
-        return this;
     }
 
     /**
-     * Destroy chart and cleanup
+     * Tooltip template for a mark
      */
-    destroy() {
-        this.container.selectAll('*').remove();
-        if (this.tooltip) {
-            this.tooltip.remove();
-        }
+    tooltipTemplate(data, lineName) {
+        return {
+            title: lineName || 'Value',
+            rows: [
+                { label: this.config.xLabel, value: data[this.config.xField] },
+                { label: this.config.yLabel, value: (+data[this.config.yField]).toLocaleString() }
+            ]
+        };
     }
 }
 
@@ -1,11 +1,555 @@
 /**
  * Data Loading Utility
- * Handles loading and parsing Excel files for Australian Road Safety Enforcement visualization
+ * Handles loading and parsing Excel and CSV files for Australian Road Safety Enforcement visualization.
+ * Datasets are registered in data/datasets.json and requested by id.
+ * In the browser, workbooks are parsed in js/xlsx_worker.js; progress is dispatched as 'progress' events.
+ * Parsed rows persist in IndexedDB (js/dataset_cache.js) across page loads until the source file changes.
  */
 
-class DataLoader {
-    constructor() {
+/**
+ * Raised when a dataset does not match the column schema in the manifest.
+ * `issues` holds one message per offending column.
+ */
+class DataSchemaError extends Error {
+    constructor(datasetId, issues) {
+        super(`Dataset "${datasetId}" does not match its schema:\n - ${issues.join('\n - ')}`);
+        this.name = 'DataSchemaError';
+        this.datasetId = datasetId;
+        this.issues = issues;
+    }
+}
+
+class DataLoader extends EventTarget {
+    constructor(manifestPath = 'data/datasets.json', workerPath = 'js/xlsx_worker.js') {
+        super();
+        this.manifestPath = manifestPath;
+        this.workerPath = workerPath;
+        this.manifest = null;
+        // Cache of promises, so concurrent requests for the same file share one fetch/parse
         this.cache = new Map();
+
+        // Persistent cache, when js/dataset_cache.js is loaded and IndexedDB exists
+        this.persistentCache = typeof DatasetCache !== 'undefined' && DatasetCache.isSupported()
+            ? new DatasetCache()
+            : null;
+        // Where each dataset came from this page load: 'indexeddb', 'network' or 'upload'
+        this.loadSources = new Map();
+
+        // Parsing worker, created on first workbook request
+        this.worker = null;
+        this.workerRequests = new Map();
+        this.nextRequestId = 1;
+    }
+
+    /**
+     * Return the cached promise for a key, starting the load if needed.
+     * Failed loads are evicted so a later call can retry.
+     * @param {string} cacheKey - Cache key
+     * @param {Function} load - Async function producing the value
+     * @returns {Promise<*>} Shared promise for the value
+     */
+    memoize(cacheKey, load) {
+        if (!this.cache.has(cacheKey)) {
+            const promise = load().catch(error => {
+                this.cache.delete(cacheKey);
+                throw error;
+            });
+            this.cache.set(cacheKey, promise);
+        }
+
+        return this.cache.get(cacheKey);
+    }
+
+    /**
+     * Load the dataset manifest
+     * @returns {Promise<Object>} Manifest with a `datasets` array
+     */
+    loadManifest() {
+        return this.memoize('manifest', async () => {
+            const response = await fetch(this.manifestPath);
+            if (!response.ok) {
+                throw new Error(`Failed to load dataset manifest ${this.manifestPath}: ${response.statusText}`);
+            }
+
+            this.manifest = await response.json();
+            console.log(`✓ Loaded manifest with ${this.manifest.datasets.length} datasets`);
+            return this.manifest;
+        });
+    }
+
+    /**
+     * Look up a dataset entry in the manifest
+     * @param {string} datasetId - Dataset id from data/datasets.json
+     * @returns {Promise<Object>} Manifest entry (id, path, format, sheet, columns)
+     */
+    async getDatasetInfo(datasetId) {
+        const manifest = await this.loadManifest();
+        const info = manifest.datasets.find(d => d.id === datasetId);
+
+        if (!info) {
+            throw new Error(`Unknown dataset "${datasetId}" (not listed in ${this.manifestPath})`);
+        }
+
+        return info;
+    }
+
+    /**
+     * Load a dataset by its manifest id.
+     * Rows are validated against the manifest schema and returned with canonical
+     * column names and typed values (numbers as numbers, dates as YYYY-MM-DD).
+     * Every caller receives the same array, parsed once per page; charts should
+     * map it into their own structures rather than mutate it.
+     * @param {string} datasetId - Dataset id from data/datasets.json
+     * @returns {Promise<Array>} Normalised data as array of objects
+     */
+    loadDataset(datasetId) {
+        return this.memoize(`dataset:${datasetId}`, async () => {
+            const info = await this.getDatasetInfo(datasetId);
+            const signature = this.persistentCache ? await this.getSourceSignature(info) : null;
+
+            if (signature) {
+                const cached = await this.persistentCache.get(datasetId).catch(() => null);
+                if (cached && cached.signature === signature) {
+                    console.log(`✓ Loaded ${cached.rowCount} rows for ${datasetId} from IndexedDB`);
+                    this.loadSources.set(datasetId, 'indexeddb');
+                    return cached.rows;
+                }
+            }
+
+            const rows = await this.fetchDataset(info);
+            this.loadSources.set(datasetId, 'network');
+
+            if (signature) {
+                this.persistentCache.put({
+                    id: datasetId,
+                    signature,
+                    path: info.path,
+                    rowCount: rows.length,
+                    savedAt: Date.now(),
+                    rows
+                }).catch(error => console.warn(`Could not persist ${datasetId}:`, error));
+            }
+
+            return rows;
+        });
+    }
+
+    /**
+     * Download, parse and normalise a dataset (no caching)
+     * @param {Object} info - Manifest entry
+     * @returns {Promise<Array>} Normalised rows
+     */
+    async fetchDataset(info) {
+        let rows;
+
+        // Workbooks parse and normalise in the worker when one is available
+        if (info.format === 'xlsx' && this.canUseWorker()) {
+            return this.parseInWorker(info);
+        }
+
+        switch (info.format) {
+            case 'xlsx':
+                rows = await this.loadExcel(info.path, info.sheet || null);
+                break;
+            case 'csv':
+                rows = await this.loadCSV(info.path);
+                break;
+            default:
+                throw new Error(`Unsupported format "${info.format}" for dataset "${info.id}"`);
+        }
+
+        return this.normalizeRows(info, rows, this.manifest.aliases || {});
+    }
+
+    /**
+     * Parse and normalise workbook contents (e.g. a file dropped on the page) as a manifest dataset
+     * @param {Object} info - Manifest entry for an xlsx dataset
+     * @param {ArrayBuffer} buffer - Workbook contents
+     * @returns {Promise<Array>} Normalised rows
+     * @throws {DataSchemaError} When the workbook doesn't match the dataset's schema
+     */
+    async parseWorkbook(info, buffer) {
+        if (this.canUseWorker()) {
+            return this.parseInWorker(info, buffer);
+        }
+
+        const workbook = XLSX.read(buffer, { type: 'array' });
+        const sheet = info.sheet || workbook.SheetNames[0];
+        if (!workbook.Sheets[sheet]) {
+            throw new Error(`Sheet "${sheet}" not found in workbook`);
+        }
+
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { defval: null });
+        return this.normalizeRows(info, rows, this.manifest.aliases || {});
+    }
+
+    /**
+     * Header row of a workbook's first sheet, read without parsing the rest of the sheet
+     * @param {ArrayBuffer} buffer - Workbook contents
+     * @returns {string[]} Headers
+     */
+    readWorkbookHeaders(buffer) {
+        const workbook = XLSX.read(buffer, { type: 'array', sheetRows: 1 });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        const [headers = []] = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: null }) : [];
+        return headers.filter(header => header !== null).map(String);
+    }
+
+    /**
+     * Rows of a dataset this page has already loaded (or is loading), without fetching it
+     * @param {string} datasetId - Dataset id from data/datasets.json
+     * @returns {Promise<Array>|null} The loaded rows, or null when the dataset hasn't been requested
+     */
+    peekDataset(datasetId) {
+        return this.cache.get(`dataset:${datasetId}`) || null;
+    }
+
+    /**
+     * Serve different rows for a dataset for the rest of this page load.
+     * Nothing is persisted; metrics derived from other datasets are dropped so they recompute.
+     * @param {string} datasetId - Dataset id from data/datasets.json
+     * @param {Array} rows - Normalised rows
+     * @param {string} [source='upload'] - Recorded in loadSources / getCacheStatus
+     */
+    replaceDataset(datasetId, rows, source = 'upload') {
+        this.cache.set(`dataset:${datasetId}`, Promise.resolve(rows));
+        this.loadSources.set(datasetId, source);
+
+        Array.from(this.cache.keys())
+            .filter(key => key.startsWith('derived:'))
+            .forEach(key => this.cache.delete(key));
+    }
+
+    /**
+     * Build the signature a persisted copy must match to be reused.
+     * Combines the manifest release/version, the manifest schema and the file's
+     * ETag or Last-Modified header, so editing either the manifest or the file invalidates it.
+     * @param {Object} info - Manifest entry
+     * @returns {Promise<string|null>} Signature, or null when the file can't be checked
+     */
+    async getSourceSignature(info) {
+        try {
+            const response = await fetch(info.path, { method: 'HEAD', cache: 'no-cache' });
+            if (!response.ok) return null;
+
+            const validator = response.headers.get('ETag')
+                || response.headers.get('Last-Modified')
+                || response.headers.get('Content-Length');
+            if (!validator) return null;
+
+            const schema = JSON.stringify([info, this.manifest.aliases || {}]);
+            return [this.manifest.release, info.version || '', validator, DataLoader.hashString(schema)].join('|');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Describe where each manifest dataset is cached
+     * @returns {Promise<Array>} [{ id, title, inMemory, loadedFrom, persisted, rowCount, savedAt }]
+     */
+    async getCacheStatus() {
+        const manifest = await this.loadManifest();
+        const persisted = this.persistentCache
+            ? await this.persistentCache.list().catch(() => [])
+            : [];
+
+        return manifest.datasets.map(info => {
+            const record = persisted.find(r => r.id === info.id);
+            return {
+                id: info.id,
+                title: info.title,
+                inMemory: this.cache.has(`dataset:${info.id}`),
+                loadedFrom: this.loadSources.get(info.id) || null,
+                persisted: Boolean(record),
+                rowCount: record ? record.rowCount : null,
+                savedAt: record ? new Date(record.savedAt) : null
+            };
+        });
+    }
+
+    /**
+     * 32-bit FNV-1a hash of a string, as hex
+     * @param {string} text - Text to hash
+     * @returns {string}
+     */
+    static hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Whether workbooks can be parsed off the main thread (browser page, not a worker or Node)
+     * @returns {boolean}
+     */
+    canUseWorker() {
+        return typeof Worker !== 'undefined' && typeof document !== 'undefined';
+    }
+
+    /**
+     * Fetch, parse and normalise a workbook in js/xlsx_worker.js
+     * @param {Object} info - Manifest entry for an xlsx dataset
+     * @param {ArrayBuffer} [buffer] - Workbook contents to parse instead of fetching info.path
+     * @returns {Promise<Array>} Normalised rows, assembled from the worker's chunks
+     */
+    parseInWorker(info, buffer = null) {
+        if (!this.worker) {
+            this.worker = new Worker(this.workerPath);
+            this.worker.addEventListener('message', event => this.handleWorkerMessage(event.data));
+            this.worker.addEventListener('error', event => this.handleWorkerError(event));
+        }
+
+        const requestId = this.nextRequestId++;
+        console.log(`Loading ${buffer ? info.id : info.path} in worker...`);
+
+        return new Promise((resolve, reject) => {
+            this.workerRequests.set(requestId, { info, rows: [], resolve, reject });
+            this.worker.postMessage({
+                requestId,
+                // Worker URLs resolve against js/, so send an absolute URL
+                url: new URL(info.path, document.baseURI).href,
+                buffer,
+                info,
+                aliases: this.manifest.aliases || {}
+            });
+        });
+    }
+
+    /**
+     * Route a worker message to its pending request
+     * @param {Object} message - { requestId, type: 'progress'|'rows'|'done'|'error', ... }
+     */
+    handleWorkerMessage(message) {
+        const request = this.workerRequests.get(message.requestId);
+        if (!request) return;
+
+        const datasetId = request.info.id;
+
+        switch (message.type) {
+            case 'progress':
+                this.emitProgress(datasetId, message.stage, message.loaded, message.total);
+                break;
+            case 'rows':
+                request.rows.push(...message.rows);
+                this.emitProgress(datasetId, 'rows', message.loaded, message.total);
+                break;
+            case 'done':
+                this.workerRequests.delete(message.requestId);
+                console.log(`✓ Loaded ${request.rows.length} rows from ${request.info.path}`);
+                this.emitProgress(datasetId, 'done', request.rows.length, request.rows.length);
+                request.resolve(request.rows);
+                break;
+            case 'error': {
+                this.workerRequests.delete(message.requestId);
+                const error = message.issues
+                    ? new DataSchemaError(datasetId, message.issues)
+                    : new Error(message.message);
+                console.error(`Error loading ${request.info.path}:`, error);
+                this.emitProgress(datasetId, 'error', 0, 0);
+                request.reject(error);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Fail every pending request when the worker itself crashes (e.g. SheetJS failed to load)
+     * @param {ErrorEvent} event - Worker error event
+     */
+    handleWorkerError(event) {
+        const error = new Error(`XLSX worker failed: ${event.message || 'unknown error'}`);
+        console.error(error);
+
+        this.workerRequests.forEach(request => {
+            this.emitProgress(request.info.id, 'error', 0, 0);
+            request.reject(error);
+        });
+        this.workerRequests.clear();
+
+        this.worker.terminate();
+        this.worker = null;
+    }
+
+    /**
+     * Dispatch a 'progress' event for a dataset
+     * @param {string} datasetId - Dataset id
+     * @param {string} stage - 'download', 'parse', 'rows', 'done' or 'error'
+     * @param {number} loaded - Bytes or rows processed so far
+     * @param {number} total - Total bytes or rows (0 when unknown)
+     */
+    emitProgress(datasetId, stage, loaded, total) {
+        this.dispatchEvent(new CustomEvent('progress', {
+            detail: { datasetId, stage, loaded, total }
+        }));
+    }
+
+    /**
+     * Show a progress bar in a chart container while a dataset loads.
+     * The bar removes itself when loading finishes; chart init() clears the container anyway.
+     * @param {string} containerId - Chart container element ID
+     * @param {string} datasetId - Dataset id from data/datasets.json
+     */
+    showProgress(containerId, datasetId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const indicator = document.createElement('div');
+        indicator.className = 'data-progress';
+        indicator.setAttribute('role', 'progressbar');
+        indicator.setAttribute('aria-valuemin', '0');
+        indicator.setAttribute('aria-valuemax', '100');
+        indicator.innerHTML = `
+            <div class="data-progress-label">Loading data…</div>
+            <div class="data-progress-track"><div class="data-progress-bar"></div></div>
+        `;
+        container.appendChild(indicator);
+
+        const label = indicator.querySelector('.data-progress-label');
+        const bar = indicator.querySelector('.data-progress-bar');
+
+        // Download fills the first half of the bar, row transfer the rest
+        const onProgress = (event) => {
+            const { datasetId: id, stage, loaded, total } = event.detail;
+            if (id !== datasetId) return;
+
+            const fraction = total ? loaded / total : 0;
+            let percent;
+
+            if (stage === 'download') {
+                percent = fraction * 50;
+                label.textContent = total ? `Downloading… ${Math.round(fraction * 100)}%` : 'Downloading…';
+            } else if (stage === 'parse') {
+                percent = 50;
+                label.textContent = 'Parsing workbook…';
+            } else if (stage === 'rows') {
+                percent = 50 + fraction * 50;
+                label.textContent = `Preparing rows… ${loaded.toLocaleString()} of ${total.toLocaleString()}`;
+            } else {
+                return;
+            }
+
+            bar.style.width = `${percent}%`;
+            indicator.setAttribute('aria-valuenow', Math.round(percent));
+        };
+
+        const cleanup = () => {
+            this.removeEventListener('progress', onProgress);
+            indicator.remove();
+        };
+
+        this.addEventListener('progress', onProgress);
+        this.loadDataset(datasetId).then(cleanup, cleanup);
+    }
+
+    /**
+     * Map source headers to canonical column names, then validate and coerce values.
+     * @param {Object} info - Manifest entry with a `columns` schema
+     * @param {Array} rows - Raw rows as returned by loadExcel/loadCSV
+     * @param {Object} aliases - Canonical name -> list of accepted source headers
+     * @returns {Array} Rows keyed by canonical column names
+     * @throws {DataSchemaError} When a required column is missing or values have the wrong type
+     */
+    normalizeRows(info, rows, aliases = {}) {
+        const headers = rows.columns || Object.keys(rows[0] || {});
+        const { sourceFor, issues } = this.resolveColumns(info, headers, aliases);
+
+        // Coerce values, collecting bad cells per column
+        const badCells = new Map();
+        const data = rows.map((row, i) => {
+            const result = {};
+
+            info.columns.forEach(column => {
+                const source = sourceFor[column.name];
+                if (!source) {
+                    result[column.name] = null;
+                    return;
+                }
+
+                const value = this.coerceValue(row[source], column.type);
+                if (value === undefined) {
+                    if (!badCells.has(column.name)) badCells.set(column.name, []);
+                    // Spreadsheet row number: header is row 1
+                    badCells.get(column.name).push({ row: i + 2, value: row[source] });
+                    result[column.name] = null;
+                } else {
+                    result[column.name] = value;
+                }
+            });
+
+            return result;
+        });
+
+        badCells.forEach((cells, name) => {
+            const column = info.columns.find(c => c.name === name);
+            const examples = cells.slice(0, 3)
+                .map(c => `row ${c.row}: ${JSON.stringify(c.value)}`)
+                .join(', ');
+            issues.push(`column "${name}" has ${cells.length} invalid ${column.type} value(s) (${examples})`);
+        });
+
+        if (issues.length > 0) {
+            throw new DataSchemaError(info.id, issues);
+        }
+
+        return data;
+    }
+
+    /**
+     * Resolve which source header feeds each declared column
+     * @param {Object} info - Manifest entry with a `columns` schema
+     * @param {string[]} headers - Source headers
+     * @param {Object} aliases - Canonical name -> list of accepted source headers
+     * @returns {Object} { sourceFor: canonical name -> source header, issues: missing or ambiguous columns }
+     */
+    resolveColumns(info, headers, aliases = {}) {
+        const issues = [];
+        const sourceFor = {};
+
+        info.columns.forEach(column => {
+            const accepted = [column.name, ...(aliases[column.name] || [])];
+            const found = accepted.filter(h => headers.includes(h));
+
+            if (found.length > 1) {
+                issues.push(`column "${column.name}" is ambiguous: found ${found.map(h => `"${h}"`).join(' and ')}`);
+            } else if (found.length === 1) {
+                sourceFor[column.name] = found[0];
+            } else if (column.required !== false) {
+                issues.push(`missing column "${column.name}" (accepted headers: ${accepted.join(', ')})`);
+            }
+        });
+
+        return { sourceFor, issues };
+    }
+
+    /**
+     * Coerce a raw cell to the declared column type
+     * @param {*} value - Raw cell value (string from CSV, string/number from XLSX)
+     * @param {string} type - 'number', 'date' or 'string'
+     * @returns {*} Coerced value, null for empty strings, or undefined when invalid
+     */
+    coerceValue(value, type) {
+        const isEmpty = value === null || value === undefined || value === '';
+
+        switch (type) {
+            case 'number': {
+                const number = isEmpty ? NaN : Number(value);
+                return Number.isFinite(number) ? number : undefined;
+            }
+            case 'date': {
+                if (isEmpty) return undefined;
+                // XLSX stores dates as serial day numbers counted from 1899-12-30
+                const date = typeof value === 'number'
+                    ? new Date(Date.UTC(1899, 11, 30) + value * 86400000)
+                    : new Date(value);
+                return isNaN(date) ? undefined : date.toISOString().slice(0, 10);
+            }
+            default:
+                return isEmpty ? null : String(value).trim();
+        }
     }
 
     /**
@@ -14,14 +558,17 @@ class DataLoader {
      * @param {string} sheetName - Optional sheet name to load
      * @returns {Promise<Array>} Parsed data as array of objects
      */
-    async loadExcel(filePath, sheetName = null) {
-        // Check cache first
-        const cacheKey = `${filePath}:${sheetName}`;
-        if (this.cache.has(cacheKey)) {
-            console.log(`Loading ${filePath} from cache`);
-            return this.cache.get(cacheKey);
-        }
+    loadExcel(filePath, sheetName = null) {
+        return this.memoize(`${filePath}:${sheetName}`, () => this.readExcel(filePath, sheetName));
+    }
 
+    /**
+     * Fetch and parse an Excel file (uncached, see loadExcel)
+     * @param {string} filePath - Path to the Excel file
+     * @param {string} sheetName - Optional sheet name to load
+     * @returns {Promise<Array>} Parsed data as array of objects
+     */
+    async readExcel(filePath, sheetName = null) {
         try {
             console.log(`Loading ${filePath}...`);
             
@@ -44,13 +591,10 @@ class DataLoader {
             }
 
             // Convert to JSON
-            const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheet]);
+            const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { defval: null });
             
             console.log(`✓ Loaded ${data.length} rows from ${filePath}`);
             
-            // Cache the data
-            this.cache.set(cacheKey, data);
-            
             return data;
         } catch (error) {
             console.error(`Error loading ${filePath}:`, error);
@@ -59,32 +603,40 @@ class DataLoader {
     }
 
     /**
-     * Load all datasets for the project
-     * @returns {Promise<Object>} Object containing all datasets
+     * Load CSV file using D3
+     * @param {string} filePath - Path to the CSV file
+     * @returns {Promise<Array>} Parsed data as array of objects (values as strings)
+     */
+    loadCSV(filePath) {
+        return this.memoize(`${filePath}:csv`, async () => {
+            try {
+                console.log(`Loading ${filePath}...`);
+
+                const data = await d3.csv(filePath);
+
+                console.log(`✓ Loaded ${data.length} rows from ${filePath}`);
+
+                return data;
+            } catch (error) {
+                console.error(`Error loading ${filePath}:`, error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Load every dataset listed in the manifest
+     * @returns {Promise<Object>} Object containing all datasets keyed by dataset id
      */
     async loadAllDatasets() {
         const datasets = {};
         
         try {
-            // Load fines dataset
-            datasets.fines = await this.loadExcel(
-                'data/police_enforcement_2024_fines.xlsx'
-            );
-
-            // Load total tests dataset
-            datasets.totalTests = await this.loadExcel(
-                'data/police_enforcement_2024_alcohol_drug_tests_TAMTONG.xlsx'
-            );
-
-            // Load positive breath tests dataset
-            datasets.positiveBreath = await this.loadExcel(
-                'data/police_enforcement_2024_positive_breath_tests.xlsx'
-            );
-
-            // Load positive drug tests dataset
-            datasets.positiveDrug = await this.loadExcel(
-                'data/police_enforcement_2024_positive_drug_tests.xlsx'
-            );
+            const manifest = await this.loadManifest();
+
+            await Promise.all(manifest.datasets.map(async info => {
+                datasets[info.id] = await this.loadDataset(info.id);
+            }));
 
             console.log('✓ All datasets loaded successfully');
             return datasets;
@@ -110,67 +662,359 @@ class DataLoader {
      * @param {Array} data - Data array to group
      * @param {string} groupField - Field to group by
      * @param {string} valueField - Field to aggregate
-     * @param {string} aggregation - Type of aggregation ('sum', 'count', 'avg')
-     * @returns {Array} Grouped data
+     * @param {string} aggregation - Type of aggregation (any `query` measure op)
+     * @returns {Array} Grouped data as [{ [groupField], value }]
      */
     groupBy(data, groupField, valueField = null, aggregation = 'sum') {
-        const grouped = new Map();
+        return this.query(data, {
+            groupBy: groupField,
+            measures: {
+                value: valueField ? { field: valueField, op: aggregation } : { op: 'count' }
+            }
+        });
+    }
+
+    /**
+     * Run a declarative query: filter, group, aggregate, pivot and sort.
+     *
+     * Example - tests per year, alcohol and drug side by side:
+     *   dataLoader.query(rows, {
+     *       where: { JURISDICTION: ['NSW', 'VIC'] },
+     *       groupBy: ['YEAR', 'METRIC'],
+     *       measures: { tests: { field: 'COUNT', op: 'sum' } },
+     *       pivot: { on: 'METRIC', value: 'tests', columns: { breath_tests_conducted: 'alcohol', drug_tests_conducted: 'drug' } },
+     *       sort: 'YEAR'
+     *   });
+     *
+     * @param {Array} data - Rows to query
+     * @param {Object} spec - Query specification
+     * @param {Object|Function} [spec.where] - Row predicate, or { field: value | [values] | predicate(value) }
+     * @param {string|string[]} [spec.groupBy] - Dimension field(s); omit for a single total row
+     * @param {Object} [spec.measures] - { name: { field, op, where, within } }. op is one of
+     *     'sum', 'count', 'avg', 'min', 'max', 'median', 'distinct' or 'share' (group sum / total sum,
+     *     optionally within the groupBy fields listed in `within`). A measure-level `where`
+     *     filters the rows feeding that measure only. Defaults to { count: { op: 'count' } }.
+     * @param {Object} [spec.pivot] - { on, value, columns, fill } spreads the `on` dimension into
+     *     columns holding measure `value`. `columns` (array of values, or value -> column name map)
+     *     fixes which columns appear; missing cells get `fill` (default 0).
+     * @param {string|string[]} [spec.sort] - Field name(s), prefix with '-' for descending
+     * @returns {Array} Result rows
+     */
+    query(data, spec = {}) {
+        const groupFields = [].concat(spec.groupBy || []);
+        const measures = Object.entries(spec.measures || { count: { op: 'count' } });
+        const rows = spec.where ? data.filter(this.compileWhere(spec.where)) : data;
+
+        // Partition rows by their dimension values
+        const groups = new Map();
+        rows.forEach(row => {
+            const keyValues = groupFields.map(field => row[field]);
+            const key = JSON.stringify(keyValues);
 
-        data.forEach(row => {
-            const key = row[groupField];
-            if (!grouped.has(key)) {
-                grouped.set(key, { [groupField]: key, values: [] });
+            if (!groups.has(key)) {
+                groups.set(key, { keyValues, rows: [] });
             }
-            
-            if (valueField) {
-                grouped.get(key).values.push(parseFloat(row[valueField]) || 0);
-            } else {
-                grouped.get(key).values.push(1);
+            groups.get(key).rows.push(row);
+        });
+
+        const measureFilters = new Map(measures
+            .filter(([, measure]) => measure.where)
+            .map(([name, measure]) => [name, this.compileWhere(measure.where)]));
+
+        let result = Array.from(groups.values()).map(group => {
+            const output = {};
+            groupFields.forEach((field, i) => {
+                output[field] = group.keyValues[i];
+            });
+
+            measures.forEach(([name, measure]) => {
+                const filter = measureFilters.get(name);
+                const groupRows = filter ? group.rows.filter(filter) : group.rows;
+                // Shares start as sums and are divided by their totals below
+                const op = measure.op === 'share' ? 'sum' : (measure.op || 'sum');
+                output[name] = this.aggregate(groupRows, measure.field, op);
+            });
+
+            return output;
+        });
+
+        measures
+            .filter(([, measure]) => measure.op === 'share')
+            .forEach(([name, measure]) => {
+                const within = [].concat(measure.within || []);
+                const partitionKey = row => JSON.stringify(within.map(field => row[field]));
+                const totals = new Map();
+
+                result.forEach(row => {
+                    const key = partitionKey(row);
+                    totals.set(key, (totals.get(key) || 0) + row[name]);
+                });
+                result.forEach(row => {
+                    const total = totals.get(partitionKey(row));
+                    row[name] = total ? row[name] / total : 0;
+                });
+            });
+
+        if (spec.pivot) {
+            result = this.pivot(result, groupFields, spec.pivot);
+        }
+
+        if (spec.sort) {
+            result.sort(this.compileSort(spec.sort));
+        }
+
+        return result;
+    }
+
+    /**
+     * Aggregate one field over a set of rows
+     * @param {Array} rows - Rows to aggregate
+     * @param {string} field - Field to aggregate (unused for 'count')
+     * @param {string} op - 'sum', 'count', 'avg', 'min', 'max', 'median' or 'distinct'.
+     *     min/max also accept dates (YYYY-MM-DD strings order correctly as text).
+     * @returns {number|string|Array|null} Aggregated value; null for min/max/avg/median of no values,
+     *     sorted unique values for 'distinct'
+     */
+    aggregate(rows, field, op) {
+        if (op === 'count') {
+            return rows.length;
+        }
+
+        if (op === 'min' || op === 'max' || op === 'distinct') {
+            const present = rows.map(row => row[field]).filter(v => v !== null && v !== undefined);
+
+            if (op === 'distinct') {
+                return Array.from(new Set(present)).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+            }
+            if (!present.length) return null;
+            return op === 'min'
+                ? present.reduce((a, b) => (b < a ? b : a))
+                : present.reduce((a, b) => (b > a ? b : a));
+        }
+
+        const values = rows.map(row => +row[field]).filter(Number.isFinite);
+
+        switch (op) {
+            case 'sum':
+                return values.reduce((a, b) => a + b, 0);
+            case 'avg':
+                return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+            case 'median': {
+                if (!values.length) return null;
+                const sorted = values.sort((a, b) => a - b);
+                const mid = Math.floor(sorted.length / 2);
+                return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+            }
+            default:
+                throw new Error(`Unknown aggregation "${op}"`);
+        }
+    }
+
+    /**
+     * Spread one grouped dimension into columns (long -> wide)
+     * @param {Array} rows - Grouped rows from query()
+     * @param {string[]} groupFields - The query's groupBy fields
+     * @param {Object} pivot - { on, value, columns, fill }
+     * @returns {Array} One row per combination of the remaining groupBy fields
+     */
+    pivot(rows, groupFields, { on, value, columns = null, fill = 0 }) {
+        const keepFields = groupFields.filter(field => field !== on);
+        const columnNames = Array.isArray(columns)
+            ? Object.fromEntries(columns.map(c => [c, c]))
+            : columns;
+        const wide = new Map();
+
+        rows.forEach(row => {
+            const key = JSON.stringify(keepFields.map(field => row[field]));
+
+            if (!wide.has(key)) {
+                const output = {};
+                keepFields.forEach(field => {
+                    output[field] = row[field];
+                });
+                if (columnNames) {
+                    Object.values(columnNames).forEach(name => {
+                        output[name] = fill;
+                    });
+                }
+                wide.set(key, output);
+            }
+
+            const column = columnNames ? columnNames[row[on]] : row[on];
+            if (column !== undefined) {
+                wide.get(key)[column] = row[value];
             }
         });
 
-        // Aggregate
+        return Array.from(wide.values());
+    }
+
+    /**
+     * Join two row sets on shared key fields
+     * @param {Array} left - Rows to keep (all of them for a 'left' join)
+     * @param {Array} right - Rows to merge in; their fields win on name clashes
+     * @param {string|string[]} on - Key field(s) present in both
+     * @param {string} [type='inner'] - 'inner' keeps matched rows only, 'left' keeps unmatched left rows as-is
+     * @returns {Array} Merged rows, one per matching pair
+     */
+    join(left, right, on, type = 'inner') {
+        const keys = [].concat(on);
+        const keyOf = row => JSON.stringify(keys.map(key => row[key]));
+        const index = new Map();
+
+        right.forEach(row => {
+            const key = keyOf(row);
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(row);
+        });
+
         const result = [];
-        grouped.forEach((group, key) => {
-            let aggregatedValue;
-            
-            switch (aggregation) {
-                case 'sum':
-                    aggregatedValue = group.values.reduce((a, b) => a + b, 0);
-                    break;
-                case 'count':
-                    aggregatedValue = group.values.length;
-                    break;
-                case 'avg':
-                    aggregatedValue = group.values.reduce((a, b) => a + b, 0) / group.values.length;
-                    break;
-                default:
-                    aggregatedValue = group.values.reduce((a, b) => a + b, 0);
-            }
-
-            result.push({
-                [groupField]: key,
-                value: aggregatedValue
-            });
+        left.forEach(row => {
+            const matches = index.get(keyOf(row));
+            if (matches) {
+                matches.forEach(match => result.push({ ...row, ...match }));
+            } else if (type === 'left') {
+                result.push({ ...row });
+            }
         });
 
         return result;
     }
 
+    /**
+     * Reporting period covered by each group of rows, from their START_DATE and END_DATE.
+     * A group's period runs from its earliest start to its latest end. Coverage compares that span
+     * with the twelve months from the start, so calendar and financial years both count as complete.
+     * @param {Array} rows - Rows with START_DATE/END_DATE (ISO dates, as normalised from the manifest)
+     * @param {string|string[]} [groupBy=['YEAR', 'JURISDICTION']] - Fields identifying one reported period
+     * @returns {Array} [{ ...groupBy, START_DATE, END_DATE, PERIOD_DAYS, COVERAGE, PARTIAL }];
+     *     COVERAGE is 1 for a full year and null when the dates are missing
+     */
+    reportingPeriods(rows, groupBy = ['YEAR', 'JURISDICTION']) {
+        return this.query(rows, {
+            groupBy,
+            measures: {
+                START_DATE: { field: 'START_DATE', op: 'min' },
+                END_DATE: { field: 'END_DATE', op: 'max' }
+            },
+            sort: groupBy
+        }).map(row => {
+            const days = this.periodDays(row.START_DATE, row.END_DATE);
+            const start = this.parseDate(row.START_DATE);
+            const coverage = days === null
+                ? null
+                : days / this.periodDays(start, new Date(Date.UTC(
+                    start.getUTCFullYear() + 1, start.getUTCMonth(), start.getUTCDate() - 1)));
+
+            return { ...row, PERIOD_DAYS: days, COVERAGE: coverage, PARTIAL: coverage !== null && coverage < 1 };
+        });
+    }
+
+    /**
+     * Scale counts to a full-year equivalent (value / coverage of the row's reporting period).
+     * Rows in complete periods, or without dates, keep their values.
+     * @param {Array} rows - Rows with START_DATE/END_DATE
+     * @param {string|string[]} fields - Count fields to scale, e.g. 'COUNT'
+     * @param {string|string[]} [groupBy=['YEAR', 'JURISDICTION']] - Fields identifying one reported period
+     * @returns {Array} Copies of the rows with PERIOD_DAYS, COVERAGE and PARTIAL added and `fields` scaled
+     */
+    annualise(rows, fields, groupBy = ['YEAR', 'JURISDICTION']) {
+        // Keep each row's own dates; only the period measures are merged in
+        const periods = this.reportingPeriods(rows, groupBy)
+            .map(({ START_DATE, END_DATE, ...period }) => period);
+
+        return this.join(rows, periods, groupBy, 'left').map(row => {
+            if (!row.COVERAGE || row.COVERAGE === 1) return row;
+
+            [].concat(fields).forEach(field => {
+                if (typeof row[field] === 'number') {
+                    row[field] = row[field] / row.COVERAGE;
+                }
+            });
+            return row;
+        });
+    }
+
+    /**
+     * Build a row predicate from a `where` specification
+     * @param {Object|Function} where - Row predicate, or { field: value | [values] | predicate(value) }
+     * @returns {Function} Row predicate
+     */
+    compileWhere(where) {
+        if (typeof where === 'function') {
+            return where;
+        }
+
+        const tests = Object.entries(where).map(([field, condition]) => {
+            if (Array.isArray(condition)) return row => condition.includes(row[field]);
+            if (typeof condition === 'function') return row => condition(row[field]);
+            return row => row[field] === condition;
+        });
+
+        return row => tests.every(test => test(row));
+    }
+
+    /**
+     * Build a comparator from a `sort` specification
+     * @param {string|string[]} sort - Field name(s), '-' prefix for descending
+     * @returns {Function} Comparator; null/undefined values sort last
+     */
+    compileSort(sort) {
+        const keys = [].concat(sort).map(key => key.startsWith('-')
+            ? { field: key.slice(1), direction: -1 }
+            : { field: key, direction: 1 });
+
+        return (a, b) => {
+            for (const { field, direction } of keys) {
+                const x = a[field];
+                const y = b[field];
+
+                if (x === y) continue;
+                if (x === null || x === undefined) return 1;
+                if (y === null || y === undefined) return -1;
+                return (x < y ? -1 : 1) * direction;
+            }
+            return 0;
+        };
+    }
+
     /**
      * Parse date field
-     * @param {string} dateString - Date string to parse
-     * @returns {Date} Parsed date
+     * @param {string|Date} dateString - ISO date ('YYYY-MM-DD', read as UTC midnight) or a Date
+     * @returns {Date|null} Parsed date, or null when missing or invalid
      */
     parseDate(dateString) {
-        return new Date(dateString);
+        if (dateString === null || dateString === undefined || dateString === '') return null;
+        const date = dateString instanceof Date ? dateString : new Date(dateString);
+        return isNaN(date) ? null : date;
+    }
+
+    /**
+     * Length of a reporting period in days, counting both the first and last day
+     * @param {string|Date} start - START_DATE
+     * @param {string|Date} end - END_DATE
+     * @returns {number|null} Days, or null when either date is missing or the period ends before it starts
+     */
+    periodDays(start, end) {
+        const from = this.parseDate(start);
+        const to = this.parseDate(end);
+        if (!from || !to || to < from) return null;
+        return Math.round((to - from) / 86400000) + 1;
     }
 
     /**
-     * Clear cache
+     * Clear the in-memory cache and the persistent IndexedDB store
+     * @returns {Promise<void>}
      */
-    clearCache() {
+    async clearCache() {
         this.cache.clear();
+        this.loadSources.clear();
+        this.manifest = null;
+
+        if (this.persistentCache) {
+            await this.persistentCache.clear();
+        }
+
         console.log('Cache cleared');
     }
 }
@@ -180,5 +1024,5 @@ const dataLoader = new DataLoader();
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { DataLoader, dataLoader };
+    module.exports = { DataLoader, DataSchemaError, dataLoader };
 }
@@ -4,13 +4,10 @@
  * Used for: Substance distribution, demographic breakdowns, etc.
  */
 
-class PieChart {
+class PieChart extends BaseChart {
     constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = d3.select(`#${containerId}`);
-        
         // Default configuration
-        this.config = {
+        super(containerId, {
             margin: { top: 40, right: 40, bottom: 40, left: 40 },
             width: 600,
             height: 400,
@@ -21,32 +18,22 @@ class PieChart {
             showLegend: true,
             showTooltip: true,
             showLabels: true,
-            innerRadius: 0, // Set > 0 for donut chart
-            ...options
-        };
-
-        this.svg = null;
-        this.data = null;
-        this.tooltip = null;
+            innerRadius: 0 // Set > 0 for donut chart
+        }, options);
     }
 
     /**
      * Initialize the chart
      */
     init() {
-        // Clear existing content
-        this.container.selectAll('*').remove();
+        super.init();
 
         // Calculate dimensions
         const width = this.config.width - this.config.margin.left - this.config.margin.right;
         const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
 
-        // Create SVG
-        this.svg = this.container
-            .append('svg')
-            .attr('width', this.config.width)
-            .attr('height', this.config.height)
-            .append('g')
+        // Centre the pie in the SVG
+        this.createSvg()
             .attr('transform', `translate(${this.config.width / 2},${this.config.height / 2})`);
 
         // Add title
@@ -58,31 +45,14 @@ class PieChart {
             .style('font-weight', 'bold')
             .text(this.config.title);
 
-        // Create tooltip
-        if (this.config.showTooltip) {
-            this.tooltip = d3.select('body')
-                .append('div')
-                .attr('class', 'chart-tooltip')
-                .style('position', 'absolute')
-                .style('visibility', 'hidden')
-                .style('background-color', 'rgba(0, 0, 0, 0.8)')
-                .style('color', 'white')
-                .style('padding', '10px')
-                .style('border-radius', '5px')
-                .style('font-size', '12px')
-                .style('pointer-events', 'none')
-                .style('z-index', '1000');
-        }
-
         return this;
     }
 
     /**
-     * Render the chart with data
-     * @param {Array} data - Array of data objects
+     * Draw the chart from this.data
      */
-    render(data) {
-        this.data = data;
+    draw() {
+        const data = this.data;
         const width = this.config.width - this.config.margin.left - this.config.margin.right;
         const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
 
@@ -119,7 +89,7 @@ class PieChart {
         arcs.append('path')
             .attr('d', arc)
             .attr('fill', d => colorScale(d.data[this.config.labelField]))
-            .attr('stroke', 'white')
+            .attr('stroke', chartStyles.theme('surface'))
             .style('stroke-width', '2px')
             .style('opacity', 0)
             .on('mouseover', (event, d) => this.showTooltip(event, d))
@@ -174,66 +144,22 @@ class PieChart {
                     .text(d[this.config.labelField]);
             });
         }
-
-        return this;
     }
 
     /**
-     * Show tooltip
+     * Tooltip template for a mark
      */
-    showTooltip(event, data) {
-        if (!this.tooltip) return;
-
+    tooltipTemplate(data) {
         const total = d3.sum(this.data, d => +d[this.config.valueField]);
         const percent = ((+data.data[this.config.valueField] / total) * 100).toFixed(1);
 
-        const tooltipContent = `
-            <strong>${data.data[this.config.labelField]}</strong><br/>
-            Value: ${(+data.data[this.config.valueField]).toLocaleString()}<br/>
-            Percentage: ${percent}%
-        `;
-
-        this.tooltip
-            .html(tooltipContent)
-            .style('visibility', 'visible');
-    }
-
-    /**
-     * Move tooltip
-     */
-    moveTooltip(event) {
-        if (!this.tooltip) return;
-        
-        this.tooltip
-            .style('left', (event.pageX + 10) + 'px')
-            .style('top', (event.pageY - 10) + 'px');
-    }
-
-    /**
-     * Hide tooltip
-     */
-    hideTooltip() {
-        if (this.tooltip) {
-            this.tooltip.style('visibility', 'hidden');
-        }
-    }
-
-    /**
-     * Update chart
-     */
-    update(newData) {
-        this.render(newData);
-        return this;
-    }
-
-    /**
-     * Destroy chart
-     */
-    destroy() {
-        this.container.selectAll('*').remove();
-        if (this.tooltip) {
-            this.tooltip.remove();
-        }
+        return {
+            title: data.data[this.config.labelField],
+            rows: [
+                { label: 'Value', value: (+data.data[this.config.valueField]).toLocaleString() },
+                { label: 'Percentage', value: `${percent}%` }
+            ]
+        };
     }
 }
 
@@ -0,0 +1,258 @@
+/**
+ * Data Reconciliation
+ * Cross-checks totals between the derived CSVs, and between each CSV and the workbook it is built
+ * from (using the definitions in js/extracts.js). Discrepancies are reported per year and jurisdiction.
+ * Runs on the page (renderBanner) and headless in Node (tools/reconcile.js).
+ */
+
+// First year of the age and drug outcome breakdowns: DETAILED_FROM_YEAR from js/extracts.js, a global on
+// the page and a module in Node
+const RECONCILIATION_DETAILED_FROM_YEAR = typeof DETAILED_FROM_YEAR !== 'undefined'
+    ? DETAILED_FROM_YEAR
+    : require('./extracts.js').DETAILED_FROM_YEAR;
+
+// Derived datasets whose totals must agree with a reference dataset, summed over `keys`.
+// Age and drug outcome breakdowns only start in DETAILED_FROM_YEAR, so those comparisons are limited to match.
+const RECONCILIATION_CHECKS = [
+    { reference: 'positive_by_year_jurisdiction', dataset: 'positive_total', keys: [], measures: ['COUNT'] },
+    { reference: 'positive_by_year_jurisdiction', dataset: 'positive_by_year', keys: ['YEAR'], measures: ['COUNT'] },
+    { reference: 'positive_by_year_jurisdiction', dataset: 'positive_by_age', keys: ['YEAR', 'JURISDICTION'], measures: ['COUNT'] },
+    { reference: 'positive_by_year_jurisdiction', dataset: 'positive_outcomes_by_year_jurisdiction', keys: ['YEAR', 'JURISDICTION'], measures: ['COUNT'] },
+    { reference: 'drug_by_year_jurisdiction', dataset: 'drug_total', keys: [], measures: ['COUNT'] },
+    { reference: 'drug_by_year_jurisdiction', dataset: 'drug_by_year', keys: ['YEAR'], measures: ['COUNT'] },
+    {
+        reference: 'drug_by_year_jurisdiction', dataset: 'drug_enforcement', keys: ['YEAR', 'JURISDICTION'], measures: ['COUNT'],
+        where: { YEAR: year => year >= RECONCILIATION_DETAILED_FROM_YEAR }
+    },
+    {
+        reference: 'drug_by_year_jurisdiction', dataset: 'drug_by_age', keys: ['YEAR'], measures: ['COUNT'],
+        where: { YEAR: year => year >= RECONCILIATION_DETAILED_FROM_YEAR }
+    },
+    // Before DETAILED_FROM_YEAR each positive test has one row, so the de-duplicated positives must match the full count
+    {
+        reference: 'drug_by_year_jurisdiction', dataset: 'drug_positives_by_year_jurisdiction', keys: ['YEAR', 'JURISDICTION'],
+        measures: ['COUNT'], where: { YEAR: year => year < RECONCILIATION_DETAILED_FROM_YEAR }
+    }
+];
+
+// Dimensions a source check breaks totals down by, when the extract has them
+const RECONCILIATION_KEYS = ['YEAR', 'JURISDICTION', 'AGE_GROUP', 'DRUG_TYPE'];
+
+class DataReconciler {
+    /**
+     * @param {DataLoader} loader - Loader used to fetch datasets and run queries
+     * @param {Array} extracts - Extract definitions (EXTRACTS from js/extracts.js); enables source checks
+     */
+    constructor(loader, extracts = []) {
+        this.loader = loader;
+        this.extracts = extracts;
+        this.checks = RECONCILIATION_CHECKS;
+    }
+
+    /**
+     * Run every check
+     * @param {Object} [options]
+     * @param {boolean} [options.sources=true] - Also rebuild each extract from its workbook and compare
+     * @returns {Promise<Object>} { ok, generatedAt, results: [{ id, title, status, keys, discrepancies, error }] }
+     */
+    async run({ sources = true } = {}) {
+        const checks = this.checks.map(check => ({ ...check, id: `${check.dataset}~${check.reference}` }));
+
+        if (sources) {
+            this.extracts.forEach(extract => {
+                checks.push({
+                    id: `${extract.id}~${extract.source}`,
+                    reference: extract.source,
+                    dataset: extract.id,
+                    extract,
+                    keys: RECONCILIATION_KEYS.filter(key => extract.columns.includes(key)),
+                    measures: extract.measures
+                });
+            });
+        }
+
+        const results = await Promise.all(checks.map(check => this.runCheck(check)));
+
+        return {
+            ok: results.every(result => result.status === 'pass'),
+            generatedAt: new Date().toISOString(),
+            results
+        };
+    }
+
+    /**
+     * Run one check, turning load failures into an 'error' result
+     * @param {Object} check - { id, reference, dataset, keys, measures, where, extract }
+     * @returns {Promise<Object>} Check result
+     */
+    async runCheck(check) {
+        const result = { id: check.id, title: check.id, status: 'pass', keys: check.keys, discrepancies: [], error: null };
+
+        try {
+            const [referenceInfo, datasetInfo] = await Promise.all([
+                this.loader.getDatasetInfo(check.reference),
+                this.loader.getDatasetInfo(check.dataset)
+            ]);
+            result.title = `${datasetInfo.title} vs ${check.extract ? 'source workbook' : referenceInfo.title}`;
+
+            const [referenceRows, rows] = await Promise.all([
+                this.loader.loadDataset(check.reference),
+                this.loader.loadDataset(check.dataset)
+            ]);
+            // Source checks compare against the extract rebuilt from the workbook
+            const expectedRows = check.extract ? check.extract.build(referenceRows, this.loader) : referenceRows;
+
+            result.discrepancies = this.compareTotals(expectedRows, rows, check);
+            result.status = result.discrepancies.length > 0 ? 'fail' : 'pass';
+        } catch (error) {
+            result.status = 'error';
+            result.error = error.message;
+        }
+
+        return result;
+    }
+
+    /**
+     * Sum each measure per key on both sides and list the keys where they differ.
+     * Keys present on one side only count as zero on the other.
+     * @param {Array} expectedRows - Reference rows
+     * @param {Array} rows - Rows being checked
+     * @param {Object} check - { keys, measures, where }
+     * @returns {Array} [{ key: { YEAR, JURISDICTION, ... }, measure, expected, actual, difference }]
+     */
+    compareTotals(expectedRows, rows, { keys, measures, where }) {
+        const spec = {
+            where,
+            groupBy: keys,
+            measures: Object.fromEntries(measures.map(measure => [measure, { field: measure, op: 'sum' }]))
+        };
+        const index = totals => new Map(totals.map(row => [JSON.stringify(keys.map(key => row[key])), row]));
+        const expected = index(this.loader.query(expectedRows, spec));
+        const actual = index(this.loader.query(rows, spec));
+        const discrepancies = [];
+
+        new Set([...expected.keys(), ...actual.keys()]).forEach(groupKey => {
+            const expectedRow = expected.get(groupKey) || {};
+            const actualRow = actual.get(groupKey) || {};
+            const key = Object.fromEntries(keys.map(k => [k, k in expectedRow ? expectedRow[k] : actualRow[k]]));
+
+            measures.forEach(measure => {
+                const expectedValue = expectedRow[measure] || 0;
+                const actualValue = actualRow[measure] || 0;
+
+                if (expectedValue !== actualValue) {
+                    discrepancies.push({
+                        key,
+                        measure,
+                        expected: expectedValue,
+                        actual: actualValue,
+                        difference: actualValue - expectedValue
+                    });
+                }
+            });
+        });
+
+        const byKey = this.loader.compileSort(keys);
+        return discrepancies.sort((a, b) => byKey(a.key, b.key));
+    }
+
+    /**
+     * Describe one discrepancy in a single line
+     * @param {Object} discrepancy - Entry from compareTotals
+     * @returns {string} e.g. "2019 · NSW: COUNT 27,368 expected 27,400 (-32)"
+     */
+    static describe({ key, measure, expected, actual, difference }) {
+        const where = Object.values(key).join(' · ') || 'Overall';
+        const sign = difference > 0 ? '+' : '';
+        return `${where}: ${measure} ${actual.toLocaleString()} expected ${expected.toLocaleString()} ` +
+            `(${sign}${difference.toLocaleString()})`;
+    }
+
+    /**
+     * Plain-text report, one line per check plus its discrepancies
+     * @param {Object} report - Result of run()
+     * @param {number} [limit=20] - Discrepancies listed per check
+     * @returns {string} Report text
+     */
+    static formatReport(report, limit = 20) {
+        const lines = [];
+
+        report.results.forEach(result => {
+            const mark = result.status === 'pass' ? '✓' : '✗';
+            lines.push(`${mark} ${result.title}${result.status === 'error' ? ` - ${result.error}` : ''}`);
+
+            result.discrepancies.slice(0, limit).forEach(d => lines.push(`    ${DataReconciler.describe(d)}`));
+            if (result.discrepancies.length > limit) {
+                lines.push(`    ... and ${result.discrepancies.length - limit} more`);
+            }
+        });
+
+        const failed = report.results.filter(result => result.status !== 'pass').length;
+        lines.push(failed
+            ? `${failed} of ${report.results.length} checks failed`
+            : `All ${report.results.length} checks passed`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Show a warning banner listing failed checks; clears the container when everything adds up
+     * @param {string} containerId - Element to render the banner into
+     * @param {Object} report - Result of run()
+     * @param {number} [limit=10] - Discrepancies listed per check
+     */
+    renderBanner(containerId, report, limit = 10) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.innerHTML = '';
+        const failed = report.results.filter(result => result.status !== 'pass');
+        if (failed.length === 0) return;
+
+        const banner = document.createElement('div');
+        banner.className = 'data-warning';
+        banner.setAttribute('role', 'alert');
+
+        const heading = document.createElement('strong');
+        heading.textContent = `Data check: ${failed.length} of ${report.results.length} totals don't add up.`;
+        banner.appendChild(heading);
+        banner.appendChild(document.createTextNode(' Figures on this page may disagree with each other or with the source workbooks.'));
+
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = 'Show discrepancies';
+        details.appendChild(summary);
+
+        const list = document.createElement('ul');
+        failed.forEach(result => {
+            const item = document.createElement('li');
+            item.textContent = result.status === 'error' ? `${result.title}: ${result.error}` : result.title;
+
+            if (result.discrepancies.length > 0) {
+                const sublist = document.createElement('ul');
+                result.discrepancies.slice(0, limit).forEach(d => {
+                    const entry = document.createElement('li');
+                    entry.textContent = DataReconciler.describe(d);
+                    sublist.appendChild(entry);
+                });
+                if (result.discrepancies.length > limit) {
+                    const more = document.createElement('li');
+                    more.textContent = `... and ${result.discrepancies.length - limit} more`;
+                    sublist.appendChild(more);
+                }
+                item.appendChild(sublist);
+            }
+
+            list.appendChild(item);
+        });
+
+        details.appendChild(list);
+        banner.appendChild(details);
+        container.appendChild(banner);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataReconciler, RECONCILIATION_CHECKS };
+}
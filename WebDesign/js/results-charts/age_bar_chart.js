@@ -3,16 +3,17 @@
  * Visualizes positive breath tests by age group with filtering
  */
 
-class AgeBarChart {
+class AgeBarChart extends BaseChart {
     constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = d3.select(`#${containerId}`);
-        
         // Default configuration
-        this.config = {
+        super(containerId, {
             margin: { top: 60, right: 30, bottom: 100, left: 80 },
             width: 1200,
             height: 500,
+            responsive: true,
+            aspectRatio: 12 / 5,
+            minHeight: 320,
+            // Age group colours, in age order; the colour-blind-safe palette takes their places when chosen
             colors: {
                 '0-16': '#ef4444',
                 '17-25': '#f59e0b',
@@ -21,64 +22,52 @@ class AgeBarChart {
                 '65 and over': '#8b5cf6',
                 'All ages': '#64748b',
                 'Unknown': '#94a3b8'
-            },
-            ...options
-        };
+            }
+        }, options);
 
-        this.data = null;
         this.selectedAgeGroups = [];
         this.selectedYear = null;
-        this.svg = null;
-        this.tooltip = null;
     }
 
     /**
-     * Load CSV data
+     * Map dataset rows to chart records
+     * @param {Array} rows - Rows of the positive_by_age dataset
      */
-    async loadData(csvPath) {
-        try {
-            const rawData = await d3.csv(csvPath);
-            
-            // Process data
-            this.data = rawData.map(d => ({
-                year: +d.YEAR,
-                jurisdiction: d.JURISDICTION,
-                ageGroup: d.AGE_GROUP,
-                count: +d.COUNT,
-                metric: d.METRIC
-            }));
-
-            // Set default year to 2023 (first year with detailed age breakdown)
-            this.selectedYear = 2023;
-            
-            // Get unique age groups and select all by default (except "All ages" and "Unknown")
-            const allAgeGroups = [...new Set(this.data.map(d => d.ageGroup))];
-            console.log('All age groups in data:', allAgeGroups);
-            
-            this.selectedAgeGroups = allAgeGroups.filter(age => 
-                age !== 'All ages' && age !== 'Unknown'
-            );
-            console.log('Selected age groups by default:', this.selectedAgeGroups);
-            
-            // Check data for 2023
-            const data2023 = this.data.filter(d => d.year === 2023);
-            console.log('Data available for 2023:', data2023.length, 'records');
-            console.log('Sample 2023 data:', data2023.slice(0, 5));
-            
-            console.log(`✓ Loaded ${this.data.length} records for age bar chart`);
-            return this.data;
-        } catch (error) {
-            console.error('Error loading CSV:', error);
-            throw error;
-        }
+    processData(rows) {
+        const data = rows.map(d => ({
+            year: +d.YEAR,
+            jurisdiction: d.JURISDICTION,
+            ageGroup: d.AGE_GROUP,
+            count: +d.COUNT,
+            metric: d.METRIC
+        }));
+
+        // Set default year to 2023 (first year with detailed age breakdown)
+        this.selectedYear = 2023;
+
+        // Get unique age groups and select all by default (except "All ages" and "Unknown")
+        const allAgeGroups = [...new Set(data.map(d => d.ageGroup))];
+        console.log('All age groups in data:', allAgeGroups);
+
+        this.selectedAgeGroups = allAgeGroups.filter(age =>
+            age !== 'All ages' && age !== 'Unknown'
+        );
+        console.log('Selected age groups by default:', this.selectedAgeGroups);
+
+        // Check data for 2023
+        const data2023 = data.filter(d => d.year === 2023);
+        console.log('Data available for 2023:', data2023.length, 'records');
+        console.log('Sample 2023 data:', data2023.slice(0, 5));
+
+        console.log(`✓ Loaded ${data.length} records for age bar chart`);
+        return data;
     }
 
     /**
      * Initialize the chart
      */
     init() {
-        // Clear existing content
-        this.container.selectAll('*').remove();
+        super.init();
 
         // Create main container
         const chartContainer = this.container
@@ -93,30 +82,7 @@ class AgeBarChart {
             .append('div')
             .attr('class', 'chart-svg-container');
 
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
-        const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
-
-        this.svg = svgContainer
-            .append('svg')
-            .attr('width', this.config.width)
-            .attr('height', this.config.height)
-            .append('g')
-            .attr('transform', `translate(${this.config.margin.left},${this.config.margin.top})`);
-
-        // Create tooltip
-        this.tooltip = d3.select('body')
-            .append('div')
-            .attr('class', 'chart-tooltip')
-            .style('position', 'absolute')
-            .style('visibility', 'hidden')
-            .style('background-color', 'rgba(0, 0, 0, 0.9)')
-            .style('color', 'white')
-            .style('padding', '12px 16px')
-            .style('border-radius', '8px')
-            .style('font-size', '13px')
-            .style('pointer-events', 'none')
-            .style('z-index', '1000')
-            .style('box-shadow', '0 4px 12px rgba(0,0,0,0.3)');
+        this.createSvg(svgContainer);
 
         return this;
     }
@@ -130,7 +96,7 @@ class AgeBarChart {
             .attr('class', 'age-filters')
             .style('margin-bottom', '20px')
             .style('padding', '20px')
-            .style('background', '#f8fafc')
+            .style('background', 'var(--chart-surface-alt)')
             .style('border-radius', '12px')
             .style('box-shadow', '0 2px 8px rgba(0,0,0,0.08)');
 
@@ -142,7 +108,7 @@ class AgeBarChart {
         yearSection.append('div')
             .style('font-size', '14px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('margin-bottom', '10px')
             .html('Select Year');
 
@@ -169,8 +135,8 @@ class AgeBarChart {
                 .attr('class', 'year-filter-btn')
                 .attr('data-year', year)
                 .style('padding', '8px 16px')
-                .style('background', year === this.selectedYear ? '#3b82f6' : '#e2e8f0')
-                .style('color', year === this.selectedYear ? 'white' : '#475569')
+                .style('background', year === this.selectedYear ? '#3b82f6' : 'var(--chart-grid)')
+                .style('color', year === this.selectedYear ? 'white' : 'var(--chart-text-secondary)')
                 .style('border', 'none')
                 .style('border-radius', '6px')
                 .style('cursor', 'pointer')
@@ -192,7 +158,7 @@ class AgeBarChart {
         ageSection.append('div')
             .style('font-size', '14px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('margin-bottom', '10px')
             .html('Filter by Age Group');
 
@@ -244,8 +210,8 @@ class AgeBarChart {
                 .attr('class', 'age-filter-btn')
                 .attr('data-age', ageGroup)
                 .style('padding', '8px 16px')
-                .style('background', this.config.colors[ageGroup] || '#94a3b8')
-                .style('color', 'white')
+                .style('background', this.ageGroupColor(ageGroup))
+                .style('color', chartStyles.textColor(this.ageGroupColor(ageGroup)))
                 .style('border', '2px solid transparent')
                 .style('border-radius', '6px')
                 .style('cursor', 'pointer')
@@ -256,6 +222,11 @@ class AgeBarChart {
                 .text(ageGroup)
                 .on('click', () => this.toggleAgeGroup(ageGroup));
         });
+
+        if (typeof glossary !== 'undefined' && glossary) {
+            glossary.annotate(ageButtonContainer.selectAll('.age-filter-btn'), 'AGE_GROUP',
+                (d, element) => element.getAttribute('data-age'));
+        }
     }
 
     /**
@@ -299,8 +270,8 @@ class AgeBarChart {
         d3.selectAll('.year-filter-btn').each((d, i, nodes) => {
             const btn = d3.select(nodes[i]);
             const year = +btn.attr('data-year');
-            btn.style('background', year === this.selectedYear ? '#3b82f6' : '#e2e8f0')
-               .style('color', year === this.selectedYear ? 'white' : '#475569');
+            btn.style('background', year === this.selectedYear ? '#3b82f6' : 'var(--chart-grid)')
+               .style('color', year === this.selectedYear ? 'white' : 'var(--chart-text-secondary)');
         });
     }
 
@@ -317,53 +288,53 @@ class AgeBarChart {
     }
 
     /**
-     * Render the chart
+     * Colour of an age group in the current chart colours (js/chart_styles.js)
+     * @param {string} ageGroup - e.g. '17-25'
+     * @returns {string}
      */
-    render() {
-        if (!this.data) {
-            console.error('No data loaded');
-            return;
-        }
-
-        // Clear previous chart
-        this.svg.selectAll('*').remove();
-
-        // Filter data
-        const yearData = this.data.filter(d => 
-            d.year === this.selectedYear && 
-            this.selectedAgeGroups.includes(d.ageGroup)
-        );
-
-        console.log(`Filtered data for year ${this.selectedYear}:`, yearData.length, 'records');
-        console.log('Selected age groups:', this.selectedAgeGroups);
+    ageGroupColor(ageGroup) {
+        const index = Object.keys(this.config.colors).indexOf(ageGroup);
+        if (index < 0) return '#94a3b8';
+        return chartStyles.categoryPalette(Object.values(this.config.colors))[index];
+    }
 
-        // Aggregate by age group (sum across all jurisdictions)
-        const aggregated = d3.rollup(
-            yearData,
-            v => d3.sum(v, d => d.count),
-            d => d.ageGroup
-        );
+    /**
+     * Bar fill of an age group: its colour, patterned when pattern fills are on. The texture follows
+     * the group's place in the age order, so it stays put as groups are filtered.
+     * @param {string} ageGroup - e.g. '17-25'
+     * @returns {string} Colour or url(#pattern)
+     */
+    ageGroupFill(ageGroup) {
+        return chartStyles.categoryFill(this.svg, this.ageGroupColor(ageGroup),
+            Object.keys(this.config.colors).indexOf(ageGroup));
+    }
 
-        const chartData = Array.from(aggregated, ([ageGroup, count]) => ({
-            ageGroup,
-            count
-        })).sort((a, b) => b.count - a.count); // Sort by value (largest to smallest)
+    /**
+     * Recolour the age group buttons in the new chart colours, then redraw
+     */
+    restyle() {
+        this.container.selectAll('.age-filter-btn').each((d, i, nodes) => {
+            const color = this.ageGroupColor(nodes[i].getAttribute('data-age'));
+            d3.select(nodes[i]).style('background', color).style('color', chartStyles.textColor(color));
+        });
+        super.restyle();
+    }
 
+    /**
+     * Draw the chart. Redraws keep each age group's bar, growing or shrinking it to the selected year
+     * and sliding it to its new place in the ranking.
+     */
+    draw() {
+        const chartData = this.aggregateData();
         console.log('Chart data:', chartData);
 
         if (chartData.length === 0) {
-            this.svg.append('text')
-                .attr('x', (this.config.width - this.config.margin.left - this.config.margin.right) / 2)
-                .attr('y', (this.config.height - this.config.margin.top - this.config.margin.bottom) / 2)
-                .attr('text-anchor', 'middle')
-                .style('font-size', '18px')
-                .style('fill', '#64748b')
-                .text('Select age groups to view data');
+            this.drawEmpty('Select age groups to view data');
             return;
         }
 
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
-        const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
+        const { innerWidth: width, innerHeight: height } = this.getDimensions();
+        const t = this.transition();
 
         // Create scales
         const xScale = d3.scaleBand()
@@ -377,9 +348,8 @@ class AgeBarChart {
             .nice();
 
         // Add minimal horizontal gridlines only (clean, focused design)
-        this.svg.append('g')
-            .attr('class', 'grid')
-            .style('stroke', '#e5e7eb')
+        BaseChart.animate(this.layer('grid'), t)
+            .style('stroke', chartStyles.theme('grid'))
             .style('stroke-opacity', 0.3)
             .style('stroke-dasharray', '2,4')
             .call(d3.axisLeft(yScale)
@@ -389,18 +359,30 @@ class AgeBarChart {
             );
 
         // Add axes
-        const xAxis = this.svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${height})`)
+        const xAxis = this.layer('x-axis')
+            .attr('transform', `translate(0,${height})`);
+
+        BaseChart.animate(xAxis, t)
             .call(d3.axisBottom(xScale));
 
         xAxis.selectAll('text')
             .style('font-size', '12px')
             .style('font-weight', '600')
-            .style('fill', '#1e293b');
+            .style('fill', chartStyles.theme('text'));
+
+        this.fitTickLabels(xAxis, xScale.step());
 
-        const yAxis = this.svg.append('g')
-            .attr('class', 'y-axis')
+        // Axis labels and ticks explain themselves through glossary popovers (js/glossary.js)
+        const annotate = (selection, field, value) => {
+            if (typeof glossary !== 'undefined' && glossary) {
+                glossary.annotate(selection, field, value && (() => value));
+            }
+        };
+        annotate(xAxis.selectAll('.tick text'), 'AGE_GROUP');
+
+        const yAxis = this.layer('y-axis');
+
+        BaseChart.animate(yAxis, t)
             .call(d3.axisLeft(yScale)
                 .tickFormat(d => d.toLocaleString()));
 
@@ -409,53 +391,72 @@ class AgeBarChart {
             .style('font-weight', '500');
 
         // Add axis labels
-        this.svg.append('text')
+        const labels = this.layer('labels');
+
+        labels.selectAll('.x-label')
+            .data([null])
+            .join(enter => enter.append('text')
+                .attr('class', 'x-label')
+                .text('Age Group')
+                .call(annotate, 'FIELD', 'AGE_GROUP'))
             .attr('x', width / 2)
             .attr('y', height + 50)
             .attr('text-anchor', 'middle')
             .style('font-size', '14px')
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
-            .text('Age Group');
-
-        this.svg.append('text')
+            .style('fill', chartStyles.theme('text'));
+
+        labels.selectAll('.y-label')
+            .data([null])
+            .join(enter => enter.append('text')
+                .attr('class', 'y-label')
+                .text('Number of Positive Breath Tests')
+                .call(annotate, 'METRIC', 'positive_breath_tests'))
             .attr('transform', 'rotate(-90)')
             .attr('x', -height / 2)
             .attr('y', -60)
             .attr('text-anchor', 'middle')
             .style('font-size', '14px')
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
-            .text('Number of Positive Breath Tests');
+            .style('fill', chartStyles.theme('text'));
 
         // Add title
-        this.svg.append('text')
+        labels.selectAll('.chart-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'chart-title')
             .attr('x', width / 2)
             .attr('y', -30)
             .attr('text-anchor', 'middle')
             .style('font-size', '20px')
             .style('font-weight', '700')
-            .style('fill', '#0f172a')
+            .style('fill', chartStyles.theme('text-strong'))
             .text(`Positive Breath Tests by Age Group (${this.selectedYear})`);
 
         // Find max value for highlighting
         const maxCount = d3.max(chartData, d => d.count);
         
         // Draw bars with highlighting for top value
-        this.svg.selectAll('.bar')
-            .data(chartData)
-            .enter()
-            .append('rect')
-            .attr('class', 'bar')
-            .attr('x', d => xScale(d.ageGroup))
-            .attr('width', xScale.bandwidth())
-            .attr('y', height)
-            .attr('height', 0)
-            .attr('fill', d => this.config.colors[d.ageGroup] || '#94a3b8')
-            .attr('rx', 4)
-            .attr('stroke', d => d.count === maxCount ? '#0f172a' : 'none') // Highlight highest value
+        this.layer('bars').selectAll('.bar')
+            .data(chartData, d => d.ageGroup)
+            .join(
+                enter => enter.append('rect')
+                    .attr('class', 'bar')
+                    .attr('x', d => xScale(d.ageGroup))
+                    .attr('width', xScale.bandwidth())
+                    .attr('y', height)
+                    .attr('height', 0)
+                    .attr('rx', 4)
+                    .style('cursor', 'pointer'),
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .attr('y', height)
+                    .attr('height', 0)
+                    .remove()
+            )
+            .attr('fill', d => this.ageGroupFill(d.ageGroup))
+            .attr('stroke', d => d.count === maxCount ? chartStyles.theme('text-strong') : 'none') // Highlight highest value
             .attr('stroke-width', d => d.count === maxCount ? 3 : 0)
-            .style('cursor', 'pointer')
             .on('mouseover', (event, d) => {
                 d3.select(event.target)
                     .style('opacity', 0.8);
@@ -467,87 +468,109 @@ class AgeBarChart {
                 this.hideTooltip();
             })
             .on('mousemove', (event) => this.moveTooltip(event))
-            .transition()
-            .duration(800)
-            .attr('y', d => yScale(d.count))
-            .attr('height', d => height - yScale(d.count));
+            .call(bars => this.enableKeyboard(bars, {
+                label: d => `Age ${d.ageGroup}: ${d.count.toLocaleString()} positive breath tests in ${this.selectedYear}`,
+                key: d => d.ageGroup
+            }))
+            .call(bars => BaseChart.animate(bars, t)
+                .attr('x', d => xScale(d.ageGroup))
+                .attr('width', xScale.bandwidth())
+                .attr('y', d => yScale(d.count))
+                .attr('height', d => height - yScale(d.count)));
 
         // Add value labels outside bars (above) for clarity and readability
-        this.svg.selectAll('.bar-label')
-            .data(chartData)
-            .enter()
-            .append('text')
-            .attr('class', 'bar-label')
-            .attr('x', d => xScale(d.ageGroup) + xScale.bandwidth() / 2)
-            .attr('y', d => yScale(d.count) - 10) // Positioned outside above the bar
-            .attr('text-anchor', 'middle')
-            .style('font-size', '13px')
-            .style('font-weight', '700')
-            .style('fill', '#0f172a') // High contrast color for accessibility
-            .style('opacity', 0)
+        this.layer('bar-labels').selectAll('.bar-label')
+            .data(chartData, d => d.ageGroup)
+            .join(
+                enter => enter.append('text')
+                    .attr('class', 'bar-label')
+                    .attr('x', d => xScale(d.ageGroup) + xScale.bandwidth() / 2)
+                    .attr('y', height - 10)
+                    .attr('text-anchor', 'middle')
+                    .style('font-size', '13px')
+                    .style('font-weight', '700')
+                    .style('opacity', 0),
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .attr('y', height - 10)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .style('fill', chartStyles.theme('text-strong')) // High contrast color for accessibility
             .text(d => d.count.toLocaleString())
-            .transition()
-            .duration(800)
-            .style('opacity', 1);
+            .call(texts => BaseChart.animate(texts, t)
+                .attr('x', d => xScale(d.ageGroup) + xScale.bandwidth() / 2)
+                .attr('y', d => yScale(d.count) - 10) // Positioned outside above the bar
+                .style('opacity', 1));
     }
 
     /**
-     * Show tooltip
+     * Positive tests per selected age group in the selected year, summed across jurisdictions
+     * @returns {Array} { ageGroup, count }, largest first
      */
-    showTooltip(event, data) {
-        const total = d3.sum(this.data.filter(d => 
+    aggregateData() {
+        // Filter data
+        const yearData = this.data.filter(d => 
             d.year === this.selectedYear && 
             this.selectedAgeGroups.includes(d.ageGroup)
-        ), d => d.count);
+        );
 
-        const percentage = ((data.count / total) * 100).toFixed(1);
+        console.log(`Filtered data for year ${this.selectedYear}:`, yearData.length, 'records');
+        console.log('Selected age groups:', this.selectedAgeGroups);
+
+        // Aggregate by age group (sum across all jurisdictions)
+        const aggregated = d3.rollup(
+            yearData,
+            v => d3.sum(v, d => d.count),
+            d => d.ageGroup
+        );
 
-        const tooltipContent = `
-            <div style="font-weight: 700; margin-bottom: 8px; font-size: 16px; color: ${this.config.colors[data.ageGroup]};">
-                ${data.ageGroup}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>Year:</strong> ${this.selectedYear}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>Positive Tests:</strong> ${data.count.toLocaleString()}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>Percentage:</strong> ${percentage}%
-            </div>
-        `;
-
-        this.tooltip
-            .html(tooltipContent)
-            .style('visibility', 'visible');
-
-        this.moveTooltip(event);
+        return Array.from(aggregated, ([ageGroup, count]) => ({
+            ageGroup,
+            count
+        })).sort((a, b) => b.count - a.count); // Sort by value (largest to smallest)
     }
 
     /**
-     * Move tooltip
+     * The year and age groups shown, for exports
      */
-    moveTooltip(event) {
-        this.tooltip
-            .style('left', (event.pageX + 15) + 'px')
-            .style('top', (event.pageY - 15) + 'px');
+    describeFilters() {
+        const ageGroups = [...new Set(this.data.map(d => d.ageGroup))];
+        return `Year: ${this.selectedYear} · ${this.describeSelection('age groups', this.selectedAgeGroups, ageGroups)}`;
     }
 
     /**
-     * Hide tooltip
+     * The plotted bars, for data downloads
      */
-    hideTooltip() {
-        this.tooltip.style('visibility', 'hidden');
+    getSeries() {
+        return this.aggregateData().map(d => ({
+            year: this.selectedYear,
+            ageGroup: d.ageGroup,
+            positiveTests: d.count
+        }));
     }
 
     /**
-     * Destroy chart and cleanup
+     * Tooltip template for a mark
      */
-    destroy() {
-        this.container.selectAll('*').remove();
-        if (this.tooltip) {
-            this.tooltip.remove();
-        }
+    tooltipTemplate(data) {
+        const total = d3.sum(this.data.filter(d => 
+            d.year === this.selectedYear && 
+            this.selectedAgeGroups.includes(d.ageGroup)
+        ), d => d.count);
+
+        const percentage = ((data.count / total) * 100).toFixed(1);
+
+        return {
+            title: data.ageGroup,
+            color: this.ageGroupColor(data.ageGroup),
+            rows: [
+                { label: 'Year', value: this.selectedYear },
+                { label: 'Positive Tests', value: data.count.toLocaleString() },
+                { label: 'Percentage', value: `${percentage}%` }
+            ],
+            html: typeof glossary !== 'undefined' && glossary ? glossary.note('AGE_GROUP', data.ageGroup) : ''
+        };
     }
 }
 
@@ -3,68 +3,60 @@
  * Visualizes positive breath tests by jurisdiction on an Australia map with year filtering
  */
 
-class AustraliaHeatMap {
+class AustraliaHeatMap extends BaseChart {
     constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = d3.select(`#${containerId}`);
-        
         // Default configuration
-        this.config = {
+        super(containerId, {
             margin: { top: 80, right: 20, bottom: 60, left: 20 },
             width: 1200,
             height: 700,
-            ...options
-        };
+            responsive: true,
+            aspectRatio: 12 / 7,
+            minHeight: 400,
+            // Test type for the positivity rate measure ('breath' or 'drug')
+            testType: 'breath'
+        }, options);
 
-        this.data = null;
         this.selectedYear = null;
-        this.svg = null;
-        this.tooltip = null;
+        // 'count' (positive tests) or 'rate' (positives per 1,000 tests)
+        this.measure = 'count';
+        this.hasRates = false;
         this.geoData = null;
-        
-        // State/Territory name mappings
-        this.stateNameMap = {
-            'NSW': 'New South Wales',
-            'VIC': 'Victoria',
-            'QLD': 'Queensland',
-            'WA': 'Western Australia',
-            'SA': 'South Australia',
-            'TAS': 'Tasmania',
-            'NT': 'Northern Territory',
-            'ACT': 'Australian Capital Territory'
-        };
     }
 
     /**
-     * Load CSV data
+     * Map dataset rows to chart records with their rates, and load the map boundaries
+     * @param {Array} rows - Rows of the positive breath tests by jurisdiction dataset
      */
-    async loadData(csvPath) {
-        try {
-            const rawData = await d3.csv(csvPath);
-            
-            // Process data
-            this.data = rawData.map(d => ({
-                year: +d.YEAR,
-                jurisdiction: d.JURISDICTION,
-                count: +d.COUNT,
-                metric: d.METRIC,
-                startDate: d.START_DATE || '',
-                endDate: d.END_DATE || ''
-            }));
-
-            // Set default year to most recent
-            this.selectedYear = d3.max(this.data, d => d.year);
-            
-            console.log(`✓ Loaded ${this.data.length} records for heat map`);
-            
+    async processData(rows) {
+        const [rates] = await Promise.all([
+            // Rates are optional: without tests-conducted data the map shows counts only
+            derivedMetrics.loadPositivityRate(this.config.testType).catch(error => {
+                console.warn('Positivity rates unavailable:', error.message);
+                return [];
+            }),
             // Load Australia GeoJSON
-            await this.loadGeoJSON();
-            
-            return this.data;
-        } catch (error) {
-            console.error('Error loading CSV:', error);
-            throw error;
-        }
+            this.loadGeoJSON()
+        ]);
+        this.hasRates = rates.length > 0;
+
+        // Process data
+        const data = dataLoader.join(rows, rates, ['YEAR', 'JURISDICTION'], 'left').map(d => ({
+            year: +d.YEAR,
+            jurisdiction: d.JURISDICTION,
+            count: +d.COUNT,
+            metric: d.METRIC,
+            startDate: d.START_DATE || '',
+            endDate: d.END_DATE || '',
+            tests: d.TESTS === undefined ? null : d.TESTS,
+            rate: d.POSITIVITY_RATE === undefined ? null : d.POSITIVITY_RATE
+        }));
+
+        // Set default year to most recent
+        this.selectedYear = d3.max(data, d => d.year);
+
+        console.log(`✓ Loaded ${data.length} records for heat map`);
+        return data;
     }
 
     /**
@@ -106,8 +98,7 @@ class AustraliaHeatMap {
      * Initialize the chart
      */
     init() {
-        // Clear existing content
-        this.container.selectAll('*').remove();
+        super.init();
 
         // Create main container
         const chartContainer = this.container
@@ -123,12 +114,7 @@ class AustraliaHeatMap {
             .attr('class', 'map-svg-container')
             .style('text-align', 'center');
 
-        this.svg = svgContainer
-            .append('svg')
-            .attr('width', this.config.width)
-            .attr('height', this.config.height)
-            .append('g')
-            .attr('transform', `translate(${this.config.margin.left},${this.config.margin.top})`);
+        this.createSvg(svgContainer);
 
         // Add zoom behavior
         const zoom = d3.zoom()
@@ -145,21 +131,6 @@ class AustraliaHeatMap {
         // Add zoom controls
         this.addZoomControls(svgContainer, zoom);
 
-        // Create tooltip
-        this.tooltip = d3.select('body')
-            .append('div')
-            .attr('class', 'chart-tooltip')
-            .style('position', 'absolute')
-            .style('visibility', 'hidden')
-            .style('background-color', 'rgba(0, 0, 0, 0.9)')
-            .style('color', 'white')
-            .style('padding', '12px 16px')
-            .style('border-radius', '8px')
-            .style('font-size', '13px')
-            .style('pointer-events', 'none')
-            .style('z-index', '1000')
-            .style('box-shadow', '0 4px 12px rgba(0,0,0,0.3)');
-
         return this;
     }
 
@@ -183,29 +154,30 @@ class AustraliaHeatMap {
             .attr('class', 'zoom-btn zoom-in')
             .style('width', '40px')
             .style('height', '40px')
-            .style('background', 'white')
-            .style('border', '2px solid #cbd5e1')
+            .style('background', 'var(--chart-surface)')
+            .style('border', '2px solid var(--chart-border)')
             .style('border-radius', '8px')
             .style('cursor', 'pointer')
             .style('font-size', '20px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('box-shadow', '0 2px 8px rgba(0,0,0,0.1)')
             .style('transition', 'all 0.2s ease')
             .html('+')
+            .attr('aria-label', 'Zoom in')
             .on('click', () => {
                 const svg = d3.select(container.node().querySelector('svg'));
                 svg.transition().duration(300).call(zoom.scaleBy, 1.3);
             })
             .on('mouseover', function() {
                 d3.select(this)
-                    .style('background', '#f1f5f9')
-                    .style('border-color', '#94a3b8');
+                    .style('background', 'var(--chart-surface-alt)')
+                    .style('border-color', 'var(--chart-axis)');
             })
             .on('mouseout', function() {
                 d3.select(this)
-                    .style('background', 'white')
-                    .style('border-color', '#cbd5e1');
+                    .style('background', 'var(--chart-surface)')
+                    .style('border-color', 'var(--chart-border)');
             });
 
         // Zoom out button
@@ -213,29 +185,30 @@ class AustraliaHeatMap {
             .attr('class', 'zoom-btn zoom-out')
             .style('width', '40px')
             .style('height', '40px')
-            .style('background', 'white')
-            .style('border', '2px solid #cbd5e1')
+            .style('background', 'var(--chart-surface)')
+            .style('border', '2px solid var(--chart-border)')
             .style('border-radius', '8px')
             .style('cursor', 'pointer')
             .style('font-size', '20px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('box-shadow', '0 2px 8px rgba(0,0,0,0.1)')
             .style('transition', 'all 0.2s ease')
             .html('−')
+            .attr('aria-label', 'Zoom out')
             .on('click', () => {
                 const svg = d3.select(container.node().querySelector('svg'));
                 svg.transition().duration(300).call(zoom.scaleBy, 0.7);
             })
             .on('mouseover', function() {
                 d3.select(this)
-                    .style('background', '#f1f5f9')
-                    .style('border-color', '#94a3b8');
+                    .style('background', 'var(--chart-surface-alt)')
+                    .style('border-color', 'var(--chart-axis)');
             })
             .on('mouseout', function() {
                 d3.select(this)
-                    .style('background', 'white')
-                    .style('border-color', '#cbd5e1');
+                    .style('background', 'var(--chart-surface)')
+                    .style('border-color', 'var(--chart-border)');
             });
 
         // Reset zoom button
@@ -243,16 +216,17 @@ class AustraliaHeatMap {
             .attr('class', 'zoom-btn zoom-reset')
             .style('width', '40px')
             .style('height', '40px')
-            .style('background', 'white')
-            .style('border', '2px solid #cbd5e1')
+            .style('background', 'var(--chart-surface)')
+            .style('border', '2px solid var(--chart-border)')
             .style('border-radius', '8px')
             .style('cursor', 'pointer')
             .style('font-size', '16px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('box-shadow', '0 2px 8px rgba(0,0,0,0.1)')
             .style('transition', 'all 0.2s ease')
             .html('⟲')
+            .attr('aria-label', 'Reset zoom')
             .on('click', () => {
                 const svg = d3.select(container.node().querySelector('svg'));
                 svg.transition().duration(500).call(
@@ -262,13 +236,13 @@ class AustraliaHeatMap {
             })
             .on('mouseover', function() {
                 d3.select(this)
-                    .style('background', '#f1f5f9')
-                    .style('border-color', '#94a3b8');
+                    .style('background', 'var(--chart-surface-alt)')
+                    .style('border-color', 'var(--chart-axis)');
             })
             .on('mouseout', function() {
                 d3.select(this)
-                    .style('background', 'white')
-                    .style('border-color', '#cbd5e1');
+                    .style('background', 'var(--chart-surface)')
+                    .style('border-color', 'var(--chart-border)');
             });
 
         // Add help text
@@ -276,10 +250,10 @@ class AustraliaHeatMap {
             .style('margin-top', '10px')
             .style('padding', '8px 10px')
             .style('background', 'rgba(255, 255, 255, 0.95)')
-            .style('border', '2px solid #cbd5e1')
+            .style('border', '2px solid var(--chart-border)')
             .style('border-radius', '8px')
             .style('font-size', '11px')
-            .style('color', '#64748b')
+            .style('color', 'var(--chart-text-muted)')
             .style('text-align', 'center')
             .style('box-shadow', '0 2px 8px rgba(0,0,0,0.1)')
             .style('font-weight', '600')
@@ -295,7 +269,7 @@ class AustraliaHeatMap {
             .attr('class', 'year-filter')
             .style('margin-bottom', '30px')
             .style('padding', '20px')
-            .style('background', '#f8fafc')
+            .style('background', 'var(--chart-surface-alt)')
             .style('border-radius', '12px')
             .style('box-shadow', '0 2px 8px rgba(0,0,0,0.08)')
             .style('text-align', 'center');
@@ -305,7 +279,7 @@ class AustraliaHeatMap {
             .append('div')
             .style('font-size', '16px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('margin-bottom', '15px')
             .style('display', 'flex')
             .style('align-items', 'center')
@@ -317,7 +291,7 @@ class AustraliaHeatMap {
             .style('width', '24px')
             .style('height', '24px')
             .style('display', 'inline-flex')
-            .html('<svg height="24" version="1.1" width="24" xmlns="http://www.w3.org/2000/svg"><g transform="translate(0 -1028.4)"><path d="m5 1032.4c-1.1046 0-2 0.9-2 2v14c0 1.1 0.8954 2 2 2h6 2 6c1.105 0 2-0.9 2-2v-14c0-1.1-0.895-2-2-2h-6-2-6z" fill="#bdc3c7"/><path d="m5 3c-1.1046 0-2 0.8954-2 2v14c0 1.105 0.8954 2 2 2h6 2 6c1.105 0 2-0.895 2-2v-14c0-1.1046-0.895-2-2-2h-6-2-6z" fill="#ecf0f1" transform="translate(0 1028.4)"/><path d="m5 1031.4c-1.1046 0-2 0.9-2 2v3h18v-3c0-1.1-0.895-2-2-2h-6-2-6z" fill="#e74c3c"/><path d="m7 5.5a1.5 1.5 0 1 1 -3 0 1.5 1.5 0 1 1 3 0z" fill="#c0392b" transform="translate(.5 1028.4)"/><path d="m6 1c-0.5523 0-1 0.4477-1 1v3c0 0.5523 0.4477 1 1 1s1-0.4477 1-1v-3c0-0.5523-0.4477-1-1-1z" fill="#bdc3c7" transform="translate(0 1028.4)"/><path d="m7 5.5a1.5 1.5 0 1 1 -3 0 1.5 1.5 0 1 1 3 0z" fill="#c0392b" transform="translate(12.5 1028.4)"/><path d="m18 1029.4c-0.552 0-1 0.4-1 1v3c0 0.5 0.448 1 1 1s1-0.5 1-1v-3c0-0.6-0.448-1-1-1z" fill="#bdc3c7"/><rect fill="#c0392b" height="1" transform="translate(0 1028.4)" width="18" x="3" y="8"/><path d="m8 1039.4v1h2c0.552 0 1 0.4 1 1 0 0.5-0.448 1-1 1h-1v1h1c0.552 0 1 0.4 1 1 0 0.5-0.448 1-1 1h-2v1h2c1.105 0 2-0.9 2-2 0-0.6-0.268-1.2-0.688-1.5 0.42-0.4 0.688-0.9 0.688-1.5 0-1.1-0.895-2-2-2h-2z" fill="#95a5a6"/><path d="m13 1039.4v1h1v5h-1v1h1 1 1v-1h-1v-6h-1-1z" fill="#95a5a6"/></g></svg>');
+            .html('<svg aria-hidden="true" height="24" version="1.1" width="24" xmlns="http://www.w3.org/2000/svg"><g transform="translate(0 -1028.4)"><path d="m5 1032.4c-1.1046 0-2 0.9-2 2v14c0 1.1 0.8954 2 2 2h6 2 6c1.105 0 2-0.9 2-2v-14c0-1.1-0.895-2-2-2h-6-2-6z" fill="#bdc3c7"/><path d="m5 3c-1.1046 0-2 0.8954-2 2v14c0 1.105 0.8954 2 2 2h6 2 6c1.105 0 2-0.895 2-2v-14c0-1.1046-0.895-2-2-2h-6-2-6z" fill="#ecf0f1" transform="translate(0 1028.4)"/><path d="m5 1031.4c-1.1046 0-2 0.9-2 2v3h18v-3c0-1.1-0.895-2-2-2h-6-2-6z" fill="#e74c3c"/><path d="m7 5.5a1.5 1.5 0 1 1 -3 0 1.5 1.5 0 1 1 3 0z" fill="#c0392b" transform="translate(.5 1028.4)"/><path d="m6 1c-0.5523 0-1 0.4477-1 1v3c0 0.5523 0.4477 1 1 1s1-0.4477 1-1v-3c0-0.5523-0.4477-1-1-1z" fill="#bdc3c7" transform="translate(0 1028.4)"/><path d="m7 5.5a1.5 1.5 0 1 1 -3 0 1.5 1.5 0 1 1 3 0z" fill="#c0392b" transform="translate(12.5 1028.4)"/><path d="m18 1029.4c-0.552 0-1 0.4-1 1v3c0 0.5 0.448 1 1 1s1-0.5 1-1v-3c0-0.6-0.448-1-1-1z" fill="#bdc3c7"/><rect fill="#c0392b" height="1" transform="translate(0 1028.4)" width="18" x="3" y="8"/><path d="m8 1039.4v1h2c0.552 0 1 0.4 1 1 0 0.5-0.448 1-1 1h-1v1h1c0.552 0 1 0.4 1 1 0 0.5-0.448 1-1 1h-2v1h2c1.105 0 2-0.9 2-2 0-0.6-0.268-1.2-0.688-1.5 0.42-0.4 0.688-0.9 0.688-1.5 0-1.1-0.895-2-2-2h-2z" fill="#95a5a6"/><path d="m13 1039.4v1h1v5h-1v1h1 1 1v-1h-1v-6h-1-1z" fill="#95a5a6"/></g></svg>');
 
         // Add text label
         titleDiv.append('span')
@@ -341,8 +315,8 @@ class AustraliaHeatMap {
             .style('padding', '12px 20px')
             .style('font-size', '18px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
-            .style('background', 'white')
+            .style('color', 'var(--chart-text)')
+            .style('background', 'var(--chart-surface)')
             .style('border', '2px solid #3b82f6')
             .style('border-radius', '8px')
             .style('cursor', 'pointer')
@@ -382,40 +356,62 @@ class AustraliaHeatMap {
             .append('div')
             .style('margin-top', '12px')
             .style('font-size', '12px')
-            .style('color', '#64748b')
+            .style('color', 'var(--chart-text-muted)')
             .style('text-align', 'center')
             .style('font-weight', '500')
             .text(`Select from ${years[years.length - 1]} to ${years[0]}`);
+
+        if (this.hasRates) {
+            this.createMeasureToggle(filterContainer, { count: 'Positive tests', rate: 'Per 1,000 tests' }, 'center');
+        }
     }
 
     /**
-     * Render the heat map
+     * Value of the selected measure for a data point (null when unknown)
      */
-    render() {
-        if (!this.data || !this.geoData) {
-            console.error('No data loaded');
-            return;
-        }
+    getValue(d) {
+        return this.measure === 'rate' ? d.rate : d.count;
+    }
+
+    /**
+     * Format a value of the selected measure
+     */
+    formatValue(value) {
+        if (this.measure === 'rate') return DerivedMetrics.formatRate(value);
+        return value.toLocaleString();
+    }
+
+    /**
+     * Accessible name of a map region, e.g. "Victoria: 5,320 (Number of Positive Breath Tests, 2024)"
+     */
+    regionLabel(stateName, stateData) {
+        if (!stateData) return `${stateName}: no data for ${this.selectedYear}`;
+        return `${stateName}: ${this.formatValue(this.getValue(stateData))} (${this.getMeasureLabel()}, ${this.selectedYear})`;
+    }
 
-        // Clear previous map
-        this.svg.selectAll('*').remove();
+    /**
+     * Label for the selected measure
+     */
+    getMeasureLabel() {
+        if (this.measure === 'rate') return 'Positive Breath Tests per 1,000 Tests';
+        return 'Number of Positive Breath Tests';
+    }
 
+    /**
+     * Draw the map. Redraws keep the regions, labels and rankings: regions blend to the new year's
+     * colours and the ranking rows slide to their new places.
+     */
+    draw() {
         // Filter data for selected year
-        const yearData = this.data.filter(d => d.year === this.selectedYear);
+        const yearData = this.getYearData();
         
         if (yearData.length === 0) {
-            this.svg.append('text')
-                .attr('x', (this.config.width - this.config.margin.left - this.config.margin.right) / 2)
-                .attr('y', (this.config.height - this.config.margin.top - this.config.margin.bottom) / 2)
-                .attr('text-anchor', 'middle')
-                .style('font-size', '18px')
-                .style('fill', '#64748b')
-                .text('No data available for selected year');
+            this.drawEmpty('No data available for selected year');
             return;
         }
 
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
-        const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
+        const { innerWidth: width, innerHeight: height } = this.getDimensions();
+        const t = this.transition();
 
         // Create projection
         const projection = d3.geoMercator()
@@ -425,98 +421,104 @@ class AustraliaHeatMap {
 
         const path = d3.geoPath().projection(projection);
 
-        // Add glow effect definition
-        const defs = this.svg.append('defs');
-        const filter = defs.append('filter')
-            .attr('id', 'glow');
-        
-        filter.append('feGaussianBlur')
-            .attr('stdDeviation', '5')
-            .attr('result', 'coloredBlur');
-        
-        const feMerge1 = filter.append('feMerge');
-        feMerge1.append('feMergeNode').attr('in', 'coloredBlur');
-        feMerge1.append('feMergeNode').attr('in', 'SourceGraphic');
+        // Add glow effect definitions, once
+        this.svg.selectAll('defs.map-defs')
+            .data([null])
+            .join(enter => {
+                const defs = enter.append('defs')
+                    .attr('class', 'map-defs');
+
+                const filter = defs.append('filter')
+                    .attr('id', 'glow');
+                
+                filter.append('feGaussianBlur')
+                    .attr('stdDeviation', '5')
+                    .attr('result', 'coloredBlur');
+                
+                const feMerge1 = filter.append('feMerge');
+                feMerge1.append('feMergeNode').attr('in', 'coloredBlur');
+                feMerge1.append('feMergeNode').attr('in', 'SourceGraphic');
+
+                // Glow filter for heat effect
+                const glowFilter = defs.append('filter')
+                    .attr('id', 'heat-glow');
+                
+                glowFilter.append('feGaussianBlur')
+                    .attr('stdDeviation', '3')
+                    .attr('result', 'coloredBlur');
+                
+                const feMerge2 = glowFilter.append('feMerge');
+                feMerge2.append('feMergeNode').attr('in', 'coloredBlur');
+                feMerge2.append('feMergeNode').attr('in', 'SourceGraphic');
+
+                return defs;
+            });
 
         // Create color and opacity scales
-        const maxCount = d3.max(yearData, d => d.count);
+        const maxValue = d3.max(yearData, d => this.getValue(d));
         const colorScale = d3.scaleSequential()
-            .domain([0, maxCount])
-            .interpolator(d3.interpolateYlOrRd);
+            .domain([0, maxValue])
+            .interpolator(chartStyles.metricRamp('positive_breath_tests'));
 
         const opacityScale = d3.scaleLinear()
-            .domain([0, maxCount])
+            .domain([0, maxValue])
             .range([0.3, 0.85]);
 
         // Add title
-        this.svg.append('text')
+        this.svg.selectAll('text.chart-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'chart-title')
             .attr('x', width / 2)
             .attr('y', -40)
             .attr('text-anchor', 'middle')
             .style('font-size', '20px')
             .style('font-weight', '700')
-            .style('fill', '#0f172a')
-            .text(`Australia: Positive Breath Tests by Jurisdiction (${this.selectedYear})`);
+            .style('fill', chartStyles.theme('text-strong'))
+            .text(this.measure === 'count'
+                ? `Australia: Positive Breath Tests by Jurisdiction (${this.selectedYear})`
+                : `Australia: Positive Breath Test Rate by Jurisdiction (${this.selectedYear})`);
+
+        const stateNameOf = feature => feature.properties.STATE_NAME || feature.properties.name || '';
 
         // Draw Australia map base layer
-        this.svg.append('g')
-            .attr('class', 'map-base')
+        this.layer('map-base')
             .selectAll('path')
-            .data(this.geoData.features)
-            .enter()
-            .append('path')
+            .data(this.geoData.features, stateNameOf)
+            .join('path')
             .attr('d', path)
-            .attr('fill', '#f8fafc')
-            .attr('stroke', '#94a3b8')
+            .attr('fill', chartStyles.theme('surface-alt'))
+            .attr('stroke', chartStyles.theme('axis'))
             .attr('stroke-width', 1.5)
             .style('opacity', 1);
 
-        // Add glow filter for heat effect
-        const glowFilter = defs.append('filter')
-            .attr('id', 'heat-glow');
-        
-        glowFilter.append('feGaussianBlur')
-            .attr('stdDeviation', '3')
-            .attr('result', 'coloredBlur');
-        
-        const feMerge2 = glowFilter.append('feMerge');
-        feMerge2.append('feMergeNode').attr('in', 'coloredBlur');
-        feMerge2.append('feMergeNode').attr('in', 'SourceGraphic');
-
         // Create a map of data by state name
         const dataByState = {};
         yearData.forEach(d => {
-            const fullName = this.stateNameMap[d.jurisdiction];
+            const fullName = chartStyles.jurisdictionName(d.jurisdiction);
             dataByState[fullName] = d;
             // Also try abbreviated version
             dataByState[d.jurisdiction] = d;
         });
+        const stateDataOf = feature => {
+            const stateName = stateNameOf(feature);
+            return dataByState[stateName] || dataByState[this.getStateCode(stateName)];
+        };
 
         // Draw heat overlays using actual jurisdiction boundaries
-        this.svg.append('g')
-            .attr('class', 'heat-layer')
+        const regions = this.layer('heat-layer')
             .selectAll('path')
-            .data(this.geoData.features)
-            .enter()
-            .append('path')
+            .data(this.geoData.features, stateNameOf)
+            .join(enter => enter.append('path')
+                .attr('stroke-width', 2)
+                .style('opacity', 0)
+                .style('cursor', 'pointer')
+                .attr('filter', 'url(#heat-glow)'))
             .attr('d', path)
-            .attr('class', d => {
-                const stateName = d.properties.STATE_NAME || d.properties.name || '';
-                return `heat-region heat-${stateName.replace(/\s+/g, '-')}`;
-            })
-            .attr('fill', d => {
-                const stateName = d.properties.STATE_NAME || d.properties.name || '';
-                const stateData = dataByState[stateName] || dataByState[this.getStateCode(stateName)];
-                return stateData ? colorScale(stateData.count) : '#e2e8f0';
-            })
-            .attr('stroke', '#fff')
-            .attr('stroke-width', 2)
-            .style('opacity', 0)
-            .style('cursor', 'pointer')
-            .attr('filter', 'url(#heat-glow)')
+            .attr('class', d => `heat-region heat-${stateNameOf(d).replace(/\s+/g, '-')}`)
+            .attr('stroke', chartStyles.theme('surface'))
             .on('mouseover', (event, d) => {
-                const stateName = d.properties.STATE_NAME || d.properties.name || '';
-                const stateData = dataByState[stateName] || dataByState[this.getStateCode(stateName)];
+                const stateData = stateDataOf(d);
                 if (stateData) {
                     d3.select(event.target)
                         .style('opacity', 0.95)
@@ -525,82 +527,103 @@ class AustraliaHeatMap {
                 }
             })
             .on('mouseout', (event, d) => {
-                const stateName = d.properties.STATE_NAME || d.properties.name || '';
-                const stateData = dataByState[stateName] || dataByState[this.getStateCode(stateName)];
+                const stateData = stateDataOf(d);
                 if (stateData) {
                     d3.select(event.target)
-                        .style('opacity', opacityScale(stateData.count))
+                        .style('opacity', opacityScale(this.getValue(stateData)))
                         .attr('stroke-width', 2);
                     this.hideTooltip();
                 }
             })
             .on('mousemove', (event) => this.moveTooltip(event))
-            .transition()
-            .duration(800)
+            .call(regions => this.enableKeyboard(regions, {
+                label: d => this.regionLabel(stateNameOf(d), stateDataOf(d)),
+                key: stateNameOf
+            }));
+
+        // Colours blend into the new ones; pattern fills (url(#…)) can only be swapped
+        BaseChart.animate(regions, chartStyles.settings.patterns ? null : t)
+            .attr('fill', d => {
+                const stateData = stateDataOf(d);
+                if (!stateData) return chartStyles.theme('grid');
+                const value = this.getValue(stateData);
+                return chartStyles.rampFill(this.svg, colorScale(value), value / maxValue);
+            });
+
+        BaseChart.animate(regions, t)
             .style('opacity', d => {
-                const stateName = d.properties.STATE_NAME || d.properties.name || '';
-                const stateData = dataByState[stateName] || dataByState[this.getStateCode(stateName)];
-                return stateData ? opacityScale(stateData.count) : 0;
+                const stateData = stateDataOf(d);
+                return stateData ? opacityScale(this.getValue(stateData)) : 0;
             });
 
-        // Add state labels with counts
-        this.geoData.features.forEach(feature => {
-            const stateName = feature.properties.STATE_NAME || feature.properties.name || '';
-            const stateData = dataByState[stateName] || dataByState[this.getStateCode(stateName)];
-            
-            if (stateData) {
-                const centroid = path.centroid(feature);
-                
-                const labelGroup = this.svg.append('g')
-                    .attr('class', `label-${stateData.jurisdiction}`)
-                    .style('pointer-events', 'none');
-
-                // State code label
-                labelGroup.append('text')
-                    .attr('x', centroid[0])
-                    .attr('y', centroid[1] - 8)
-                    .attr('text-anchor', 'middle')
-                    .style('font-size', '18px')
-                    .style('font-weight', '900')
-                    .style('fill', '#1e293b')
-                    .style('text-shadow', '0 0 4px white, 0 0 4px white, 0 0 4px white, 0 0 8px white')
-                    .style('opacity', 0)
-                    .text(stateData.jurisdiction)
-                    .transition()
-                    .duration(800)
-                    .style('opacity', 1);
-
-                // Count label
-                labelGroup.append('text')
-                    .attr('x', centroid[0])
-                    .attr('y', centroid[1] + 12)
-                    .attr('text-anchor', 'middle')
-                    .style('font-size', '14px')
-                    .style('font-weight', '700')
-                    .style('fill', '#1e293b')
-                    .style('text-shadow', '0 0 3px white, 0 0 3px white, 0 0 3px white')
+        // Add state labels with counts, haloed in the page background so they read on any region colour
+        const halo = chartStyles.theme('surface');
+        const labelled = this.geoData.features
+            .map(feature => ({ feature, stateData: stateDataOf(feature) }))
+            .filter(d => d.stateData);
+
+        const labelGroups = this.layer('state-labels')
+            .selectAll('g.state-label')
+            .data(labelled, d => d.stateData.jurisdiction)
+            .join(
+                enter => {
+                    const labelGroup = enter.append('g')
+                        .style('pointer-events', 'none')
+                        .style('opacity', 0);
+
+                    // State code label
+                    labelGroup.append('text')
+                        .attr('class', 'state-code')
+                        .attr('text-anchor', 'middle')
+                        .style('font-size', '18px')
+                        .style('font-weight', '900')
+                        .text(d => d.stateData.jurisdiction);
+
+                    // Count label
+                    labelGroup.append('text')
+                        .attr('class', 'state-value')
+                        .attr('text-anchor', 'middle')
+                        .style('font-size', '14px')
+                        .style('font-weight', '700');
+
+                    return labelGroup;
+                },
+                update => update,
+                exit => BaseChart.animate(exit, t)
                     .style('opacity', 0)
-                    .text(stateData.count.toLocaleString())
-                    .transition()
-                    .duration(800)
-                    .style('opacity', 1);
-            }
-        });
+                    .remove()
+            )
+            .attr('class', d => `state-label label-${d.stateData.jurisdiction}`);
+
+        labelGroups.select('.state-code')
+            .attr('x', d => path.centroid(d.feature)[0])
+            .attr('y', d => path.centroid(d.feature)[1] - 8)
+            .style('fill', chartStyles.theme('text'))
+            .style('text-shadow', `0 0 4px ${halo}, 0 0 4px ${halo}, 0 0 4px ${halo}, 0 0 8px ${halo}`);
+
+        labelGroups.select('.state-value')
+            .attr('x', d => path.centroid(d.feature)[0])
+            .attr('y', d => path.centroid(d.feature)[1] + 12)
+            .style('fill', chartStyles.theme('text'))
+            .style('text-shadow', `0 0 3px ${halo}, 0 0 3px ${halo}, 0 0 3px ${halo}`)
+            .text(d => this.formatValue(this.getValue(d.stateData)));
+
+        BaseChart.animate(labelGroups, t)
+            .style('opacity', 1);
 
         // Add legend
-        this.addLegend(colorScale, maxCount);
+        this.addLegend(colorScale, maxValue);
 
         // Add ranking panel
-        this.addRankingPanel(yearData);
+        this.addRankingPanel(yearData, t);
     }
 
     /**
      * Get state code from full state name
      */
     getStateCode(fullName) {
-        for (const [code, name] of Object.entries(this.stateNameMap)) {
-            if (name === fullName) return code;
-        }
+        const code = chartStyles.jurisdictionCode(fullName);
+        if (code) return code;
         // Try to match partial names
         const upperName = fullName.toUpperCase();
         if (upperName.includes('NEW SOUTH WALES') || upperName.includes('NSW')) return 'NSW';
@@ -617,187 +640,246 @@ class AustraliaHeatMap {
     /**
      * Add color legend
      */
-    addLegend(colorScale, maxCount) {
+    addLegend(colorScale, maxValue) {
         const legendWidth = 300;
         const legendHeight = 20;
-        const legendX = (this.config.width - this.config.margin.left - this.config.margin.right - legendWidth) / 2;
-        const legendY = this.config.height - this.config.margin.top - this.config.margin.bottom + 20;
+        const legendX = (this.getDimensions().innerWidth - legendWidth) / 2;
+        const legendY = this.getDimensions().innerHeight + 20;
 
-        const legend = this.svg.append('g')
-            .attr('class', 'legend')
+        const legend = this.layer('legend')
             .attr('transform', `translate(${legendX}, ${legendY})`);
 
-        // Create gradient
-        const defs = this.svg.append('defs');
-        const gradient = defs.append('linearGradient')
-            .attr('id', 'legend-gradient')
-            .attr('x1', '0%')
-            .attr('x2', '100%');
+        // Create gradient, once, and colour its stops for this draw
+        const gradient = this.svg.selectAll('defs.legend-defs')
+            .data([null])
+            .join(enter => {
+                const defs = enter.append('defs')
+                    .attr('class', 'legend-defs');
+
+                defs.append('linearGradient')
+                    .attr('id', 'legend-gradient')
+                    .attr('x1', '0%')
+                    .attr('x2', '100%');
+
+                return defs;
+            })
+            .select('linearGradient');
 
         const steps = 10;
-        for (let i = 0; i <= steps; i++) {
-            gradient.append('stop')
-                .attr('offset', `${(i / steps) * 100}%`)
-                .attr('stop-color', colorScale((maxCount / steps) * i));
-        }
+        gradient.selectAll('stop')
+            .data(d3.range(steps + 1))
+            .join('stop')
+            .attr('offset', i => `${(i / steps) * 100}%`)
+            .attr('stop-color', i => colorScale((maxValue / steps) * i));
 
         // Legend rectangle
-        legend.append('rect')
+        legend.selectAll('rect.legend-scale')
+            .data([null])
+            .join('rect')
+            .attr('class', 'legend-scale')
             .attr('width', legendWidth)
             .attr('height', legendHeight)
             .attr('rx', 4)
             .style('fill', 'url(#legend-gradient)')
-            .style('stroke', '#64748b')
+            .style('stroke', chartStyles.theme('text-muted'))
             .style('stroke-width', 1);
 
+        // With pattern fills on, each band of the scale shows the texture its regions get
+        legend.selectAll('rect.legend-texture')
+            .data(chartStyles.settings.patterns ? chartStyles.rampBands() : [])
+            .join('rect')
+            .attr('class', 'legend-texture')
+            .attr('x', t => t * legendWidth)
+            .attr('width', legendWidth / chartStyles.rampBands().length)
+            .attr('height', legendHeight)
+            .attr('fill', t => chartStyles.rampFill(legend, null, t));
+
         // Legend labels
-        legend.append('text')
+        legend.selectAll('text.legend-min')
+            .data([null])
+            .join('text')
+            .attr('class', 'legend-min')
             .attr('x', 0)
             .attr('y', legendHeight + 18)
             .style('font-size', '12px')
             .style('font-weight', '600')
-            .style('fill', '#475569')
+            .style('fill', chartStyles.theme('text-secondary'))
             .text('0');
 
-        legend.append('text')
+        legend.selectAll('text.legend-max')
+            .data([null])
+            .join('text')
+            .attr('class', 'legend-max')
             .attr('x', legendWidth)
             .attr('y', legendHeight + 18)
             .attr('text-anchor', 'end')
             .style('font-size', '12px')
             .style('font-weight', '600')
-            .style('fill', '#475569')
-            .text(maxCount.toLocaleString());
+            .style('fill', chartStyles.theme('text-secondary'))
+            .text(this.formatValue(maxValue));
 
-        legend.append('text')
+        legend.selectAll('text.legend-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'legend-title')
             .attr('x', legendWidth / 2)
             .attr('y', -8)
             .attr('text-anchor', 'middle')
             .style('font-size', '13px')
             .style('font-weight', '700')
-            .style('fill', '#1e293b')
-            .text('Number of Positive Breath Tests');
+            .style('fill', chartStyles.theme('text'))
+            .text(this.getMeasureLabel());
     }
 
     /**
-     * Add ranking panel
+     * Add ranking panel; rows keep their jurisdiction and slide to its new rank
+     * @param {Array} yearData - The selected year's records
+     * @param {d3.Transition|null} t - The redraw's transition
      */
-    addRankingPanel(yearData) {
-        const sorted = [...yearData].sort((a, b) => b.count - a.count);
+    addRankingPanel(yearData, t) {
+        const sorted = [...yearData].sort((a, b) => this.getValue(b) - this.getValue(a));
         
-        const panel = this.svg.append('g')
-            .attr('class', 'ranking-panel')
+        const panel = this.layer('ranking-panel')
             .attr('transform', `translate(20, 20)`);
 
         // Background
-        panel.append('rect')
+        const background = panel.selectAll('rect.ranking-background')
+            .data([null])
+            .join('rect')
+            .attr('class', 'ranking-background')
             .attr('width', 200)
-            .attr('height', 30 + sorted.length * 32)
             .attr('rx', 8)
             .attr('fill', 'rgba(255, 255, 255, 0.95)')
-            .attr('stroke', '#e5e7eb')
+            .attr('stroke', chartStyles.theme('grid'))
             .attr('stroke-width', 1);
 
+        BaseChart.animate(background, t)
+            .attr('height', 30 + sorted.length * 32);
+
         // Title
-        panel.append('text')
+        panel.selectAll('text.ranking-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'ranking-title')
             .attr('x', 100)
             .attr('y', 20)
             .attr('text-anchor', 'middle')
             .style('font-size', '14px')
             .style('font-weight', '700')
-            .style('fill', '#1e293b')
+            .style('fill', chartStyles.theme('text'))
             .text('Rankings');
 
         // Rankings
-        sorted.forEach((d, i) => {
-            const y = 40 + i * 32;
-            const rank = panel.append('g')
-                .attr('transform', `translate(10, ${y})`);
-
-            // Rank number
-            rank.append('text')
-                .attr('x', 15)
-                .attr('y', 12)
-                .attr('text-anchor', 'middle')
-                .style('font-size', '13px')
-                .style('font-weight', '700')
-                .style('fill', i === 0 ? '#f59e0b' : '#64748b')
-                .text(`#${i + 1}`);
-
-            // Jurisdiction
-            rank.append('text')
-                .attr('x', 40)
-                .attr('y', 12)
-                .style('font-size', '13px')
-                .style('font-weight', '700')
-                .style('fill', '#1e293b')
-                .text(d.jurisdiction);
-
-            // Count
-            rank.append('text')
-                .attr('x', 175)
-                .attr('y', 12)
-                .attr('text-anchor', 'end')
-                .style('font-size', '12px')
-                .style('font-weight', '600')
-                .style('fill', '#475569')
-                .text(d.count.toLocaleString());
-        });
+        const ranks = panel.selectAll('g.rank')
+            .data(sorted, d => d.jurisdiction)
+            .join(
+                enter => {
+                    const rank = enter.append('g')
+                        .attr('class', 'rank')
+                        .attr('transform', (d, i) => `translate(10, ${40 + i * 32})`)
+                        .style('opacity', 0);
+
+                    // Rank number
+                    rank.append('text')
+                        .attr('class', 'rank-number')
+                        .attr('x', 15)
+                        .attr('y', 12)
+                        .attr('text-anchor', 'middle')
+                        .style('font-size', '13px')
+                        .style('font-weight', '700');
+
+                    // Jurisdiction
+                    rank.append('text')
+                        .attr('class', 'rank-jurisdiction')
+                        .attr('x', 40)
+                        .attr('y', 12)
+                        .style('font-size', '13px')
+                        .style('font-weight', '700')
+                        .text(d => d.jurisdiction);
+
+                    // Count
+                    rank.append('text')
+                        .attr('class', 'rank-value')
+                        .attr('x', 175)
+                        .attr('y', 12)
+                        .attr('text-anchor', 'end')
+                        .style('font-size', '12px')
+                        .style('font-weight', '600');
+
+                    return rank;
+                },
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .style('opacity', 0)
+                    .remove()
+            );
+
+        ranks.select('.rank-number')
+            .style('fill', (d, i) => i === 0 ? '#f59e0b' : chartStyles.theme('text-muted'))
+            .text((d, i) => `#${i + 1}`);
+
+        ranks.select('.rank-jurisdiction')
+            .style('fill', chartStyles.theme('text'));
+
+        ranks.select('.rank-value')
+            .style('fill', chartStyles.theme('text-secondary'))
+            .text(d => this.formatValue(this.getValue(d)));
+
+        BaseChart.animate(ranks, t)
+            .attr('transform', (d, i) => `translate(10, ${40 + i * 32})`)
+            .style('opacity', 1);
     }
 
     /**
-     * Show tooltip
+     * The year and measure shown, for exports
      */
-    showTooltip(event, data) {
-        const rank = [...this.data.filter(d => d.year === this.selectedYear)]
-            .sort((a, b) => b.count - a.count)
-            .findIndex(d => d.jurisdiction === data.jurisdiction) + 1;
-
-        const tooltipContent = `
-            <div style="font-weight: 700; margin-bottom: 8px; font-size: 16px; color: #3b82f6;">
-                ${data.jurisdiction}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>Year:</strong> ${data.year}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>Positive Tests:</strong> ${data.count.toLocaleString()}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>Rank:</strong> #${rank} of ${this.data.filter(d => d.year === this.selectedYear).length}
-            </div>
-        `;
-
-        this.tooltip
-            .html(tooltipContent)
-            .style('visibility', 'visible');
-
-        this.moveTooltip(event);
+    describeFilters() {
+        return `Year: ${this.selectedYear} · ${this.getMeasureLabel()}`;
     }
 
     /**
-     * Move tooltip
+     * Records for the selected year that have a value for the selected measure
+     * @returns {Array}
      */
-    moveTooltip(event) {
-        this.tooltip
-            .style('left', (event.pageX + 15) + 'px')
-            .style('top', (event.pageY - 15) + 'px');
+    getYearData() {
+        return this.data.filter(d => d.year === this.selectedYear && this.getValue(d) !== null);
     }
 
     /**
-     * Hide tooltip
+     * The mapped values, for data downloads
      */
-    hideTooltip() {
-        this.tooltip.style('visibility', 'hidden');
+    getSeries() {
+        return this.getYearData().map(d => ({
+            year: d.year,
+            jurisdiction: d.jurisdiction,
+            measure: this.getMeasureLabel(),
+            value: this.getValue(d)
+        }));
     }
 
     /**
-     * Destroy chart and cleanup
+     * Tooltip template for a mark
      */
-    destroy() {
-        this.container.selectAll('*').remove();
-        if (this.tooltip) {
-            this.tooltip.remove();
-        }
+    tooltipTemplate(data) {
+        const ranked = this.data
+            .filter(d => d.year === this.selectedYear && this.getValue(d) !== null)
+            .sort((a, b) => this.getValue(b) - this.getValue(a));
+        const rank = ranked.findIndex(d => d.jurisdiction === data.jurisdiction) + 1;
+
+        return {
+            title: data.jurisdiction,
+            color: '#3b82f6',
+            rows: [
+                { label: 'Year', value: data.year },
+                { label: 'Positive Tests', value: data.count.toLocaleString() },
+                data.rate !== null && {
+                    label: 'Per 1,000 Tests',
+                    value: DerivedMetrics.formatRate(data.rate),
+                    detail: `(${data.tests.toLocaleString()} tests)`
+                },
+                { label: 'Rank', value: `#${rank} of ${ranked.length}` }
+            ]
+        };
     }
 }
 
@@ -3,96 +3,90 @@
  * Compares positive drug test cases across age groups for 2023 and 2024
  */
 
-class DrugAgeGroupedChart {
-    constructor(containerId) {
-        this.containerId = containerId;
-        this.data = [];
-        this.margin = { top: 40, right: 150, bottom: 100, left: 80 };
-        this.width = 900 - this.margin.left - this.margin.right;
-        this.height = 500 - this.margin.top - this.margin.bottom;
-        
-        // Color scheme for years
+class DrugAgeGroupedChart extends BaseChart {
+    constructor(containerId, options = {}) {
+        super(containerId, {
+            margin: { top: 40, right: 150, bottom: 100, left: 80 },
+            width: 900,
+            height: 500,
+            responsive: true,
+            aspectRatio: 9 / 5,
+            minHeight: 320,
+            fluid: true,
+            // Light tooltip, matching the purple accents of the drug charts
+            tooltipStyle: {
+                'background-color': 'var(--chart-surface)',
+                'color': 'var(--chart-text)',
+                'border': '2px solid #8b5cf6',
+                'padding': '12px',
+                'box-shadow': '0 4px 12px rgba(0,0,0,0.15)'
+            }
+        }, options);
+
+        // Year colours; the colour-blind-safe palette takes their places when chosen (js/chart_styles.js)
         this.colorScale = {
             '2023': '#8b5cf6',
             '2024': '#10b981'
         };
     }
 
-    async loadData(csvPath) {
-        try {
-            const rawData = await d3.csv(csvPath, d => ({
-                year: d.YEAR,
-                ageGroup: d.AGE_GROUP,
-                count: +d['Sum(COUNT)']
-            }));
-            
-            // Filter out 'All ages' and 'Unknown' categories for clearer visualization
-            this.data = rawData.filter(d => 
-                d.ageGroup !== 'All ages' && d.ageGroup !== 'Unknown'
-            );
-            
-            // Group data by age group
-            this.ageGroups = Array.from(new Set(this.data.map(d => d.ageGroup)));
-            
-            // Sort age groups by 2024 count (largest to smallest) for better comparison
-            const counts2024 = {};
-            this.data.filter(d => d.year === '2024').forEach(d => {
-                counts2024[d.ageGroup] = d.count;
-            });
-            this.ageGroups.sort((a, b) => (counts2024[b] || 0) - (counts2024[a] || 0));
-            
-            console.log('Drug age group data loaded:', this.data);
-        } catch (error) {
-            console.error('Error loading drug age group data:', error);
-            throw error;
-        }
+    /**
+     * Map dataset rows to chart records and order the age groups
+     * @param {Array} rows - Rows of the positive drug tests by age dataset
+     */
+    processData(rows) {
+        const rawData = rows.map(d => ({
+            year: String(d.YEAR),
+            ageGroup: d.AGE_GROUP,
+            count: d.COUNT
+        }));
+
+        // Filter out 'All ages' and 'Unknown' categories for clearer visualization
+        const data = rawData.filter(d =>
+            d.ageGroup !== 'All ages' && d.ageGroup !== 'Unknown'
+        );
+
+        // Group data by age group
+        this.ageGroups = Array.from(new Set(data.map(d => d.ageGroup)));
+
+        // Sort age groups by 2024 count (largest to smallest) for better comparison
+        const counts2024 = {};
+        data.filter(d => d.year === '2024').forEach(d => {
+            counts2024[d.ageGroup] = d.count;
+        });
+        this.ageGroups.sort((a, b) => (counts2024[b] || 0) - (counts2024[a] || 0));
+
+        console.log('Drug age group data loaded:', data);
+        return data;
     }
 
     init() {
-        const container = d3.select(`#${this.containerId}`);
-        container.selectAll('*').remove();
+        super.init();
 
         // Create container div with relative positioning
-        const chartContainer = container
+        const chartContainer = this.container
             .append('div')
             .style('position', 'relative')
             .style('width', '100%');
 
-        // Create SVG
-        this.svg = chartContainer
-            .append('svg')
-            .attr('width', '100%')
-            .attr('height', this.height + this.margin.top + this.margin.bottom)
-            .attr('viewBox', `0 0 ${this.width + this.margin.left + this.margin.right} ${this.height + this.margin.top + this.margin.bottom}`)
-            .attr('preserveAspectRatio', 'xMidYMid meet')
-            .append('g')
-            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
-
-        // Create tooltip
-        this.tooltip = chartContainer
-            .append('div')
-            .attr('class', 'chart-tooltip')
-            .style('opacity', 0)
-            .style('position', 'absolute')
-            .style('background-color', 'white')
-            .style('border', '2px solid #8b5cf6')
-            .style('border-radius', '8px')
-            .style('padding', '12px')
-            .style('pointer-events', 'none')
-            .style('box-shadow', '0 4px 12px rgba(0,0,0,0.15)')
-            .style('z-index', '1000');
+        this.createSvg(chartContainer);
+
+        return this;
     }
 
-    render() {
-        // Clear previous content
-        this.svg.selectAll('*').remove();
+    /**
+     * Draw the chart. Redraws (new data, chart colours) grow or shrink the bars in place.
+     */
+    draw() {
+        const { innerWidth: width, innerHeight: height } = this.getDimensions();
+        const t = this.transition();
 
-        const years = ['2023', '2024'];
+        const years = Object.keys(this.colorScale);
 
         // Create scales
         const x0Scale = d3.scaleBand()
             .domain(this.ageGroups)
-            .range([0, this.width])
+            .range([0, width])
             .padding(0.4); // Grouped bars - slightly tighter spacing
 
         const x1Scale = d3.scaleBand()
@@ -102,7 +96,7 @@ class DrugAgeGroupedChart {
 
         const yScale = d3.scaleLinear()
             .domain([0, d3.max(this.data, d => d.count) * 1.15]) // Start at zero, add headroom for labels
-            .range([this.height, 0]);
+            .range([height, 0]);
 
         // Create axes
         const xAxis = d3.axisBottom(x0Scale);
@@ -110,179 +104,159 @@ class DrugAgeGroupedChart {
             .tickFormat(d => d.toLocaleString());
 
         // Add minimal horizontal gridlines only
-        this.svg.append('g')
-            .attr('class', 'grid')
-            .style('stroke', '#e5e7eb')
+        BaseChart.animate(this.layer('grid'), t)
+            .style('stroke', chartStyles.theme('grid'))
             .style('stroke-opacity', 0.3)
             .style('stroke-dasharray', '2,4')
             .call(d3.axisLeft(yScale)
-                .tickSize(-this.width)
+                .tickSize(-width)
                 .tickFormat('')
                 .ticks(4)
             );
 
-        // Add X axis
-        this.svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${this.height})`)
-            .call(xAxis)
-            .selectAll('text')
-            .style('text-anchor', 'end')
+        // Add X axis, angling the labels when they don't fit under their bars
+        const xAxisGroup = this.layer('x-axis')
+            .attr('transform', `translate(0,${height})`);
+
+        BaseChart.animate(xAxisGroup, t)
+            .call(xAxis);
+
+        xAxisGroup.selectAll('text')
             .style('font-size', '12px')
-            .style('font-weight', '600')
-            .attr('dx', '-.8em')
-            .attr('dy', '.15em')
-            .attr('transform', 'rotate(-45)');
+            .style('font-weight', '600');
+
+        this.fitTickLabels(xAxisGroup, x0Scale.step());
 
         // Add Y axis
-        this.svg.append('g')
-            .attr('class', 'y-axis')
+        BaseChart.animate(this.layer('y-axis'), t)
             .call(yAxis);
 
-        // Add X axis label
-        this.svg.append('text')
-            .attr('class', 'axis-label')
+        // Add axis labels
+        const labels = this.layer('labels');
+
+        labels.selectAll('.x-label')
+            .data([null])
+            .join('text')
+            .attr('class', 'axis-label x-label')
             .attr('text-anchor', 'middle')
-            .attr('x', this.width / 2)
-            .attr('y', this.height + 80)
+            .attr('x', width / 2)
+            .attr('y', height + 80)
             .style('font-size', '14px')
             .style('font-weight', '600')
-            .style('fill', '#4b5563')
+            .style('fill', chartStyles.theme('text-secondary'))
             .text('Age Group');
 
-        // Add Y axis label
-        this.svg.append('text')
-            .attr('class', 'axis-label')
+        labels.selectAll('.y-label')
+            .data([null])
+            .join('text')
+            .attr('class', 'axis-label y-label')
             .attr('text-anchor', 'middle')
             .attr('transform', 'rotate(-90)')
-            .attr('x', -this.height / 2)
+            .attr('x', -height / 2)
             .attr('y', -60)
             .style('font-size', '14px')
             .style('font-weight', '600')
-            .style('fill', '#4b5563')
+            .style('fill', chartStyles.theme('text-secondary'))
             .text('Number of Positive Drug Tests');
 
-        // Create grouped bars
-        const ageGroupBars = this.svg.selectAll('.age-group')
-            .data(this.ageGroups)
-            .enter()
-            .append('g')
-            .attr('class', 'age-group')
-            .attr('transform', d => `translate(${x0Scale(d)},0)`);
-
         // Find max values for each year for highlighting
         const max2023 = d3.max(this.data.filter(d => d.year === '2023'), d => d.count);
         const max2024 = d3.max(this.data.filter(d => d.year === '2024'), d => d.count);
-
-        years.forEach(year => {
-            ageGroupBars.selectAll(`.bar-${year}`)
-                .data(ageGroup => {
-                    const dataPoint = this.data.find(d => d.ageGroup === ageGroup && d.year === year);
-                    return dataPoint ? [dataPoint] : [];
-                })
-                .enter()
-                .append('rect')
-                .attr('class', `bar-${year}`)
-                .attr('x', x1Scale(year))
-                .attr('y', d => yScale(d.count))
+        const isTop = d => (d.year === '2023' && d.count === max2023) || (d.year === '2024' && d.count === max2024);
+
+        // Create grouped bars: one per age group and year
+        const bars = this.data.filter(d => this.ageGroups.includes(d.ageGroup) && years.includes(d.year));
+        const barX = d => x0Scale(d.ageGroup) + x1Scale(d.year);
+
+        this.layer('bars').selectAll('rect')
+            .data(bars, d => `${d.ageGroup}-${d.year}`)
+            .join(
+                enter => enter.append('rect')
+                    .attr('x', barX)
+                    .attr('y', height)
+                    .attr('width', x1Scale.bandwidth())
+                    .attr('height', 0)
+                    .attr('rx', 4) // Rounded corners
+                    .style('cursor', 'pointer'),
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .attr('y', height)
+                    .attr('height', 0)
+                    .remove()
+            )
+            .attr('class', d => `bar-${d.year}`)
+            .attr('fill', d => this.yearFill(this.svg, d.year))
+            .attr('stroke', d => isTop(d) ? chartStyles.theme('text-strong') : 'none') // Highlight top values
+            .attr('stroke-width', d => isTop(d) ? 2 : 0)
+            .on('mouseover', (event, d) => {
+                d3.select(event.currentTarget)
+                    .transition()
+                    .duration(200)
+                    .style('opacity', 1)
+                    .attr('y', yScale(d.count) - 5)
+                    .attr('height', height - yScale(d.count) + 5);
+
+                this.showTooltip(event, d);
+            })
+            .on('mousemove', (event) => this.moveTooltip(event))
+            .on('mouseout', (event, d) => {
+                d3.select(event.currentTarget)
+                    .transition()
+                    .duration(200)
+                    .style('opacity', 0.85)
+                    .attr('y', yScale(d.count))
+                    .attr('height', height - yScale(d.count));
+
+                this.hideTooltip();
+            })
+            .call(rects => BaseChart.animate(rects, t)
+                .attr('x', barX)
                 .attr('width', x1Scale.bandwidth())
-                .attr('height', d => this.height - yScale(d.count))
-                .attr('fill', this.colorScale[year])
-                .attr('rx', 4) // Rounded corners
-                .attr('stroke', d => (year === '2023' && d.count === max2023) || (year === '2024' && d.count === max2024) ? '#0f172a' : 'none') // Highlight top values
-                .attr('stroke-width', d => (year === '2023' && d.count === max2023) || (year === '2024' && d.count === max2024) ? 2 : 0)
-                .style('cursor', 'pointer')
-                .on('mouseover', (event, d) => {
-                    d3.select(event.currentTarget)
-                        .transition()
-                        .duration(200)
-                        .style('opacity', 1)
-                        .attr('y', yScale(d.count) - 5)
-                        .attr('height', this.height - yScale(d.count) + 5);
-
-                    // Calculate year-over-year change
-                    const otherYear = year === '2023' ? '2024' : '2023';
-                    const otherData = this.data.find(item => 
-                        item.ageGroup === d.ageGroup && item.year === otherYear
-                    );
-                    
-                    let changeText = '';
-                    if (otherData) {
-                        const change = d.count - otherData.count;
-                        const percentChange = ((change / otherData.count) * 100).toFixed(1);
-                        const changeColor = change > 0 ? '#ef4444' : '#10b981';
-                        const changeSymbol = change > 0 ? '↑' : '↓';
-                        changeText = `
-                            <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid #e5e7eb;">
-                                <strong>Year-over-year change:</strong><br>
-                                <span style="color: ${changeColor}; font-weight: 700;">
-                                    ${changeSymbol} ${Math.abs(change).toLocaleString()} (${percentChange > 0 ? '+' : ''}${percentChange}%)
-                                </span>
-                            </div>
-                        `;
-                    }
-
-                    this.tooltip
-                        .style('opacity', 1)
-                        .html(`
-                            <div style="font-weight: 700; color: ${this.colorScale[year]}; font-size: 16px; margin-bottom: 8px;">
-                                ${d.ageGroup} - ${d.year}
-                            </div>
-                            <div style="color: #374151; font-size: 14px;">
-                                <strong>Positive Tests:</strong> ${d.count.toLocaleString()}
-                            </div>
-                            ${changeText}
-                        `);
-                })
-                .on('mousemove', (event) => {
-                    const containerRect = d3.select(`#${this.containerId}`).node().getBoundingClientRect();
-                    this.tooltip
-                        .style('left', (event.clientX - containerRect.left + 15) + 'px')
-                        .style('top', (event.clientY - containerRect.top - 15) + 'px');
-                })
-                .on('mouseout', (event, d) => {
-                    d3.select(event.currentTarget)
-                        .transition()
-                        .duration(200)
-                        .style('opacity', 0.85)
-                        .attr('y', yScale(d.count))
-                        .attr('height', this.height - yScale(d.count));
-
-                    this.tooltip.style('opacity', 0);
-                });
-        });
+                .attr('y', d => yScale(d.count))
+                .attr('height', d => height - yScale(d.count)));
 
         // Add legend
-        const legend = this.svg.append('g')
-            .attr('class', 'legend')
-            .attr('transform', `translate(${this.width + 20}, 0)`);
-
-        years.forEach((year, i) => {
-            const legendRow = legend.append('g')
-                .attr('transform', `translate(0, ${i * 25})`);
-
-            legendRow.append('rect')
-                .attr('width', 18)
-                .attr('height', 18)
-                .attr('rx', 3)
-                .style('fill', this.colorScale[year])
-                .style('opacity', 0.85);
-
-            legendRow.append('text')
-                .attr('x', 25)
-                .attr('y', 13)
-                .style('font-size', '13px')
-                .style('font-weight', '600')
-                .style('fill', '#374151')
-                .text(year);
-        });
+        const legend = this.layer('legend')
+            .attr('transform', `translate(${width + 20}, 0)`);
+
+        const legendRows = legend.selectAll('g.legend-row')
+            .data(years)
+            .join(enter => {
+                const legendRow = enter.append('g')
+                    .attr('class', 'legend-row')
+                    .attr('transform', (year, i) => `translate(0, ${i * 25})`);
+
+                legendRow.append('rect')
+                    .attr('width', 18)
+                    .attr('height', 18)
+                    .attr('rx', 3)
+                    .style('opacity', 0.85);
+
+                legendRow.append('text')
+                    .attr('x', 25)
+                    .attr('y', 13)
+                    .style('font-size', '13px')
+                    .style('font-weight', '600')
+                    .text(year => year);
+
+                return legendRow;
+            });
 
-        legend.append('text')
+        legendRows.select('rect')
+            .style('fill', year => this.yearFill(legend, year));
+
+        legendRows.select('text')
+            .style('fill', chartStyles.theme('text'));
+
+        legend.selectAll('text.legend-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'legend-title')
             .attr('x', 0)
             .attr('y', -15)
             .style('font-size', '12px')
             .style('font-weight', '700')
-            .style('fill', '#6b7280')
+            .style('fill', chartStyles.theme('text-muted'))
             .text('Year');
 
         // Calculate statistics
@@ -299,9 +273,12 @@ class DrugAgeGroupedChart {
 
       
 
-        // Add key insight
-        const insightPanel = d3.select(`#${this.containerId}`)
-            .append('div')
+        // Add key insight (made once, refilled on redraws)
+        const insightPanel = this.container
+            .selectAll('div.drug-age-insight')
+            .data([null])
+            .join('div')
+            .attr('class', 'drug-age-insight')
             .style('margin-top', '15px')
             .style('padding', '15px')
             .style('background', '#fef3c7')
@@ -321,4 +298,56 @@ class DrugAgeGroupedChart {
             </div>
         `);
     }
+
+    /**
+     * Colour of a year's bars in the current chart colours
+     * @param {string} year - e.g. '2024'
+     * @returns {string}
+     */
+    yearColor(year) {
+        const index = Object.keys(this.colorScale).indexOf(year);
+        if (index < 0) return '#94a3b8';
+        return chartStyles.categoryPalette(Object.values(this.colorScale))[index];
+    }
+
+    /**
+     * Fill of a year's bars and legend swatch: its colour, patterned when pattern fills are on
+     * @param {d3.Selection} target - The SVG, or any element in it
+     * @param {string} year - e.g. '2024'
+     * @returns {string} Colour or url(#pattern)
+     */
+    yearFill(target, year) {
+        return chartStyles.categoryFill(target, this.yearColor(year), Object.keys(this.colorScale).indexOf(year));
+    }
+
+    /**
+     * Tooltip template for a bar, with the change from the other year
+     */
+    tooltipTemplate(d) {
+        // Calculate year-over-year change
+        const otherYear = d.year === '2023' ? '2024' : '2023';
+        const otherData = this.data.find(item =>
+            item.ageGroup === d.ageGroup && item.year === otherYear
+        );
+
+        let change = null;
+        if (otherData) {
+            const difference = d.count - otherData.count;
+            const percentChange = ((difference / otherData.count) * 100).toFixed(1);
+            change = {
+                label: 'Year-over-year change',
+                value: `${difference > 0 ? '↑' : '↓'} ${Math.abs(difference).toLocaleString()} (${percentChange > 0 ? '+' : ''}${percentChange}%)`,
+                color: difference > 0 ? '#ef4444' : '#10b981'
+            };
+        }
+
+        return {
+            title: `${d.ageGroup} - ${d.year}`,
+            color: this.yearColor(d.year),
+            rows: [
+                { label: 'Positive Tests', value: d.count.toLocaleString() }
+            ],
+            footer: [change]
+        };
+    }
 }
@@ -3,41 +3,51 @@
  * Shows enforcement outcomes (positive tests and charges) by jurisdiction for 2023 and 2024
  */
 
-class DrugEnforcementStackedChart {
-    constructor(containerId) {
-        this.containerId = containerId;
-        this.data = [];
-        this.margin = { top: 40, right: 150, bottom: 60, left: 80 };
-        this.width = 900 - this.margin.left - this.margin.right;
-        this.height = 500 - this.margin.top - this.margin.bottom;
-        
-        // Color scheme for metrics
-        this.colorScale = {
-            'Positive Tests': '#8b5cf6',
-            'Charges': '#f59e0b'
-        };
-        
+class DrugEnforcementStackedChart extends BaseChart {
+    constructor(containerId, options = {}) {
+        super(containerId, {
+            margin: { top: 40, right: 150, bottom: 60, left: 80 },
+            width: 900,
+            height: 500,
+            responsive: true,
+            aspectRatio: 9 / 5,
+            minHeight: 320,
+            fluid: true,
+            // Light tooltip, matching the purple accents of the drug charts
+            tooltipStyle: {
+                'background-color': 'var(--chart-surface)',
+                'color': 'var(--chart-text)',
+                'border': '2px solid #8b5cf6',
+                'padding': '12px',
+                'box-shadow': '0 4px 12px rgba(0,0,0,0.15)'
+            }
+        }, options);
+
         this.selectedYear = 'both'; // 'both', '2023', or '2024'
     }
 
-    async loadData(csvPath) {
-        try {
-            this.rawData = await d3.csv(csvPath, d => ({
-                year: +d.YEAR,
-                jurisdiction: d.JURISDICTION,
-                positiveTests: +d['Sum(COUNT)'],
-                charges: +d['Sum(CHARGES)']
-            }));
-            
-            this.processData();
-            console.log('Drug enforcement data loaded:', this.data);
-        } catch (error) {
-            console.error('Error loading drug enforcement data:', error);
-            throw error;
-        }
+    /**
+     * Map dataset rows to records and total them for the selected year
+     * @param {Array} rows - Rows of the drug enforcement by jurisdiction dataset
+     */
+    processData(rows) {
+        this.rawData = rows.map(d => ({
+            year: +d.YEAR,
+            jurisdiction: d.JURISDICTION,
+            positiveTests: d.COUNT,
+            charges: d.CHARGES
+        }));
+
+        const data = this.aggregateData();
+        console.log('Drug enforcement data loaded:', data);
+        return data;
     }
 
-    processData() {
+    /**
+     * Totals by jurisdiction for the selected year (or both years), largest first
+     * @returns {Array} Chart records
+     */
+    aggregateData() {
         // Group data based on selected year
         if (this.selectedYear === 'both') {
             // Aggregate both years
@@ -50,24 +60,23 @@ class DrugEnforcementStackedChart {
                 d => d.jurisdiction
             );
             
-            this.data = Array.from(aggregated, ([jurisdiction, values]) => ({
+            return Array.from(aggregated, ([jurisdiction, values]) => ({
                 jurisdiction,
                 ...values
             })).sort((a, b) => (b.positiveTests + b.charges) - (a.positiveTests + a.charges)); // Sort by total value
         } else {
             // Filter by specific year and sort by total value
-            this.data = this.rawData
+            return this.rawData
                 .filter(d => d.year === +this.selectedYear)
                 .sort((a, b) => (b.positiveTests + b.charges) - (a.positiveTests + a.charges));
         }
     }
 
     init() {
-        const container = d3.select(`#${this.containerId}`);
-        container.selectAll('*').remove();
+        super.init();
 
         // Create container div with relative positioning
-        const chartContainer = container
+        const chartContainer = this.container
             .append('div')
             .style('position', 'relative')
             .style('width', '100%');
@@ -89,46 +98,29 @@ class DrugEnforcementStackedChart {
                 .style('padding', '8px 16px')
                 .style('border', '2px solid #8b5cf6')
                 .style('border-radius', '6px')
-                .style('background', this.selectedYear === year ? '#8b5cf6' : 'white')
+                .style('background', this.selectedYear === year ? '#8b5cf6' : 'var(--chart-surface)')
                 .style('color', this.selectedYear === year ? 'white' : '#8b5cf6')
                 .style('font-weight', '600')
                 .style('cursor', 'pointer')
                 .style('font-size', '13px')
                 .on('click', () => {
                     this.selectedYear = year;
-                    this.processData();
-                    this.render();
+                    this.render(this.aggregateData());
                 });
         });
 
-        // Create SVG
-        this.svg = chartContainer
-            .append('svg')
-            .attr('width', '100%')
-            .attr('height', this.height + this.margin.top + this.margin.bottom)
-            .attr('viewBox', `0 0 ${this.width + this.margin.left + this.margin.right} ${this.height + this.margin.top + this.margin.bottom}`)
-            .attr('preserveAspectRatio', 'xMidYMid meet')
-            .append('g')
-            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
-
-        // Create tooltip
-        this.tooltip = chartContainer
-            .append('div')
-            .attr('class', 'chart-tooltip')
-            .style('opacity', 0)
-            .style('position', 'absolute')
-            .style('background-color', 'white')
-            .style('border', '2px solid #8b5cf6')
-            .style('border-radius', '8px')
-            .style('padding', '12px')
-            .style('pointer-events', 'none')
-            .style('box-shadow', '0 4px 12px rgba(0,0,0,0.15)')
-            .style('z-index', '1000');
+        this.createSvg(chartContainer);
+
+        return this;
     }
 
-    render() {
-        // Clear previous content
-        this.svg.selectAll('*').remove();
+    /**
+     * Draw the chart. Switching year keeps each jurisdiction's segments, which grow, shrink and slide
+     * to the jurisdiction's new place in the order.
+     */
+    draw() {
+        const { innerWidth: width, innerHeight: height } = this.getDimensions();
+        const t = this.transition();
 
         // Prepare stack data
         const keys = ['charges', 'positiveTests'];
@@ -142,12 +134,12 @@ class DrugEnforcementStackedChart {
         // Create scales
         const xScale = d3.scaleBand()
             .domain(this.data.map(d => d.jurisdiction))
-            .range([0, this.width])
+            .range([0, width])
             .padding(0.5); // 50% spacing for optimal readability
 
         const yScale = d3.scaleLinear()
             .domain([0, d3.max(series, d => d3.max(d, d => d[1])) * 1.15]) // Start at zero, add headroom
-            .range([this.height, 0]);
+            .range([height, 0]);
 
         // Create axes
         const xAxis = d3.axisBottom(xScale);
@@ -155,146 +147,138 @@ class DrugEnforcementStackedChart {
             .tickFormat(d => d.toLocaleString());
 
         // Add minimal horizontal gridlines only
-        this.svg.append('g')
-            .attr('class', 'grid')
-            .style('stroke', '#e5e7eb')
+        BaseChart.animate(this.layer('grid'), t)
+            .style('stroke', chartStyles.theme('grid'))
             .style('stroke-opacity', 0.3)
             .style('stroke-dasharray', '2,4')
             .call(d3.axisLeft(yScale)
-                .tickSize(-this.width)
+                .tickSize(-width)
                 .tickFormat('')
                 .ticks(4)
             );
 
         // Add X axis
-        this.svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${this.height})`)
-            .call(xAxis)
-            .selectAll('text')
+        const xAxisGroup = this.layer('x-axis')
+            .attr('transform', `translate(0,${height})`);
+
+        BaseChart.animate(xAxisGroup, t)
+            .call(xAxis);
+
+        xAxisGroup.selectAll('text')
             .style('font-size', '12px')
             .style('font-weight', '600');
 
         // Add Y axis
-        this.svg.append('g')
-            .attr('class', 'y-axis')
+        BaseChart.animate(this.layer('y-axis'), t)
             .call(yAxis);
 
         // Add Y axis label
-        this.svg.append('text')
+        this.layer('labels').selectAll('.axis-label')
+            .data([null])
+            .join('text')
             .attr('class', 'axis-label')
             .attr('text-anchor', 'middle')
             .attr('transform', 'rotate(-90)')
-            .attr('x', -this.height / 2)
+            .attr('x', -height / 2)
             .attr('y', -60)
             .style('font-size', '14px')
             .style('font-weight', '600')
-            .style('fill', '#4b5563')
+            .style('fill', chartStyles.theme('text-secondary'))
             .text('Number of Cases');
 
-        // Color mapping for keys
-        const colorMap = {
-            'charges': this.colorScale['Charges'],
-            'positiveTests': this.colorScale['Positive Tests']
-        };
-
-        // Add stacked bars
-        const layers = this.svg.selectAll('.layer')
-            .data(series)
-            .enter()
-            .append('g')
+        // Add stacked bars, one layer per metric and one segment per jurisdiction
+        const layers = this.layer('bars').selectAll('.layer')
+            .data(series, d => d.key)
+            .join('g')
             .attr('class', 'layer')
-            .attr('fill', d => colorMap[d.key]);
+            .attr('fill', d => this.layerFill(d.key));
 
         layers.selectAll('rect')
-            .data(d => d)
-            .enter()
-            .append('rect')
-            .attr('x', d => xScale(d.data.jurisdiction))
-            .attr('y', d => yScale(d[1]))
-            .attr('height', d => yScale(d[0]) - yScale(d[1]))
-            .attr('width', xScale.bandwidth())
-            .attr('rx', 4) // Rounded corners
-            .style('cursor', 'pointer')
+            .data(d => d, d => d.data.jurisdiction)
+            .join(
+                enter => enter.append('rect')
+                    .attr('x', d => xScale(d.data.jurisdiction))
+                    .attr('y', height)
+                    .attr('height', 0)
+                    .attr('width', xScale.bandwidth())
+                    .attr('rx', 4) // Rounded corners
+                    .style('cursor', 'pointer'),
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .attr('y', height)
+                    .attr('height', 0)
+                    .remove()
+            )
             .on('mouseover', (event, d) => {
                 d3.select(event.currentTarget)
                     .transition()
                     .duration(200)
                     .style('opacity', 1);
 
-                const value = d[1] - d[0];
-                const layer = d3.select(event.currentTarget.parentNode).datum();
-                const metricName = layer.key === 'charges' ? 'Charges' : 'Positive Tests';
-                const color = colorMap[layer.key];
-                const chargeRate = d.data.charges > 0 ? ((d.data.charges / d.data.positiveTests) * 100).toFixed(1) : '0.0';
-
-                this.tooltip
-                    .style('opacity', 1)
-                    .html(`
-                        <div style="font-weight: 700; color: ${color}; font-size: 16px; margin-bottom: 8px;">
-                            ${d.data.jurisdiction} - ${metricName}
-                        </div>
-                        <div style="color: #374151; font-size: 14px; margin-bottom: 4px;">
-                            <strong>${metricName}:</strong> ${value.toLocaleString()}
-                        </div>
-                        <div style="color: #6b7280; font-size: 13px; padding-top: 8px; border-top: 1px solid #e5e7eb; margin-top: 8px;">
-                            <strong>Total Positive Tests:</strong> ${d.data.positiveTests.toLocaleString()}<br>
-                            <strong>Total Charges:</strong> ${d.data.charges.toLocaleString()}<br>
-                            <strong>Charge Rate:</strong> ${chargeRate}%
-                        </div>
-                    `);
-            })
-            .on('mousemove', (event) => {
-                const containerRect = d3.select(`#${this.containerId}`).node().getBoundingClientRect();
-                this.tooltip
-                    .style('left', (event.clientX - containerRect.left + 15) + 'px')
-                    .style('top', (event.clientY - containerRect.top - 15) + 'px');
+                this.showTooltip(event, d, d3.select(event.currentTarget.parentNode).datum().key);
             })
+            .on('mousemove', (event) => this.moveTooltip(event))
             .on('mouseout', (event) => {
                 d3.select(event.currentTarget)
                     .transition()
                     .duration(200)
                     .style('opacity', 0.85);
 
-                this.tooltip.style('opacity', 0);
-            });
+                this.hideTooltip();
+            })
+            .call(rects => BaseChart.animate(rects, t)
+                .attr('x', d => xScale(d.data.jurisdiction))
+                .attr('y', d => yScale(d[1]))
+                .attr('height', d => yScale(d[0]) - yScale(d[1]))
+                .attr('width', xScale.bandwidth()));
 
         // Add legend
-        const legend = this.svg.append('g')
-            .attr('class', 'legend')
-            .attr('transform', `translate(${this.width + 20}, 0)`);
+        const legend = this.layer('legend')
+            .attr('transform', `translate(${width + 20}, 0)`);
 
         const legendData = [
-            { label: 'Positive Tests', color: this.colorScale['Positive Tests'] },
-            { label: 'Charges', color: this.colorScale['Charges'] }
+            { label: 'Positive Tests', fill: this.layerFill('positiveTests') },
+            { label: 'Charges', fill: this.layerFill('charges') }
         ];
 
-        legendData.forEach((item, i) => {
-            const legendRow = legend.append('g')
-                .attr('transform', `translate(0, ${i * 25})`);
+        const legendRows = legend.selectAll('g.legend-row')
+            .data(legendData, item => item.label)
+            .join(enter => {
+                const legendRow = enter.append('g')
+                    .attr('class', 'legend-row')
+                    .attr('transform', (item, i) => `translate(0, ${i * 25})`);
+
+                legendRow.append('rect')
+                    .attr('width', 18)
+                    .attr('height', 18)
+                    .attr('rx', 3)
+                    .style('opacity', 0.85);
+
+                legendRow.append('text')
+                    .attr('x', 25)
+                    .attr('y', 13)
+                    .style('font-size', '13px')
+                    .style('font-weight', '600')
+                    .text(item => item.label);
 
-            legendRow.append('rect')
-                .attr('width', 18)
-                .attr('height', 18)
-                .attr('rx', 3)
-                .style('fill', item.color)
-                .style('opacity', 0.85);
+                return legendRow;
+            });
 
-            legendRow.append('text')
-                .attr('x', 25)
-                .attr('y', 13)
-                .style('font-size', '13px')
-                .style('font-weight', '600')
-                .style('fill', '#374151')
-                .text(item.label);
-        });
+        legendRows.select('rect')
+            .style('fill', item => item.fill);
+
+        legendRows.select('text')
+            .style('fill', chartStyles.theme('text'));
 
-        legend.append('text')
+        legend.selectAll('text.legend-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'legend-title')
             .attr('x', 0)
             .attr('y', -15)
             .style('font-size', '12px')
             .style('font-weight', '700')
-            .style('fill', '#6b7280')
+            .style('fill', chartStyles.theme('text-muted'))
             .text('Metrics');
 
         // Add statistics summary
@@ -307,7 +291,7 @@ class DrugEnforcementStackedChart {
             .filter(d => d.positiveTests > 0)
             .sort((a, b) => (b.charges / b.positiveTests) - (a.charges / a.positiveTests))[0];
 
-        // const statsPanel = d3.select(`#${this.containerId}`)
+        // const statsPanel = this.container
         //     .append('div')
         //     .style('margin-top', '20px')
         //     .style('padding', '20px')
@@ -323,9 +307,12 @@ class DrugEnforcementStackedChart {
 
         // Add jurisdiction comparison table
 
-        // Add key insight
-        const insightPanel = d3.select(`#${this.containerId}`)
-            .append('div')
+        // Add key insight (made once, refilled on redraws)
+        const insightPanel = this.container
+            .selectAll('div.drug-enforcement-insight')
+            .data([null])
+            .join('div')
+            .attr('class', 'drug-enforcement-insight')
             .style('margin-top', '15px')
             .style('padding', '15px')
             .style('background', '#fef3c7')
@@ -346,4 +333,48 @@ class DrugEnforcementStackedChart {
             </div>
         `);
     }
+
+    /**
+     * The years shown, for exports
+     */
+    describeFilters() {
+        return this.selectedYear === 'both' ? 'Years: 2023 and 2024' : `Year: ${this.selectedYear}`;
+    }
+
+    /**
+     * Colour of a layer ('positiveTests' or 'charges') from chartStyles
+     */
+    layerColor(key) {
+        return chartStyles.metricColor(key === 'charges' ? 'CHARGES' : 'positive_drug_tests');
+    }
+
+    /**
+     * Fill of a layer: its colour, or its pattern when pattern fills are on
+     */
+    layerFill(key) {
+        return chartStyles.metricFill(this.svg, key === 'charges' ? 'CHARGES' : 'positive_drug_tests');
+    }
+
+    /**
+     * Tooltip template for one segment of a stacked bar
+     * @param {Array} d - Stacked segment ([lower, upper] with its jurisdiction's record as .data)
+     * @param {string} key - Layer of the segment ('charges' or 'positiveTests')
+     */
+    tooltipTemplate(d, key) {
+        const metricName = key === 'charges' ? 'Charges' : 'Positive Tests';
+        const chargeRate = d.data.charges > 0 ? ((d.data.charges / d.data.positiveTests) * 100).toFixed(1) : '0.0';
+
+        return {
+            title: `${d.data.jurisdiction} - ${metricName}`,
+            color: this.layerColor(key),
+            rows: [
+                { label: metricName, value: (d[1] - d[0]).toLocaleString() }
+            ],
+            footer: [
+                { label: 'Total Positive Tests', value: d.data.positiveTests.toLocaleString() },
+                { label: 'Total Charges', value: d.data.charges.toLocaleString() },
+                { label: 'Charge Rate', value: `${chargeRate}%` }
+            ]
+        };
+    }
 }
@@ -3,108 +3,69 @@
  * Visualizes fines, arrests, and Charges by jurisdiction over time
  */
 
-class EnforcementOutcomesChart {
+class EnforcementOutcomesChart extends BaseChart {
     constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = d3.select(`#${containerId}`);
-        
-        // Default configuration with accessible colors
-        this.config = {
+        // Default configuration (colours come from chartStyles)
+        super(containerId, {
             margin: { top: 60, right: 150, bottom: 80, left: 80 },
             width: 1200,
             height: 500,
-            colors: {
-                'Fines': '#ea580c',    // Strong orange (accessible)
-                'Arrests': '#dc2626',  // Strong red (accessible)
-                'Charges': '#7c3aed'   // Strong purple (accessible)
-            },
-            jurisdictionColors: {
-                'ACT': '#dc2626',
-                'NSW': '#2563eb',
-                'NT': '#ea580c',
-                'QLD': '#7c3aed',
-                'SA': '#db2777',
-                'TAS': '#059669',
-                'VIC': '#0891b2',
-                'WA': '#ca8a04'
-            },
-            ...options
-        };
+            responsive: true,
+            aspectRatio: 12 / 5,
+            minHeight: 320
+        }, options);
 
-        this.data = null;
         this.selectedJurisdictions = [];
         this.selectedMetric = 'Fines'; // Single metric selection
-        this.svg = null;
-        this.tooltip = null;
     }
 
     /**
-     * Load CSV data
+     * Map dataset rows to chart records
+     * @param {Array} rows - Rows of the enforcement outcomes dataset
      */
-    async loadData(csvPath) {
-        try {
-            const rawData = await d3.csv(csvPath);
-            
-            // Process and aggregate data by year and jurisdiction
-            // Sum all Fines, arrests, Charges across all age groups and locations
-            const aggregationMap = new Map();
-            
-            rawData.forEach(row => {
-                const year = +row.YEAR;
-                const jurisdiction = row.JURISDICTION;
-                const key = `${year}-${jurisdiction}`;
-                
-                if (!aggregationMap.has(key)) {
-                    aggregationMap.set(key, {
-                        year,
-                        jurisdiction,
-                        Fines: 0,
-                        arrests: 0,
-                        Charges: 0,
-                        count: 0
-                    });
-                }
-                
-                const entry = aggregationMap.get(key);
-                entry.Fines += +row.Fines;
-                entry.arrests += +row.Arrests;
-                entry.Charges += +row.Charges;
-                entry.count += +row.COUNT;
-            });
-            
-            // Convert map to array and filter to 2023-2024 only
-            this.data = Array.from(aggregationMap.values()).filter(d => d.year >= 2023);
-
-            // Get unique jurisdictions and calculate totals to select top 5 by default
-            const jurisdictionTotals = d3.rollup(
-                this.data,
-                v => d3.sum(v, d => d.Fines + d.arrests + d.Charges),
-                d => d.jurisdiction
-            );
-            
-            const top3 = Array.from(jurisdictionTotals.entries())
-                .sort((a, b) => b[1] - a[1])
-                .slice(0, 3)
-                .map(d => d[0]);
-            
-            this.selectedJurisdictions = top3;
-            
-            console.log(`✓ Loaded and aggregated ${this.data.length} records for enforcement outcomes chart (2023-2024)`);
-            console.log(`✓ Default showing top 3 jurisdictions: ${top3.join(', ')}`);
-            console.log('Sample aggregated data:', this.data.slice(0, 3));
-            return this.data;
-        } catch (error) {
-            console.error('Error loading CSV:', error);
-            throw error;
-        }
+    processData(rows) {
+        // Sum all Fines, arrests, Charges across all age groups and locations,
+        // by year and jurisdiction, for 2023-2024 only
+        const data = dataLoader.query(rows, {
+            where: { YEAR: year => year >= 2023 },
+            groupBy: ['YEAR', 'JURISDICTION'],
+            measures: {
+                Fines: { field: 'FINES', op: 'sum' },
+                arrests: { field: 'ARRESTS', op: 'sum' },
+                Charges: { field: 'CHARGES', op: 'sum' },
+                count: { field: 'COUNT', op: 'sum' }
+            }
+        }).map(({ YEAR, JURISDICTION, ...measures }) => ({
+            year: YEAR,
+            jurisdiction: JURISDICTION,
+            ...measures
+        }));
+
+        // Get unique jurisdictions and calculate totals to select top 5 by default
+        const jurisdictionTotals = d3.rollup(
+            data,
+            v => d3.sum(v, d => d.Fines + d.arrests + d.Charges),
+            d => d.jurisdiction
+        );
+
+        const top3 = Array.from(jurisdictionTotals.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 3)
+            .map(d => d[0]);
+
+        this.selectedJurisdictions = top3;
+
+        console.log(`✓ Loaded and aggregated ${data.length} records for enforcement outcomes chart (2023-2024)`);
+        console.log(`✓ Default showing top 3 jurisdictions: ${top3.join(', ')}`);
+        console.log('Sample aggregated data:', data.slice(0, 3));
+        return data;
     }
 
     /**
      * Initialize the chart
      */
     init() {
-        // Clear existing content
-        this.container.selectAll('*').remove();
+        super.init();
 
         // Create main container
         const chartContainer = this.container
@@ -119,30 +80,7 @@ class EnforcementOutcomesChart {
             .append('div')
             .attr('class', 'chart-svg-container');
 
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
-        const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
-
-        this.svg = svgContainer
-            .append('svg')
-            .attr('width', this.config.width)
-            .attr('height', this.config.height)
-            .append('g')
-            .attr('transform', `translate(${this.config.margin.left},${this.config.margin.top})`);
-
-        // Create tooltip
-        this.tooltip = d3.select('body')
-            .append('div')
-            .attr('class', 'chart-tooltip')
-            .style('position', 'absolute')
-            .style('visibility', 'hidden')
-            .style('background-color', 'rgba(0, 0, 0, 0.9)')
-            .style('color', 'white')
-            .style('padding', '12px 16px')
-            .style('border-radius', '8px')
-            .style('font-size', '13px')
-            .style('pointer-events', 'none')
-            .style('z-index', '1000')
-            .style('box-shadow', '0 4px 12px rgba(0,0,0,0.3)');
+        this.createSvg(svgContainer);
 
         return this;
     }
@@ -156,7 +94,7 @@ class EnforcementOutcomesChart {
             .attr('class', 'enforcement-filters')
             .style('margin-bottom', '20px')
             .style('padding', '20px')
-            .style('background', '#f8fafc')
+            .style('background', 'var(--chart-surface-alt)')
             .style('border-radius', '12px')
             .style('box-shadow', '0 2px 8px rgba(0,0,0,0.08)');
 
@@ -179,7 +117,7 @@ class EnforcementOutcomesChart {
         metricSection.append('div')
             .style('font-size', '14px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('margin-bottom', '10px')
             .html('Select ONE Enforcement Metric');
 
@@ -194,8 +132,8 @@ class EnforcementOutcomesChart {
                 .attr('class', 'metric-filter-btn')
                 .attr('data-metric', metric)
                 .style('padding', '10px 20px')
-                .style('background', this.config.colors[metric])
-                .style('color', 'white')
+                .style('background', chartStyles.metricColor(metric))
+                .style('color', chartStyles.textColor(chartStyles.metricColor(metric)))
                 .style('border', '3px solid white')
                 .style('border-radius', '6px')
                 .style('cursor', 'pointer')
@@ -213,14 +151,14 @@ class EnforcementOutcomesChart {
         jurisdictionSection.append('div')
             .style('font-size', '14px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('margin-bottom', '8px')
             .html('Filter by Jurisdiction');
 
         // Helper text
         jurisdictionSection.append('div')
             .style('font-size', '12px')
-            .style('color', '#64748b')
+            .style('color', 'var(--chart-text-muted)')
             .style('margin-bottom', '10px')
             .style('font-style', 'italic')
             .html('💡 Tip: Select 3-5 jurisdictions for optimal clarity. Top 3 shown by default.');
@@ -267,8 +205,8 @@ class EnforcementOutcomesChart {
                 .attr('class', 'jurisdiction-filter-btn')
                 .attr('data-jurisdiction', jurisdiction)
                 .style('padding', '8px 16px')
-                .style('background', this.config.jurisdictionColors[jurisdiction] || '#94a3b8')
-                .style('color', 'white')
+                .style('background', chartStyles.jurisdictionColor(jurisdiction))
+                .style('color', chartStyles.textColor(chartStyles.jurisdictionColor(jurisdiction)))
                 .style('border', '2px solid white')
                 .style('border-radius', '6px')
                 .style('cursor', 'pointer')
@@ -280,6 +218,14 @@ class EnforcementOutcomesChart {
         });
     }
 
+    /**
+     * Value of the selected metric for a data point
+     */
+    getValue(d) {
+        return this.selectedMetric === 'Fines' ? d.Fines :
+               this.selectedMetric === 'Arrests' ? d.arrests : d.Charges;
+    }
+
     /**
      * Select single metric (radio button behavior)
      */
@@ -348,62 +294,48 @@ class EnforcementOutcomesChart {
     }
 
     /**
-     * Render the chart
+     * Recolour the metric and jurisdiction buttons in the new chart colours, then redraw
      */
-    render() {
-        if (!this.data) {
-            console.error('No data loaded');
-            return;
-        }
-
-        // Clear previous chart
-        this.svg.selectAll('*').remove();
+    restyle() {
+        this.container.selectAll('.metric-filter-btn').each((d, i, nodes) => {
+            const color = chartStyles.metricColor(nodes[i].getAttribute('data-metric'));
+            d3.select(nodes[i]).style('background', color).style('color', chartStyles.textColor(color));
+        });
+        this.container.selectAll('.jurisdiction-filter-btn').each((d, i, nodes) => {
+            const color = chartStyles.jurisdictionColor(nodes[i].getAttribute('data-jurisdiction'));
+            d3.select(nodes[i]).style('background', color).style('color', chartStyles.textColor(color));
+        });
+        super.restyle();
+    }
 
+    /**
+     * Draw the chart. Redraws keep the bars of each year and jurisdiction still shown: they grow or
+     * shrink to a new metric and slide to make room as jurisdictions come and go.
+     */
+    draw() {
         if (this.selectedJurisdictions.length === 0) {
-            this.svg.append('text')
-                .attr('x', (this.config.width - this.config.margin.left - this.config.margin.right) / 2)
-                .attr('y', (this.config.height - this.config.margin.top - this.config.margin.bottom) / 2)
-                .attr('text-anchor', 'middle')
-                .style('font-size', '18px')
-                .style('fill', '#64748b')
-                .text('Select jurisdictions to view data');
+            this.drawEmpty('Select jurisdictions to view data');
             return;
         }
 
-        // Warning if too many jurisdictions selected (more than 5)
-        if (this.selectedJurisdictions.length > 5) {
-            this.svg.append('text')
-                .attr('x', (this.config.width - this.config.margin.left - this.config.margin.right) / 2)
-                .attr('y', 20)
-                .attr('text-anchor', 'middle')
-                .style('font-size', '14px')
-                .style('font-weight', '700')
-                .style('fill', '#ea580c')
-                .text(`⚠️ ${this.selectedJurisdictions.length} jurisdictions selected. Consider limiting to 3-5 for better readability.`);
-        }
+        const { innerWidth: width, innerHeight: height } = this.getDimensions();
+        const t = this.transition();
 
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
-        const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
+        // Warning if too many jurisdictions selected (more than 5)
+        const tooMany = this.selectedJurisdictions.length > 5 ? [this.selectedJurisdictions.length] : [];
+        this.svg.selectAll('text.jurisdiction-warning')
+            .data(tooMany)
+            .join('text')
+            .attr('class', 'jurisdiction-warning')
+            .attr('x', width / 2)
+            .attr('y', 20)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '14px')
+            .style('font-weight', '700')
+            .style('fill', '#ea580c')
+            .text(count => `⚠️ ${count} jurisdictions selected. Consider limiting to 3-5 for better readability.`);
 
-        // Prepare data - single metric, grouped by year and jurisdiction
-        const chartData = [];
-        const metric = this.selectedMetric;
-        
-        this.selectedJurisdictions.forEach(jurisdiction => {
-            const jurisdictionData = this.data.filter(d => d.jurisdiction === jurisdiction);
-            
-            jurisdictionData.forEach(d => {
-                const value = metric === 'Fines' ? d.Fines : 
-                             metric === 'Arrests' ? d.arrests : d.Charges;
-                
-                chartData.push({
-                    year: d.year,
-                    jurisdiction,
-                    value,
-                    key: `${d.year}-${jurisdiction}`
-                });
-            });
-        });
+        const chartData = this.getChartData();
 
         // Group data by year for simpler grouping
         const years = [...new Set(chartData.map(d => d.year))].sort();
@@ -426,9 +358,8 @@ class EnforcementOutcomesChart {
             .nice();
 
         // Add grid with better styling
-        this.svg.append('g')
-            .attr('class', 'grid')
-            .style('stroke', '#e5e7eb')
+        BaseChart.animate(this.layer('grid'), t)
+            .style('stroke', chartStyles.theme('grid'))
             .style('stroke-opacity', 0.4)
             .style('stroke-dasharray', '2,4')
             .call(d3.axisLeft(yScale)
@@ -438,18 +369,20 @@ class EnforcementOutcomesChart {
             );
 
         // Add axes
-        const xAxis = this.svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${height})`)
+        const xAxis = this.layer('x-axis')
+            .attr('transform', `translate(0,${height})`);
+
+        BaseChart.animate(xAxis, t)
             .call(d3.axisBottom(x0));
 
         xAxis.selectAll('text')
             .style('font-size', '14px')
             .style('font-weight', '700')
-            .style('fill', '#1e293b');
+            .style('fill', chartStyles.theme('text'));
+
+        const yAxis = this.layer('y-axis');
 
-        const yAxis = this.svg.append('g')
-            .attr('class', 'y-axis')
+        BaseChart.animate(yAxis, t)
             .call(d3.axisLeft(yScale).tickFormat(d => d.toLocaleString()));
 
         yAxis.selectAll('text')
@@ -457,170 +390,221 @@ class EnforcementOutcomesChart {
             .style('font-weight', '500');
 
         // Add axis labels
-        this.svg.append('text')
+        const labels = this.layer('labels');
+
+        labels.selectAll('.x-label')
+            .data([null])
+            .join('text')
+            .attr('class', 'x-label')
             .attr('x', width / 2)
             .attr('y', height + 60)
             .attr('text-anchor', 'middle')
             .style('font-size', '14px')
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
+            .style('fill', chartStyles.theme('text'))
             .text('Year');
 
-        this.svg.append('text')
+        labels.selectAll('.y-label')
+            .data([null])
+            .join('text')
+            .attr('class', 'y-label')
             .attr('transform', 'rotate(-90)')
             .attr('x', -height / 2)
             .attr('y', -60)
             .attr('text-anchor', 'middle')
             .style('font-size', '14px')
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
+            .style('fill', chartStyles.theme('text'))
             .text('Count');
 
         // Add title with current metric
-        this.svg.append('text')
+        labels.selectAll('.chart-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'chart-title')
             .attr('x', width / 2)
             .attr('y', -30)
             .attr('text-anchor', 'middle')
             .style('font-size', '20px')
             .style('font-weight', '700')
-            .style('fill', '#0f172a')
+            .style('fill', chartStyles.theme('text-strong'))
             .text(`${this.selectedMetric} by Jurisdiction (2023-2024)`);
 
-        // Draw simplified grouped bars (year → jurisdiction only)
-        years.forEach(year => {
-            const yearGroup = this.svg.append('g')
-                .attr('transform', `translate(${x0(year.toString())},0)`);
-
-            this.selectedJurisdictions.forEach(jurisdiction => {
-                const dataPoint = chartData.find(d => 
-                    d.year === year && 
-                    d.jurisdiction === jurisdiction
-                );
-
-                if (dataPoint && dataPoint.value > 0) {
-                    yearGroup.append('rect')
-                        .attr('x', x1(jurisdiction))
-                        .attr('width', x1.bandwidth())
-                        .attr('y', height)
-                        .attr('height', 0)
-                        .attr('fill', this.config.jurisdictionColors[jurisdiction])
-                        .attr('rx', 3)
-                        .style('cursor', 'pointer')
-                        .on('mouseover', (event) => {
-                            d3.select(event.target).style('opacity', 0.8);
-                            this.showTooltip(event, dataPoint);
-                        })
-                        .on('mouseout', (event) => {
-                            d3.select(event.target).style('opacity', 1);
-                            this.hideTooltip();
-                        })
-                        .on('mousemove', (event) => this.moveTooltip(event))
-                        .transition()
-                        .duration(800)
-                        .attr('y', yScale(dataPoint.value))
-                        .attr('height', height - yScale(dataPoint.value));
-
-                    // Add value labels on top of bars
-                    if (dataPoint.value > maxValue * 0.03) {
-                        yearGroup.append('text')
-                            .attr('x', x1(jurisdiction) + x1.bandwidth() / 2)
-                            .attr('y', yScale(dataPoint.value) - 5)
-                            .attr('text-anchor', 'middle')
-                            .style('font-size', '11px')
-                            .style('font-weight', '700')
-                            .style('fill', '#0f172a')
-                            .style('opacity', 0)
-                            .text(dataPoint.value.toLocaleString())
-                            .transition()
-                            .duration(800)
-                            .style('opacity', 1);
-                    }
-                }
-            });
-        });
+        // Draw simplified grouped bars (year → jurisdiction only), keyed by year and jurisdiction
+        const bars = chartData.filter(d => d.value > 0);
+        const barX = d => x0(d.year.toString()) + x1(d.jurisdiction);
+
+        this.layer('bars').selectAll('rect.bar')
+            .data(bars, d => d.key)
+            .join(
+                enter => enter.append('rect')
+                    .attr('class', 'bar')
+                    .attr('x', barX)
+                    .attr('width', x1.bandwidth())
+                    .attr('y', height)
+                    .attr('height', 0)
+                    .attr('rx', 3)
+                    .style('cursor', 'pointer'),
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .attr('y', height)
+                    .attr('height', 0)
+                    .remove()
+            )
+            .attr('fill', d => chartStyles.jurisdictionFill(this.svg, d.jurisdiction))
+            .on('mouseover', (event, d) => {
+                d3.select(event.target).style('opacity', 0.8);
+                this.showTooltip(event, d);
+            })
+            .on('mouseout', (event) => {
+                d3.select(event.target).style('opacity', 1);
+                this.hideTooltip();
+            })
+            .on('mousemove', (event) => this.moveTooltip(event))
+            .call(rects => BaseChart.animate(rects, t)
+                .attr('x', barX)
+                .attr('width', x1.bandwidth())
+                .attr('y', d => yScale(d.value))
+                .attr('height', d => height - yScale(d.value)));
+
+        // Add value labels on top of bars
+        this.layer('value-labels').selectAll('text.value-label')
+            .data(bars.filter(d => d.value > maxValue * 0.03), d => d.key)
+            .join(
+                enter => enter.append('text')
+                    .attr('class', 'value-label')
+                    .attr('x', d => barX(d) + x1.bandwidth() / 2)
+                    .attr('y', height - 5)
+                    .attr('text-anchor', 'middle')
+                    .style('font-size', '11px')
+                    .style('font-weight', '700')
+                    .style('opacity', 0),
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .attr('y', height - 5)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .style('fill', chartStyles.theme('text-strong'))
+            .text(d => d.value.toLocaleString())
+            .call(texts => BaseChart.animate(texts, t)
+                .attr('x', d => barX(d) + x1.bandwidth() / 2)
+                .attr('y', d => yScale(d.value) - 5)
+                .style('opacity', 1));
 
         // Add simplified legend - only jurisdictions
-        const legend = this.svg.append('g')
-            .attr('class', 'legend')
+        const legend = this.layer('legend')
             .attr('transform', `translate(${width + 20}, 0)`);
             
-        legend.append('text')
+        legend.selectAll('text.legend-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'legend-title')
             .attr('x', 0)
             .attr('y', 0)
             .style('font-size', '13px')
             .style('font-weight', '700')
-            .style('fill', '#1e293b')
+            .style('fill', chartStyles.theme('text'))
             .text('Jurisdictions:');
 
-        this.selectedJurisdictions.forEach((jurisdiction, i) => {
-            const legendRow = legend.append('g')
-                .attr('transform', `translate(0, ${20 + i * 25})`);
-
-            legendRow.append('rect')
-                .attr('x', 0)
-                .attr('y', 0)
-                .attr('width', 18)
-                .attr('height', 18)
-                .attr('rx', 3)
-                .attr('fill', this.config.jurisdictionColors[jurisdiction]);
-
-            legendRow.append('text')
-                .attr('x', 25)
-                .attr('y', 13)
-                .style('font-size', '12px')
-                .style('font-weight', '600')
-                .style('fill', '#1e293b')
-                .text(jurisdiction);
-        });
+        const legendRows = legend.selectAll('g.legend-row')
+            .data(this.selectedJurisdictions, jurisdiction => jurisdiction)
+            .join(
+                enter => {
+                    const legendRow = enter.append('g')
+                        .attr('class', 'legend-row')
+                        .attr('transform', (d, i) => `translate(0, ${20 + i * 25})`)
+                        .style('opacity', 0);
+
+                    legendRow.append('rect')
+                        .attr('x', 0)
+                        .attr('y', 0)
+                        .attr('width', 18)
+                        .attr('height', 18)
+                        .attr('rx', 3);
+
+                    legendRow.append('text')
+                        .attr('x', 25)
+                        .attr('y', 13)
+                        .style('font-size', '12px')
+                        .style('font-weight', '600')
+                        .text(jurisdiction => jurisdiction);
+
+                    return legendRow;
+                },
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .style('opacity', 0)
+                    .remove()
+            );
+
+        legendRows.select('rect')
+            .attr('fill', jurisdiction => chartStyles.jurisdictionFill(this.svg, jurisdiction));
+
+        legendRows.select('text')
+            .style('fill', chartStyles.theme('text'));
+
+        BaseChart.animate(legendRows, t)
+            .attr('transform', (d, i) => `translate(0, ${20 + i * 25})`)
+            .style('opacity', 1);
     }
 
     /**
-     * Show tooltip
+     * The metric and jurisdictions shown, for exports
      */
-    showTooltip(event, data) {
-        const tooltipContent = `
-            <div style="font-weight: 700; margin-bottom: 8px; font-size: 16px; color: ${this.config.jurisdictionColors[data.jurisdiction]};">
-                ${data.jurisdiction}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>Year:</strong> ${data.year}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>${this.selectedMetric}:</strong> ${data.value.toLocaleString()}
-            </div>
-        `;
-
-        this.tooltip
-            .html(tooltipContent)
-            .style('visibility', 'visible');
-
-        this.moveTooltip(event);
+    describeFilters() {
+        const jurisdictions = [...new Set(this.data.map(d => d.jurisdiction))];
+        return `${this.selectedMetric} · ${this.describeSelection('jurisdictions', this.selectedJurisdictions, jurisdictions)}`;
     }
 
     /**
-     * Move tooltip
+     * The selected metric for each selected jurisdiction and year
+     * @returns {Array} { year, jurisdiction, value, key }
      */
-    moveTooltip(event) {
-        this.tooltip
-            .style('left', (event.pageX + 15) + 'px')
-            .style('top', (event.pageY - 15) + 'px');
+    getChartData() {
+        // Prepare data - single metric, grouped by year and jurisdiction
+        const chartData = [];
+        
+        this.selectedJurisdictions.forEach(jurisdiction => {
+            const jurisdictionData = this.data.filter(d => d.jurisdiction === jurisdiction);
+            
+            jurisdictionData.forEach(d => {
+                chartData.push({
+                    year: d.year,
+                    jurisdiction,
+                    value: this.getValue(d),
+                    key: `${d.year}-${jurisdiction}`
+                });
+            });
+        });
+
+        return chartData;
     }
 
     /**
-     * Hide tooltip
+     * The plotted bars, for data downloads
      */
-    hideTooltip() {
-        this.tooltip.style('visibility', 'hidden');
+    getSeries() {
+        return this.getChartData().map(d => ({
+            year: d.year,
+            jurisdiction: d.jurisdiction,
+            measure: this.selectedMetric,
+            value: d.value
+        }));
     }
 
     /**
-     * Destroy chart and cleanup
+     * Tooltip template for a mark
      */
-    destroy() {
-        this.container.selectAll('*').remove();
-        if (this.tooltip) {
-            this.tooltip.remove();
-        }
+    tooltipTemplate(data) {
+        return {
+            title: data.jurisdiction,
+            color: chartStyles.jurisdictionColor(data.jurisdiction),
+            rows: [
+                { label: 'Year', value: data.year },
+                { label: this.selectedMetric, value: data.value.toLocaleString() }
+            ]
+        };
     }
 }
 
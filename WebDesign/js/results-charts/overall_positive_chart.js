@@ -3,108 +3,138 @@
  * Visualizes total positive breath test trends over years (aggregated across all jurisdictions)
  */
 
-class OverallPositiveChart {
+class OverallPositiveChart extends BaseChart {
     constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = d3.select(`#${containerId}`);
-        
         // Default configuration
-        this.config = {
+        super(containerId, {
             margin: { top: 60, right: 80, bottom: 80, left: 100 },
             width: 1200,
             height: 500,
-            color: '#2563eb', // WCAG AA compliant blue (4.5:1 contrast)
-            ...options
-        };
-
-        this.data = null;
-        this.svg = null;
-        this.tooltip = null;
+            responsive: true,
+            aspectRatio: 12 / 5,
+            minHeight: 320,
+            // Year × jurisdiction dataset whose START_DATE/END_DATE give each year's coverage
+            periodsDataset: 'positive_by_year_jurisdiction',
+            tooltipStyle: { 'max-width': '250px' }
+        }, options);
+
+        // Show partial years scaled to a full-year equivalent
+        this.annualise = false;
     }
 
     /**
-     * Load CSV data
+     * Map dataset rows to chart records, with each year's partial reporting periods
+     * @param {Array} rows - Rows of the positive_by_year dataset
      */
-    async loadData(csvPath) {
-        try {
-            const rawData = await d3.csv(csvPath);
-            
-            // Process data
-            this.data = rawData.map(d => ({
-                year: +d.YEAR,
-                count: +d.COUNT,
-                metric: d.METRIC,
-                jurisdiction: d.JURISDICTION
-            })).sort((a, b) => a.year - b.year);
-
-            console.log(`✓ Loaded ${this.data.length} records from overall positive breath tests data`);
-            return this.data;
-        } catch (error) {
-            console.error('Error loading CSV:', error);
-            throw error;
+    async processData(rows) {
+        // Coverage is optional: without it every year is treated as complete
+        const periodRows = await dataLoader.loadDataset(this.config.periodsDataset).catch(error => {
+            console.warn('Reporting periods unavailable:', error.message);
+            return [];
+        });
+
+        // Jurisdictions reporting less than a full year, and annualised totals, by year
+        const partialPeriods = d3.group(
+            dataLoader.reportingPeriods(periodRows).filter(p => p.PARTIAL),
+            p => p.YEAR
+        );
+        const annualised = new Map(dataLoader.query(dataLoader.annualise(periodRows, 'COUNT'), {
+            groupBy: 'YEAR',
+            measures: { COUNT: { field: 'COUNT', op: 'sum' } }
+        }).map(d => [d.YEAR, d.COUNT]));
+
+        const data = rows.map(d => ({
+            year: +d.YEAR,
+            count: +d.COUNT,
+            metric: d.METRIC,
+            jurisdiction: d.JURISDICTION,
+            partialPeriods: partialPeriods.get(+d.YEAR) || [],
+            annualisedCount: partialPeriods.has(+d.YEAR) ? annualised.get(+d.YEAR) : +d.COUNT
+        })).sort((a, b) => a.year - b.year);
+
+        console.log(`✓ Loaded ${data.length} records from overall positive breath tests data`);
+        if (partialPeriods.size > 0) {
+            console.log(`✓ Partial reporting periods in: ${[...partialPeriods.keys()].join(', ')}`);
         }
+        return data;
     }
 
     /**
      * Initialize the chart
      */
     init() {
-        // Clear existing content
-        this.container.selectAll('*').remove();
+        super.init();
 
         // Create main container
         const chartContainer = this.container
             .append('div')
             .attr('class', 'overall-positive-chart-container');
 
+        this.createAnnualiseToggle(chartContainer);
+
         // Create SVG container
         const svgContainer = chartContainer
             .append('div')
             .attr('class', 'chart-svg-container');
 
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
-        const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
+        this.createSvg(svgContainer);
 
-        this.svg = svgContainer
-            .append('svg')
-            .attr('width', this.config.width)
-            .attr('height', this.config.height)
-            .append('g')
-            .attr('transform', `translate(${this.config.margin.left},${this.config.margin.top})`);
+        return this;
+    }
 
-        // Create tooltip
-        this.tooltip = d3.select('body')
-            .append('div')
-            .attr('class', 'chart-tooltip')
-            .style('position', 'absolute')
-            .style('visibility', 'hidden')
-            .style('background-color', 'rgba(0, 0, 0, 0.9)')
-            .style('color', 'white')
-            .style('padding', '12px 16px')
-            .style('border-radius', '8px')
+    /**
+     * Create the "annualise partial years" checkbox (only when some year is incomplete)
+     */
+    createAnnualiseToggle(container) {
+        if (!this.data.some(d => d.partialPeriods.length > 0)) return;
+
+        const label = container
+            .append('label')
+            .attr('class', 'annualise-toggle')
+            .style('display', 'inline-flex')
+            .style('align-items', 'center')
+            .style('gap', '8px')
+            .style('margin-bottom', '10px')
             .style('font-size', '13px')
-            .style('pointer-events', 'none')
-            .style('z-index', '1000')
-            .style('box-shadow', '0 4px 12px rgba(0,0,0,0.3)')
-            .style('max-width', '250px');
+            .style('font-weight', '600')
+            .style('color', 'var(--chart-text)')
+            .style('cursor', 'pointer');
+
+        label.append('input')
+            .attr('type', 'checkbox')
+            .property('checked', this.annualise)
+            .on('change', (event) => {
+                this.annualise = event.target.checked;
+                this.render();
+            });
 
-        return this;
+        label.append('span')
+            .text('Annualise partial years (scale to a full-year equivalent)');
     }
 
     /**
-     * Render the chart
+     * Count shown for a year: reported, or annualised when that option is on
      */
-    render() {
-        if (!this.data) {
-            console.error('No data loaded');
-            return;
-        }
+    getCount(d) {
+        return this.annualise ? d.annualisedCount : d.count;
+    }
 
-        // Clear previous chart elements
-        this.svg.selectAll('*').remove();
+    /**
+     * Describe the incomplete reporting periods of a year, e.g. "VIC: 2024-01-01 to 2024-08-31 (67% of a year)"
+     */
+    describePartialPeriods(d) {
+        return d.partialPeriods.map(p =>
+            `${p.JURISDICTION}: ${p.START_DATE} to ${p.END_DATE} (${Math.round(p.COVERAGE * 100)}% of a year)`);
+    }
 
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
-        const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
+    /**
+     * Draw the chart. Switching annualisation on or off moves the line, area, points and annotations to
+     * the new values rather than drawing them again.
+     */
+    draw() {
+        const { innerWidth: width, innerHeight: height } = this.getDimensions();
+        const color = chartStyles.metricColor('positive_breath_tests');
+        const t = this.transition();
 
         // Create scales
         this.xScale = d3.scaleLinear()
@@ -112,14 +142,13 @@ class OverallPositiveChart {
             .range([0, width]);
 
         this.yScale = d3.scaleLinear()
-            .domain([0, d3.max(this.data, d => d.count) * 1.1])
+            .domain([0, d3.max(this.data, d => this.getCount(d)) * 1.1])
             .range([height, 0])
             .nice();
 
         // Add grid (limit to 5-6 lines for clarity)
-        this.svg.append('g')
-            .attr('class', 'grid')
-            .style('stroke', '#e5e7eb')
+        BaseChart.animate(this.layer('grid'), t)
+            .style('stroke', chartStyles.theme('grid'))
             .style('stroke-opacity', 0.4)
             .style('stroke-dasharray', '2,4')
             .call(d3.axisLeft(this.yScale)
@@ -129,9 +158,10 @@ class OverallPositiveChart {
             );
 
         // Add axes
-        const xAxis = this.svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${height})`)
+        const xAxis = this.layer('x-axis')
+            .attr('transform', `translate(0,${height})`);
+
+        BaseChart.animate(xAxis, t)
             .call(d3.axisBottom(this.xScale)
                 .tickFormat(d3.format('d'))
                 .ticks(this.data.length));
@@ -140,8 +170,9 @@ class OverallPositiveChart {
             .style('font-size', '12px')
             .style('font-weight', '500');
 
-        const yAxis = this.svg.append('g')
-            .attr('class', 'y-axis')
+        const yAxis = this.layer('y-axis');
+
+        BaseChart.animate(yAxis, t)
             .call(d3.axisLeft(this.yScale)
                 .tickFormat(d => d.toLocaleString()));
 
@@ -150,123 +181,151 @@ class OverallPositiveChart {
             .style('font-weight', '500');
 
         // Add axis labels
-        this.svg.append('text')
+        const labels = this.layer('labels');
+
+        labels.selectAll('.x-label')
+            .data([null])
+            .join('text')
+            .attr('class', 'x-label')
             .attr('x', width / 2)
             .attr('y', height + 50)
             .attr('text-anchor', 'middle')
             .style('font-size', '14px')
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
+            .style('fill', chartStyles.theme('text'))
             .text('Year');
 
-        this.svg.append('text')
+        labels.selectAll('.y-label')
+            .data([null])
+            .join(enter => enter.append('text')
+                .attr('class', 'y-label')
+                .text('Total Positive Breath Tests')
+                .call(label => typeof glossary !== 'undefined' && glossary &&
+                    glossary.annotate(label, 'METRIC', () => 'positive_breath_tests')))
             .attr('transform', 'rotate(-90)')
             .attr('x', -height / 2)
             .attr('y', -70)
             .attr('text-anchor', 'middle')
             .style('font-size', '14px')
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
-            .text('Total Positive Breath Tests');
+            .style('fill', chartStyles.theme('text'));
 
         // Add title
-        this.svg.append('text')
+        labels.selectAll('.chart-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'chart-title')
             .attr('x', width / 2)
             .attr('y', -30)
             .attr('text-anchor', 'middle')
             .style('font-size', '20px')
             .style('font-weight', '700')
-            .style('fill', '#0f172a')
+            .style('fill', chartStyles.theme('text-strong'))
             .text('Overall Positive Breath Tests Trend (All Jurisdictions)');
 
-        // Line generator
+        // Line generator, and the line laid flat on the x axis that the first draw rises from
         const line = d3.line()
             .x(d => this.xScale(d.year))
-            .y(d => this.yScale(d.count))
+            .y(d => this.yScale(this.getCount(d)))
+            .curve(d3.curveMonotoneX);
+        const flat = d3.line()
+            .x(d => this.xScale(d.year))
+            .y(height)
             .curve(d3.curveMonotoneX);
 
         // Add area under line
         const area = d3.area()
             .x(d => this.xScale(d.year))
             .y0(height)
-            .y1(d => this.yScale(d.count))
+            .y1(d => this.yScale(this.getCount(d)))
+            .curve(d3.curveMonotoneX);
+        const flatArea = d3.area()
+            .x(d => this.xScale(d.year))
+            .y(height)
             .curve(d3.curveMonotoneX);
 
         // Draw area with gradient
-        const gradient = this.svg.append('defs')
-            .append('linearGradient')
-            .attr('id', 'area-gradient')
-            .attr('x1', '0%')
-            .attr('y1', '0%')
-            .attr('x2', '0%')
-            .attr('y2', '100%');
-
-        gradient.append('stop')
-            .attr('offset', '0%')
-            .attr('stop-color', this.config.color)
-            .attr('stop-opacity', 0.3);
-
-        gradient.append('stop')
-            .attr('offset', '100%')
-            .attr('stop-color', this.config.color)
-            .attr('stop-opacity', 0.05);
-
-        this.svg.append('path')
-            .datum(this.data)
-            .attr('class', 'area')
-            .attr('fill', 'url(#area-gradient)')
-            .attr('d', area)
-            .style('opacity', 0)
-            .transition()
-            .duration(1000)
-            .style('opacity', 1);
+        const gradient = this.svg.selectAll('defs.area-defs')
+            .data([null])
+            .join(enter => {
+                const defs = enter.append('defs')
+                    .attr('class', 'area-defs');
+
+                const linearGradient = defs.append('linearGradient')
+                    .attr('id', 'area-gradient')
+                    .attr('x1', '0%')
+                    .attr('y1', '0%')
+                    .attr('x2', '0%')
+                    .attr('y2', '100%');
+
+                linearGradient.append('stop')
+                    .attr('offset', '0%')
+                    .attr('stop-opacity', 0.3);
+
+                linearGradient.append('stop')
+                    .attr('offset', '100%')
+                    .attr('stop-opacity', 0.05);
+
+                return defs;
+            })
+            .select('linearGradient');
+
+        gradient.selectAll('stop')
+            .attr('stop-color', color);
+
+        this.layer('area').selectAll('path.area')
+            .data([this.data])
+            .join(enter => enter.append('path')
+                .attr('class', 'area')
+                .attr('fill', 'url(#area-gradient)')
+                .attr('d', flatArea)
+                .style('opacity', 0))
+            .call(path => BaseChart.animate(path, t)
+                .attr('d', area)
+                .style('opacity', 1));
 
         // Draw line
-        const path = this.svg.append('path')
-            .datum(this.data)
-            .attr('class', 'line')
-            .attr('fill', 'none')
-            .attr('stroke', this.config.color)
-            .attr('stroke-width', 3)
-            .attr('d', line);
-
-        // Animate line
-        const totalLength = path.node().getTotalLength();
-        path
-            .attr('stroke-dasharray', `${totalLength} ${totalLength}`)
-            .attr('stroke-dashoffset', totalLength)
-            .transition()
-            .duration(1500)
-            .ease(d3.easeLinear)
-            .attr('stroke-dashoffset', 0)
-            .on('end', function() {
-                d3.select(this).attr('stroke-dasharray', 'none');
-            });
-
-        // Add dots
-        this.svg.selectAll('.dot')
-            .data(this.data)
-            .enter()
-            .append('circle')
-            .attr('class', 'dot')
-            .attr('cx', d => this.xScale(d.year))
-            .attr('cy', d => this.yScale(d.count))
-            .attr('r', 6)
-            .attr('fill', this.config.color)
-            .attr('stroke', 'white')
-            .attr('stroke-width', 2)
-            .style('opacity', 0)
-            .style('cursor', 'pointer')
+        this.layer('line').selectAll('path.line')
+            .data([this.data])
+            .join(enter => enter.append('path')
+                .attr('class', 'line')
+                .attr('fill', 'none')
+                .attr('stroke-width', 3)
+                .attr('d', flat))
+            .attr('stroke', color)
+            .call(path => BaseChart.animate(path, t)
+                .attr('d', line));
+
+        // Add dots; hollow, dashed dots mark years with incomplete reporting periods
+        this.layer('dots').selectAll('.dot')
+            .data(this.data, d => d.year)
+            .join(enter => enter.append('circle')
+                .attr('cx', d => this.xScale(d.year))
+                .attr('cy', height)
+                .attr('r', 6)
+                .attr('stroke-width', 2)
+                .style('opacity', 0)
+                .style('cursor', 'pointer'))
+            .attr('class', d => d.partialPeriods.length > 0 ? 'dot dot-partial' : 'dot')
+            .attr('fill', d => d.partialPeriods.length > 0 ? chartStyles.theme('surface') : color)
+            .attr('stroke', d => d.partialPeriods.length > 0 ? color : chartStyles.theme('surface'))
+            .attr('stroke-dasharray', d => d.partialPeriods.length > 0 ? '3,2' : null)
             .on('mouseover', (event, d) => this.showTooltip(event, d))
             .on('mouseout', () => this.hideTooltip())
             .on('mousemove', (event) => this.moveTooltip(event))
-            .transition()
-            .delay(1500)
-            .duration(500)
-            .style('opacity', 1);
+            .call(dots => this.enableKeyboard(dots, {
+                label: d => `${d.year}: ${Math.round(this.getCount(d)).toLocaleString()} positive breath tests` +
+                    (d.partialPeriods.length > 0 ? ' (incomplete year)' : ''),
+                key: d => d.year
+            }))
+            .call(dots => BaseChart.animate(dots, t)
+                .attr('cx', d => this.xScale(d.year))
+                .attr('cy', d => this.yScale(this.getCount(d)))
+                .style('opacity', 1));
 
         // Add key event annotations
-        this.addAnnotations();
+        this.addAnnotations(t);
+        this.addPartialPeriodMarkers(t);
 
         // Add statistics box
         this.addStatistics();
@@ -274,195 +333,245 @@ class OverallPositiveChart {
 
     /**
      * Add annotations for key insights
+     * @param {d3.Transition|null} t - The redraw's transition
      */
-    addAnnotations() {
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
-        const peakData = this.data.reduce((max, d) => d.count > max.count ? d : max);
+    addAnnotations(t) {
+        const width = this.getDimensions().innerWidth;
+        const peakData = this.data.reduce((max, d) => this.getCount(d) > this.getCount(max) ? d : max);
         const peakX = this.xScale(peakData.year);
-        const peakY = this.yScale(peakData.count);
+        const peakY = this.yScale(this.getCount(peakData));
+        const layer = this.layer('annotations');
 
         // Add annotation line pointing to peak
-        this.svg.append('line')
+        const pointer = layer.selectAll('line.peak-pointer')
+            .data([peakData])
+            .join(enter => enter.append('line')
+                .attr('class', 'peak-pointer')
+                .attr('x1', peakX)
+                .attr('y1', peakY - 15)
+                .attr('x2', peakX)
+                .attr('y2', peakY - 60)
+                .style('stroke', '#ef4444')
+                .style('stroke-width', 2)
+                .style('stroke-dasharray', '5,3'));
+
+        BaseChart.animate(pointer, t)
             .attr('x1', peakX)
             .attr('y1', peakY - 15)
             .attr('x2', peakX)
-            .attr('y2', peakY - 60)
-            .style('stroke', '#ef4444')
-            .style('stroke-width', 2)
-            .style('stroke-dasharray', '5,3');
+            .attr('y2', peakY - 60);
 
         // Add annotation text for peak
-        const annotation = this.svg.append('g')
-            .attr('transform', `translate(${peakX}, ${peakY - 70})`);
+        const annotation = layer.selectAll('g.peak-annotation')
+            .data([peakData])
+            .join(enter => {
+                const group = enter.append('g')
+                    .attr('class', 'peak-annotation')
+                    .attr('transform', `translate(${peakX}, ${peakY - 70})`);
+
+                group.append('rect')
+                    .attr('x', -60)
+                    .attr('y', -25)
+                    .attr('width', 120)
+                    .attr('height', 50)
+                    .attr('rx', 6)
+                    .attr('fill', '#fef2f2')
+                    .attr('stroke', '#ef4444')
+                    .attr('stroke-width', 2);
+
+                group.append('text')
+                    .attr('class', 'peak-year')
+                    .attr('x', 0)
+                    .attr('y', -8)
+                    .attr('text-anchor', 'middle')
+                    .style('font-size', '11px')
+                    .style('font-weight', '700')
+                    .style('fill', '#991b1b');
+
+                group.append('text')
+                    .attr('class', 'peak-count')
+                    .attr('x', 0)
+                    .attr('y', 8)
+                    .attr('text-anchor', 'middle')
+                    .style('font-size', '12px')
+                    .style('font-weight', '800')
+                    .style('fill', '#dc2626');
+
+                return group;
+            });
 
-        annotation.append('rect')
-            .attr('x', -60)
-            .attr('y', -25)
-            .attr('width', 120)
-            .attr('height', 50)
-            .attr('rx', 6)
-            .attr('fill', '#fef2f2')
-            .attr('stroke', '#ef4444')
-            .attr('stroke-width', 2);
-
-        annotation.append('text')
-            .attr('x', 0)
-            .attr('y', -8)
-            .attr('text-anchor', 'middle')
-            .style('font-size', '11px')
-            .style('font-weight', '700')
-            .style('fill', '#991b1b')
+        annotation.select('.peak-year')
             .text(`Peak: ${peakData.year}`);
 
-        annotation.append('text')
+        annotation.select('.peak-count')
+            .text(Math.round(this.getCount(peakData)).toLocaleString());
+
+        BaseChart.animate(annotation, t)
+            .attr('transform', `translate(${peakX}, ${peakY - 70})`);
+    }
+
+    /**
+     * Label years with incomplete reporting periods and explain the hollow markers
+     * @param {d3.Transition|null} t - The redraw's transition
+     */
+    addPartialPeriodMarkers(t) {
+        const partial = this.data.filter(d => d.partialPeriods.length > 0);
+        const height = this.getDimensions().innerHeight;
+        const layer = this.layer('partial-periods');
+
+        layer.selectAll('text.partial-label')
+            .data(partial, d => d.year)
+            .join(enter => enter.append('text')
+                .attr('class', 'partial-label')
+                .attr('x', d => this.xScale(d.year))
+                .attr('y', d => this.yScale(this.getCount(d)) + 22)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '10px')
+                .style('font-weight', '700')
+                .style('fill', '#b45309'))
+            .text(this.annualise ? 'Annualised' : 'Partial year')
+            .call(texts => BaseChart.animate(texts, t)
+                .attr('x', d => this.xScale(d.year))
+                .attr('y', d => this.yScale(this.getCount(d)) + 22));
+
+        layer.selectAll('text.partial-note')
+            .data(partial.length > 0 ? [partial] : [])
+            .join('text')
+            .attr('class', 'partial-note')
             .attr('x', 0)
-            .attr('y', 8)
-            .attr('text-anchor', 'middle')
-            .style('font-size', '12px')
-            .style('font-weight', '800')
-            .style('fill', '#dc2626')
-            .text(peakData.count.toLocaleString());
+            .attr('y', height + 72)
+            .style('font-size', '11px')
+            .style('fill', chartStyles.theme('text-muted'))
+            .text(years => `○ Hollow points: at least one jurisdiction reported less than a full year (${years.map(d => d.year).join(', ')})` +
+                (this.annualise ? '; values scaled to a full-year equivalent.' : '.'));
     }
 
     /**
      * Add statistics box
      */
     addStatistics() {
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
+        const width = this.getDimensions().innerWidth;
         
-        const stats = this.svg.append('g')
-            .attr('class', 'statistics')
+        const stats = this.layer('statistics')
             .attr('transform', `translate(${width - 180}, 20)`);
 
         // Background
-        stats.append('rect')
+        stats.selectAll('rect')
+            .data([null])
+            .join('rect')
             .attr('x', 0)
             .attr('y', 0)
             .attr('width', 180)
             .attr('height', 120)
             .attr('rx', 8)
-            .attr('fill', '#f8fafc')
-            .attr('stroke', '#e5e7eb')
+            .attr('fill', chartStyles.theme('surface-alt'))
+            .attr('stroke', chartStyles.theme('grid'))
             .attr('stroke-width', 1);
 
         // Title
-        stats.append('text')
+        stats.selectAll('text.statistics-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'statistics-title')
             .attr('x', 90)
             .attr('y', 20)
             .attr('text-anchor', 'middle')
             .style('font-size', '12px')
             .style('font-weight', '700')
-            .style('fill', '#64748b')
+            .style('fill', chartStyles.theme('text-muted'))
             .text('STATISTICS');
 
         // Calculate stats
-        const total = d3.sum(this.data, d => d.count);
-        const max = d3.max(this.data, d => d.count);
-        const min = d3.min(this.data, d => d.count);
+        const total = d3.sum(this.data, d => this.getCount(d));
+        const max = d3.max(this.data, d => this.getCount(d));
+        const min = d3.min(this.data, d => this.getCount(d));
         const avg = total / this.data.length;
 
         const statsData = [
-            { label: 'Peak Year:', value: this.data.find(d => d.count === max).year },
-            { label: 'Peak Count:', value: max.toLocaleString() },
+            { label: 'Peak Year:', value: this.data.find(d => this.getCount(d) === max).year },
+            { label: 'Peak Count:', value: Math.round(max).toLocaleString() },
             { label: 'Average:', value: Math.round(avg).toLocaleString() }
         ];
 
-        statsData.forEach((stat, i) => {
-            const y = 45 + (i * 25);
-            
-            stats.append('text')
-                .attr('x', 10)
-                .attr('y', y)
-                .style('font-size', '11px')
-                .style('font-weight', '600')
-                .style('fill', '#475569')
-                .text(stat.label);
-
-            stats.append('text')
-                .attr('x', 170)
-                .attr('y', y)
-                .attr('text-anchor', 'end')
-                .style('font-size', '11px')
-                .style('font-weight', '700')
-                .style('fill', '#1e293b')
-                .text(stat.value);
-        });
-    }
-
-    /**
-     * Show tooltip with enhanced formatting
-     */
-    showTooltip(event, data) {
-        const percentChange = this.calculatePercentChange(data.year);
-        const changeColor = percentChange > 0 ? '#ef4444' : '#10b981';
-        const changeIcon = percentChange > 0 ? '📈' : '📉';
-        const changeText = percentChange !== null 
-            ? `<div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(255,255,255,0.2);">
-                <div style="display: flex; align-items: center; gap: 6px;">
-                    <span>${changeIcon}</span>
-                    <strong>Year-over-year:</strong>
-                    <span style="color: ${changeColor}; font-weight: 700;">${percentChange > 0 ? '+' : ''}${percentChange.toFixed(1)}%</span>
-                </div>
-               </div>`
-            : '';
-
-        const tooltipContent = `
-            <div style="font-weight: 700; margin-bottom: 8px; font-size: 16px; color: #2563eb;">
-                📅 Year ${data.year}
-            </div>
-            <div style="margin-bottom: 6px; font-size: 14px;">
-                <strong>Positive Tests:</strong> <span style="font-size: 18px; font-weight: 800; color: #2563eb;">${data.count.toLocaleString()}</span>
-            </div>
-            <div style="font-size: 11px; color: #cbd5e1; font-style: italic;">
-                All Australian jurisdictions combined
-            </div>
-            ${changeText}
-        `;
-
-        this.tooltip
-            .html(tooltipContent)
-            .style('visibility', 'visible');
-
-        this.moveTooltip(event);
+        stats.selectAll('text.statistic-label')
+            .data(statsData)
+            .join('text')
+            .attr('class', 'statistic-label')
+            .attr('x', 10)
+            .attr('y', (stat, i) => 45 + (i * 25))
+            .style('font-size', '11px')
+            .style('font-weight', '600')
+            .style('fill', chartStyles.theme('text-secondary'))
+            .text(stat => stat.label);
+
+        stats.selectAll('text.statistic-value')
+            .data(statsData)
+            .join('text')
+            .attr('class', 'statistic-value')
+            .attr('x', 170)
+            .attr('y', (stat, i) => 45 + (i * 25))
+            .attr('text-anchor', 'end')
+            .style('font-size', '11px')
+            .style('font-weight', '700')
+            .style('fill', chartStyles.theme('text'))
+            .text(stat => stat.value);
     }
 
     /**
-     * Calculate percent change from previous year
+     * Whether partial years are annualised, for exports
      */
-    calculatePercentChange(year) {
-        const currentIndex = this.data.findIndex(d => d.year === year);
-        if (currentIndex <= 0) return null;
-        
-        const current = this.data[currentIndex].count;
-        const previous = this.data[currentIndex - 1].count;
-        
-        return ((current - previous) / previous) * 100;
+    describeFilters() {
+        return this.annualise ? 'Partial years annualised' : '';
     }
 
     /**
-     * Move tooltip
+     * The plotted totals by year, for data downloads
      */
-    moveTooltip(event) {
-        this.tooltip
-            .style('left', (event.pageX + 15) + 'px')
-            .style('top', (event.pageY - 15) + 'px');
+    getSeries() {
+        return this.data.map(d => ({
+            year: d.year,
+            positiveTests: this.getCount(d),
+            annualised: this.annualise && d.partialPeriods.length > 0
+        }));
     }
 
     /**
-     * Hide tooltip
+     * Tooltip template for a mark
      */
-    hideTooltip() {
-        this.tooltip.style('visibility', 'hidden');
+    tooltipTemplate(data) {
+        const color = chartStyles.metricColor('positive_breath_tests');
+        const percentChange = this.calculatePercentChange(data.year);
+        const partial = data.partialPeriods.length > 0;
+
+        return {
+            title: `📅 Year ${data.year}`,
+            color,
+            rows: [
+                { label: 'Positive Tests', value: data.count.toLocaleString(), color, emphasis: true },
+                partial && { label: 'Annualised', value: Math.round(data.annualisedCount).toLocaleString() }
+            ],
+            warning: partial && { title: 'Incomplete year', lines: this.describePartialPeriods(data) },
+            note: 'All Australian jurisdictions combined',
+            footer: percentChange !== null && [{
+                icon: percentChange > 0 ? '📈' : '📉',
+                label: 'Year-over-year',
+                value: `${percentChange > 0 ? '+' : ''}${percentChange.toFixed(1)}%`,
+                color: percentChange > 0 ? '#ef4444' : '#10b981'
+            }]
+        };
     }
 
     /**
-     * Destroy chart and cleanup
+     * Calculate percent change from previous year
      */
-    destroy() {
-        this.container.selectAll('*').remove();
-        if (this.tooltip) {
-            this.tooltip.remove();
-        }
+    calculatePercentChange(year) {
+        const currentIndex = this.data.findIndex(d => d.year === year);
+        if (currentIndex <= 0) return null;
+        
+        const current = this.getCount(this.data[currentIndex]);
+        const previous = this.getCount(this.data[currentIndex - 1]);
+        
+        return ((current - previous) / previous) * 100;
     }
 }
 
@@ -3,95 +3,81 @@
  * Visualizes positive breath test trends over years with jurisdiction filtering
  */
 
-class PositiveBreathChart {
+class PositiveBreathChart extends BaseChart {
     constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = d3.select(`#${containerId}`);
-        
-        // Default configuration with WCAG AA compliant colors
-        this.config = {
+        // Default configuration (colours and line dashes come from chartStyles)
+        super(containerId, {
             margin: { top: 60, right: 150, bottom: 80, left: 100 },
             width: 1200,
             height: 500,
-            colors: {
-                'ACT': '#dc2626',  // Strong red (accessible)
-                'NSW': '#2563eb',  // Strong blue (accessible)
-                'NT': '#ea580c',   // Strong orange (accessible)
-                'QLD': '#7c3aed',  // Strong purple (accessible)
-                'SA': '#059669',   // Strong green (accessible)
-                'TAS': '#c026d3',  // Strong magenta (accessible)
-                'VIC': '#0891b2',  // Strong cyan (accessible)
-                'WA': '#ca8a04'    // Strong amber (accessible)
-            },
-            lineStyles: {
-                'ACT': 'solid',
-                'NSW': 'solid',
-                'NT': 'dashed',
-                'QLD': 'solid',
-                'SA': 'dashed',
-                'TAS': 'dotted',
-                'VIC': 'solid',
-                'WA': 'dashed'
-            },
-            ...options
-        };
+            responsive: true,
+            aspectRatio: 12 / 5,
+            minHeight: 320,
+            // The jurisdiction chips above the chart carry the colours once the legend is hidden
+            compactMargin: { right: 20 },
+            // Test type for the positivity rate measure ('breath' or 'drug')
+            testType: 'breath',
+            tooltipStyle: { 'max-width': '250px' }
+        }, options);
 
-        this.data = null;
         this.filteredData = null;
         this.selectedJurisdictions = [];
-        this.svg = null;
-        this.tooltip = null;
+        // 'count' (positive tests) or 'rate' (positives per 1,000 tests)
+        this.measure = 'count';
+        this.hasRates = false;
         this.xScale = null;
         this.yScale = null;
     }
 
     /**
-     * Load CSV data
+     * Map dataset rows to chart records
+     * @param {Array} rows - Rows of the positive breath tests by jurisdiction dataset
      */
-    async loadData(csvPath) {
-        try {
-            const rawData = await d3.csv(csvPath);
-            
-            // Process data - handle both START_DATE and END_DATE fields
-            this.data = rawData.map(d => ({
-                year: +d.YEAR,
-                jurisdiction: d.JURISDICTION,
-                count: +d.COUNT,
-                metric: d.METRIC,
-                startDate: d.START_DATE || '',
-                endDate: d.END_DATE || ''
-            }));
-
-            // Calculate top 5 jurisdictions by total count
-            const jurisdictionTotals = d3.rollup(
-                this.data,
-                v => d3.sum(v, d => d.count),
-                d => d.jurisdiction
-            );
-            
-            const top5 = Array.from(jurisdictionTotals.entries())
-                .sort((a, b) => b[1] - a[1])
-                .slice(0, 5)
-                .map(d => d[0]);
-            
-            // Default to showing top 5 jurisdictions for clarity
-            this.selectedJurisdictions = top5;
-            
-            console.log(`✓ Loaded ${this.data.length} records from positive breath tests by jurisdiction data`);
-            console.log(`✓ Default showing top 5 jurisdictions: ${top5.join(', ')}`);
-            return this.data;
-        } catch (error) {
-            console.error('Error loading CSV:', error);
-            throw error;
-        }
+    async processData(rows) {
+        // Rates are optional: without tests-conducted data the chart shows counts only
+        const rates = await derivedMetrics.loadPositivityRate(this.config.testType).catch(error => {
+            console.warn('Positivity rates unavailable:', error.message);
+            return [];
+        });
+        this.hasRates = rates.length > 0;
+
+        // Process data - handle both START_DATE and END_DATE fields
+        const data = dataLoader.join(rows, rates, ['YEAR', 'JURISDICTION'], 'left').map(d => ({
+            year: +d.YEAR,
+            jurisdiction: d.JURISDICTION,
+            count: +d.COUNT,
+            metric: d.METRIC,
+            startDate: d.START_DATE || '',
+            endDate: d.END_DATE || '',
+            tests: d.TESTS === undefined ? null : d.TESTS,
+            rate: d.POSITIVITY_RATE === undefined ? null : d.POSITIVITY_RATE
+        }));
+
+        // Calculate top 5 jurisdictions by total count
+        const jurisdictionTotals = d3.rollup(
+            data,
+            v => d3.sum(v, d => d.count),
+            d => d.jurisdiction
+        );
+
+        const top5 = Array.from(jurisdictionTotals.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5)
+            .map(d => d[0]);
+
+        // Default to showing top 5 jurisdictions for clarity
+        this.selectedJurisdictions = top5;
+
+        console.log(`✓ Loaded ${data.length} records from positive breath tests by jurisdiction data`);
+        console.log(`✓ Default showing top 5 jurisdictions: ${top5.join(', ')}`);
+        return data;
     }
 
     /**
      * Initialize the chart
      */
     init() {
-        // Clear existing content
-        this.container.selectAll('*').remove();
+        super.init();
 
         // Create main container
         const chartContainer = this.container
@@ -106,31 +92,7 @@ class PositiveBreathChart {
             .append('div')
             .attr('class', 'chart-svg-container');
 
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
-        const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
-
-        this.svg = svgContainer
-            .append('svg')
-            .attr('width', this.config.width)
-            .attr('height', this.config.height)
-            .append('g')
-            .attr('transform', `translate(${this.config.margin.left},${this.config.margin.top})`);
-
-        // Create tooltip
-        this.tooltip = d3.select('body')
-            .append('div')
-            .attr('class', 'chart-tooltip')
-            .style('position', 'absolute')
-            .style('visibility', 'hidden')
-            .style('background-color', 'rgba(0, 0, 0, 0.9)')
-            .style('color', 'white')
-            .style('padding', '12px 16px')
-            .style('border-radius', '8px')
-            .style('font-size', '13px')
-            .style('pointer-events', 'none')
-            .style('z-index', '1000')
-            .style('box-shadow', '0 4px 12px rgba(0,0,0,0.3)')
-            .style('max-width', '250px');
+        this.createSvg(svgContainer);
 
         return this;
     }
@@ -144,7 +106,7 @@ class PositiveBreathChart {
             .attr('class', 'chart-filters')
             .style('margin-bottom', '20px')
             .style('padding', '20px')
-            .style('background', '#f8fafc')
+            .style('background', 'var(--chart-surface-alt)')
             .style('border-radius', '12px')
             .style('box-shadow', '0 2px 8px rgba(0,0,0,0.08)');
 
@@ -153,7 +115,7 @@ class PositiveBreathChart {
             .append('div')
             .style('font-size', '16px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('margin-bottom', '8px')
             .html('Filter by Jurisdiction');
 
@@ -161,7 +123,7 @@ class PositiveBreathChart {
         filterContainer
             .append('div')
             .style('font-size', '12px')
-            .style('color', '#64748b')
+            .style('color', 'var(--chart-text-muted)')
             .style('margin-bottom', '15px')
             .style('font-style', 'italic')
             .html('💡 Tip: Select 5-7 jurisdictions for optimal readability. Top 5 shown by default.');
@@ -228,8 +190,8 @@ class PositiveBreathChart {
                 .attr('class', `filter-btn-jurisdiction`)
                 .attr('data-jurisdiction', jurisdiction)
                 .style('padding', '8px 16px')
-                .style('background', this.config.colors[jurisdiction] || '#94a3b8')
-                .style('color', 'white')
+                .style('background', chartStyles.jurisdictionColor(jurisdiction))
+                .style('color', chartStyles.textColor(chartStyles.jurisdictionColor(jurisdiction)))
                 .style('border', '2px solid transparent')
                 .style('border-radius', '6px')
                 .style('cursor', 'pointer')
@@ -246,6 +208,17 @@ class PositiveBreathChart {
                     d3.select(this).style('transform', 'scale(1)');
                 });
         });
+
+        if (this.hasRates) {
+            this.createMeasureToggle(filterContainer, { count: 'Positive tests', rate: 'Per 1,000 tests' });
+        }
+    }
+
+    /**
+     * Value of the selected measure for a data point (null when unknown)
+     */
+    getValue(d) {
+        return this.measure === 'rate' ? d.rate : d.count;
     }
 
     /**
@@ -297,39 +270,40 @@ class PositiveBreathChart {
     }
 
     /**
-     * Render the chart
+     * Recolour the jurisdiction buttons in the new chart colours, then redraw
      */
-    render() {
-        if (!this.data) {
-            console.error('No data loaded');
-            return;
-        }
+    restyle() {
+        this.container.selectAll('.filter-btn-jurisdiction').each((d, i, nodes) => {
+            const color = chartStyles.jurisdictionColor(nodes[i].getAttribute('data-jurisdiction'));
+            d3.select(nodes[i]).style('background', color).style('color', chartStyles.textColor(color));
+        });
+        super.restyle();
+    }
 
+    /**
+     * Draw the chart. Redraws keep the lines of the jurisdictions still selected and morph them to the
+     * new scale; lines of added jurisdictions rise from the x axis and removed ones sink back into it.
+     */
+    draw() {
         // Filter data based on selected jurisdictions
         this.filteredData = this.data.filter(d => 
-            this.selectedJurisdictions.includes(d.jurisdiction)
+            this.selectedJurisdictions.includes(d.jurisdiction) && this.getValue(d) !== null
         );
 
-        // Clear previous chart elements
-        this.svg.selectAll('*').remove();
-
         if (this.filteredData.length === 0) {
             // Show "No data" message
-            this.svg.append('text')
-                .attr('x', (this.config.width - this.config.margin.left - this.config.margin.right) / 2)
-                .attr('y', (this.config.height - this.config.margin.top - this.config.margin.bottom) / 2)
-                .attr('text-anchor', 'middle')
-                .style('font-size', '18px')
-                .style('fill', '#64748b')
-                .text('Select jurisdictions to view data');
+            this.drawEmpty('Select jurisdictions to view data');
             return;
         }
 
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
-        const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
+        const { innerWidth: width, innerHeight: height } = this.getDimensions();
+        const t = this.transition();
 
-        // Group data by jurisdiction
-        const groupedData = d3.group(this.filteredData, d => d.jurisdiction);
+        // One series per jurisdiction, in year order
+        const series = Array.from(d3.group(this.filteredData, d => d.jurisdiction), ([jurisdiction, values]) => ({
+            jurisdiction,
+            values: values.sort((a, b) => a.year - b.year)
+        }));
 
         // Create scales
         const years = [...new Set(this.filteredData.map(d => d.year))].sort();
@@ -339,14 +313,13 @@ class PositiveBreathChart {
             .range([0, width]);
 
         this.yScale = d3.scaleLinear()
-            .domain([0, d3.max(this.filteredData, d => d.count) * 1.1])
+            .domain([0, d3.max(this.filteredData, d => this.getValue(d)) * 1.1])
             .range([height, 0])
             .nice();
 
         // Add simplified grid (fewer lines for clarity)
-        this.svg.append('g')
-            .attr('class', 'grid')
-            .style('stroke', '#e5e7eb')
+        BaseChart.animate(this.layer('grid'), t)
+            .style('stroke', chartStyles.theme('grid'))
             .style('stroke-opacity', 0.4)
             .style('stroke-dasharray', '2,4')
             .call(d3.axisLeft(this.yScale)
@@ -356,9 +329,10 @@ class PositiveBreathChart {
             );
 
         // Add axes
-        const xAxis = this.svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${height})`)
+        const xAxis = this.layer('x-axis')
+            .attr('transform', `translate(0,${height})`);
+
+        BaseChart.animate(xAxis, t)
             .call(d3.axisBottom(this.xScale)
                 .tickFormat(d3.format('d'))
                 .ticks(Math.min(years.length, 10)));
@@ -367,8 +341,9 @@ class PositiveBreathChart {
             .style('font-size', '12px')
             .style('font-weight', '500');
 
-        const yAxis = this.svg.append('g')
-            .attr('class', 'y-axis')
+        const yAxis = this.layer('y-axis');
+
+        BaseChart.animate(yAxis, t)
             .call(d3.axisLeft(this.yScale)
                 .tickFormat(d => d.toLocaleString()));
 
@@ -377,236 +352,250 @@ class PositiveBreathChart {
             .style('font-weight', '500');
 
         // Add axis labels
-        this.svg.append('text')
+        const labels = this.layer('labels');
+
+        labels.selectAll('.x-label')
+            .data([null])
+            .join('text')
+            .attr('class', 'x-label')
             .attr('x', width / 2)
             .attr('y', height + 50)
             .attr('text-anchor', 'middle')
             .style('font-size', '14px')
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
+            .style('fill', chartStyles.theme('text'))
             .text('Year');
 
-        this.svg.append('text')
+        labels.selectAll('.y-label')
+            .data([null])
+            .join('text')
+            .attr('class', 'y-label')
             .attr('transform', 'rotate(-90)')
             .attr('x', -height / 2)
             .attr('y', -70)
             .attr('text-anchor', 'middle')
             .style('font-size', '14px')
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
-            .text('Number of Positive Breath Tests');
+            .style('fill', chartStyles.theme('text'))
+            .text(this.measure === 'rate'
+                ? 'Positive Breath Tests per 1,000 Tests'
+                : 'Number of Positive Breath Tests');
 
         // Add title
-        this.svg.append('text')
+        labels.selectAll('.chart-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'chart-title')
             .attr('x', width / 2)
             .attr('y', -30)
             .attr('text-anchor', 'middle')
             .style('font-size', '20px')
             .style('font-weight', '700')
-            .style('fill', '#0f172a')
-            .text('Positive Breath Tests by Jurisdiction');
+            .style('fill', chartStyles.theme('text-strong'))
+            .text(this.measure === 'rate'
+                ? 'Positive Breath Test Rate by Jurisdiction'
+                : 'Positive Breath Tests by Jurisdiction');
 
-        // Line generator
+        // Line generator, and the same line laid flat on the x axis for lines coming and going
         const line = d3.line()
             .x(d => this.xScale(d.year))
-            .y(d => this.yScale(d.count))
+            .y(d => this.yScale(this.getValue(d)))
+            .curve(d3.curveMonotoneX);
+        const flat = d3.line()
+            .x(d => this.xScale(d.year))
+            .y(height)
             .curve(d3.curveMonotoneX);
 
         // Draw lines for each jurisdiction
-        groupedData.forEach((values, jurisdiction) => {
-            const sortedValues = values.sort((a, b) => a.year - b.year);
-            const color = this.config.colors[jurisdiction] || '#94a3b8';
-            const lineStyle = this.config.lineStyles[jurisdiction] || 'solid';
-            
-            // Draw line with appropriate style
-            const path = this.svg.append('path')
-                .datum(sortedValues)
-                .attr('class', `line line-${jurisdiction}`)
-                .attr('fill', 'none')
-                .attr('stroke', color)
-                .attr('stroke-width', 2.5)
-                .attr('d', line)
-                .style('opacity', 0);
-
-            // Apply line style
-            if (lineStyle === 'dashed') {
-                path.style('stroke-dasharray', '8,4');
-            } else if (lineStyle === 'dotted') {
-                path.style('stroke-dasharray', '2,4');
-            }
-
-            // Animate line
-            const totalLength = path.node().getTotalLength();
-            path
-                .attr('stroke-dasharray', `${totalLength} ${totalLength}`)
-                .attr('stroke-dashoffset', totalLength)
-                .transition()
-                .duration(1500)
-                .ease(d3.easeLinear)
-                .attr('stroke-dashoffset', 0)
-                .style('opacity', 0.9)
-                .on('end', function() {
-                    // Restore line style after animation
-                    if (lineStyle === 'dashed') {
-                        d3.select(this).attr('stroke-dasharray', '8,4');
-                    } else if (lineStyle === 'dotted') {
-                        d3.select(this).attr('stroke-dasharray', '2,4');
-                    } else {
-                        d3.select(this).attr('stroke-dasharray', 'none');
-                    }
-                });
-
-            // Add dots (only show every other year if too many data points)
-            const displayValues = sortedValues.length > 12 ? 
-                sortedValues.filter((d, i) => i % 2 === 0 || i === sortedValues.length - 1) : 
-                sortedValues;
-                
-            this.svg.selectAll(`.dot-${jurisdiction}`)
-                .data(displayValues)
-                .enter()
-                .append('circle')
-                .attr('class', `dot dot-${jurisdiction}`)
+        this.layer('lines').selectAll('path.line')
+            .data(series, d => d.jurisdiction)
+            .join(
+                enter => enter.append('path')
+                    .attr('fill', 'none')
+                    .attr('stroke-width', 2.5)
+                    .attr('d', d => flat(d.values))
+                    .style('opacity', 0),
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .attr('d', d => flat(d.values))
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .attr('class', d => `line line-${d.jurisdiction}`)
+            .attr('stroke', d => chartStyles.jurisdictionColor(d.jurisdiction))
+            .style('stroke-dasharray', d => chartStyles.jurisdictionDash(d.jurisdiction) || null)
+            .call(lines => BaseChart.animate(lines, t)
+                .attr('d', d => line(d.values))
+                .style('opacity', 0.9));
+
+        // Add dots (only show every other year if too many data points)
+        const dots = series.flatMap(({ values }) => values.length > 12
+            ? values.filter((d, i) => i % 2 === 0 || i === values.length - 1)
+            : values);
+
+        this.layer('dots').selectAll('circle.dot')
+            .data(dots, d => `${d.jurisdiction}-${d.year}`)
+            .join(
+                enter => enter.append('circle')
+                    .attr('cx', d => this.xScale(d.year))
+                    .attr('cy', height)
+                    .attr('r', 4)
+                    .attr('stroke-width', 2)
+                    .style('opacity', 0)
+                    .style('cursor', 'pointer'),
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .attr('cy', height)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .attr('class', d => `dot dot-${d.jurisdiction}`)
+            .attr('fill', d => chartStyles.jurisdictionColor(d.jurisdiction))
+            .attr('stroke', chartStyles.theme('surface'))
+            .on('mouseover', (event, d) => this.showTooltip(event, d, d.jurisdiction))
+            .on('mouseout', () => this.hideTooltip())
+            .on('mousemove', (event) => this.moveTooltip(event))
+            .call(circles => BaseChart.animate(circles, t)
                 .attr('cx', d => this.xScale(d.year))
-                .attr('cy', d => this.yScale(d.count))
-                .attr('r', 4)
-                .attr('fill', color)
-                .attr('stroke', 'white')
-                .attr('stroke-width', 2)
-                .style('opacity', 0)
-                .style('cursor', 'pointer')
-                .on('mouseover', (event, d) => this.showTooltip(event, d, jurisdiction))
-                .on('mouseout', () => this.hideTooltip())
-                .on('mousemove', (event) => this.moveTooltip(event))
-                .transition()
-                .delay(1500)
-                .duration(500)
-                .style('opacity', 1);
-
-            // Add direct label at the end of each line
-            const lastValue = sortedValues[sortedValues.length - 1];
-            this.svg.append('text')
-                .attr('class', `line-label line-label-${jurisdiction}`)
-                .attr('x', this.xScale(lastValue.year) + 8)
-                .attr('y', this.yScale(lastValue.count) + 4)
-                .style('font-size', '12px')
-                .style('font-weight', '700')
-                .style('fill', color)
-                .style('opacity', 0)
-                .text(jurisdiction)
-                .transition()
-                .delay(1500)
-                .duration(500)
-                .style('opacity', 1);
-        });
-
-        // Add legend
-        this.addLegend(groupedData);
+                .attr('cy', d => this.yScale(this.getValue(d)))
+                .style('opacity', 1));
+
+        // Add direct label at the end of each line
+        this.layer('line-labels').selectAll('text.line-label')
+            .data(series, d => d.jurisdiction)
+            .join(
+                enter => enter.append('text')
+                    .attr('x', d => this.xScale(d.values[d.values.length - 1].year) + 8)
+                    .attr('y', height)
+                    .style('font-size', '12px')
+                    .style('font-weight', '700')
+                    .style('opacity', 0)
+                    .text(d => d.jurisdiction),
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .attr('y', height)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .attr('class', d => `line-label line-label-${d.jurisdiction}`)
+            .style('fill', d => chartStyles.jurisdictionColor(d.jurisdiction))
+            .call(texts => BaseChart.animate(texts, t)
+                .attr('x', d => this.xScale(d.values[d.values.length - 1].year) + 8)
+                .attr('y', d => this.yScale(this.getValue(d.values[d.values.length - 1])) + 4)
+                .style('opacity', 1));
+
+        // Narrow charts give the legend's margin to the plot
+        if (this.getDimensions().compact) {
+            this.svg.selectChild('g.legend').remove();
+        } else {
+            this.addLegend(series, t);
+        }
     }
 
     /**
-     * Add legend with line style indicators
+     * Add legend with line style indicators, one row per jurisdiction shown
+     * @param {Array<Object>} series - { jurisdiction, values } of the lines drawn
+     * @param {d3.Transition|null} t - The redraw's transition
      */
-    addLegend(groupedData) {
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
+    addLegend(series, t) {
+        const width = this.getDimensions().innerWidth;
         
-        const legend = this.svg.append('g')
-            .attr('class', 'legend')
+        const legend = this.layer('legend')
             .attr('transform', `translate(${width + 20}, 0)`);
 
-        let yOffset = 0;
-        
-        groupedData.forEach((values, jurisdiction) => {
-            const color = this.config.colors[jurisdiction] || '#94a3b8';
-            const lineStyle = this.config.lineStyles[jurisdiction] || 'solid';
-            
-            const legendRow = legend.append('g')
-                .attr('transform', `translate(0, ${yOffset})`)
-                .style('cursor', 'pointer')
-                .on('click', () => this.toggleJurisdiction(jurisdiction))
-                .on('mouseover', function() {
-                    d3.select(this).style('opacity', 0.7);
-                })
-                .on('mouseout', function() {
-                    d3.select(this).style('opacity', 1);
-                });
-
-            // Draw line sample with appropriate style
-            const lineSample = legendRow.append('line')
-                .attr('x1', 0)
-                .attr('y1', 9)
-                .attr('x2', 20)
-                .attr('y2', 9)
-                .attr('stroke', color)
-                .attr('stroke-width', 3);
-
-            if (lineStyle === 'dashed') {
-                lineSample.attr('stroke-dasharray', '6,3');
-            } else if (lineStyle === 'dotted') {
-                lineSample.attr('stroke-dasharray', '2,3');
-            }
-
-            legendRow.append('text')
-                .attr('x', 28)
-                .attr('y', 14)
-                .style('font-size', '13px')
-                .style('font-weight', '600')
-                .style('fill', '#1e293b')
-                .text(jurisdiction);
-
-            yOffset += 28;
-        });
-    }
-
-    /**
-     * Show tooltip
-     */
-    showTooltip(event, data, jurisdiction) {
-        const tooltipContent = `
-            <div style="font-weight: 700; margin-bottom: 6px; font-size: 14px; color: ${this.config.colors[jurisdiction]};">
-                ${jurisdiction}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>Year:</strong> ${data.year}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>Positive Tests:</strong> ${data.count.toLocaleString()}
-            </div>
-            <div style="font-size: 11px; color: #cbd5e1; margin-top: 6px;">
-                ${data.startDate} to ${data.endDate}
-            </div>
-        `;
-
-        this.tooltip
-            .html(tooltipContent)
-            .style('visibility', 'visible');
-
-        this.moveTooltip(event);
+        const rows = legend.selectAll('g.legend-row')
+            .data(series, d => d.jurisdiction)
+            .join(
+                enter => {
+                    const legendRow = enter.append('g')
+                        .attr('class', 'legend-row')
+                        .attr('transform', (d, i) => `translate(0, ${i * 28})`)
+                        .style('cursor', 'pointer')
+                        .style('opacity', 0)
+                        .on('mouseover', function() {
+                            d3.select(this).style('opacity', 0.7);
+                        })
+                        .on('mouseout', function() {
+                            d3.select(this).style('opacity', 1);
+                        });
+
+                    // Line sample, styled below
+                    legendRow.append('line')
+                        .attr('x1', 0)
+                        .attr('y1', 9)
+                        .attr('x2', 20)
+                        .attr('y2', 9)
+                        .attr('stroke-width', 3);
+
+                    legendRow.append('text')
+                        .attr('x', 28)
+                        .attr('y', 14)
+                        .style('font-size', '13px')
+                        .style('font-weight', '600')
+                        .text(d => d.jurisdiction);
+
+                    return legendRow;
+                },
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .on('click', (event, d) => this.toggleJurisdiction(d.jurisdiction));
+
+        // Draw line sample with appropriate style
+        rows.select('line')
+            .attr('stroke', d => chartStyles.jurisdictionColor(d.jurisdiction))
+            .attr('stroke-dasharray', d => chartStyles.jurisdictionDash(d.jurisdiction) || null);
+
+        rows.select('text')
+            .style('fill', chartStyles.theme('text'));
+
+        BaseChart.animate(rows, t)
+            .attr('transform', (d, i) => `translate(0, ${i * 28})`)
+            .style('opacity', 1);
     }
 
     /**
-     * Move tooltip
+     * The measure and jurisdictions shown, for exports
      */
-    moveTooltip(event) {
-        this.tooltip
-            .style('left', (event.pageX + 15) + 'px')
-            .style('top', (event.pageY - 15) + 'px');
+    describeFilters() {
+        const jurisdictions = [...new Set(this.data.map(d => d.jurisdiction))];
+        const measure = this.measure === 'rate' ? 'Per 1,000 tests' : 'Number of positive tests';
+        return `${measure} · ${this.describeSelection('jurisdictions', this.selectedJurisdictions, jurisdictions)}`;
     }
 
     /**
-     * Hide tooltip
+     * The plotted jurisdictions' values, for data downloads
      */
-    hideTooltip() {
-        this.tooltip.style('visibility', 'hidden');
+    getSeries() {
+        return (this.filteredData || []).map(d => ({
+            year: d.year,
+            jurisdiction: d.jurisdiction,
+            positiveTests: d.count,
+            testsConducted: d.tests,
+            positivesPer1000Tests: d.rate
+        }));
     }
 
     /**
-     * Destroy chart and cleanup
+     * Tooltip template for a mark
      */
-    destroy() {
-        this.container.selectAll('*').remove();
-        if (this.tooltip) {
-            this.tooltip.remove();
-        }
+    tooltipTemplate(data, jurisdiction) {
+        return {
+            title: jurisdiction,
+            color: chartStyles.jurisdictionColor(jurisdiction),
+            rows: [
+                { label: 'Year', value: data.year },
+                { label: 'Positive Tests', value: data.count.toLocaleString() },
+                data.rate !== null && {
+                    label: 'Per 1,000 Tests',
+                    value: DerivedMetrics.formatRate(data.rate),
+                    detail: `(${data.tests.toLocaleString()} tests)`
+                }
+            ],
+            note: `${data.startDate} to ${data.endDate}`
+        };
     }
 }
 
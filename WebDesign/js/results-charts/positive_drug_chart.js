@@ -3,52 +3,40 @@
  * Line chart showing the trend of positive drug test cases by year
  */
 
-class PositiveDrugChart {
+class PositiveDrugChart extends BaseChart {
     constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = d3.select(`#${containerId}`);
-        
         // Default configuration
-        this.config = {
+        super(containerId, {
             margin: { top: 80, right: 100, bottom: 80, left: 100 },
             width: 1200,
             height: 550,
-            color: '#2563eb', // WCAG AA compliant blue
-            ...options
-        };
-
-        this.data = null;
-        this.svg = null;
-        this.tooltip = null;
+            responsive: true,
+            aspectRatio: 24 / 11,
+            minHeight: 320,
+            tooltipStyle: { 'max-width': '250px' }
+        }, options);
     }
 
     /**
-     * Load CSV data
+     * Map dataset rows to chart records
+     * @param {Array} rows - Rows of the positive drug tests dataset
      */
-    async loadData(csvPath) {
-        try {
-            const rawData = await d3.csv(csvPath);
-            
-            // Process data
-            this.data = rawData.map(d => ({
-                year: +d.YEAR,
-                count: +d['Sum(COUNT)']
-            })).sort((a, b) => a.year - b.year);
-
-            console.log(`✓ Loaded ${this.data.length} records from positive drug test data`);
-            return this.data;
-        } catch (error) {
-            console.error('Error loading CSV:', error);
-            throw error;
-        }
+    processData(rows) {
+        // Process data
+        const data = rows.map(d => ({
+            year: +d.YEAR,
+            count: d.COUNT
+        })).sort((a, b) => a.year - b.year);
+
+        console.log(`✓ Loaded ${data.length} records from positive drug test data`);
+        return data;
     }
 
     /**
      * Initialize the chart
      */
     init() {
-        // Clear existing content
-        this.container.selectAll('*').remove();
+        super.init();
 
         // Create main container
         const chartContainer = this.container
@@ -60,49 +48,18 @@ class PositiveDrugChart {
             .append('div')
             .attr('class', 'chart-svg-container');
 
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
-        const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
-
-        this.svg = svgContainer
-            .append('svg')
-            .attr('width', this.config.width)
-            .attr('height', this.config.height)
-            .append('g')
-            .attr('transform', `translate(${this.config.margin.left},${this.config.margin.top})`);
-
-        // Create tooltip
-        this.tooltip = d3.select('body')
-            .append('div')
-            .attr('class', 'chart-tooltip')
-            .style('position', 'absolute')
-            .style('visibility', 'hidden')
-            .style('background-color', 'rgba(0, 0, 0, 0.9)')
-            .style('color', 'white')
-            .style('padding', '12px 16px')
-            .style('border-radius', '8px')
-            .style('font-size', '13px')
-            .style('pointer-events', 'none')
-            .style('z-index', '1000')
-            .style('box-shadow', '0 4px 12px rgba(0,0,0,0.3)')
-            .style('max-width', '250px');
+        this.createSvg(svgContainer);
 
         return this;
     }
 
     /**
-     * Render the chart
+     * Draw the chart. Redraws (new data, chart colours) update the line, area and points in place.
      */
-    render() {
-        if (!this.data) {
-            console.error('No data loaded');
-            return;
-        }
-
-        // Clear previous chart elements
-        this.svg.selectAll('*').remove();
-
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
-        const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
+    draw() {
+        const { innerWidth: width, innerHeight: height } = this.getDimensions();
+        const color = chartStyles.metricColor('positive_drug_tests');
+        const t = this.transition();
 
         // Create scales
         this.xScale = d3.scaleLinear()
@@ -115,9 +72,8 @@ class PositiveDrugChart {
             .nice();
 
         // Add grid (limit to 5-6 lines for clarity)
-        this.svg.append('g')
-            .attr('class', 'grid')
-            .style('stroke', '#e5e7eb')
+        BaseChart.animate(this.layer('grid'), t)
+            .style('stroke', chartStyles.theme('grid'))
             .style('stroke-opacity', 0.4)
             .style('stroke-dasharray', '2,4')
             .call(d3.axisLeft(this.yScale)
@@ -127,9 +83,10 @@ class PositiveDrugChart {
             );
 
         // Add axes
-        const xAxis = this.svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${height})`)
+        const xAxis = this.layer('x-axis')
+            .attr('transform', `translate(0,${height})`);
+
+        BaseChart.animate(xAxis, t)
             .call(d3.axisBottom(this.xScale)
                 .tickFormat(d3.format('d'))
                 .ticks(this.data.length));
@@ -138,8 +95,9 @@ class PositiveDrugChart {
             .style('font-size', '12px')
             .style('font-weight', '500');
 
-        const yAxis = this.svg.append('g')
-            .attr('class', 'y-axis')
+        const yAxis = this.layer('y-axis');
+
+        BaseChart.animate(yAxis, t)
             .call(d3.axisLeft(this.yScale)
                 .tickFormat(d => d.toLocaleString()));
 
@@ -148,40 +106,57 @@ class PositiveDrugChart {
             .style('font-weight', '500');
 
         // Add axis labels
-        this.svg.append('text')
+        const labels = this.layer('labels');
+
+        labels.selectAll('.x-label')
+            .data([null])
+            .join('text')
+            .attr('class', 'x-label')
             .attr('x', width / 2)
             .attr('y', height + 50)
             .attr('text-anchor', 'middle')
             .style('font-size', '14px')
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
+            .style('fill', chartStyles.theme('text'))
             .text('Year');
 
-        this.svg.append('text')
+        labels.selectAll('.y-label')
+            .data([null])
+            .join(enter => enter.append('text')
+                .attr('class', 'y-label')
+                .text('Number of Positive Drug Tests')
+                .call(label => typeof glossary !== 'undefined' && glossary &&
+                    glossary.annotate(label, 'METRIC', () => 'positive_drug_tests')))
             .attr('transform', 'rotate(-90)')
             .attr('x', -height / 2)
             .attr('y', -70)
             .attr('text-anchor', 'middle')
             .style('font-size', '14px')
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
-            .text('Number of Positive Drug Tests');
+            .style('fill', chartStyles.theme('text'));
 
         // Add title
-        this.svg.append('text')
+        labels.selectAll('.chart-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'chart-title')
             .attr('x', width / 2)
             .attr('y', -30)
             .attr('text-anchor', 'middle')
             .style('font-size', '20px')
             .style('font-weight', '700')
-            .style('fill', '#0f172a')
+            .style('fill', chartStyles.theme('text-strong'))
             .text('Overall Positive Drug Tests Trend (All Jurisdictions)');
 
-        // Line generator
+        // Line generator, and the line laid flat on the x axis that the first draw rises from
         const line = d3.line()
             .x(d => this.xScale(d.year))
             .y(d => this.yScale(d.count))
             .curve(d3.curveMonotoneX);
+        const flat = d3.line()
+            .x(d => this.xScale(d.year))
+            .y(height)
+            .curve(d3.curveMonotoneX);
 
         // Add area under line
         const area = d3.area()
@@ -189,82 +164,86 @@ class PositiveDrugChart {
             .y0(height)
             .y1(d => this.yScale(d.count))
             .curve(d3.curveMonotoneX);
+        const flatArea = d3.area()
+            .x(d => this.xScale(d.year))
+            .y(height)
+            .curve(d3.curveMonotoneX);
 
         // Draw area with gradient
-        const gradient = this.svg.append('defs')
-            .append('linearGradient')
-            .attr('id', 'drug-area-gradient')
-            .attr('x1', '0%')
-            .attr('y1', '0%')
-            .attr('x2', '0%')
-            .attr('y2', '100%');
-
-        gradient.append('stop')
-            .attr('offset', '0%')
-            .attr('stop-color', this.config.color)
-            .attr('stop-opacity', 0.3);
-
-        gradient.append('stop')
-            .attr('offset', '100%')
-            .attr('stop-color', this.config.color)
-            .attr('stop-opacity', 0.05);
-
-        this.svg.append('path')
-            .datum(this.data)
-            .attr('class', 'area')
-            .attr('fill', 'url(#drug-area-gradient)')
-            .attr('d', area)
-            .style('opacity', 0)
-            .transition()
-            .duration(1000)
-            .style('opacity', 1);
+        const gradient = this.svg.selectAll('defs.area-defs')
+            .data([null])
+            .join(enter => {
+                const defs = enter.append('defs')
+                    .attr('class', 'area-defs');
+
+                const linearGradient = defs.append('linearGradient')
+                    .attr('id', 'drug-area-gradient')
+                    .attr('x1', '0%')
+                    .attr('y1', '0%')
+                    .attr('x2', '0%')
+                    .attr('y2', '100%');
+
+                linearGradient.append('stop')
+                    .attr('offset', '0%')
+                    .attr('stop-opacity', 0.3);
+
+                linearGradient.append('stop')
+                    .attr('offset', '100%')
+                    .attr('stop-opacity', 0.05);
+
+                return defs;
+            })
+            .select('linearGradient');
+
+        gradient.selectAll('stop')
+            .attr('stop-color', color);
+
+        this.layer('area').selectAll('path.area')
+            .data([this.data])
+            .join(enter => enter.append('path')
+                .attr('class', 'area')
+                .attr('fill', 'url(#drug-area-gradient)')
+                .attr('d', flatArea)
+                .style('opacity', 0))
+            .call(path => BaseChart.animate(path, t)
+                .attr('d', area)
+                .style('opacity', 1));
 
         // Draw line
-        const path = this.svg.append('path')
-            .datum(this.data)
-            .attr('class', 'line')
-            .attr('fill', 'none')
-            .attr('stroke', this.config.color)
-            .attr('stroke-width', 3)
-            .attr('d', line);
-
-        // Animate line
-        const totalLength = path.node().getTotalLength();
-        path
-            .attr('stroke-dasharray', `${totalLength} ${totalLength}`)
-            .attr('stroke-dashoffset', totalLength)
-            .transition()
-            .duration(1500)
-            .ease(d3.easeLinear)
-            .attr('stroke-dashoffset', 0)
-            .on('end', function() {
-                d3.select(this).attr('stroke-dasharray', 'none');
-            });
+        this.layer('line').selectAll('path.line')
+            .data([this.data])
+            .join(enter => enter.append('path')
+                .attr('class', 'line')
+                .attr('fill', 'none')
+                .attr('stroke-width', 3)
+                .attr('d', flat))
+            .attr('stroke', color)
+            .call(path => BaseChart.animate(path, t)
+                .attr('d', line));
 
         // Add dots
-        this.svg.selectAll('.dot')
-            .data(this.data)
-            .enter()
-            .append('circle')
-            .attr('class', 'dot')
-            .attr('cx', d => this.xScale(d.year))
-            .attr('cy', d => this.yScale(d.count))
-            .attr('r', 6)
-            .attr('fill', this.config.color)
-            .attr('stroke', 'white')
-            .attr('stroke-width', 2)
-            .style('opacity', 0)
-            .style('cursor', 'pointer')
+        this.layer('dots').selectAll('.dot')
+            .data(this.data, d => d.year)
+            .join(enter => enter.append('circle')
+                .attr('class', 'dot')
+                .attr('cx', d => this.xScale(d.year))
+                .attr('cy', height)
+                .attr('r', 6)
+                .attr('stroke-width', 2)
+                .style('opacity', 0)
+                .style('cursor', 'pointer'))
+            .attr('fill', color)
+            .attr('stroke', chartStyles.theme('surface'))
             .on('mouseover', (event, d) => this.showTooltip(event, d))
             .on('mouseout', () => this.hideTooltip())
             .on('mousemove', (event) => this.moveTooltip(event))
-            .transition()
-            .delay(1500)
-            .duration(500)
-            .style('opacity', 1);
+            .call(dots => BaseChart.animate(dots, t)
+                .attr('cx', d => this.xScale(d.year))
+                .attr('cy', d => this.yScale(d.count))
+                .style('opacity', 1));
 
         // Add key event annotations
-        this.addAnnotations();
+        this.addAnnotations(t);
 
         // Add statistics box
         this.addStatistics();
@@ -272,90 +251,122 @@ class PositiveDrugChart {
 
     /**
      * Add annotations for key insights
+     * @param {d3.Transition|null} t - The redraw's transition
      */
-    addAnnotations() {
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
-        const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
+    addAnnotations(t) {
+        const color = chartStyles.metricColor('positive_drug_tests');
+        const { innerWidth: width, innerHeight: height } = this.getDimensions();
         const peakData = this.data.reduce((max, d) => d.count > max.count ? d : max);
         const peakX = this.xScale(peakData.year);
         const peakY = this.yScale(peakData.count);
+        const layer = this.layer('annotations');
 
         // Determine annotation position to avoid statistics box
         // If peak is in right half, position annotation to the left
         const annotationOffset = peakX > width * 0.6 ? -150 : 0;
         
         // Add annotation line pointing to peak
-        this.svg.append('line')
+        const pointer = layer.selectAll('line.peak-pointer')
+            .data([peakData])
+            .join(enter => enter.append('line')
+                .attr('class', 'peak-pointer')
+                .attr('x1', peakX)
+                .attr('y1', peakY - 15)
+                .attr('x2', peakX + annotationOffset)
+                .attr('y2', -40)
+                .style('stroke-width', 2)
+                .style('stroke-dasharray', '5,3'))
+            .style('stroke', color);
+
+        BaseChart.animate(pointer, t)
             .attr('x1', peakX)
             .attr('y1', peakY - 15)
-            .attr('x2', peakX + annotationOffset)
-            .attr('y2', -40)
-            .style('stroke', '#2563eb')
-            .style('stroke-width', 2)
-            .style('stroke-dasharray', '5,3');
+            .attr('x2', peakX + annotationOffset);
 
         // Add annotation text for peak
-        const annotation = this.svg.append('g')
-            .attr('transform', `translate(${peakX + annotationOffset}, -50)`);
+        const annotation = layer.selectAll('g.peak-annotation')
+            .data([peakData])
+            .join(enter => {
+                const group = enter.append('g')
+                    .attr('class', 'peak-annotation')
+                    .attr('transform', `translate(${peakX + annotationOffset}, -50)`);
+
+                group.append('rect')
+                    .attr('x', -60)
+                    .attr('y', -25)
+                    .attr('width', 120)
+                    .attr('height', 50)
+                    .attr('rx', 6)
+                    .attr('fill', '#eff6ff')
+                    .attr('stroke-width', 2);
+
+                group.append('text')
+                    .attr('class', 'peak-year')
+                    .attr('x', 0)
+                    .attr('y', -8)
+                    .attr('text-anchor', 'middle')
+                    .style('font-size', '11px')
+                    .style('font-weight', '700')
+                    .style('fill', '#1e3a8a');
+
+                group.append('text')
+                    .attr('class', 'peak-count')
+                    .attr('x', 0)
+                    .attr('y', 8)
+                    .attr('text-anchor', 'middle')
+                    .style('font-size', '12px')
+                    .style('font-weight', '800')
+                    .style('fill', '#1d4ed8');
+
+                return group;
+            });
 
-        annotation.append('rect')
-            .attr('x', -60)
-            .attr('y', -25)
-            .attr('width', 120)
-            .attr('height', 50)
-            .attr('rx', 6)
-            .attr('fill', '#eff6ff')
-            .attr('stroke', '#2563eb')
-            .attr('stroke-width', 2);
+        annotation.select('rect')
+            .attr('stroke', color);
 
-        annotation.append('text')
-            .attr('x', 0)
-            .attr('y', -8)
-            .attr('text-anchor', 'middle')
-            .style('font-size', '11px')
-            .style('font-weight', '700')
-            .style('fill', '#1e3a8a')
+        annotation.select('.peak-year')
             .text(`Peak: ${peakData.year}`);
 
-        annotation.append('text')
-            .attr('x', 0)
-            .attr('y', 8)
-            .attr('text-anchor', 'middle')
-            .style('font-size', '12px')
-            .style('font-weight', '800')
-            .style('fill', '#1d4ed8')
+        annotation.select('.peak-count')
             .text(peakData.count.toLocaleString());
+
+        BaseChart.animate(annotation, t)
+            .attr('transform', `translate(${peakX + annotationOffset}, -50)`);
     }
 
     /**
      * Add statistics box
      */
     addStatistics() {
-        const width = this.config.width - this.config.margin.left - this.config.margin.right;
+        const width = this.getDimensions().innerWidth;
         
-        const stats = this.svg.append('g')
-            .attr('class', 'statistics')
+        const stats = this.layer('statistics')
             .attr('transform', `translate(0, -90)`);
 
         // Background
-        stats.append('rect')
+        stats.selectAll('rect')
+            .data([null])
+            .join('rect')
             .attr('x', 0)
             .attr('y', 0)
             .attr('width', 140)
             .attr('height', 85)
             .attr('rx', 6)
-            .attr('fill', '#f8fafc')
-            .attr('stroke', '#e5e7eb')
+            .attr('fill', chartStyles.theme('surface-alt'))
+            .attr('stroke', chartStyles.theme('grid'))
             .attr('stroke-width', 1);
 
         // Title
-        stats.append('text')
+        stats.selectAll('text.statistics-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'statistics-title')
             .attr('x', 70)
             .attr('y', 23)
             .attr('text-anchor', 'middle')
             .style('font-size', '10px')
             .style('font-weight', '700')
-            .style('fill', '#64748b')
+            .style('fill', chartStyles.theme('text-muted'))
             .text('STATISTICS');
 
         // Calculate stats
@@ -370,63 +381,51 @@ class PositiveDrugChart {
             { label: 'Average:', value: Math.round(avg).toLocaleString() }
         ];
 
-        statsData.forEach((stat, i) => {
-            const y = 35 + (i * 20);
-            
-            stats.append('text')
-                .attr('x', 8)
-                .attr('y', y)
-                .style('font-size', '9px')
-                .style('font-weight', '600')
-                .style('fill', '#475569')
-                .text(stat.label);
-
-            stats.append('text')
-                .attr('x', 132)
-                .attr('y', y)
-                .attr('text-anchor', 'end')
-                .style('font-size', '9px')
-                .style('font-weight', '700')
-                .style('fill', '#1e293b')
-                .text(stat.value);
-        });
+        stats.selectAll('text.statistic-label')
+            .data(statsData)
+            .join('text')
+            .attr('class', 'statistic-label')
+            .attr('x', 8)
+            .attr('y', (stat, i) => 35 + (i * 20))
+            .style('font-size', '9px')
+            .style('font-weight', '600')
+            .style('fill', chartStyles.theme('text-secondary'))
+            .text(stat => stat.label);
+
+        stats.selectAll('text.statistic-value')
+            .data(statsData)
+            .join('text')
+            .attr('class', 'statistic-value')
+            .attr('x', 132)
+            .attr('y', (stat, i) => 35 + (i * 20))
+            .attr('text-anchor', 'end')
+            .style('font-size', '9px')
+            .style('font-weight', '700')
+            .style('fill', chartStyles.theme('text'))
+            .text(stat => stat.value);
     }
 
     /**
-     * Show tooltip with enhanced formatting
+     * Tooltip template for a mark
      */
-    showTooltip(event, data) {
+    tooltipTemplate(data) {
+        const color = chartStyles.metricColor('positive_drug_tests');
         const percentChange = this.calculatePercentChange(data.year);
-        const changeColor = percentChange > 0 ? '#ef4444' : '#10b981';
-        const changeIcon = percentChange > 0 ? '📈' : '📉';
-        const changeText = percentChange !== null 
-            ? `<div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(255,255,255,0.2);">
-                <div style="display: flex; align-items: center; gap: 6px;">
-                    <span>${changeIcon}</span>
-                    <strong>Year-over-year:</strong>
-                    <span style="color: ${changeColor}; font-weight: 700;">${percentChange > 0 ? '+' : ''}${percentChange.toFixed(1)}%</span>
-                </div>
-               </div>`
-            : '';
-
-        const tooltipContent = `
-            <div style="font-weight: 700; margin-bottom: 8px; font-size: 16px; color: #2563eb;">
-                📅 Year ${data.year}
-            </div>
-            <div style="margin-bottom: 6px; font-size: 14px;">
-                <strong>Positive Tests:</strong> <span style="font-size: 18px; font-weight: 800; color: #2563eb;">${data.count.toLocaleString()}</span>
-            </div>
-            <div style="font-size: 11px; color: #cbd5e1; font-style: italic;">
-                All Australian jurisdictions combined
-            </div>
-            ${changeText}
-        `;
-
-        this.tooltip
-            .html(tooltipContent)
-            .style('visibility', 'visible');
-
-        this.moveTooltip(event);
+
+        return {
+            title: `📅 Year ${data.year}`,
+            color,
+            rows: [
+                { label: 'Positive Tests', value: data.count.toLocaleString(), color, emphasis: true }
+            ],
+            note: 'All Australian jurisdictions combined',
+            footer: percentChange !== null && [{
+                icon: percentChange > 0 ? '📈' : '📉',
+                label: 'Year-over-year',
+                value: `${percentChange > 0 ? '+' : ''}${percentChange.toFixed(1)}%`,
+                color: percentChange > 0 ? '#ef4444' : '#10b981'
+            }]
+        };
     }
 
     /**
@@ -441,32 +440,6 @@ class PositiveDrugChart {
         
         return ((current - previous) / previous) * 100;
     }
-
-    /**
-     * Move tooltip
-     */
-    moveTooltip(event) {
-        this.tooltip
-            .style('left', (event.pageX + 15) + 'px')
-            .style('top', (event.pageY - 15) + 'px');
-    }
-
-    /**
-     * Hide tooltip
-     */
-    hideTooltip() {
-        this.tooltip.style('visibility', 'hidden');
-    }
-
-    /**
-     * Destroy chart and cleanup
-     */
-    destroy() {
-        this.container.selectAll('*').remove();
-        if (this.tooltip) {
-            this.tooltip.remove();
-        }
-    }
 }
 
 // Export for use in other modules
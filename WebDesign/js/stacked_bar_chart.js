@@ -4,13 +4,10 @@
  * Used for: Detection methods by test type, substance breakdown, etc.
  */
 
-class StackedBarChart {
+class StackedBarChart extends BaseChart {
     constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = d3.select(`#${containerId}`);
-        
         // Default configuration
-        this.config = {
+        super(containerId, {
             margin: { top: 40, right: 120, bottom: 80, left: 80 },
             width: 1000,
             height: 400,
@@ -23,33 +20,21 @@ class StackedBarChart {
             showGrid: true,
             showLegend: true,
             showTooltip: true,
-            orientation: 'vertical', // 'vertical' or 'horizontal'
-            ...options
-        };
-
-        this.svg = null;
-        this.data = null;
-        this.tooltip = null;
+            orientation: 'vertical' // 'vertical' or 'horizontal'
+        }, options);
     }
 
     /**
      * Initialize the chart
      */
     init() {
-        // Clear existing content
-        this.container.selectAll('*').remove();
+        super.init();
 
         // Calculate dimensions
         const width = this.config.width - this.config.margin.left - this.config.margin.right;
         const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
 
-        // Create SVG
-        this.svg = this.container
-            .append('svg')
-            .attr('width', this.config.width)
-            .attr('height', this.config.height)
-            .append('g')
-            .attr('transform', `translate(${this.config.margin.left},${this.config.margin.top})`);
+        this.createSvg();
 
         // Add title
         this.svg.append('text')
@@ -60,31 +45,14 @@ class StackedBarChart {
             .style('font-weight', 'bold')
             .text(this.config.title);
 
-        // Create tooltip
-        if (this.config.showTooltip) {
-            this.tooltip = d3.select('body')
-                .append('div')
-                .attr('class', 'chart-tooltip')
-                .style('position', 'absolute')
-                .style('visibility', 'hidden')
-                .style('background-color', 'rgba(0, 0, 0, 0.8)')
-                .style('color', 'white')
-                .style('padding', '10px')
-                .style('border-radius', '5px')
-                .style('font-size', '12px')
-                .style('pointer-events', 'none')
-                .style('z-index', '1000');
-        }
-
         return this;
     }
 
     /**
-     * Render the chart with data
-     * @param {Array} data - Array of data objects
+     * Draw the chart from this.data
      */
-    render(data) {
-        this.data = data;
+    draw() {
+        const data = this.data;
         const width = this.config.width - this.config.margin.left - this.config.margin.right;
         const height = this.config.height - this.config.margin.top - this.config.margin.bottom;
 
@@ -117,7 +85,7 @@ class StackedBarChart {
         if (this.config.showGrid) {
             this.svg.append('g')
                 .attr('class', 'grid')
-                .style('stroke', '#e0e0e0')
+                .style('stroke', chartStyles.theme('grid'))
                 .style('stroke-opacity', 0.7)
                 .call(d3.axisLeft(yScale)
                     .tickSize(-width)
@@ -170,7 +138,8 @@ class StackedBarChart {
             .attr('width', xScale.bandwidth())
             .attr('y', height)
             .attr('height', 0)
-            .on('mouseover', (event, d) => this.showTooltip(event, d))
+            // The segment's layer (its parent group) names the stacked key
+            .on('mouseover', (event, d) => this.showTooltip(event, d, d3.select(event.currentTarget.parentNode).datum().key))
             .on('mouseout', () => this.hideTooltip())
             .on('mousemove', (event) => this.moveTooltip(event))
             .transition()
@@ -200,66 +169,18 @@ class StackedBarChart {
                     .text(field);
             });
         }
-
-        return this;
-    }
-
-    /**
-     * Show tooltip
-     */
-    showTooltip(event, data) {
-        if (!this.tooltip) return;
-
-        // Get the parent layer key
-        const layer = d3.select(event.currentTarget.parentNode).datum();
-        const value = data[1] - data[0];
-
-        const tooltipContent = `
-            <strong>${data.data[this.config.xField]}</strong><br/>
-            ${layer.key}: ${value.toLocaleString()}
-        `;
-
-        this.tooltip
-            .html(tooltipContent)
-            .style('visibility', 'visible');
-    }
-
-    /**
-     * Move tooltip
-     */
-    moveTooltip(event) {
-        if (!this.tooltip) return;
-        
-        this.tooltip
-            .style('left', (event.pageX + 10) + 'px')
-            .style('top', (event.pageY - 10) + 'px');
-    }
-
-    /**
-     * Hide tooltip
-     */
-    hideTooltip() {
-        if (this.tooltip) {
-            this.tooltip.style('visibility', 'hidden');
-        }
     }
 
     /**
-     * Update chart
+     * Tooltip template for a mark
      */
-    update(newData) {
-        this.render(newData);
-        return this;
-    }
-
-    /**
-     * Destroy chart
-     */
-    destroy() {
-        this.container.selectAll('*').remove();
-        if (this.tooltip) {
-            this.tooltip.remove();
-        }
+    tooltipTemplate(data, key) {
+        return {
+            title: data.data[this.config.xField],
+            rows: [
+                { label: key, value: (data[1] - data[0]).toLocaleString() }
+            ]
+        };
     }
 }
 
@@ -4,141 +4,52 @@
  * Filter by jurisdiction to see state-specific patterns
  */
 
-class AlcoholVsDrugLineChart {
+class AlcoholVsDrugLineChart extends BaseChart {
     constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = d3.select(`#${containerId}`);
-        
         // Default configuration
-        this.config = {
-            margin: { top: 60, right: 120, bottom: 80, left: 80 },
-            colors: {
-                alcohol: '#3498db',
-                drug: '#e74c3c',
-                alcoholLight: '#5dade2',
-                drugLight: '#ec7063'
-            },
-            ...options
-        };
+        super(containerId, {
+            breakpoints: [
+                { below: 576, height: 350, margin: { top: 50, right: 20, bottom: 100, left: 60 } },
+                { below: 768, height: 400, margin: { top: 55, right: 60, bottom: 90, left: 70 } },
+                { below: 992, height: 450, margin: { top: 60, right: 100, bottom: 80, left: 80 } },
+                { maxWidth: 1200, height: 500, margin: { top: 60, right: 120, bottom: 80, left: 80 } }
+            ],
+            responsive: true
+        }, options);
 
-        this.data = null;
-        this.svg = null;
-        this.tooltip = null;
         this.selectedJurisdiction = 'all';
         this.selectedSubstance = 'both'; // 'both', 'alcohol', or 'drug'
         this.availableJurisdictions = [];
-        
-        // Bind resize handler
-        this.resizeHandler = this.handleResize.bind(this);
     }
 
     /**
-     * Get responsive dimensions based on container width
+     * Map dataset rows to chart records
+     * @param {Array} rows - Rows of the alcohol and drug tests dataset
      */
-    getResponsiveDimensions() {
-        const containerWidth = this.container.node().getBoundingClientRect().width;
-        
-        let width, height, margin;
-        
-        if (containerWidth < 576) {
-            width = containerWidth - 20;
-            height = 350;
-            margin = { top: 50, right: 20, bottom: 100, left: 60 };
-        } else if (containerWidth < 768) {
-            width = containerWidth - 30;
-            height = 400;
-            margin = { top: 55, right: 60, bottom: 90, left: 70 };
-        } else if (containerWidth < 992) {
-            width = containerWidth - 40;
-            height = 450;
-            margin = { top: 60, right: 100, bottom: 80, left: 80 };
-        } else {
-            width = Math.min(containerWidth - 40, 1200);
-            height = 500;
-            margin = { top: 60, right: 120, bottom: 80, left: 80 };
-        }
-        
-        return { width, height, margin };
-    }
-
-    /**
-     * Handle window resize
-     */
-    handleResize() {
-        clearTimeout(this.resizeTimeout);
-        this.resizeTimeout = setTimeout(() => {
-            if (this.data) {
-                this.render();
-            }
-        }, 250);
-    }
-
-    /**
-     * Load Excel data
-     */
-    async loadData(excelPath) {
-        try {
-            const workbook = await this.loadExcelFile(excelPath);
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-            const rawData = XLSX.utils.sheet_to_json(worksheet);
-            
-            // Process data
-            this.data = rawData.map(d => ({
-                jurisdiction: d.JURISDICTION,
-                year: +d.YEAR,
-                metric: d.METRIC,
-                count: +d.COUNT || 0
-            }));
-
-            // Extract available jurisdictions
-            this.availableJurisdictions = [...new Set(this.data.map(d => d.jurisdiction))].sort();
-
-            console.log(`✓ Loaded ${this.data.length} records for line chart`);
-            console.log(`✓ Available jurisdictions: ${this.availableJurisdictions.join(', ')}`);
-            return this.data;
-        } catch (error) {
-            console.error('Error loading Excel file:', error);
-            throw error;
-        }
-    }
-
-    /**
-     * Load Excel file using SheetJS
-     */
-    async loadExcelFile(path) {
-        const response = await fetch(path);
-        const arrayBuffer = await response.arrayBuffer();
-        return XLSX.read(arrayBuffer, { type: 'array' });
+    processData(rows) {
+        // Process data
+        const data = rows.map(d => ({
+            jurisdiction: d.JURISDICTION,
+            year: +d.YEAR,
+            metric: d.METRIC,
+            count: d.COUNT
+        }));
+
+        // Extract available jurisdictions
+        this.availableJurisdictions = [...new Set(data.map(d => d.jurisdiction))].sort();
+
+        console.log(`✓ Loaded ${data.length} records for line chart`);
+        console.log(`✓ Available jurisdictions: ${this.availableJurisdictions.join(', ')}`);
+        return data;
     }
 
     /**
      * Initialize the chart
      */
     init() {
-        const filterExists = this.container.select('.line-filter-controls').node();
-        
-        if (!filterExists) {
-            this.createFilterControls();
-        }
-
-        if (!this.tooltip) {
-            this.tooltip = d3.select('body')
-                .append('div')
-                .attr('class', 'chart-tooltip line-chart-tooltip')
-                .style('position', 'absolute')
-                .style('visibility', 'hidden')
-                .style('background-color', 'rgba(0, 0, 0, 0.9)')
-                .style('color', 'white')
-                .style('padding', '12px 16px')
-                .style('border-radius', '8px')
-                .style('font-size', '13px')
-                .style('pointer-events', 'none')
-                .style('z-index', '1000')
-                .style('box-shadow', '0 4px 12px rgba(0,0,0,0.3)');
-        }
-
-        window.addEventListener('resize', this.resizeHandler);
+        super.init();
+        this.createFilterControls();
+        this.createSvg();
 
         return this;
     }
@@ -152,9 +63,9 @@ class AlcoholVsDrugLineChart {
             .attr('class', 'line-filter-controls')
             .style('margin-bottom', '20px')
             .style('padding', '16px')
-            .style('background', '#f8fafc')
+            .style('background', 'var(--chart-surface-alt)')
             .style('border-radius', '8px')
-            .style('border', '1px solid #e2e8f0')
+            .style('border', '1px solid var(--chart-grid)')
             .style('display', 'flex')
             .style('gap', '20px')
             .style('align-items', 'center')
@@ -170,7 +81,7 @@ class AlcoholVsDrugLineChart {
         jurisdictionContainer.append('label')
             .style('font-size', '14px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('white-space', 'nowrap')
             .html('Jurisdiction:');
 
@@ -178,12 +89,12 @@ class AlcoholVsDrugLineChart {
             .append('select')
             .attr('id', 'jurisdiction-line-filter')
             .style('padding', '8px 12px')
-            .style('background', 'white')
-            .style('border', '2px solid #cbd5e1')
+            .style('background', 'var(--chart-surface)')
+            .style('border', '2px solid var(--chart-border)')
             .style('border-radius', '6px')
             .style('font-weight', '600')
             .style('font-size', '14px')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('cursor', 'pointer')
             .style('min-width', '180px')
             .on('change', (event) => {
@@ -212,7 +123,7 @@ class AlcoholVsDrugLineChart {
         substanceContainer.append('label')
             .style('font-size', '14px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('white-space', 'nowrap')
             .html('Show:');
 
@@ -220,12 +131,12 @@ class AlcoholVsDrugLineChart {
             .append('select')
             .attr('id', 'substance-line-filter')
             .style('padding', '8px 12px')
-            .style('background', 'white')
-            .style('border', '2px solid #cbd5e1')
+            .style('background', 'var(--chart-surface)')
+            .style('border', '2px solid var(--chart-border)')
             .style('border-radius', '6px')
             .style('font-weight', '600')
             .style('font-size', '14px')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('cursor', 'pointer')
             .style('min-width', '180px')
             .on('change', (event) => {
@@ -295,38 +206,23 @@ class AlcoholVsDrugLineChart {
         if (!this.data) return [];
 
         // Filter by jurisdiction
-        let filteredData = this.data;
+        const where = {};
         if (this.selectedJurisdiction !== 'all') {
-            filteredData = filteredData.filter(d => d.jurisdiction === this.selectedJurisdiction);
+            where.jurisdiction = this.selectedJurisdiction;
         }
 
-        // Group by year and test type
-        const yearMap = new Map();
-
-        filteredData.forEach(d => {
-            const year = d.year;
-            const isAlcohol = d.metric && d.metric.toLowerCase().includes('breath_tests_conducted');
-            const isDrug = d.metric && d.metric.toLowerCase().includes('drug_tests_conducted');
-
-            if (!yearMap.has(year)) {
-                yearMap.set(year, {
-                    year: year,
-                    alcohol: 0,
-                    drug: 0
-                });
-            }
-
-            const yearData = yearMap.get(year);
-            if (isAlcohol) {
-                yearData.alcohol += d.count;
-            } else if (isDrug) {
-                yearData.drug += d.count;
-            }
+        // Group by year and test type, one row per year
+        return dataLoader.query(this.data, {
+            where,
+            groupBy: ['year', 'metric'],
+            measures: { count: { field: 'count', op: 'sum' } },
+            pivot: {
+                on: 'metric',
+                value: 'count',
+                columns: { breath_tests_conducted: 'alcohol', drug_tests_conducted: 'drug' }
+            },
+            sort: 'year'
         });
-
-        // Convert to array and sort by year
-        const result = Array.from(yearMap.values()).sort((a, b) => a.year - b.year);
-        return result;
     }
 
     /**
@@ -351,58 +247,39 @@ class AlcoholVsDrugLineChart {
     }
 
     /**
-     * Render the chart
+     * Draw the chart. The alcohol and drug lines are kept across redraws and morph to the selected
+     * jurisdiction's figures; a test type switched off sinks to the x axis and one switched on rises from it.
      */
-    render() {
-        if (!this.data) {
-            console.error('No data loaded');
-            return;
-        }
-
-        // Remove existing SVG
-        this.container.select('svg').remove();
-
-        const dimensions = this.getResponsiveDimensions();
-        const margin = dimensions.margin;
-        const width = dimensions.width - margin.left - margin.right;
-        const height = dimensions.height - margin.top - margin.bottom;
-
-        // Create SVG
-        this.svg = this.container
-            .append('svg')
-            .attr('width', dimensions.width)
-            .attr('height', dimensions.height)
-            .attr('viewBox', `0 0 ${dimensions.width} ${dimensions.height}`)
-            .attr('preserveAspectRatio', 'xMidYMid meet')
-            .append('g')
-            .attr('transform', `translate(${margin.left},${margin.top})`);
+    draw() {
+        const dimensions = this.getDimensions();
+        const width = dimensions.innerWidth;
+        const height = dimensions.innerHeight;
+        const t = this.transition();
 
         // Get aggregated data
         const chartData = this.aggregateData();
 
         if (chartData.length === 0) {
-            this.svg.append('text')
-                .attr('x', width / 2)
-                .attr('y', height / 2)
-                .attr('text-anchor', 'middle')
-                .style('font-size', '16px')
-                .style('fill', '#64748b')
-                .text('No data available for selected filters');
+            this.drawEmpty('No data available for selected filters');
             return;
         }
 
         // Responsive font sizes
-        const isMobile = dimensions.width < 576;
+        const compact = dimensions.compact;
         const fontSize = {
-            axis: isMobile ? '10px' : '12px',
-            axisLabel: isMobile ? '12px' : '14px',
-            title: isMobile ? '16px' : '20px',
-            legend: isMobile ? '12px' : '14px'
+            axis: compact ? '10px' : '12px',
+            axisLabel: compact ? '12px' : '14px',
+            title: compact ? '16px' : '20px',
+            legend: compact ? '12px' : '14px'
         };
 
         // Determine which lines to show
         const showAlcohol = this.selectedSubstance === 'both' || this.selectedSubstance === 'alcohol';
         const showDrug = this.selectedSubstance === 'both' || this.selectedSubstance === 'drug';
+        const series = [
+            showAlcohol && { type: 'alcohol', label: 'Alcohol Tests' },
+            showDrug && { type: 'drug', label: 'Drug Tests' }
+        ].filter(Boolean);
 
         // Create scales
         const xScale = d3.scaleLinear()
@@ -419,43 +296,44 @@ class AlcoholVsDrugLineChart {
             .nice();
 
         // Add grid
-        this.svg.append('g')
-            .attr('class', 'grid')
-            .style('stroke', '#e5e7eb')
+        BaseChart.animate(this.layer('grid'), t)
+            .style('stroke', chartStyles.theme('grid'))
             .style('stroke-opacity', 0.7)
             .style('stroke-dasharray', '3,3')
             .call(d3.axisLeft(yScale)
                 .tickSize(-width)
                 .tickFormat('')
-                .ticks(isMobile ? 5 : 8)
+                .ticks(compact ? 5 : 8)
             );
 
         // Add axes
-        const xAxis = this.svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${height})`)
+        const xAxis = this.layer('x-axis')
+            .attr('transform', `translate(0,${height})`);
+
+        BaseChart.animate(xAxis, t)
             .call(d3.axisBottom(xScale)
                 .tickFormat(d3.format('d'))
-                .ticks(isMobile ? 5 : chartData.length)
+                .ticks(compact ? 5 : chartData.length)
             );
 
         xAxis.selectAll('text')
             .style('font-size', fontSize.axis)
             .style('font-weight', '600')
-            .style('fill', '#1e293b');
+            .style('fill', chartStyles.theme('text'));
 
-        const yAxis = this.svg.append('g')
-            .attr('class', 'y-axis')
+        const yAxis = this.layer('y-axis');
+
+        BaseChart.animate(yAxis, t)
             .call(d3.axisLeft(yScale)
                 .tickFormat(d => {
-                    if (isMobile && d >= 1000000) {
+                    if (compact && d >= 1000000) {
                         return (d / 1000000).toFixed(1) + 'M';
-                    } else if (isMobile && d >= 1000) {
+                    } else if (compact && d >= 1000) {
                         return (d / 1000).toFixed(0) + 'K';
                     }
                     return d.toLocaleString();
                 })
-                .ticks(isMobile ? 5 : 8)
+                .ticks(compact ? 5 : 8)
             );
 
         yAxis.selectAll('text')
@@ -463,287 +341,230 @@ class AlcoholVsDrugLineChart {
             .style('font-weight', '500');
 
         // Add axis labels
-        this.svg.append('text')
+        const labels = this.layer('labels');
+
+        labels.selectAll('.x-label')
+            .data([null])
+            .join('text')
+            .attr('class', 'x-label')
             .attr('x', width / 2)
-            .attr('y', height + (isMobile ? 70 : 60))
+            .attr('y', height + (compact ? 70 : 60))
             .attr('text-anchor', 'middle')
             .style('font-size', fontSize.axisLabel)
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
+            .style('fill', chartStyles.theme('text'))
             .text('Year');
 
-        this.svg.append('text')
+        labels.selectAll('.y-label')
+            .data([null])
+            .join('text')
+            .attr('class', 'y-label')
             .attr('transform', 'rotate(-90)')
             .attr('x', -height / 2)
-            .attr('y', isMobile ? -45 : -60)
+            .attr('y', compact ? -45 : -60)
             .attr('text-anchor', 'middle')
             .style('font-size', fontSize.axisLabel)
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
-            .text(isMobile ? 'Tests' : 'Number of Tests');
+            .style('fill', chartStyles.theme('text'))
+            .text(compact ? 'Tests' : 'Number of Tests');
 
         // Add title
         const titleText = `Alcohol vs Drug Tests Over Time${this.getChartSubtitle()}`;
 
-        this.svg.append('text')
+        labels.selectAll('.chart-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'chart-title')
             .attr('x', width / 2)
             .attr('y', -30)
             .attr('text-anchor', 'middle')
             .style('font-size', fontSize.title)
             .style('font-weight', '700')
-            .style('fill', '#0f172a')
+            .style('fill', chartStyles.theme('text-strong'))
             .text(titleText);
 
-        // Create line generators
-        const alcoholLine = d3.line()
+        // Line and area generators for a test type; the flat ones lie on the x axis, where lines enter and leave
+        const line = type => d3.line()
             .x(d => xScale(d.year))
-            .y(d => yScale(d.alcohol))
+            .y(d => yScale(d[type]))
             .curve(d3.curveMonotoneX);
 
-        const drugLine = d3.line()
+        const area = type => d3.area()
             .x(d => xScale(d.year))
-            .y(d => yScale(d.drug))
+            .y0(height)
+            .y1(d => yScale(d[type]))
             .curve(d3.curveMonotoneX);
 
-        // Draw alcohol line and points
-        if (showAlcohol) {
-            // Add area for alcohol
-            const alcoholArea = d3.area()
-                .x(d => xScale(d.year))
-                .y0(height)
-                .y1(d => yScale(d.alcohol))
-                .curve(d3.curveMonotoneX);
-
-            this.svg.append('path')
-                .datum(chartData)
-                .attr('fill', this.config.colors.alcoholLight)
-                .attr('opacity', 0.1)
-                .attr('d', alcoholArea);
-
-            // Draw line
-            const alcoholPath = this.svg.append('path')
-                .datum(chartData)
-                .attr('class', 'line alcohol-line')
-                .attr('fill', 'none')
-                .attr('stroke', this.config.colors.alcohol)
-                .attr('stroke-width', 3)
-                .attr('d', alcoholLine);
-
-            // Animate line
-            const alcoholLength = alcoholPath.node().getTotalLength();
-            alcoholPath
-                .attr('stroke-dasharray', alcoholLength)
-                .attr('stroke-dashoffset', alcoholLength)
-                .transition()
-                .duration(1500)
-                .ease(d3.easeLinear)
-                .attr('stroke-dashoffset', 0);
-
-            // Add data points
-            this.svg.selectAll('.alcohol-dot')
-                .data(chartData)
-                .enter()
-                .append('circle')
-                .attr('class', 'alcohol-dot')
-                .attr('cx', d => xScale(d.year))
-                .attr('cy', d => yScale(d.alcohol))
-                .attr('r', isMobile ? 4 : 5)
-                .attr('fill', this.config.colors.alcohol)
-                .attr('stroke', 'white')
-                .attr('stroke-width', 2)
-                .style('cursor', 'pointer')
-                .style('opacity', 0)
-                .on('mouseover', (event, d) => {
-                    d3.select(event.target).attr('r', isMobile ? 6 : 8);
-                    this.showTooltip(event, d, 'alcohol');
-                })
-                .on('mouseout', (event) => {
-                    d3.select(event.target).attr('r', isMobile ? 4 : 5);
-                    this.hideTooltip();
-                })
-                .on('mousemove', (event) => this.moveTooltip(event))
-                .transition()
-                .delay((d, i) => 1500 + i * 100)
-                .duration(400)
-                .style('opacity', 1);
-        }
+        const flatLine = d3.line()
+            .x(d => xScale(d.year))
+            .y(height)
+            .curve(d3.curveMonotoneX);
 
-        // Draw drug line and points
-        if (showDrug) {
-            // Add area for drug
-            const drugArea = d3.area()
-                .x(d => xScale(d.year))
-                .y0(height)
-                .y1(d => yScale(d.drug))
-                .curve(d3.curveMonotoneX);
-
-            this.svg.append('path')
-                .datum(chartData)
-                .attr('fill', this.config.colors.drugLight)
-                .attr('opacity', 0.1)
-                .attr('d', drugArea);
-
-            // Draw line
-            const drugPath = this.svg.append('path')
-                .datum(chartData)
-                .attr('class', 'line drug-line')
-                .attr('fill', 'none')
-                .attr('stroke', this.config.colors.drug)
-                .attr('stroke-width', 3)
-                .attr('d', drugLine);
-
-            // Animate line
-            const drugLength = drugPath.node().getTotalLength();
-            drugPath
-                .attr('stroke-dasharray', drugLength)
-                .attr('stroke-dashoffset', drugLength)
-                .transition()
-                .duration(1500)
-                .ease(d3.easeLinear)
-                .attr('stroke-dashoffset', 0);
-
-            // Add data points
-            this.svg.selectAll('.drug-dot')
-                .data(chartData)
-                .enter()
-                .append('circle')
-                .attr('class', 'drug-dot')
-                .attr('cx', d => xScale(d.year))
-                .attr('cy', d => yScale(d.drug))
-                .attr('r', isMobile ? 4 : 5)
-                .attr('fill', this.config.colors.drug)
-                .attr('stroke', 'white')
-                .attr('stroke-width', 2)
-                .style('cursor', 'pointer')
-                .style('opacity', 0)
-                .on('mouseover', (event, d) => {
-                    d3.select(event.target).attr('r', isMobile ? 6 : 8);
-                    this.showTooltip(event, d, 'drug');
-                })
-                .on('mouseout', (event) => {
-                    d3.select(event.target).attr('r', isMobile ? 4 : 5);
-                    this.hideTooltip();
-                })
-                .on('mousemove', (event) => this.moveTooltip(event))
-                .transition()
-                .delay((d, i) => 1500 + i * 100)
-                .duration(400)
-                .style('opacity', 1);
-        }
+        const flatArea = d3.area()
+            .x(d => xScale(d.year))
+            .y0(height)
+            .y1(height)
+            .curve(d3.curveMonotoneX);
+
+        // Areas under the lines
+        this.layer('areas').selectAll('.area')
+            .data(series, d => d.type)
+            .join(
+                enter => enter.append('path')
+                    .attr('class', d => `area ${d.type}-area`)
+                    .attr('opacity', 0.1)
+                    .attr('d', flatArea(chartData)),
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .attr('d', flatArea(chartData))
+                    .remove()
+            )
+            .attr('fill', d => this.seriesColor(d.type, true))
+            .call(areas => BaseChart.animate(areas, t)
+                .attr('d', d => area(d.type)(chartData)));
+
+        // Lines
+        this.layer('lines').selectAll('.line')
+            .data(series, d => d.type)
+            .join(
+                enter => enter.append('path')
+                    .attr('class', d => `line ${d.type}-line`)
+                    .attr('fill', 'none')
+                    .attr('stroke-width', 3)
+                    .attr('d', flatLine(chartData)),
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .attr('d', flatLine(chartData))
+                    .remove()
+            )
+            .attr('stroke', d => this.seriesColor(d.type))
+            .call(lines => BaseChart.animate(lines, t)
+                .attr('d', d => line(d.type)(chartData)));
+
+        // Data points, one per test type and year
+        const points = series.flatMap(s => chartData.map(row => ({ type: s.type, row })));
+
+        this.layer('dots').selectAll('.dot')
+            .data(points, d => `${d.type}-${d.row.year}`)
+            .join(
+                enter => enter.append('circle')
+                    .attr('class', d => `dot ${d.type}-dot`)
+                    .attr('cx', d => xScale(d.row.year))
+                    .attr('cy', height)
+                    .attr('stroke-width', 2)
+                    .style('cursor', 'pointer')
+                    .style('opacity', 0),
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .attr('cy', height)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .attr('r', compact ? 4 : 5)
+            .attr('fill', d => this.seriesColor(d.type))
+            .attr('stroke', chartStyles.theme('surface'))
+            .on('mouseover', (event, d) => {
+                d3.select(event.target).attr('r', compact ? 6 : 8);
+                this.showTooltip(event, d.row, d.type);
+            })
+            .on('mouseout', (event) => {
+                d3.select(event.target).attr('r', compact ? 4 : 5);
+                this.hideTooltip();
+            })
+            .on('mousemove', (event) => this.moveTooltip(event))
+            .call(dots => BaseChart.animate(dots, t)
+                .attr('cx', d => xScale(d.row.year))
+                .attr('cy', d => yScale(d.row[d.type]))
+                .style('opacity', 1));
 
         // Add legend
-        if (!isMobile) {
-            const legend = this.svg.append('g')
-                .attr('class', 'legend')
-                .attr('transform', `translate(${width - 100}, 20)`);
-
-            let legendY = 0;
-
-            if (showAlcohol) {
-                legend.append('line')
-                    .attr('x1', 0)
-                    .attr('x2', 30)
-                    .attr('y1', legendY)
-                    .attr('y2', legendY)
-                    .attr('stroke', this.config.colors.alcohol)
-                    .attr('stroke-width', 3);
-
-                legend.append('text')
-                    .attr('x', 40)
-                    .attr('y', legendY + 5)
-                    .style('font-size', fontSize.legend)
-                    .style('font-weight', '600')
-                    .style('fill', '#1e293b')
-                    .text('Alcohol Tests');
-
-                legendY += 25;
-            }
-
-            if (showDrug) {
-                legend.append('line')
-                    .attr('x1', 0)
-                    .attr('x2', 30)
-                    .attr('y1', legendY)
-                    .attr('y2', legendY)
-                    .attr('stroke', this.config.colors.drug)
-                    .attr('stroke-width', 3);
-
-                legend.append('text')
-                    .attr('x', 40)
-                    .attr('y', legendY + 5)
-                    .style('font-size', fontSize.legend)
-                    .style('font-weight', '600')
-                    .style('fill', '#1e293b')
-                    .text('Drug Tests');
-            }
+        if (compact) {
+            this.svg.selectChild('g.legend').remove();
+            return;
         }
-    }
 
-    /**
-     * Show tooltip
-     */
-    showTooltip(event, data, type) {
-        const testType = type === 'alcohol' ? 'Alcohol (Breath) Tests' : 'Drug Tests';
-        const count = type === 'alcohol' ? data.alcohol : data.drug;
-        const color = type === 'alcohol' ? this.config.colors.alcohol : this.config.colors.drug;
-
-        const showBoth = this.selectedSubstance === 'both';
-
-        const tooltipContent = `
-            <div style="font-weight: 700; margin-bottom: 8px; font-size: 16px; color: ${color};">
-                ${testType}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>Year:</strong> ${data.year}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>Total Tests:</strong> ${count.toLocaleString()}
-            </div>
-            ${this.selectedJurisdiction !== 'all' ? `
-                <div style="margin-bottom: 4px;">
-                    <strong>Jurisdiction:</strong> ${this.selectedJurisdiction}
-                </div>
-            ` : ''}
-            ${showBoth ? `
-                <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 12px; color: rgba(255,255,255,0.8);">
-                    Alcohol: ${data.alcohol.toLocaleString()} | Drug: ${data.drug.toLocaleString()}
-                </div>
-            ` : ''}
-        `;
-
-        this.tooltip
-            .html(tooltipContent)
-            .style('visibility', 'visible');
-
-        this.moveTooltip(event);
+        const legend = this.layer('legend')
+            .attr('transform', `translate(${width - 100}, 20)`);
+
+        legend.selectAll('.legend-row')
+            .data(series, d => d.type)
+            .join(
+                enter => {
+                    const row = enter.append('g')
+                        .attr('class', 'legend-row')
+                        .attr('transform', (d, i) => `translate(0,${i * 25})`)
+                        .style('opacity', 0);
+
+                    row.append('line')
+                        .attr('x1', 0)
+                        .attr('x2', 30)
+                        .attr('y1', 0)
+                        .attr('y2', 0)
+                        .attr('stroke-width', 3);
+
+                    row.append('text')
+                        .attr('x', 40)
+                        .attr('y', 5)
+                        .style('font-weight', '600');
+
+                    return row;
+                },
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .call(rows => {
+                rows.select('line')
+                    .attr('stroke', d => this.seriesColor(d.type));
+                rows.select('text')
+                    .style('font-size', fontSize.legend)
+                    .style('fill', chartStyles.theme('text'))
+                    .text(d => d.label);
+                BaseChart.animate(rows, t)
+                    .attr('transform', (d, i) => `translate(0,${i * 25})`)
+                    .style('opacity', 1);
+            });
     }
 
     /**
-     * Move tooltip
+     * The plotted lines by year, for data downloads
      */
-    moveTooltip(event) {
-        this.tooltip
-            .style('left', (event.pageX + 15) + 'px')
-            .style('top', (event.pageY - 15) + 'px');
+    getSeries() {
+        return this.aggregateData().map(d => {
+            const row = { year: d.year };
+            if (this.selectedSubstance !== 'drug') row.alcoholTests = d.alcohol;
+            if (this.selectedSubstance !== 'alcohol') row.drugTests = d.drug;
+            return row;
+        });
     }
 
     /**
-     * Hide tooltip
+     * Colour of a test type ('alcohol' or 'drug') from chartStyles; light for the areas under the lines
      */
-    hideTooltip() {
-        this.tooltip.style('visibility', 'hidden');
+    seriesColor(type, light = false) {
+        const color = chartStyles.metricColor(type);
+        return light ? d3.interpolateRgb(color, '#ffffff')(0.35) : color;
     }
 
     /**
-     * Destroy chart and cleanup
+     * Tooltip template for a mark
      */
-    destroy() {
-        window.removeEventListener('resize', this.resizeHandler);
-        
-        if (this.tooltip) {
-            this.tooltip.remove();
-        }
-        this.container.selectAll('*').remove();
+    tooltipTemplate(data, type) {
+        const count = type === 'alcohol' ? data.alcohol : data.drug;
+
+        return {
+            title: type === 'alcohol' ? 'Alcohol (Breath) Tests' : 'Drug Tests',
+            color: this.seriesColor(type),
+            rows: [
+                { label: 'Year', value: data.year },
+                { label: 'Total Tests', value: count.toLocaleString() },
+                this.selectedJurisdiction !== 'all' && { label: 'Jurisdiction', value: this.selectedJurisdiction }
+            ],
+            footer: this.selectedSubstance === 'both' && [
+                { value: `Alcohol: ${data.alcohol.toLocaleString()} | Drug: ${data.drug.toLocaleString()}` }
+            ]
+        };
     }
 }
 
@@ -4,138 +4,51 @@
  * Filter by year to see how the composition changes over time
  */
 
-class TestingStackedPercentageChart {
+class TestingStackedPercentageChart extends BaseChart {
     constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = d3.select(`#${containerId}`);
-        
         // Default configuration
-        this.config = {
-            margin: { top: 60, right: 120, bottom: 80, left: 100 },
-            colors: {
-                alcohol: '#3498db',
-                drug: '#e74c3c'
-            },
-            ...options
-        };
+        super(containerId, {
+            breakpoints: [
+                { below: 576, height: 400, margin: { top: 50, right: 20, bottom: 100, left: 80 } },
+                { below: 768, height: 450, margin: { top: 55, right: 80, bottom: 100, left: 90 } },
+                { below: 992, height: 500, margin: { top: 60, right: 80, bottom: 100, left: 100 } },
+                { maxWidth: 1200, height: 550, margin: { top: 60, right: 80, bottom: 100, left: 100 } }
+            ],
+            responsive: true
+        }, options);
 
-        this.data = null;
-        this.svg = null;
-        this.tooltip = null;
         this.selectedYear = 'all';
         this.availableYears = [];
-        
-        // Bind resize handler
-        this.resizeHandler = this.handleResize.bind(this);
     }
 
     /**
-     * Get responsive dimensions based on container width
+     * Map dataset rows to chart records
+     * @param {Array} rows - Rows of the alcohol and drug tests dataset
      */
-    getResponsiveDimensions() {
-        const containerWidth = this.container.node().getBoundingClientRect().width;
-        
-        let width, height, margin;
-        
-        if (containerWidth < 576) {
-            width = containerWidth - 20;
-            height = 400;
-            margin = { top: 50, right: 20, bottom: 100, left: 80 }; // Increased bottom margin for legend
-        } else if (containerWidth < 768) {
-            width = containerWidth - 30;
-            height = 450;
-            margin = { top: 55, right: 80, bottom: 100, left: 90 }; // Reduced right margin, increased bottom
-        } else if (containerWidth < 992) {
-            width = containerWidth - 40;
-            height = 500;
-            margin = { top: 60, right: 80, bottom: 100, left: 100 }; // Reduced right margin from 160 to 80
-        } else {
-            width = Math.min(containerWidth - 40, 1200);
-            height = 550;
-            margin = { top: 60, right: 80, bottom: 100, left: 100 }; // Reduced right margin from 160 to 80
-        }
-        
-        return { width, height, margin };
-    }
+    processData(rows) {
+        // Process data
+        const data = rows.map(d => ({
+            jurisdiction: d.JURISDICTION,
+            year: +d.YEAR,
+            metric: d.METRIC,
+            count: d.COUNT
+        }));
 
-    /**
-     * Handle window resize
-     */
-    handleResize() {
-        clearTimeout(this.resizeTimeout);
-        this.resizeTimeout = setTimeout(() => {
-            if (this.data) {
-                this.render();
-            }
-        }, 250);
-    }
+        // Extract available years and sort
+        this.availableYears = [...new Set(data.map(d => d.year))].sort((a, b) => a - b);
 
-    /**
-     * Load Excel data
-     */
-    async loadData(excelPath) {
-        try {
-            const workbook = await this.loadExcelFile(excelPath);
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-            const rawData = XLSX.utils.sheet_to_json(worksheet);
-            
-            // Process data
-            this.data = rawData.map(d => ({
-                jurisdiction: d.JURISDICTION,
-                year: +d.YEAR,
-                metric: d.METRIC,
-                count: +d.COUNT || 0
-            }));
-
-            // Extract available years and sort
-            this.availableYears = [...new Set(this.data.map(d => d.year))].sort((a, b) => a - b);
-
-            console.log(`✓ Loaded ${this.data.length} records for stacked percentage chart`);
-            console.log(`✓ Available years: ${this.availableYears.join(', ')}`);
-            return this.data;
-        } catch (error) {
-            console.error('Error loading Excel file:', error);
-            throw error;
-        }
-    }
-
-    /**
-     * Load Excel file using SheetJS
-     */
-    async loadExcelFile(path) {
-        const response = await fetch(path);
-        const arrayBuffer = await response.arrayBuffer();
-        return XLSX.read(arrayBuffer, { type: 'array' });
+        console.log(`✓ Loaded ${data.length} records for stacked percentage chart`);
+        console.log(`✓ Available years: ${this.availableYears.join(', ')}`);
+        return data;
     }
 
     /**
      * Initialize the chart
      */
     init() {
-        const filterExists = this.container.select('.stacked-filter-controls').node();
-        
-        if (!filterExists) {
-            this.createFilterControls();
-        }
-
-        if (!this.tooltip) {
-            this.tooltip = d3.select('body')
-                .append('div')
-                .attr('class', 'chart-tooltip stacked-chart-tooltip')
-                .style('position', 'absolute')
-                .style('visibility', 'hidden')
-                .style('background-color', 'rgba(0, 0, 0, 0.9)')
-                .style('color', 'white')
-                .style('padding', '12px 16px')
-                .style('border-radius', '8px')
-                .style('font-size', '13px')
-                .style('pointer-events', 'none')
-                .style('z-index', '1000')
-                .style('box-shadow', '0 4px 12px rgba(0,0,0,0.3)');
-        }
-
-        window.addEventListener('resize', this.resizeHandler);
+        super.init();
+        this.createFilterControls();
+        this.createSvg();
 
         return this;
     }
@@ -144,18 +57,18 @@ class TestingStackedPercentageChart {
      * Create filter controls
      */
     createFilterControls() {
-        const isMobile = window.innerWidth < 768;
+        const compact = this.containerWidth() < 768;
         
         const filterContainer = this.container
             .append('div')
             .attr('class', 'stacked-filter-controls')
             .style('margin-bottom', '20px')
-            .style('padding', isMobile ? '12px' : '16px')
-            .style('background', '#f8fafc')
+            .style('padding', compact ? '12px' : '16px')
+            .style('background', 'var(--chart-surface-alt)')
             .style('border-radius', '8px')
-            .style('border', '1px solid #e2e8f0')
+            .style('border', '1px solid var(--chart-grid)')
             .style('display', 'flex')
-            .style('gap', isMobile ? '12px' : '20px')
+            .style('gap', compact ? '12px' : '20px')
             .style('align-items', 'center')
             .style('flex-wrap', 'wrap');
 
@@ -165,28 +78,28 @@ class TestingStackedPercentageChart {
             .style('display', 'flex')
             .style('align-items', 'center')
             .style('gap', '10px')
-            .style('width', isMobile ? '100%' : 'auto');
+            .style('width', compact ? '100%' : 'auto');
 
         yearContainer.append('label')
-            .style('font-size', isMobile ? '13px' : '14px')
+            .style('font-size', compact ? '13px' : '14px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('white-space', 'nowrap')
             .html('Year:');
 
         const yearSelect = yearContainer
             .append('select')
             .attr('id', 'year-stacked-filter')
-            .style('padding', isMobile ? '6px 10px' : '8px 12px')
-            .style('background', 'white')
-            .style('border', '2px solid #cbd5e1')
+            .style('padding', compact ? '6px 10px' : '8px 12px')
+            .style('background', 'var(--chart-surface)')
+            .style('border', '2px solid var(--chart-border)')
             .style('border-radius', '6px')
             .style('font-weight', '600')
-            .style('font-size', isMobile ? '13px' : '14px')
-            .style('color', '#1e293b')
+            .style('font-size', compact ? '13px' : '14px')
+            .style('color', 'var(--chart-text)')
             .style('cursor', 'pointer')
-            .style('min-width', isMobile ? 'auto' : '150px')
-            .style('flex', isMobile ? '1' : 'none')
+            .style('min-width', compact ? 'auto' : '150px')
+            .style('flex', compact ? '1' : 'none')
             .on('change', (event) => {
                 this.selectedYear = event.target.value;
                 this.updateClearButton();
@@ -204,10 +117,10 @@ class TestingStackedPercentageChart {
         });
 
         // Info text
-        if (!isMobile) {
+        if (!compact) {
             filterContainer
                 .append('div')
-                .style('color', '#64748b')
+                .style('color', 'var(--chart-text-muted)')
                 .style('font-size', '13px')
                 .style('font-style', 'italic')
                 .html('100% stacked - shows percentage composition');
@@ -217,18 +130,18 @@ class TestingStackedPercentageChart {
         filterContainer
             .append('button')
             .attr('class', 'clear-stacked-filter-btn')
-            .style('padding', isMobile ? '6px 12px' : '8px 16px')
+            .style('padding', compact ? '6px 12px' : '8px 16px')
             .style('background', '#ef4444')
             .style('color', 'white')
             .style('border', 'none')
             .style('border-radius', '6px')
             .style('font-weight', '600')
-            .style('font-size', isMobile ? '12px' : '14px')
+            .style('font-size', compact ? '12px' : '14px')
             .style('cursor', 'pointer')
             .style('transition', 'all 0.2s')
             .style('white-space', 'nowrap')
             .style('display', 'none')
-            .style('width', isMobile ? '100%' : 'auto')
+            .style('width', compact ? '100%' : 'auto')
             .text('Clear Filter')
             .on('mouseover', function() {
                 d3.select(this).style('background', '#dc2626');
@@ -262,37 +175,25 @@ class TestingStackedPercentageChart {
         if (!this.data) return [];
 
         // Filter by year if selected
-        let filteredData = this.data;
+        const where = {};
         if (this.selectedYear !== 'all') {
-            filteredData = filteredData.filter(d => d.year === +this.selectedYear);
+            where.year = +this.selectedYear;
         }
 
-        // Group by jurisdiction
-        const jurisdictionMap = new Map();
-
-        filteredData.forEach(d => {
-            const jurisdiction = d.jurisdiction;
-            
-            if (!jurisdictionMap.has(jurisdiction)) {
-                jurisdictionMap.set(jurisdiction, {
-                    jurisdiction: jurisdiction,
-                    alcoholTests: 0,
-                    drugTests: 0
-                });
-            }
-            
-            const jurisdictionData = jurisdictionMap.get(jurisdiction);
-
-            // Categorize by test type
-            if (d.metric && d.metric.toLowerCase().includes('breath_tests_conducted')) {
-                jurisdictionData.alcoholTests += d.count;
-            } else if (d.metric && d.metric.toLowerCase().includes('drug_tests_conducted')) {
-                jurisdictionData.drugTests += d.count;
+        // Alcohol and drug test counts side by side per jurisdiction
+        const result = dataLoader.query(this.data, {
+            where,
+            groupBy: ['jurisdiction', 'metric'],
+            measures: { count: { field: 'count', op: 'sum' } },
+            pivot: {
+                on: 'metric',
+                value: 'count',
+                columns: { breath_tests_conducted: 'alcoholTests', drug_tests_conducted: 'drugTests' }
             }
         });
 
-        // Convert to array and calculate percentages
-        const result = Array.from(jurisdictionMap.values())
+        // Calculate percentages
+        return result
             .map(d => {
                 const total = d.alcoholTests + d.drugTests;
                 return {
@@ -306,8 +207,6 @@ class TestingStackedPercentageChart {
             })
             .filter(d => d.total > 0) // Remove jurisdictions with no data
             .sort((a, b) => b.alcoholPercentage - a.alcoholPercentage); // Sort by alcohol percentage
-
-        return result;
     }
 
     /**
@@ -321,54 +220,31 @@ class TestingStackedPercentageChart {
     }
 
     /**
-     * Render the chart
+     * Draw the chart. Each jurisdiction keeps its row across redraws, so choosing a year slides the rows
+     * into their new order and moves the split between the alcohol and drug shares.
      */
-    render() {
-        if (!this.data) {
-            console.error('No data loaded');
-            return;
-        }
-
-        // Remove existing SVG
-        this.container.select('svg').remove();
-
-        const dimensions = this.getResponsiveDimensions();
-        const margin = dimensions.margin;
-        const width = dimensions.width - margin.left - margin.right;
-        const height = dimensions.height - margin.top - margin.bottom;
-
-        // Create SVG
-        this.svg = this.container
-            .append('svg')
-            .attr('width', dimensions.width)
-            .attr('height', dimensions.height)
-            .attr('viewBox', `0 0 ${dimensions.width} ${dimensions.height}`)
-            .attr('preserveAspectRatio', 'xMidYMid meet')
-            .append('g')
-            .attr('transform', `translate(${margin.left},${margin.top})`);
+    draw() {
+        const dimensions = this.getDimensions();
+        const width = dimensions.innerWidth;
+        const height = dimensions.innerHeight;
+        const t = this.transition();
 
         // Get aggregated data
         const chartData = this.aggregateData();
 
         if (chartData.length === 0) {
-            this.svg.append('text')
-                .attr('x', width / 2)
-                .attr('y', height / 2)
-                .attr('text-anchor', 'middle')
-                .style('font-size', '16px')
-                .style('fill', '#64748b')
-                .text('No data available for selected year');
+            this.drawEmpty('No data available for selected year');
             return;
         }
 
         // Responsive font sizes
-        const isMobile = dimensions.width < 576;
+        const compact = dimensions.compact;
         const fontSize = {
-            axis: isMobile ? '10px' : '12px',
-            axisLabel: isMobile ? '12px' : '14px',
-            title: isMobile ? '16px' : '20px',
-            legend: isMobile ? '12px' : '14px',
-            barLabel: isMobile ? '10px' : '11px'
+            axis: compact ? '10px' : '12px',
+            axisLabel: compact ? '12px' : '14px',
+            title: compact ? '16px' : '20px',
+            legend: compact ? '12px' : '14px',
+            barLabel: compact ? '10px' : '11px'
         };
 
         // Create scales
@@ -382,9 +258,8 @@ class TestingStackedPercentageChart {
             .range([0, width]);
 
         // Add grid
-        this.svg.append('g')
-            .attr('class', 'grid')
-            .style('stroke', '#e5e7eb')
+        BaseChart.animate(this.layer('grid'), t)
+            .style('stroke', chartStyles.theme('grid'))
             .style('stroke-opacity', 0.7)
             .style('stroke-dasharray', '3,3')
             .call(d3.axisBottom(xScale)
@@ -394,18 +269,20 @@ class TestingStackedPercentageChart {
             );
 
         // Add axes
-        const yAxis = this.svg.append('g')
-            .attr('class', 'y-axis')
+        const yAxis = this.layer('y-axis');
+
+        BaseChart.animate(yAxis, t)
             .call(d3.axisLeft(yScale));
 
         yAxis.selectAll('text')
             .style('font-size', fontSize.axis)
             .style('font-weight', '700')
-            .style('fill', '#1e293b');
+            .style('fill', chartStyles.theme('text'));
+
+        const xAxis = this.layer('x-axis')
+            .attr('transform', `translate(0,${height})`);
 
-        const xAxis = this.svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${height})`)
+        BaseChart.animate(xAxis, t)
             .call(d3.axisBottom(xScale)
                 .tickFormat(d => d + '%')
                 .ticks(10)
@@ -416,25 +293,33 @@ class TestingStackedPercentageChart {
             .style('font-weight', '500');
 
         // Add axis label
-        this.svg.append('text')
+        const labels = this.layer('labels');
+
+        labels.selectAll('.x-label')
+            .data([null])
+            .join('text')
+            .attr('class', 'x-label')
             .attr('x', width / 2)
-            .attr('y', height + (isMobile ? 60 : 55))
+            .attr('y', height + (compact ? 60 : 55))
             .attr('text-anchor', 'middle')
             .style('font-size', fontSize.axisLabel)
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
+            .style('fill', chartStyles.theme('text'))
             .text('Percentage (%)');
 
         // Add title
         const titleText = `Alcohol vs Drug Test Share${this.getChartSubtitle()}`;
 
-        this.svg.append('text')
+        labels.selectAll('.chart-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'chart-title')
             .attr('x', width / 2)
             .attr('y', -30)
             .attr('text-anchor', 'middle')
             .style('font-size', fontSize.title)
             .style('font-weight', '700')
-            .style('fill', '#0f172a')
+            .style('fill', chartStyles.theme('text-strong'))
             .text(titleText);
 
         // Prepare stack data
@@ -447,24 +332,67 @@ class TestingStackedPercentageChart {
             total: d.total
         }));
 
-        // Draw bars
-        const bars = this.svg.selectAll('.bar-group')
-            .data(stackData)
-            .enter()
-            .append('g')
-            .attr('class', 'bar-group')
-            .attr('transform', d => `translate(0,${yScale(d.jurisdiction)})`);
+        // One row per jurisdiction; new rows start with empty bars
+        const bars = this.layer('bars').selectAll('.bar-group')
+            .data(stackData, d => d.jurisdiction)
+            .join(
+                enter => {
+                    const row = enter.append('g')
+                        .attr('class', 'bar-group')
+                        .attr('transform', d => `translate(0,${yScale(d.jurisdiction)})`)
+                        .style('opacity', 0);
+
+                    row.append('rect')
+                        .attr('class', 'alcohol-bar')
+                        .attr('x', 0)
+                        .attr('y', 0)
+                        .attr('width', 0)
+                        .attr('rx', 4)
+                        .style('cursor', 'pointer');
+
+                    row.append('rect')
+                        .attr('class', 'drug-bar')
+                        .attr('x', 0)
+                        .attr('y', 0)
+                        .attr('width', 0)
+                        .attr('rx', 4)
+                        .style('cursor', 'pointer');
+
+                    // Invisible wider hover areas for small drug bars
+                    row.append('rect')
+                        .attr('class', 'drug-bar-hover')
+                        .attr('y', 0)
+                        .attr('fill', 'transparent')
+                        .style('cursor', 'pointer');
+
+                    row.append('text')
+                        .attr('class', 'alcohol-label')
+                        .attr('x', 0)
+                        .attr('text-anchor', 'middle')
+                        .style('font-weight', '700')
+                        .style('fill', 'white');
+
+                    row.append('text')
+                        .attr('class', 'drug-label')
+                        .attr('x', 0)
+                        .style('font-weight', '700');
+
+                    return row;
+                },
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .style('opacity', 0)
+                    .remove()
+            );
+
+        BaseChart.animate(bars, t)
+            .attr('transform', d => `translate(0,${yScale(d.jurisdiction)})`)
+            .style('opacity', 1);
 
         // Alcohol bars (left side)
-        bars.append('rect')
-            .attr('class', 'alcohol-bar')
-            .attr('x', 0)
-            .attr('y', 0)
+        bars.select('.alcohol-bar')
             .attr('height', yScale.bandwidth())
-            .attr('width', 0)
-            .attr('fill', this.config.colors.alcohol)
-            .attr('rx', 4)
-            .style('cursor', 'pointer')
+            .attr('fill', chartStyles.metricFill(this.svg, 'alcohol'))
             .on('mouseover', (event, d) => {
                 d3.select(event.target).style('opacity', 0.8);
                 this.showTooltip(event, d, 'alcohol');
@@ -474,21 +402,13 @@ class TestingStackedPercentageChart {
                 this.hideTooltip();
             })
             .on('mousemove', (event) => this.moveTooltip(event))
-            .transition()
-            .duration(1000)
-            .delay((d, i) => i * 100)
-            .attr('width', d => xScale(d.alcohol));
+            .call(rects => BaseChart.animate(rects, t)
+                .attr('width', d => xScale(d.alcohol)));
 
         // Drug bars (right side, stacked on alcohol)
-        bars.append('rect')
-            .attr('class', 'drug-bar')
-            .attr('x', d => xScale(d.alcohol))
-            .attr('y', 0)
+        bars.select('.drug-bar')
             .attr('height', yScale.bandwidth())
-            .attr('width', 0)
-            .attr('fill', this.config.colors.drug)
-            .attr('rx', 4)
-            .style('cursor', 'pointer')
+            .attr('fill', chartStyles.metricFill(this.svg, 'drug'))
             .on('mouseover', (event, d) => {
                 d3.select(event.target).style('opacity', 0.8);
                 this.showTooltip(event, d, 'drug');
@@ -498,14 +418,11 @@ class TestingStackedPercentageChart {
                 this.hideTooltip();
             })
             .on('mousemove', (event) => this.moveTooltip(event))
-            .transition()
-            .duration(1000)
-            .delay((d, i) => i * 100 + 500)
-            .attr('width', d => xScale(d.drug));
-
-        // Add invisible wider hover areas for small drug bars
-        bars.append('rect')
-            .attr('class', 'drug-bar-hover')
+            .call(rects => BaseChart.animate(rects, t)
+                .attr('x', d => xScale(d.alcohol))
+                .attr('width', d => xScale(d.drug)));
+
+        bars.select('.drug-bar-hover')
             .attr('x', d => {
                 // If drug percentage is very small, extend hover area to the left
                 if (d.drug < 5) {
@@ -513,7 +430,6 @@ class TestingStackedPercentageChart {
                 }
                 return xScale(d.alcohol);
             })
-            .attr('y', 0)
             .attr('height', yScale.bandwidth())
             .attr('width', d => {
                 // Make hover area wider for small percentages
@@ -522,13 +438,11 @@ class TestingStackedPercentageChart {
                 }
                 return xScale(d.drug);
             })
-            .attr('fill', 'transparent')
-            .style('cursor', 'pointer')
             .on('mouseover', (event, d) => {
                 // Highlight the actual drug bar
                 d3.select(event.target.parentNode).select('.drug-bar')
                     .style('opacity', 0.8)
-                    .style('stroke', '#fff')
+                    .style('stroke', chartStyles.theme('surface'))
                     .style('stroke-width', 2);
                 this.showTooltip(event, d, 'drug');
             })
@@ -541,161 +455,113 @@ class TestingStackedPercentageChart {
             .on('mousemove', (event) => this.moveTooltip(event));
 
         // Add percentage labels on bars
-        bars.append('text')
-            .attr('class', 'alcohol-label')
-            .attr('x', d => xScale(d.alcohol) / 2)
+        bars.select('.alcohol-label')
             .attr('y', yScale.bandwidth() / 2 + 4)
-            .attr('text-anchor', 'middle')
             .style('font-size', fontSize.barLabel)
-            .style('font-weight', '700')
-            .style('fill', 'white')
-            .style('opacity', 0)
             .text(d => d.alcohol > 5 ? d.alcohol.toFixed(1) + '%' : '')
-            .transition()
-            .duration(800)
-            .delay((d, i) => i * 100 + 800)
-            .style('opacity', 1);
+            .call(texts => BaseChart.animate(texts, t)
+                .attr('x', d => xScale(d.alcohol) / 2));
 
         // Drug labels - show for smaller percentages too with adjusted positioning
-        bars.append('text')
-            .attr('class', 'drug-label')
-            .attr('x', d => {
-                if (d.drug < 5) {
-                    // Position to the right of the bar for very small percentages
-                    return xScale(100) + 5;
-                }
-                return xScale(d.alcohol) + xScale(d.drug) / 2;
-            })
+        bars.select('.drug-label')
             .attr('y', yScale.bandwidth() / 2 + 4)
             .attr('text-anchor', d => d.drug < 5 ? 'start' : 'middle')
             .style('font-size', fontSize.barLabel)
-            .style('font-weight', '700')
             .style('fill', d => d.drug < 5 ? '#e74c3c' : 'white')
-            .style('opacity', 0)
             .text(d => d.drug.toFixed(1) + '%')
-            .transition()
-            .duration(800)
-            .delay((d, i) => i * 100 + 1200)
-            .style('opacity', 1);
+            .call(texts => BaseChart.animate(texts, t)
+                .attr('x', d => {
+                    if (d.drug < 5) {
+                        // Position to the right of the bar for very small percentages
+                        return xScale(100) + 5;
+                    }
+                    return xScale(d.alcohol) + xScale(d.drug) / 2;
+                }));
 
         // Add legend - positioned at the bottom of the chart
-        if (!isMobile) {
-            const legend = this.svg.append('g')
-                .attr('class', 'legend')
-                .attr('transform', `translate(${width / 2 - 100}, ${height + 40})`); // Moved to bottom center
-
-            // Legend background
-            legend.append('rect')
-                .attr('x', -10)
-                .attr('y', -5)
-                .attr('width', 210) // Wider to fit horizontally
-                .attr('height', 32) // Shorter height
-                .attr('fill', '#f8fafc')
-                .attr('stroke', '#e2e8f0')
-                .attr('stroke-width', 1)
-                .attr('rx', 6);
-
-            // Alcohol legend
-            legend.append('rect')
-                .attr('x', 0)
-                .attr('y', 5)
-                .attr('width', 16)
-                .attr('height', 12)
-                .attr('fill', this.config.colors.alcohol)
-                .attr('rx', 2);
-
-            legend.append('text')
-                .attr('x', 22)
-                .attr('y', 15)
-                .style('font-size', '11px')
-                .style('font-weight', '600')
-                .style('fill', '#1e293b')
-                .text('Alcohol Tests');
-
-            // Drug legend - positioned to the right
-            legend.append('rect')
-                .attr('x', 110) // Horizontal positioning
-                .attr('y', 5)
-                .attr('width', 16)
-                .attr('height', 12)
-                .attr('fill', this.config.colors.drug)
-                .attr('rx', 2);
-
-            legend.append('text')
-                .attr('x', 132) // Horizontal positioning
-                .attr('y', 15)
-                .style('font-size', '11px')
-                .style('font-weight', '600')
-                .style('fill', '#1e293b')
-                .text('Drug Tests');
+        if (compact) {
+            this.svg.selectChild('g.legend').remove();
+            return;
         }
-    }
 
-    /**
-     * Show tooltip
-     */
-    showTooltip(event, data, type) {
-        const testType = type === 'alcohol' ? 'Alcohol (Breath) Tests' : 'Drug Tests';
-        const percentage = type === 'alcohol' ? data.alcohol : data.drug;
-        const count = type === 'alcohol' ? data.alcoholTests : data.drugTests;
-        const color = type === 'alcohol' ? this.config.colors.alcohol : this.config.colors.drug;
-
-        const tooltipContent = `
-            <div style="font-weight: 700; margin-bottom: 8px; font-size: 16px; color: ${color};">
-                ${testType}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>Jurisdiction:</strong> ${data.jurisdiction}
-            </div>
-            ${this.selectedYear !== 'all' ? `
-                <div style="margin-bottom: 4px;">
-                    <strong>Year:</strong> ${this.selectedYear}
-                </div>
-            ` : ''}
-            <div style="margin-bottom: 4px;">
-                <strong>Percentage:</strong> ${percentage.toFixed(1)}%
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>Total Tests:</strong> ${count.toLocaleString()}
-            </div>
-            <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 12px; color: rgba(255,255,255,0.8);">
-                Total Combined: ${data.total.toLocaleString()} tests
-            </div>
-        `;
-
-        this.tooltip
-            .html(tooltipContent)
-            .style('visibility', 'visible');
-
-        this.moveTooltip(event);
+        const legend = this.layer('legend')
+            .attr('transform', `translate(${width / 2 - 100}, ${height + 40})`); // Moved to bottom center
+
+        // Legend background
+        legend.selectAll('.legend-background')
+            .data([null])
+            .join('rect')
+            .attr('class', 'legend-background')
+            .attr('x', -10)
+            .attr('y', -5)
+            .attr('width', 210) // Wider to fit horizontally
+            .attr('height', 32) // Shorter height
+            .attr('fill', chartStyles.theme('surface-alt'))
+            .attr('stroke', chartStyles.theme('grid'))
+            .attr('stroke-width', 1)
+            .attr('rx', 6);
+
+        // Alcohol, then drug to the right
+        legend.selectAll('.legend-item')
+            .data([
+                { type: 'alcohol', label: 'Alcohol Tests', x: 0 },
+                { type: 'drug', label: 'Drug Tests', x: 110 }
+            ])
+            .join(enter => {
+                const item = enter.append('g')
+                    .attr('class', 'legend-item');
+
+                item.append('rect')
+                    .attr('y', 5)
+                    .attr('width', 16)
+                    .attr('height', 12)
+                    .attr('rx', 2);
+
+                item.append('text')
+                    .attr('x', 22)
+                    .attr('y', 15)
+                    .style('font-size', '11px')
+                    .style('font-weight', '600');
+
+                return item;
+            })
+            .attr('transform', d => `translate(${d.x},0)`)
+            .call(items => {
+                items.select('rect')
+                    .attr('fill', d => chartStyles.metricFill(this.svg, d.type));
+                items.select('text')
+                    .style('fill', chartStyles.theme('text'))
+                    .text(d => d.label);
+            });
     }
 
     /**
-     * Move tooltip
+     * The plotted shares, for data downloads
      */
-    moveTooltip(event) {
-        this.tooltip
-            .style('left', (event.pageX + 15) + 'px')
-            .style('top', (event.pageY - 15) + 'px');
+    getSeries() {
+        return this.aggregateData();
     }
 
     /**
-     * Hide tooltip
+     * Tooltip template for a mark
      */
-    hideTooltip() {
-        this.tooltip.style('visibility', 'hidden');
-    }
+    tooltipTemplate(data, type) {
+        const percentage = type === 'alcohol' ? data.alcohol : data.drug;
+        const count = type === 'alcohol' ? data.alcoholTests : data.drugTests;
 
-    /**
-     * Destroy chart and cleanup
-     */
-    destroy() {
-        window.removeEventListener('resize', this.resizeHandler);
-        
-        if (this.tooltip) {
-            this.tooltip.remove();
-        }
-        this.container.selectAll('*').remove();
+        return {
+            title: type === 'alcohol' ? 'Alcohol (Breath) Tests' : 'Drug Tests',
+            color: chartStyles.metricColor(type),
+            rows: [
+                { label: 'Jurisdiction', value: data.jurisdiction },
+                this.selectedYear !== 'all' && { label: 'Year', value: this.selectedYear },
+                { label: 'Percentage', value: `${percentage.toFixed(1)}%` },
+                { label: 'Total Tests', value: count.toLocaleString() }
+            ],
+            footer: [
+                { value: `Total Combined: ${data.total.toLocaleString()} tests` }
+            ]
+        };
     }
 }
 
@@ -4,145 +4,53 @@
  * Filter by year to see how rankings change over time
  */
 
-class TestingStateRankingChart {
+class TestingStateRankingChart extends BaseChart {
     constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = d3.select(`#${containerId}`);
-        
         // Default configuration
-        this.config = {
-            margin: { top: 60, right: 40, bottom: 80, left: 120 },
-            colors: {
-                'ACT': '#e74c3c',
-                'NSW': '#3498db',
-                'NT': '#f39c12',
-                'QLD': '#9b59b6',
-                'SA': '#1abc9c',
-                'TAS': '#e67e22',
-                'VIC': '#2ecc71',
-                'WA': '#34495e'
-            },
-            defaultColor: '#3b82f6',
-            ...options
-        };
+        super(containerId, {
+            breakpoints: [
+                { below: 576, height: 400, margin: { top: 50, right: 20, bottom: 80, left: 100 } },
+                { below: 768, height: 450, margin: { top: 55, right: 30, bottom: 80, left: 120 } },
+                { below: 992, height: 500, margin: { top: 60, right: 40, bottom: 80, left: 140 } },
+                { maxWidth: 1200, height: 550, margin: { top: 60, right: 40, bottom: 80, left: 140 } }
+            ],
+            responsive: true,
+            // Bars that are not a jurisdiction (jurisdiction colours come from chartStyles)
+            defaultColor: '#3b82f6'
+        }, options);
 
-        this.data = null;
-        this.svg = null;
-        this.tooltip = null;
         this.selectedYear = 'all';
         this.availableYears = [];
-        
-        // Bind resize handler
-        this.resizeHandler = this.handleResize.bind(this);
-    }
-
-    /**
-     * Get responsive dimensions based on container width
-     */
-    getResponsiveDimensions() {
-        const containerWidth = this.container.node().getBoundingClientRect().width;
-        
-        let width, height, margin;
-        
-        if (containerWidth < 576) {
-            width = containerWidth - 20;
-            height = 400;
-            margin = { top: 50, right: 20, bottom: 80, left: 100 }; // Increased left margin
-        } else if (containerWidth < 768) {
-            width = containerWidth - 30;
-            height = 450;
-            margin = { top: 55, right: 30, bottom: 80, left: 120 }; // Increased left margin
-        } else if (containerWidth < 992) {
-            width = containerWidth - 40;
-            height = 500;
-            margin = { top: 60, right: 40, bottom: 80, left: 140 }; // Increased left margin
-        } else {
-            width = Math.min(containerWidth - 40, 1200);
-            height = 550;
-            margin = { top: 60, right: 40, bottom: 80, left: 140 }; // Increased left margin
-        }
-        
-        return { width, height, margin };
-    }
-
-    /**
-     * Handle window resize
-     */
-    handleResize() {
-        clearTimeout(this.resizeTimeout);
-        this.resizeTimeout = setTimeout(() => {
-            if (this.data) {
-                this.render();
-            }
-        }, 250);
-    }
-
-    /**
-     * Load Excel data
-     */
-    async loadData(excelPath) {
-        try {
-            const workbook = await this.loadExcelFile(excelPath);
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-            const rawData = XLSX.utils.sheet_to_json(worksheet);
-            
-            // Process data
-            this.data = rawData.map(d => ({
-                jurisdiction: d.JURISDICTION,
-                year: +d.YEAR,
-                metric: d.METRIC,
-                count: +d.COUNT || 0
-            }));
-
-            // Extract available years and sort
-            this.availableYears = [...new Set(this.data.map(d => d.year))].sort((a, b) => a - b);
-
-            console.log(`✓ Loaded ${this.data.length} records for state ranking chart`);
-            console.log(`✓ Available years: ${this.availableYears.join(', ')}`);
-            return this.data;
-        } catch (error) {
-            console.error('Error loading Excel file:', error);
-            throw error;
-        }
     }
 
     /**
-     * Load Excel file using SheetJS
+     * Map dataset rows to chart records
+     * @param {Array} rows - Rows of the alcohol and drug tests dataset
      */
-    async loadExcelFile(path) {
-        const response = await fetch(path);
-        const arrayBuffer = await response.arrayBuffer();
-        return XLSX.read(arrayBuffer, { type: 'array' });
+    processData(rows) {
+        // Process data
+        const data = rows.map(d => ({
+            jurisdiction: d.JURISDICTION,
+            year: +d.YEAR,
+            metric: d.METRIC,
+            count: d.COUNT
+        }));
+
+        // Extract available years and sort
+        this.availableYears = [...new Set(data.map(d => d.year))].sort((a, b) => a - b);
+
+        console.log(`✓ Loaded ${data.length} records for state ranking chart`);
+        console.log(`✓ Available years: ${this.availableYears.join(', ')}`);
+        return data;
     }
 
     /**
      * Initialize the chart
      */
     init() {
-        const filterExists = this.container.select('.ranking-filter-controls').node();
-        
-        if (!filterExists) {
-            this.createFilterControls();
-        }
-
-        if (!this.tooltip) {
-            this.tooltip = d3.select('body')
-                .append('div')
-                .attr('class', 'chart-tooltip ranking-chart-tooltip')
-                .style('position', 'absolute')
-                .style('visibility', 'hidden')
-                .style('background-color', 'rgba(0, 0, 0, 0.9)')
-                .style('color', 'white')
-                .style('padding', '12px 16px')
-                .style('border-radius', '8px')
-                .style('font-size', '13px')
-                .style('pointer-events', 'none')
-                .style('z-index', '1000')
-                .style('box-shadow', '0 4px 12px rgba(0,0,0,0.3)');
-        }
-
-        window.addEventListener('resize', this.resizeHandler);
+        super.init();
+        this.createFilterControls();
+        this.createSvg();
 
         return this;
     }
@@ -156,9 +64,9 @@ class TestingStateRankingChart {
             .attr('class', 'ranking-filter-controls')
             .style('margin-bottom', '20px')
             .style('padding', '16px')
-            .style('background', '#f8fafc')
+            .style('background', 'var(--chart-surface-alt)')
             .style('border-radius', '8px')
-            .style('border', '1px solid #e2e8f0')
+            .style('border', '1px solid var(--chart-grid)')
             .style('display', 'flex')
             .style('gap', '20px')
             .style('align-items', 'center')
@@ -174,7 +82,7 @@ class TestingStateRankingChart {
         yearContainer.append('label')
             .style('font-size', '14px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('white-space', 'nowrap')
             .html(' Year:');
 
@@ -182,12 +90,12 @@ class TestingStateRankingChart {
             .append('select')
             .attr('id', 'year-ranking-filter')
             .style('padding', '8px 12px')
-            .style('background', 'white')
-            .style('border', '2px solid #cbd5e1')
+            .style('background', 'var(--chart-surface)')
+            .style('border', '2px solid var(--chart-border)')
             .style('border-radius', '6px')
             .style('font-weight', '600')
             .style('font-size', '14px')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('cursor', 'pointer')
             .style('min-width', '150px')
             .on('change', (event) => {
@@ -209,7 +117,7 @@ class TestingStateRankingChart {
         // Info text
         const infoText = filterContainer
             .append('div')
-            .style('color', '#64748b')
+            .style('color', 'var(--chart-text-muted)')
             .style('font-size', '13px')
             .style('font-style', 'italic')
             .html('💡 States ranked by total testing volume');
@@ -261,46 +169,45 @@ class TestingStateRankingChart {
         if (!this.data) return [];
 
         // Filter by year if selected
-        let filteredData = this.data;
+        const where = {};
         if (this.selectedYear !== 'all') {
-            filteredData = filteredData.filter(d => d.year === +this.selectedYear);
+            where.year = +this.selectedYear;
         }
 
-        // Group by jurisdiction
-        const jurisdictionMap = new Map();
-
-        filteredData.forEach(d => {
-            const jurisdiction = d.jurisdiction;
-            
-            if (!jurisdictionMap.has(jurisdiction)) {
-                jurisdictionMap.set(jurisdiction, {
-                    jurisdiction: jurisdiction,
-                    totalTests: 0,
-                    alcoholTests: 0,
-                    drugTests: 0
-                });
-            }
-            
-            const jurisdictionData = jurisdictionMap.get(jurisdiction);
-            jurisdictionData.totalTests += d.count;
-
-            // Categorize by test type
-            if (d.metric && d.metric.toLowerCase().includes('breath_tests_conducted')) {
-                jurisdictionData.alcoholTests += d.count;
-            } else if (d.metric && d.metric.toLowerCase().includes('drug_tests_conducted')) {
-                jurisdictionData.drugTests += d.count;
+        // Totals per jurisdiction, ranked by total tests (descending)
+        return dataLoader.query(this.data, {
+            where,
+            groupBy: 'jurisdiction',
+            measures: {
+                totalTests: { field: 'count', op: 'sum' },
+                alcoholTests: { field: 'count', op: 'sum', where: { metric: 'breath_tests_conducted' } },
+                drugTests: { field: 'count', op: 'sum', where: { metric: 'drug_tests_conducted' } }
             }
-        });
-
-        // Convert to array and sort by total tests (descending)
-        const result = Array.from(jurisdictionMap.values())
+        })
             .sort((a, b) => b.totalTests - a.totalTests)
             .map((d, index) => ({
                 ...d,
                 rank: index + 1
             }));
+    }
+
+    /**
+     * Axis label for the ranked figure
+     */
+    getValueLabel() {
+        return 'Total Tests Conducted';
+    }
 
-        return result;
+    /**
+     * Format the ranked figure; compact layouts abbreviate large totals
+     */
+    formatValue(value, compact = false) {
+        if (compact && value >= 1000000) {
+            return (value / 1000000).toFixed(1) + 'M';
+        } else if (compact && value >= 1000) {
+            return (value / 1000).toFixed(0) + 'K';
+        }
+        return value.toLocaleString();
     }
 
     /**
@@ -314,54 +221,31 @@ class TestingStateRankingChart {
     }
 
     /**
-     * Render the chart
+     * Draw the chart. Each jurisdiction keeps its row across redraws: a new year
+     * slides the rows into their new ranks while the bars grow or shrink to their new values.
      */
-    render() {
-        if (!this.data) {
-            console.error('No data loaded');
-            return;
-        }
-
-        // Remove existing SVG
-        this.container.select('svg').remove();
-
-        const dimensions = this.getResponsiveDimensions();
-        const margin = dimensions.margin;
-        const width = dimensions.width - margin.left - margin.right;
-        const height = dimensions.height - margin.top - margin.bottom;
-
-        // Create SVG
-        this.svg = this.container
-            .append('svg')
-            .attr('width', dimensions.width)
-            .attr('height', dimensions.height)
-            .attr('viewBox', `0 0 ${dimensions.width} ${dimensions.height}`)
-            .attr('preserveAspectRatio', 'xMidYMid meet')
-            .append('g')
-            .attr('transform', `translate(${margin.left},${margin.top})`);
+    draw() {
+        const dimensions = this.getDimensions();
+        const width = dimensions.innerWidth;
+        const height = dimensions.innerHeight;
+        const t = this.transition();
 
         // Get aggregated data
         const chartData = this.aggregateData();
 
         if (chartData.length === 0) {
-            this.svg.append('text')
-                .attr('x', width / 2)
-                .attr('y', height / 2)
-                .attr('text-anchor', 'middle')
-                .style('font-size', '16px')
-                .style('fill', '#64748b')
-                .text('No data available for selected year');
+            this.drawEmpty('No data available for selected year');
             return;
         }
 
         // Responsive font sizes
-        const isMobile = dimensions.width < 576;
+        const compact = dimensions.compact;
         const fontSize = {
-            axis: isMobile ? '10px' : '12px',
-            axisLabel: isMobile ? '12px' : '14px',
-            title: isMobile ? '16px' : '20px',
-            barLabel: isMobile ? '10px' : '12px',
-            rank: isMobile ? '14px' : '16px'
+            axis: compact ? '10px' : '12px',
+            axisLabel: compact ? '12px' : '14px',
+            title: compact ? '16px' : '20px',
+            barLabel: compact ? '10px' : '12px',
+            rank: compact ? '14px' : '16px'
         };
 
         // Create scales
@@ -376,40 +260,41 @@ class TestingStateRankingChart {
             .nice();
 
         // Add grid
-        this.svg.append('g')
-            .attr('class', 'grid')
-            .style('stroke', '#e5e7eb')
+        BaseChart.animate(this.layer('grid'), t)
+            .style('stroke', chartStyles.theme('grid'))
             .style('stroke-opacity', 0.7)
             .style('stroke-dasharray', '3,3')
             .call(d3.axisBottom(xScale)
                 .tickSize(height)
                 .tickFormat('')
-                .ticks(isMobile ? 5 : 8)
+                .ticks(compact ? 5 : 8)
             );
 
         // Add axes
-        const yAxis = this.svg.append('g')
-            .attr('class', 'y-axis')
+        const yAxis = this.layer('y-axis');
+
+        BaseChart.animate(yAxis, t)
             .call(d3.axisLeft(yScale));
 
         yAxis.selectAll('text')
             .style('font-size', fontSize.axis)
             .style('font-weight', '700')
-            .style('fill', '#1e293b');
+            .style('fill', chartStyles.theme('text'));
+
+        const xAxis = this.layer('x-axis')
+            .attr('transform', `translate(0,${height})`);
 
-        const xAxis = this.svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${height})`)
+        BaseChart.animate(xAxis, t)
             .call(d3.axisBottom(xScale)
                 .tickFormat(d => {
-                    if (isMobile && d >= 1000000) {
+                    if (compact && d >= 1000000) {
                         return (d / 1000000).toFixed(1) + 'M';
-                    } else if (isMobile && d >= 1000) {
+                    } else if (compact && d >= 1000) {
                         return (d / 1000).toFixed(0) + 'K';
                     }
                     return d.toLocaleString();
                 })
-                .ticks(isMobile ? 5 : 8)
+                .ticks(compact ? 5 : 8)
             );
 
         xAxis.selectAll('text')
@@ -417,43 +302,86 @@ class TestingStateRankingChart {
             .style('font-weight', '500');
 
         // Add axis label
-        this.svg.append('text')
+        const labels = this.layer('labels');
+
+        labels.selectAll('.x-label')
+            .data([null])
+            .join('text')
+            .attr('class', 'x-label')
             .attr('x', width / 2)
-            .attr('y', height + (isMobile ? 60 : 55))
+            .attr('y', height + (compact ? 60 : 55))
             .attr('text-anchor', 'middle')
             .style('font-size', fontSize.axisLabel)
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
-            .text('Total Tests Conducted');
+            .style('fill', chartStyles.theme('text'))
+            .text(this.getValueLabel());
 
         // Add title
         const titleText = `Tests by State - Ranking${this.getChartSubtitle()}`;
 
-        this.svg.append('text')
+        labels.selectAll('.chart-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'chart-title')
             .attr('x', width / 2)
             .attr('y', -30)
             .attr('text-anchor', 'middle')
             .style('font-size', fontSize.title)
             .style('font-weight', '700')
-            .style('fill', '#0f172a')
+            .style('fill', chartStyles.theme('text-strong'))
             .text(titleText);
 
-        // Draw bars
-        const bars = this.svg.selectAll('.bar')
-            .data(chartData)
-            .enter()
-            .append('g')
-            .attr('class', 'bar-group');
-
-        bars.append('rect')
-            .attr('class', 'bar')
-            .attr('x', 0)
-            .attr('y', d => yScale(d.jurisdiction))
+        // One row per jurisdiction, positioned at its rank; new rows start with an empty bar
+        const rows = this.layer('bars').selectAll('.bar-group')
+            .data(chartData, d => d.jurisdiction)
+            .join(
+                enter => {
+                    const row = enter.append('g')
+                        .attr('class', 'bar-group')
+                        .attr('transform', d => `translate(0,${yScale(d.jurisdiction)})`)
+                        .style('opacity', 0);
+
+                    row.append('rect')
+                        .attr('class', 'bar')
+                        .attr('x', 0)
+                        .attr('width', 0)
+                        .attr('rx', 4)
+                        .style('cursor', 'pointer');
+
+                    // Rank badges - positioned to the left of y-axis
+                    row.append('circle')
+                        .attr('class', 'rank-badge')
+                        .attr('cx', -55)
+                        .attr('stroke-width', 2);
+
+                    row.append('text')
+                        .attr('class', 'rank-text')
+                        .attr('x', -55)
+                        .attr('text-anchor', 'middle')
+                        .style('font-weight', '700')
+                        .style('fill', 'white');
+
+                    row.append('text')
+                        .attr('class', 'bar-label')
+                        .attr('x', 5)
+                        .style('font-weight', '700');
+
+                    return row;
+                },
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .style('opacity', 0)
+                    .remove()
+            );
+
+        BaseChart.animate(rows, t)
+            .attr('transform', d => `translate(0,${yScale(d.jurisdiction)})`)
+            .style('opacity', 1);
+
+        // Children take their row's new datum
+        rows.select('.bar')
             .attr('height', yScale.bandwidth())
-            .attr('width', 0)
-            .attr('fill', d => this.config.colors[d.jurisdiction] || this.config.defaultColor)
-            .attr('rx', 4)
-            .style('cursor', 'pointer')
+            .attr('fill', d => chartStyles.jurisdictionFill(this.svg, d.jurisdiction, this.config.defaultColor))
             .on('mouseover', (event, d) => {
                 d3.select(event.target)
                     .style('opacity', 0.8);
@@ -465,133 +393,77 @@ class TestingStateRankingChart {
                 this.hideTooltip();
             })
             .on('mousemove', (event) => this.moveTooltip(event))
-            .transition()
-            .duration(1000)
-            .delay((d, i) => i * 100)
-            .attr('width', d => xScale(d.totalTests));
-
-        // Add rank badges - positioned to the left of y-axis
-        bars.append('circle')
-            .attr('cx', -55) // Moved further left
-            .attr('cy', d => yScale(d.jurisdiction) + yScale.bandwidth() / 2)
-            .attr('r', isMobile ? 12 : 14) // Slightly smaller
+            .call(bars => BaseChart.animate(bars, t)
+                .attr('width', d => xScale(d.totalTests)));
+
+        rows.select('.rank-badge')
+            .attr('cy', yScale.bandwidth() / 2)
+            .attr('r', compact ? 12 : 14)
             .attr('fill', d => {
                 if (d.rank === 1) return '#f59e0b'; // Gold
                 if (d.rank === 2) return '#9ca3af'; // Silver
                 if (d.rank === 3) return '#d97706'; // Bronze
                 return '#64748b'; // Default
             })
-            .attr('stroke', 'white')
-            .attr('stroke-width', 2)
-            .style('opacity', 0)
-            .transition()
-            .duration(800)
-            .delay((d, i) => i * 100 + 500)
-            .style('opacity', 1);
+            .attr('stroke', chartStyles.theme('surface'));
 
-        bars.append('text')
-            .attr('class', 'rank-text')
-            .attr('x', -55) // Moved further left to match circle
-            .attr('y', d => yScale(d.jurisdiction) + yScale.bandwidth() / 2 + 4)
-            .attr('text-anchor', 'middle')
-            .style('font-size', isMobile ? '12px' : '14px') // Slightly smaller
-            .style('font-weight', '700')
-            .style('fill', 'white')
-            .style('opacity', 0)
-            .text(d => d.rank)
-            .transition()
-            .duration(800)
-            .delay((d, i) => i * 100 + 500)
-            .style('opacity', 1);
+        rows.select('.rank-text')
+            .attr('y', yScale.bandwidth() / 2 + 4)
+            .style('font-size', compact ? '12px' : '14px')
+            .text(d => d.rank);
 
-        // Add value labels on bars
-        bars.append('text')
-            .attr('class', 'bar-label')
-            .attr('x', d => xScale(d.totalTests) + 5)
-            .attr('y', d => yScale(d.jurisdiction) + yScale.bandwidth() / 2 + 4)
+        // Value labels ride on the end of their bars
+        rows.select('.bar-label')
+            .attr('y', yScale.bandwidth() / 2 + 4)
             .style('font-size', fontSize.barLabel)
-            .style('font-weight', '700')
-            .style('fill', '#475569')
-            .style('opacity', 0)
-            .text(d => {
-                if (isMobile && d.totalTests >= 1000000) {
-                    return (d.totalTests / 1000000).toFixed(1) + 'M';
-                } else if (isMobile && d.totalTests >= 1000) {
-                    return (d.totalTests / 1000).toFixed(0) + 'K';
-                }
-                return d.totalTests.toLocaleString();
-            })
-            .transition()
-            .duration(800)
-            .delay((d, i) => i * 100 + 700)
-            .style('opacity', 1);
+            .style('fill', chartStyles.theme('text-secondary'))
+            .text(d => this.formatValue(d.totalTests, compact))
+            .call(texts => BaseChart.animate(texts, t)
+                .attr('x', d => xScale(d.totalTests) + 5));
     }
 
     /**
-     * Show tooltip
+     * The year and measure shown, for exports
      */
-    showTooltip(event, data) {
-        const alcoholPercentage = ((data.alcoholTests / data.totalTests) * 100).toFixed(1);
-        const drugPercentage = ((data.drugTests / data.totalTests) * 100).toFixed(1);
-
-        const tooltipContent = `
-            <div style="font-weight: 700; margin-bottom: 8px; font-size: 16px; display: flex; align-items: center; gap: 8px;">
-                <span style="display: inline-block; width: 24px; height: 24px; background: ${data.rank === 1 ? '#f59e0b' : data.rank === 2 ? '#9ca3af' : data.rank === 3 ? '#d97706' : '#64748b'}; color: white; border-radius: 50%; text-align: center; line-height: 24px; font-size: 14px;">
-                    ${data.rank}
-                </span>
-                ${data.jurisdiction}
-            </div>
-            ${this.selectedYear !== 'all' ? `
-                <div style="margin-bottom: 4px;">
-                    <strong>Year:</strong> ${this.selectedYear}
-                </div>
-            ` : ''}
-            <div style="margin-bottom: 4px;">
-                <strong>Total Tests:</strong> ${data.totalTests.toLocaleString()}
-            </div>
-            <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(255,255,255,0.2);">
-                <div style="margin-bottom: 4px;">
-                    <strong>Alcohol Tests:</strong> ${data.alcoholTests.toLocaleString()} (${alcoholPercentage}%)
-                </div>
-                <div>
-                    <strong>Drug Tests:</strong> ${data.drugTests.toLocaleString()} (${drugPercentage}%)
-                </div>
-            </div>
-        `;
-
-        this.tooltip
-            .html(tooltipContent)
-            .style('visibility', 'visible');
-
-        this.moveTooltip(event);
+    describeFilters() {
+        return `${super.describeFilters()} · ${this.getValueLabel()}`;
     }
 
     /**
-     * Move tooltip
+     * The ranking as plotted, for data downloads
      */
-    moveTooltip(event) {
-        this.tooltip
-            .style('left', (event.pageX + 15) + 'px')
-            .style('top', (event.pageY - 15) + 'px');
+    getSeries() {
+        return this.aggregateData().map(d => ({
+            rank: d.rank,
+            jurisdiction: d.jurisdiction,
+            totalTests: d.totalTests,
+            alcoholTests: d.alcoholTests,
+            drugTests: d.drugTests
+        }));
     }
 
     /**
-     * Hide tooltip
+     * Tooltip template for a mark
      */
-    hideTooltip() {
-        this.tooltip.style('visibility', 'hidden');
-    }
+    tooltipTemplate(data) {
+        const alcoholPercentage = ((data.alcoholTests / data.totalTests) * 100).toFixed(1);
+        const drugPercentage = ((data.drugTests / data.totalTests) * 100).toFixed(1);
 
-    /**
-     * Destroy chart and cleanup
-     */
-    destroy() {
-        window.removeEventListener('resize', this.resizeHandler);
-        
-        if (this.tooltip) {
-            this.tooltip.remove();
-        }
-        this.container.selectAll('*').remove();
+        return {
+            title: data.jurisdiction,
+            badge: {
+                text: data.rank,
+                color: data.rank === 1 ? '#f59e0b' : data.rank === 2 ? '#9ca3af' : data.rank === 3 ? '#d97706' : '#64748b'
+            },
+            rows: [
+                this.selectedYear !== 'all' && { label: 'Year', value: this.selectedYear },
+                { label: 'Total Tests', value: data.totalTests.toLocaleString() }
+            ],
+            footer: [
+                { label: 'Alcohol Tests', value: data.alcoholTests.toLocaleString(), detail: `(${alcoholPercentage}%)` },
+                { label: 'Drug Tests', value: data.drugTests.toLocaleString(), detail: `(${drugPercentage}%)` }
+            ]
+        };
     }
 }
 
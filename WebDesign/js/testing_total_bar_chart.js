@@ -4,160 +4,58 @@
  * Aggregates test counts by jurisdiction or year
  */
 
-class TestingTotalBarChart {
+class TestingTotalBarChart extends BaseChart {
     constructor(containerId, options = {}) {
-        this.containerId = containerId;
-        this.container = d3.select(`#${containerId}`);
-        
         // Default configuration
-        this.config = {
-            margin: { top: 60, right: 40, bottom: 100, left: 80 },
-            colors: {
-                'ACT': '#e74c3c',
-                'NSW': '#3498db',
-                'NT': '#f39c12',
-                'QLD': '#9b59b6',
-                'SA': '#1abc9c',
-                'TAS': '#e67e22',
-                'VIC': '#2ecc71',
-                'WA': '#34495e'
-            },
-            defaultColor: '#3b82f6',
-            ...options
-        };
+        super(containerId, {
+            breakpoints: [
+                { below: 576, height: 400, margin: { top: 50, right: 20, bottom: 120, left: 60 } },
+                { below: 768, height: 450, margin: { top: 55, right: 30, bottom: 110, left: 70 } },
+                { below: 992, height: 500, margin: { top: 60, right: 40, bottom: 100, left: 80 } },
+                { maxWidth: 1200, height: 500, margin: { top: 60, right: 40, bottom: 100, left: 80 } }
+            ],
+            responsive: true,
+            // Bars that are not a jurisdiction (jurisdiction colours come from chartStyles)
+            defaultColor: '#3b82f6'
+        }, options);
 
-        this.data = null;
-        this.svg = null;
-        this.tooltip = null;
         this.groupBy = 'jurisdiction';
         this.selectedYear = 'all';
         this.selectedSubstance = 'all';
         this.availableYears = [];
-        
-        // Bind resize handler
-        this.resizeHandler = this.handleResize.bind(this);
-    }
-
-    /**
-     * Get responsive dimensions based on container width
-     */
-    getResponsiveDimensions() {
-        const containerWidth = this.container.node().getBoundingClientRect().width;
-        
-        // Adjust dimensions based on screen size
-        let width, height, margin;
-        
-        if (containerWidth < 576) {
-            // Mobile
-            width = containerWidth - 20;
-            height = 400;
-            margin = { top: 50, right: 20, bottom: 120, left: 60 };
-        } else if (containerWidth < 768) {
-            // Small tablet
-            width = containerWidth - 30;
-            height = 450;
-            margin = { top: 55, right: 30, bottom: 110, left: 70 };
-        } else if (containerWidth < 992) {
-            // Tablet
-            width = containerWidth - 40;
-            height = 500;
-            margin = { top: 60, right: 40, bottom: 100, left: 80 };
-        } else {
-            // Desktop
-            width = Math.min(containerWidth - 40, 1200);
-            height = 500;
-            margin = { top: 60, right: 40, bottom: 100, left: 80 };
-        }
-        
-        return { width, height, margin };
-    }
-
-    /**
-     * Handle window resize
-     */
-    handleResize() {
-        // Debounce resize events
-        clearTimeout(this.resizeTimeout);
-        this.resizeTimeout = setTimeout(() => {
-            if (this.data) {
-                this.render();
-            }
-        }, 250);
-    }
-
-    /**
-     * Load Excel data
-     */
-    async loadData(excelPath) {
-        try {
-            const workbook = await this.loadExcelFile(excelPath);
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-            const rawData = XLSX.utils.sheet_to_json(worksheet);
-            
-            // Process data
-            this.data = rawData.map(d => ({
-                jurisdiction: d.JURISDICTION,
-                year: +d.YEAR,
-                location: d.LOCATION,
-                ageGroup: d.AGEGROUP,
-                metric: d.METRIC,
-                detectionMethod: d.DETECTIONMETHOD,
-                count: +d.COUNT || 0
-            }));
-
-            // Extract available years and sort
-            this.availableYears = [...new Set(this.data.map(d => d.year))].sort((a, b) => a - b);
-
-            console.log(`✓ Loaded ${this.data.length} records from testing data`);
-            console.log(`✓ Available years: ${this.availableYears.join(', ')}`);
-            return this.data;
-        } catch (error) {
-            console.error('Error loading Excel file:', error);
-            throw error;
-        }
     }
 
     /**
-     * Load Excel file using SheetJS
+     * Map dataset rows to chart records
+     * @param {Array} rows - Rows of the alcohol and drug tests dataset
      */
-    async loadExcelFile(path) {
-        const response = await fetch(path);
-        const arrayBuffer = await response.arrayBuffer();
-        return XLSX.read(arrayBuffer, { type: 'array' });
+    processData(rows) {
+        // Process data
+        const data = rows.map(d => ({
+            jurisdiction: d.JURISDICTION,
+            year: +d.YEAR,
+            location: d.LOCATION,
+            ageGroup: d.AGE_GROUP,
+            metric: d.METRIC,
+            detectionMethod: d.DETECTION_METHOD,
+            count: d.COUNT
+        }));
+
+        // Extract available years and sort
+        this.availableYears = [...new Set(data.map(d => d.year))].sort((a, b) => a - b);
+
+        console.log(`✓ Loaded ${data.length} records from testing data`);
+        console.log(`✓ Available years: ${this.availableYears.join(', ')}`);
+        return data;
     }
 
     /**
      * Initialize the chart
      */
     init() {
-        // Clear existing content (except filters if they exist)
-        const filterExists = this.container.select('.filter-controls-container').node();
-        
-        if (!filterExists) {
-            this.container.selectAll('*').remove();
-            this.createFilterControls();
-        }
-
-        // Create tooltip
-        if (!this.tooltip) {
-            this.tooltip = d3.select('body')
-                .append('div')
-                .attr('class', 'chart-tooltip')
-                .style('position', 'absolute')
-                .style('visibility', 'hidden')
-                .style('background-color', 'rgba(0, 0, 0, 0.9)')
-                .style('color', 'white')
-                .style('padding', '12px 16px')
-                .style('border-radius', '8px')
-                .style('font-size', '13px')
-                .style('pointer-events', 'none')
-                .style('z-index', '1000')
-                .style('box-shadow', '0 4px 12px rgba(0,0,0,0.3)');
-        }
-
-        // Add resize listener
-        window.addEventListener('resize', this.resizeHandler);
+        super.init();
+        this.createFilterControls();
+        this.createSvg();
 
         return this;
     }
@@ -171,9 +69,9 @@ class TestingTotalBarChart {
             .attr('class', 'filter-controls-container')
             .style('margin-bottom', '20px')
             .style('padding', '16px')
-            .style('background', '#f8fafc')
+            .style('background', 'var(--chart-surface-alt)')
             .style('border-radius', '8px')
-            .style('border', '1px solid #e2e8f0')
+            .style('border', '1px solid var(--chart-grid)')
             .style('display', 'flex')
             .style('gap', '20px')
             .style('align-items', 'center')
@@ -189,7 +87,7 @@ class TestingTotalBarChart {
         yearFilterContainer.append('label')
             .style('font-size', '14px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('white-space', 'nowrap')
             .html(' Year:');
 
@@ -198,12 +96,12 @@ class TestingTotalBarChart {
             .append('select')
             .attr('id', 'year-filter')
             .style('padding', '8px 12px')
-            .style('background', 'white')
-            .style('border', '2px solid #cbd5e1')
+            .style('background', 'var(--chart-surface)')
+            .style('border', '2px solid var(--chart-border)')
             .style('border-radius', '6px')
             .style('font-weight', '600')
             .style('font-size', '14px')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('cursor', 'pointer')
             .style('min-width', '150px')
             .on('change', (event) => {
@@ -234,7 +132,7 @@ class TestingTotalBarChart {
         substanceFilterContainer.append('label')
             .style('font-size', '14px')
             .style('font-weight', '700')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('white-space', 'nowrap')
             .html(' Substance:');
 
@@ -243,12 +141,12 @@ class TestingTotalBarChart {
             .append('select')
             .attr('id', 'substance-filter')
             .style('padding', '8px 12px')
-            .style('background', 'white')
-            .style('border', '2px solid #cbd5e1')
+            .style('background', 'var(--chart-surface)')
+            .style('border', '2px solid var(--chart-border)')
             .style('border-radius', '6px')
             .style('font-weight', '600')
             .style('font-size', '14px')
-            .style('color', '#1e293b')
+            .style('color', 'var(--chart-text)')
             .style('cursor', 'pointer')
             .style('min-width', '180px')
             .on('change', (event) => {
@@ -389,44 +287,20 @@ class TestingTotalBarChart {
     }
 
     /**
-     * Render the chart
+     * Draw the chart. Changing the year or substance grows or shrinks each jurisdiction's bar and
+     * rescales the axis, rather than drawing the chart again.
      */
-    render() {
-        if (!this.data) {
-            console.error('No data loaded');
-            return;
-        }
-
-        // Remove existing SVG
-        this.container.select('svg').remove();
-
-        // Get responsive dimensions
-        const dimensions = this.getResponsiveDimensions();
-        const margin = dimensions.margin;
-        const width = dimensions.width - margin.left - margin.right;
-        const height = dimensions.height - margin.top - margin.bottom;
-
-        // Create SVG with responsive dimensions
-        this.svg = this.container
-            .append('svg')
-            .attr('width', dimensions.width)
-            .attr('height', dimensions.height)
-            .attr('viewBox', `0 0 ${dimensions.width} ${dimensions.height}`)
-            .attr('preserveAspectRatio', 'xMidYMid meet')
-            .append('g')
-            .attr('transform', `translate(${margin.left},${margin.top})`);
+    draw() {
+        const dimensions = this.getDimensions();
+        const width = dimensions.innerWidth;
+        const height = dimensions.innerHeight;
+        const t = this.transition();
 
         // Aggregate data
         const chartData = this.aggregateData();
 
         if (chartData.length === 0) {
-            this.svg.append('text')
-                .attr('x', width / 2)
-                .attr('y', height / 2)
-                .attr('text-anchor', 'middle')
-                .style('font-size', '16px')
-                .style('fill', '#64748b')
-                .text('No data available for selected filters');
+            this.drawEmpty('No data available for selected filters');
             return;
         }
 
@@ -442,51 +316,52 @@ class TestingTotalBarChart {
             .nice();
 
         // Responsive font sizes
-        const isMobile = dimensions.width < 576;
+        const compact = dimensions.compact;
         const fontSize = {
-            axis: isMobile ? '10px' : '12px',
-            axisLabel: isMobile ? '12px' : '14px',
-            title: isMobile ? '16px' : '20px',
-            barLabel: isMobile ? '9px' : '11px'
+            axis: compact ? '10px' : '12px',
+            axisLabel: compact ? '12px' : '14px',
+            title: compact ? '16px' : '20px',
+            barLabel: compact ? '9px' : '11px'
         };
 
         // Add grid
-        this.svg.append('g')
-            .attr('class', 'grid')
-            .style('stroke', '#e5e7eb')
+        BaseChart.animate(this.layer('grid'), t)
+            .style('stroke', chartStyles.theme('grid'))
             .style('stroke-opacity', 0.7)
             .style('stroke-dasharray', '3,3')
             .call(d3.axisLeft(yScale)
                 .tickSize(-width)
                 .tickFormat('')
-                .ticks(isMobile ? 5 : 8)
+                .ticks(compact ? 5 : 8)
             );
 
         // Add axes
-        const xAxis = this.svg.append('g')
-            .attr('class', 'x-axis')
-            .attr('transform', `translate(0,${height})`)
+        const xAxis = this.layer('x-axis')
+            .attr('transform', `translate(0,${height})`);
+
+        BaseChart.animate(xAxis, t)
             .call(d3.axisBottom(xScale));
 
         xAxis.selectAll('text')
             .style('font-size', fontSize.axis)
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
-            .attr('transform', 'rotate(-45)')
-            .style('text-anchor', 'end');
+            .style('fill', chartStyles.theme('text'));
+
+        this.fitTickLabels(xAxis, xScale.step());
+
+        const yAxis = this.layer('y-axis');
 
-        const yAxis = this.svg.append('g')
-            .attr('class', 'y-axis')
+        BaseChart.animate(yAxis, t)
             .call(d3.axisLeft(yScale)
                 .tickFormat(d => {
-                    if (isMobile && d >= 1000000) {
+                    if (compact && d >= 1000000) {
                         return (d / 1000000).toFixed(1) + 'M';
-                    } else if (isMobile && d >= 1000) {
+                    } else if (compact && d >= 1000) {
                         return (d / 1000).toFixed(0) + 'K';
                     }
                     return d.toLocaleString();
                 })
-                .ticks(isMobile ? 5 : 8)
+                .ticks(compact ? 5 : 8)
             );
 
         yAxis.selectAll('text')
@@ -494,50 +369,67 @@ class TestingTotalBarChart {
             .style('font-weight', '500');
 
         // Add axis labels
-        this.svg.append('text')
+        const labels = this.layer('labels');
+
+        labels.selectAll('.x-label')
+            .data([null])
+            .join('text')
+            .attr('class', 'x-label')
             .attr('x', width / 2)
-            .attr('y', height + (isMobile ? 100 : 80))
+            .attr('y', height + (compact ? 100 : 80))
             .attr('text-anchor', 'middle')
             .style('font-size', fontSize.axisLabel)
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
+            .style('fill', chartStyles.theme('text'))
             .text('Jurisdiction');
 
-        this.svg.append('text')
+        labels.selectAll('.y-label')
+            .data([null])
+            .join('text')
+            .attr('class', 'y-label')
             .attr('transform', 'rotate(-90)')
             .attr('x', -height / 2)
-            .attr('y', isMobile ? -50 : -70)
+            .attr('y', compact ? -50 : -70)
             .attr('text-anchor', 'middle')
             .style('font-size', fontSize.axisLabel)
             .style('font-weight', '600')
-            .style('fill', '#1e293b')
-            .text(isMobile ? 'Total Tests' : 'Total Tests Conducted');
+            .style('fill', chartStyles.theme('text'))
+            .text(compact ? 'Total Tests' : 'Total Tests Conducted');
 
         // Add title with filter info
         const titleText = `Total Tests by Jurisdiction${this.getChartSubtitle()}`;
 
-        this.svg.append('text')
+        labels.selectAll('.chart-title')
+            .data([null])
+            .join('text')
+            .attr('class', 'chart-title')
             .attr('x', width / 2)
             .attr('y', -30)
             .attr('text-anchor', 'middle')
             .style('font-size', fontSize.title)
             .style('font-weight', '700')
-            .style('fill', '#0f172a')
+            .style('fill', chartStyles.theme('text-strong'))
             .text(titleText);
 
         // Draw bars
-        this.svg.selectAll('.bar')
-            .data(chartData)
-            .enter()
-            .append('rect')
-            .attr('class', 'bar')
-            .attr('x', d => xScale(d.label))
-            .attr('width', xScale.bandwidth())
-            .attr('y', height)
-            .attr('height', 0)
-            .attr('fill', d => this.config.colors[d.label] || this.config.defaultColor)
-            .attr('rx', 4)
-            .style('cursor', 'pointer')
+        this.layer('bars').selectAll('.bar')
+            .data(chartData, d => d.label)
+            .join(
+                enter => enter.append('rect')
+                    .attr('class', 'bar')
+                    .attr('x', d => xScale(d.label))
+                    .attr('width', xScale.bandwidth())
+                    .attr('y', height)
+                    .attr('height', 0)
+                    .attr('rx', 4)
+                    .style('cursor', 'pointer'),
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .attr('y', height)
+                    .attr('height', 0)
+                    .remove()
+            )
+            .attr('fill', d => chartStyles.jurisdictionFill(this.svg, d.label, this.config.defaultColor))
             .on('mouseover', (event, d) => {
                 d3.select(event.target)
                     .style('opacity', 0.8);
@@ -549,103 +441,69 @@ class TestingTotalBarChart {
                 this.hideTooltip();
             })
             .on('mousemove', (event) => this.moveTooltip(event))
-            .transition()
-            .duration(800)
-            .delay((d, i) => i * 50)
-            .attr('y', d => yScale(d.count))
-            .attr('height', d => height - yScale(d.count));
+            .call(bars => BaseChart.animate(bars, t)
+                .attr('x', d => xScale(d.label))
+                .attr('width', xScale.bandwidth())
+                .attr('y', d => yScale(d.count))
+                .attr('height', d => height - yScale(d.count)));
 
         // Add value labels on bars (hide on very small screens)
-        if (!isMobile || chartData.length <= 4) {
-            this.svg.selectAll('.bar-label')
-                .data(chartData)
-                .enter()
-                .append('text')
-                .attr('class', 'bar-label')
+        const showLabels = !compact || chartData.length <= 4;
+
+        this.layer('bar-labels').selectAll('.bar-label')
+            .data(showLabels ? chartData : [], d => d.label)
+            .join(
+                enter => enter.append('text')
+                    .attr('class', 'bar-label')
+                    .attr('x', d => xScale(d.label) + xScale.bandwidth() / 2)
+                    .attr('y', height - 5)
+                    .attr('text-anchor', 'middle')
+                    .style('font-weight', '600')
+                    .style('opacity', 0),
+                update => update,
+                exit => BaseChart.animate(exit, t)
+                    .style('opacity', 0)
+                    .remove()
+            )
+            .style('font-size', fontSize.barLabel)
+            .style('fill', chartStyles.theme('text-secondary'))
+            .text(d => {
+                if (compact && d.count >= 1000000) {
+                    return (d.count / 1000000).toFixed(1) + 'M';
+                } else if (compact && d.count >= 1000) {
+                    return (d.count / 1000).toFixed(0) + 'K';
+                }
+                return d.count.toLocaleString();
+            })
+            .call(texts => BaseChart.animate(texts, t)
                 .attr('x', d => xScale(d.label) + xScale.bandwidth() / 2)
                 .attr('y', d => yScale(d.count) - 5)
-                .attr('text-anchor', 'middle')
-                .style('font-size', fontSize.barLabel)
-                .style('font-weight', '600')
-                .style('fill', '#475569')
-                .style('opacity', 0)
-                .text(d => {
-                    if (isMobile && d.count >= 1000000) {
-                        return (d.count / 1000000).toFixed(1) + 'M';
-                    } else if (isMobile && d.count >= 1000) {
-                        return (d.count / 1000).toFixed(0) + 'K';
-                    }
-                    return d.count.toLocaleString();
-                })
-                .transition()
-                .duration(800)
-                .delay((d, i) => i * 50 + 400)
-                .style('opacity', 1);
-        }
+                .style('opacity', 1));
     }
 
     /**
-     * Show tooltip
+     * The plotted totals, for data downloads
      */
-    showTooltip(event, data) {
-        const percentage = ((data.count / d3.sum(this.aggregateData(), d => d.count)) * 100).toFixed(1);
-
-        const filterInfo = [];
-        if (this.selectedYear !== 'all') {
-            filterInfo.push(`<div style="margin-bottom: 4px;"><strong>Year:</strong> ${this.selectedYear}</div>`);
-        }
-        if (this.selectedSubstance !== 'all') {
-            const substanceLabel = this.selectedSubstance === 'alcohol' ? 'Alcohol (Breath Tests)' : 'Drug Tests';
-            filterInfo.push(`<div style="margin-bottom: 4px;"><strong>Substance:</strong> ${substanceLabel}</div>`);
-        }
-
-        const tooltipContent = `
-            <div style="font-weight: 700; margin-bottom: 8px; font-size: 16px;">
-                ${data.label}
-            </div>
-            ${filterInfo.join('')}
-            <div style="margin-bottom: 4px;">
-                <strong>Total Tests:</strong> ${data.count.toLocaleString()}
-            </div>
-            <div style="margin-bottom: 4px;">
-                <strong>Percentage:</strong> ${percentage}%
-            </div>
-        `;
-
-        this.tooltip
-            .html(tooltipContent)
-            .style('visibility', 'visible');
-
-        this.moveTooltip(event);
-    }
-
-    /**
-     * Move tooltip
-     */
-    moveTooltip(event) {
-        this.tooltip
-            .style('left', (event.pageX + 15) + 'px')
-            .style('top', (event.pageY - 15) + 'px');
-    }
-
-    /**
-     * Hide tooltip
-     */
-    hideTooltip() {
-        this.tooltip.style('visibility', 'hidden');
+    getSeries() {
+        return this.aggregateData().map(d => ({ jurisdiction: d.label, tests: d.count }));
     }
 
     /**
-     * Destroy chart and cleanup
+     * Tooltip template for a mark
      */
-    destroy() {
-        // Remove resize listener
-        window.removeEventListener('resize', this.resizeHandler);
-        
-        if (this.tooltip) {
-            this.tooltip.remove();
-        }
-        this.container.selectAll('*').remove();
+    tooltipTemplate(data) {
+        const percentage = ((data.count / d3.sum(this.aggregateData(), d => d.count)) * 100).toFixed(1);
+        const substanceLabel = this.selectedSubstance === 'alcohol' ? 'Alcohol (Breath Tests)' : 'Drug Tests';
+
+        return {
+            title: data.label,
+            rows: [
+                this.selectedYear !== 'all' && { label: 'Year', value: this.selectedYear },
+                this.selectedSubstance !== 'all' && { label: 'Substance', value: substanceLabel },
+                { label: 'Total Tests', value: data.count.toLocaleString() },
+                { label: 'Percentage', value: `${percentage}%` }
+            ]
+        };
     }
 }
 
@@ -0,0 +1,143 @@
+/**
+ * Site Theme
+ * Light and dark themes for the whole site. styles.css holds the colours of both as CSS variables
+ * (the dark ones under html[data-theme="dark"]), including the --chart-* colours charts read through
+ * chartStyles.theme() (js/chart_styles.js). The theme follows the system's prefers-color-scheme until the
+ * reader picks one with the toggle in the navigation bar; that choice is kept in localStorage for every page.
+ * Loaded in each page's <head> so the page never paints in the wrong theme.
+ * Dispatches 'change' ({ theme }) when the theme in use changes, so charts can redraw in it.
+ */
+
+// localStorage key of the reader's choice ('light' or 'dark'); absent means follow the system
+const THEME_STORAGE_KEY = 'siteTheme';
+
+class SiteTheme extends EventTarget {
+    constructor() {
+        super();
+        this.choice = this.loadChoice();
+        this.media = typeof window !== 'undefined' && window.matchMedia
+            ? window.matchMedia('(prefers-color-scheme: dark)')
+            : null;
+        this.theme = null;
+
+        if (this.media) {
+            const follow = () => {
+                if (!this.choice) this.apply();
+            };
+            // Safari before 14 only has addListener()
+            if (this.media.addEventListener) {
+                this.media.addEventListener('change', follow);
+            } else if (this.media.addListener) {
+                this.media.addListener(follow);
+            }
+        }
+
+        // Follow a choice made on another open page
+        if (typeof window !== 'undefined') {
+            window.addEventListener('storage', event => {
+                if (event.key === THEME_STORAGE_KEY) {
+                    this.choice = this.loadChoice();
+                    this.apply();
+                }
+            });
+        }
+
+        this.apply();
+    }
+
+    /**
+     * The reader's saved theme, or null to follow the system
+     * @returns {string|null} 'light', 'dark' or null
+     */
+    loadChoice() {
+        try {
+            const saved = localStorage.getItem(THEME_STORAGE_KEY);
+            return saved === 'light' || saved === 'dark' ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * The theme the system asks for
+     * @returns {string} 'light' or 'dark'
+     */
+    systemTheme() {
+        return this.media && this.media.matches ? 'dark' : 'light';
+    }
+
+    /**
+     * Use a theme. Picking the system's own theme goes back to following the system.
+     * @param {string} theme - 'light' or 'dark'
+     */
+    set(theme) {
+        this.choice = theme === this.systemTheme() ? null : theme;
+        try {
+            if (this.choice) {
+                localStorage.setItem(THEME_STORAGE_KEY, this.choice);
+            } else {
+                localStorage.removeItem(THEME_STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn('Theme choice not saved:', error.message);
+        }
+        this.apply();
+    }
+
+    toggle() {
+        this.set(this.theme === 'dark' ? 'light' : 'dark');
+    }
+
+    /**
+     * Put the theme in use on <html> and tell listeners when it changed
+     */
+    apply() {
+        const theme = this.choice || this.systemTheme();
+        if (theme === this.theme) return;
+
+        this.theme = theme;
+        if (typeof document !== 'undefined') {
+            document.documentElement.setAttribute('data-theme', theme);
+            this.syncToggle();
+        }
+        this.dispatchEvent(new CustomEvent('change', { detail: { theme } }));
+    }
+
+    /**
+     * Add the theme switch to the navigation bar, before the menu button
+     */
+    mountToggle() {
+        const nav = document.querySelector('.navbar .container');
+        if (!nav || nav.querySelector('.theme-toggle')) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'theme-toggle';
+        button.setAttribute('aria-label', 'Dark theme');
+        button.addEventListener('click', () => this.toggle());
+
+        nav.insertBefore(button, nav.querySelector('.hamburger'));
+        this.syncToggle();
+    }
+
+    syncToggle() {
+        const button = document.querySelector('.theme-toggle');
+        if (!button) return;
+
+        button.setAttribute('aria-pressed', String(this.theme === 'dark'));
+        button.textContent = this.theme === 'dark' ? '☀️' : '🌙';
+        button.title = this.theme === 'dark' ? 'Switch to the light theme' : 'Switch to the dark theme';
+    }
+}
+
+// Create global instance
+const siteTheme = new SiteTheme();
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => siteTheme.mountToggle());
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SiteTheme, siteTheme, THEME_STORAGE_KEY };
+}
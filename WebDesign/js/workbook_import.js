@@ -0,0 +1,293 @@
+/**
+ * Workbook Import
+ * Drop-in panel for a new BITRE `police_enforcement_YYYY_*.xlsx` release. The workbook is matched to a
+ * manifest dataset by checking its header row against each workbook schema, parsed in the browser, and swapped in
+ * for the rest of the page load together with the CSV extracts built from it (js/extracts.js).
+ * Nothing is uploaded or saved: reloading the page goes back to the published data.
+ * The loader dispatches 'datasetsreplaced' ({ datasetIds, fileName, diff }) so pages can re-render.
+ */
+
+class WorkbookImporter {
+    /**
+     * @param {DataLoader} loader - Loader whose datasets are replaced
+     * @param {Array} [extracts] - Extract definitions (EXTRACTS from js/extracts.js); extracts built from
+     *     the imported workbook are rebuilt too
+     */
+    constructor(loader, extracts = []) {
+        this.loader = loader;
+        this.extracts = extracts;
+        this.status = null;
+    }
+
+    /**
+     * Build the drop zone, file picker and result area in a container
+     * @param {string} containerId - Element to render the panel into
+     */
+    mount(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.innerHTML = '';
+        container.classList.add('workbook-import');
+
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.xlsx,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+        input.id = `${containerId}-file`;
+        input.className = 'workbook-import-input';
+
+        const zone = document.createElement('label');
+        zone.className = 'workbook-import-zone';
+        zone.htmlFor = input.id;
+        zone.innerHTML = '<strong>Drop a new enforcement workbook here</strong> or click to choose one ' +
+            '<span>(police_enforcement_YYYY_*.xlsx; replaces this page\'s data until you reload)</span>';
+
+        this.status = document.createElement('div');
+        this.status.className = 'workbook-import-status';
+        this.status.setAttribute('aria-live', 'polite');
+
+        input.addEventListener('change', () => {
+            if (input.files.length) this.handleFile(input.files[0]);
+            input.value = '';
+        });
+
+        zone.addEventListener('dragover', event => {
+            event.preventDefault();
+            zone.classList.add('dragover');
+        });
+        zone.addEventListener('dragleave', () => zone.classList.remove('dragover'));
+        zone.addEventListener('drop', event => {
+            event.preventDefault();
+            zone.classList.remove('dragover');
+            const file = event.dataTransfer.files[0];
+            if (file) this.handleFile(file);
+        });
+
+        container.appendChild(input);
+        container.appendChild(zone);
+        container.appendChild(this.status);
+    }
+
+    /**
+     * Import a file and report the outcome in the panel
+     * @param {File} file - Dropped or chosen workbook
+     */
+    async handleFile(file) {
+        this.showStatus('info', `Reading ${file.name}…`);
+
+        try {
+            const result = await this.importFile(file);
+            this.renderSummary(result);
+        } catch (error) {
+            console.error(`Error importing ${file.name}:`, error);
+            this.showStatus('error', `Could not import ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate, parse and swap in a workbook
+     * @param {File|Blob} file - Workbook; needs name and arrayBuffer()
+     * @returns {Promise<Object>} { fileName, datasetId, title, datasetIds, diff }
+     * @throws {DataSchemaError} When the workbook matches no dataset's schema
+     */
+    async importFile(file) {
+        if (!/\.xlsx$/i.test(file.name)) {
+            throw new Error('expected an .xlsx workbook');
+        }
+
+        const manifest = await this.loader.loadManifest();
+        const buffer = await file.arrayBuffer();
+        const info = this.matchDataset(manifest, file.name, this.loader.readWorkbookHeaders(buffer));
+        const rows = await this.loader.parseWorkbook({ ...info, sheet: null }, buffer);
+
+        const previous = await this.previousRows(info);
+        const diff = WorkbookImporter.diff(previous && previous.rows, rows, previous && previous.rowCount);
+
+        this.loader.replaceDataset(info.id, rows);
+        const datasetIds = [info.id];
+
+        this.extracts.filter(extract => extract.source === info.id).forEach(extract => {
+            this.loader.replaceDataset(extract.id, buildExtract(extract, rows, this.loader));
+            datasetIds.push(extract.id);
+        });
+
+        console.log(`✓ Imported ${rows.length} rows for ${info.id} from ${file.name}`);
+
+        const result = { fileName: file.name, datasetId: info.id, title: info.title, datasetIds, diff };
+        this.loader.dispatchEvent(new CustomEvent('datasetsreplaced', {
+            detail: { datasetIds, fileName: file.name, diff }
+        }));
+        return result;
+    }
+
+    /**
+     * Find the workbook dataset whose schema the file's headers satisfy. A dataset whose id appears in the
+     * file name (e.g. "..._fines_...") is taken when the headers fit it. Otherwise the most specific fit
+     * wins, the one with the most of its columns among the headers: schemas overlap (a positive breath
+     * test workbook also satisfies the smaller tests-conducted schema), so the first fit would not do.
+     * Only the header row is needed, so the workbook is parsed once, for the dataset chosen.
+     * @param {Object} manifest - Loaded manifest
+     * @param {string} fileName - Name of the dropped file
+     * @param {string[]} headers - The workbook's header row (DataLoader.readWorkbookHeaders)
+     * @returns {Object} Manifest entry
+     * @throws {DataSchemaError} Issues against the first candidate when none fit
+     * @throws {Error} When two datasets fit equally well
+     */
+    matchDataset(manifest, fileName, headers) {
+        const name = fileName.toLowerCase();
+        const named = info => name.includes(`_${info.id}_`) || name.includes(`_${info.id}.`);
+        const candidates = manifest.datasets
+            .filter(info => info.format === 'xlsx')
+            .sort((a, b) => named(b) - named(a))
+            .map(info => ({ info, ...this.loader.resolveColumns(info, headers, manifest.aliases || {}) }));
+
+        const fits = candidates.filter(candidate => candidate.issues.length === 0);
+        if (fits.length === 0) {
+            if (candidates.length === 0) throw new Error('no workbook datasets in the manifest');
+            throw new DataSchemaError(candidates[0].info.id, candidates[0].issues);
+        }
+        if (named(fits[0].info)) return fits[0].info;
+
+        const matched = candidate => Object.keys(candidate.sourceFor).length;
+        fits.sort((a, b) => matched(b) - matched(a));
+        if (fits.length > 1 && matched(fits[0]) === matched(fits[1])) {
+            throw new Error(`the workbook matches both "${fits[0].info.title}" and "${fits[1].info.title}"; ` +
+                `put the dataset id (${fits[0].info.id} or ${fits[1].info.id}) in the file name`);
+        }
+
+        return fits[0].info;
+    }
+
+    /**
+     * What an import replaces, taken from rows the page already has rather than by parsing the published
+     * workbook again: the dataset's own rows when the page has loaded them, otherwise its CSV extracts by
+     * year and jurisdiction (together they cover every year and jurisdiction, but not the row count)
+     * @param {Object} info - Manifest entry of the imported dataset
+     * @returns {Promise<Object|null>} { rows, rowCount }, rowCount null for extracts; null when there is
+     *     nothing to compare with
+     */
+    async previousRows(info) {
+        const loaded = this.loader.peekDataset(info.id);
+        if (loaded) {
+            const rows = await loaded.catch(() => []);
+            return { rows, rowCount: rows.length };
+        }
+
+        const extracts = this.extracts.filter(extract => extract.source === info.id &&
+            extract.columns.includes('YEAR') && extract.columns.includes('JURISDICTION'));
+        if (extracts.length === 0) return null;
+
+        // positive_by_year lists a year's jurisdictions in one cell ("ACT, NSW, ..."), so split list cells
+        const rows = await Promise.all(extracts.map(extract => this.loader.loadDataset(extract.id).catch(() => [])));
+        return {
+            rows: [].concat(...rows).flatMap(row => String(row.JURISDICTION).split(', ')
+                .map(jurisdiction => ({ YEAR: row.YEAR, JURISDICTION: jurisdiction }))),
+            rowCount: null
+        };
+    }
+
+    /**
+     * Compare an imported dataset with the one it replaces
+     * @param {Array|null} before - Current rows (or rows with the same years and jurisdictions); null when unknown
+     * @param {Array} after - Imported rows
+     * @param {number|null} [rowsBefore] - Current row count, when `before` is not the dataset itself
+     * @returns {Object} { rowsBefore, rowsAfter, compared, newYears, removedYears, newJurisdictions,
+     *     removedJurisdictions }; rowsBefore is null when unknown, and compared false when there was nothing
+     *     to compare with
+     */
+    static diff(before, after, rowsBefore = before ? before.length : null) {
+        if (!before) {
+            return {
+                rowsBefore: null,
+                rowsAfter: after.length,
+                compared: false,
+                newYears: [],
+                removedYears: [],
+                newJurisdictions: [],
+                removedJurisdictions: []
+            };
+        }
+
+        const values = (rows, field) => new Set(rows.map(row => row[field]).filter(v => v !== null && v !== undefined));
+        const added = (a, b) => [...b].filter(v => !a.has(v)).sort();
+        const [yearsBefore, yearsAfter] = [values(before, 'YEAR'), values(after, 'YEAR')];
+        const [jurisdictionsBefore, jurisdictionsAfter] = [values(before, 'JURISDICTION'), values(after, 'JURISDICTION')];
+
+        return {
+            rowsBefore,
+            rowsAfter: after.length,
+            compared: true,
+            newYears: added(yearsBefore, yearsAfter),
+            removedYears: added(yearsAfter, yearsBefore),
+            newJurisdictions: added(jurisdictionsBefore, jurisdictionsAfter),
+            removedJurisdictions: added(jurisdictionsAfter, jurisdictionsBefore)
+        };
+    }
+
+    /**
+     * Describe a diff in plain sentences
+     * @param {Object} diff - Result of diff()
+     * @returns {string[]} e.g. ["12,179 → 13,020 rows", "New years: 2025"]
+     */
+    static describeDiff(diff) {
+        const lines = [diff.rowsBefore === null
+            ? `${diff.rowsAfter.toLocaleString()} rows`
+            : `${diff.rowsBefore.toLocaleString()} → ${diff.rowsAfter.toLocaleString()} rows`];
+        if (!diff.compared) {
+            lines.push('This page has not loaded the published data to compare it with');
+            return lines;
+        }
+        const list = (label, items) => {
+            if (items.length) lines.push(`${label}: ${items.join(', ')}`);
+        };
+
+        list('New years', diff.newYears);
+        list('New jurisdictions', diff.newJurisdictions);
+        list('Years no longer present', diff.removedYears);
+        list('Jurisdictions no longer present', diff.removedJurisdictions);
+
+        if (lines.length === 1) {
+            lines.push('Same years and jurisdictions as before');
+        }
+        return lines;
+    }
+
+    /**
+     * Show the import result and diff in the panel
+     * @param {Object} result - Result of importFile()
+     */
+    renderSummary(result) {
+        this.showStatus('success', `Imported ${result.fileName} as "${result.title}". ` +
+            `Charts now use it until you reload the page.`);
+
+        const list = document.createElement('ul');
+        WorkbookImporter.describeDiff(result.diff).forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+        if (result.datasetIds.length > 1) {
+            const item = document.createElement('li');
+            item.textContent = `Also rebuilt: ${result.datasetIds.slice(1).join(', ')}`;
+            list.appendChild(item);
+        }
+        this.status.appendChild(list);
+    }
+
+    /**
+     * Replace the panel's status message
+     * @param {string} kind - 'info', 'success' or 'error'
+     * @param {string} message - Text to show
+     */
+    showStatus(kind, message) {
+        if (!this.status) return;
+
+        this.status.className = `workbook-import-status ${kind}`;
+        this.status.textContent = message;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WorkbookImporter };
+}
@@ -0,0 +1,85 @@
+/**
+ * XLSX Parsing Worker
+ * Fetches, parses and normalises Excel workbooks off the main thread.
+ * Started by DataLoader.parseInWorker; posts progress messages, then the typed rows in chunks.
+ * A request carrying a `buffer` (a workbook dropped on the page) is parsed without downloading.
+ */
+
+importScripts(
+    'https://cdn.sheetjs.com/xlsx-0.20.0/package/dist/xlsx.full.min.js',
+    'load_data.js'
+);
+
+// Rows per 'rows' message, small enough to keep each structured clone cheap
+const ROW_CHUNK_SIZE = 2000;
+
+/**
+ * Download a file, reporting byte progress when the server sends Content-Length
+ * @param {string} url - Absolute URL of the workbook
+ * @param {Function} onProgress - Called with (loaded, total)
+ * @returns {Promise<Uint8Array>} File contents
+ */
+async function download(url, onProgress) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.statusText}`);
+    }
+
+    const total = +response.headers.get('Content-Length') || 0;
+    if (!response.body || !total) {
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.length;
+        // Content-Length is the encoded size, so cap in case the body was compressed
+        onProgress(Math.min(loaded, total), total);
+    }
+
+    const buffer = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        buffer.set(chunk, offset);
+        offset += chunk.length;
+    });
+
+    return buffer;
+}
+
+self.addEventListener('message', async (event) => {
+    const { requestId, url, buffer: upload, info, aliases } = event.data;
+    const post = (type, payload = {}) => self.postMessage({ requestId, type, ...payload });
+
+    try {
+        const buffer = upload ? new Uint8Array(upload) : await download(url, (loaded, total) => {
+            post('progress', { stage: 'download', loaded, total });
+        });
+
+        post('progress', { stage: 'parse', loaded: 0, total: 0 });
+        const workbook = XLSX.read(buffer, { type: 'array' });
+        const sheet = info.sheet || workbook.SheetNames[0];
+
+        if (!workbook.Sheets[sheet]) {
+            throw new Error(`Sheet "${sheet}" not found in ${info.path}`);
+        }
+
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { defval: null });
+        const data = dataLoader.normalizeRows(info, rows, aliases);
+
+        for (let start = 0; start < data.length; start += ROW_CHUNK_SIZE) {
+            const chunk = data.slice(start, start + ROW_CHUNK_SIZE);
+            post('rows', { rows: chunk, loaded: start + chunk.length, total: data.length });
+        }
+
+        post('done', { rowCount: data.length });
+    } catch (error) {
+        post('error', { message: error.message, issues: error.issues || null });
+    }
+});
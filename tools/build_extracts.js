@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Build Extracts
+ * Rebuilds the derived CSVs under WebDesign/data from the police_enforcement_2024_*.xlsx workbooks,
+ * replacing the manual KNIME export. Uses the site's own manifest, schema normalisation and
+ * query code (WebDesign/js/load_data.js, WebDesign/js/extracts.js), so the two cannot drift apart.
+ *
+ * Usage, from the repo root (SheetJS is the only dependency):
+ *   npm install --no-save xlsx
+ *   node tools/build_extracts.js                 rebuild every extract in place
+ *   node tools/build_extracts.js --out <dir>     write under <dir> instead of WebDesign/data
+ *   node tools/build_extracts.js --check         compare with the committed files, exit 1 on differences
+ *   node tools/build_extracts.js drug_total ...  limit to the given extract ids
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { createNodeLoader, WEB_ROOT } = require('./node_loader.js');
+const { EXTRACTS, buildExtract } = require('../WebDesign/js/extracts.js');
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { outDir, check, ids }
+ */
+function parseArgs(argv) {
+    const options = { outDir: WEB_ROOT, check: false, ids: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') {
+            options.outDir = path.resolve(argv[++i]);
+        } else if (argv[i] === '--check') {
+            options.check = true;
+        } else {
+            options.ids.push(argv[i]);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Format one CSV cell the way the KNIME CSV Writer did: strings quoted, numbers bare
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function formatCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Serialise extract rows to CSV text
+ * @param {Object} extract - Entry from EXTRACTS
+ * @param {Array} rows - Rows from buildExtract
+ * @returns {string} CSV with a header line and a trailing newline
+ */
+function toCSV(extract, rows) {
+    const headers = extract.columns.map(column => (extract.headers && extract.headers[column]) || column);
+    const lines = [headers.map(formatCell).join(',')]
+        .concat(rows.map(row => extract.columns.map(column => formatCell(row[column])).join(',')));
+
+    return lines.join('\n') + '\n';
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const unknown = options.ids.filter(id => !EXTRACTS.some(extract => extract.id === id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown extract id(s): ${unknown.join(', ')}`);
+    }
+
+    const loader = createNodeLoader();
+    const selected = options.ids.length > 0
+        ? EXTRACTS.filter(extract => options.ids.includes(extract.id))
+        : EXTRACTS;
+    const mismatches = [];
+
+    for (const extract of selected) {
+        const info = loader.manifest.datasets.find(d => d.id === extract.id);
+        const rows = buildExtract(extract, await loader.loadDataset(extract.source), loader);
+        const csv = toCSV(extract, rows);
+
+        if (options.check) {
+            const current = fs.readFileSync(path.join(WEB_ROOT, info.path), 'utf8').replace(/\r\n/g, '\n');
+            if (current.trimEnd() !== csv.trimEnd()) {
+                mismatches.push(info.path);
+                console.log(`✗ ${info.path} differs from its rebuilt extract`);
+            } else {
+                console.log(`✓ ${info.path} is up to date`);
+            }
+            continue;
+        }
+
+        const outPath = path.join(options.outDir, info.path);
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        fs.writeFileSync(outPath, csv);
+        console.log(`✓ Wrote ${rows.length} rows to ${path.relative(process.cwd(), outPath)}`);
+    }
+
+    if (mismatches.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
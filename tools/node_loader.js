@@ -0,0 +1,49 @@
+/**
+ * Node Data Loader
+ * Creates a DataLoader (WebDesign/js/load_data.js) that reads the manifest, workbooks and CSVs from disk,
+ * so command line tools validate and normalise rows exactly as the site does.
+ * Requires SheetJS: npm install --no-save xlsx
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+
+const { DataLoader } = require('../WebDesign/js/load_data.js');
+
+const WEB_ROOT = path.join(__dirname, '..', 'WebDesign');
+
+/**
+ * Create a DataLoader whose loadDataset reads from the WebDesign folder via fs
+ * @returns {DataLoader} Loader with its manifest already loaded
+ */
+function createNodeLoader() {
+    const loader = new DataLoader();
+    loader.manifest = JSON.parse(fs.readFileSync(path.join(WEB_ROOT, loader.manifestPath), 'utf8'));
+    // Seed the memoized manifest so getDatasetInfo doesn't try to fetch it
+    loader.cache.set('manifest', Promise.resolve(loader.manifest));
+
+    // Same steps as the parsing worker, reading the file from disk instead of fetch
+    loader.loadDataset = datasetId => loader.memoize(`dataset:${datasetId}`, async () => {
+        const info = loader.manifest.datasets.find(d => d.id === datasetId);
+        if (!info) {
+            throw new Error(`Unknown dataset "${datasetId}" (not listed in ${loader.manifestPath})`);
+        }
+
+        // CSV cells stay text (raw) so coercion follows the schema rather than SheetJS guessing dates
+        const workbook = XLSX.readFile(path.join(WEB_ROOT, info.path), { raw: info.format === 'csv' });
+        const sheet = info.sheet || workbook.SheetNames[0];
+        if (!workbook.Sheets[sheet]) {
+            throw new Error(`Sheet "${sheet}" not found in ${info.path}`);
+        }
+
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { defval: null });
+        const data = loader.normalizeRows(info, rows, loader.manifest.aliases);
+        console.log(`✓ Read ${data.length} rows from ${info.path}`);
+        return data;
+    });
+
+    return loader;
+}
+
+module.exports = { createNodeLoader, WEB_ROOT };
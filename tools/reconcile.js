@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+/**
+ * Reconcile
+ * Cross-checks the totals in the derived CSVs against each other and against the source workbooks,
+ * using the same checks as the warning banner on results.html (WebDesign/js/reconciliation.js).
+ *
+ * Usage, from the repo root (SheetJS is the only dependency):
+ *   npm install --no-save xlsx
+ *   node tools/reconcile.js               run every check; exits 1 when any fails
+ *   node tools/reconcile.js --no-sources  only compare the CSVs with each other
+ *   node tools/reconcile.js --json        print the full report as JSON
+ */
+
+const { createNodeLoader } = require('./node_loader.js');
+const { EXTRACTS } = require('../WebDesign/js/extracts.js');
+const { DataReconciler } = require('../WebDesign/js/reconciliation.js');
+
+async function main() {
+    const args = process.argv.slice(2);
+    const reconciler = new DataReconciler(createNodeLoader(), EXTRACTS);
+    const report = await reconciler.run({ sources: !args.includes('--no-sources') });
+
+    console.log(args.includes('--json')
+        ? JSON.stringify(report, null, 2)
+        : DataReconciler.formatReport(report));
+
+    if (!report.ok) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});